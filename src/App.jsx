@@ -1,285 +1,691 @@
-import { useState, useMemo, useCallback, useRef } from "react";
+import { useState, useMemo, useCallback, useRef, useEffect } from "react";
 import { BarChart, Bar, XAxis, YAxis, Tooltip, ResponsiveContainer, Cell } from "recharts";
 import * as Papa from "papaparse";
+import ScoringModelPanel from "./components/ScoringModelPanel";
+import DuplicatesPanel from "./components/DuplicatesPanel";
+import HistoryPanel from "./components/HistoryPanel";
+import ColumnMappingFields from "./components/ColumnMappingFields";
+import MappingPresetsPanel from "./components/MappingPresetsPanel";
+import ChangesPanel from "./components/ChangesPanel";
+import MapPanel from "./components/MapPanel";
+import PipelinePanel from "./components/PipelinePanel";
+import AnalyticsPanel from "./components/AnalyticsPanel";
+import PropertyTable from "./components/PropertyTable";
+import PropertyDetails from "./components/PropertyDetails";
+import TaskProgress from "./components/TaskProgress";
+import ImportReport from "./components/ImportReport";
+import SavedViewsMenu from "./components/SavedViewsMenu";
+import ReportMenu from "./components/ReportMenu";
+import ExportDialog from "./components/ExportDialog";
+import AlertsPanel from "./components/AlertsPanel";
+import DeadlinesPanel from "./components/DeadlinesPanel";
+import AgentsPanel from "./components/AgentsPanel";
+import AgentProfile from "./components/AgentProfile";
+import CompareView from "./components/CompareView";
+import { WORKBOOK_EXTENSIONS } from "./lib/importers";
+import { mergeRows, guessSourceName } from "./lib/dedupe";
+import { isStorageAvailable } from "./lib/db";
+import { compareScans } from "./lib/changes";
+import {
+  DEAL_STATUSES, newDealEntry, isEmptyDealEntry, loadPipeline, savePipelineEntry, followUpState,
+} from "./lib/pipeline";
+import {
+  COLUMN_ALIASES, autoMapColumns, mapListing, baselineFromFile,
+} from "./lib/scoring";
+import { DEFAULT_FILTERS } from "./lib/filters";
+import { getScanClient, isCancelled } from "./lib/scanClient";
+import { PRIORITY_COLORS } from "./lib/format";
+import { DEFAULT_SORT, loadTableColumns, saveTableColumns, sortFromView } from "./lib/tableView";
+import { downloadFile, dateStamp, printHTML } from "./lib/download";
+import { summaryStats, buildReportHTML } from "./lib/report";
+import { EXPORT_FORMATS, EXPORT_SCOPES, scopeProperties, toCSV, toJSON, toGeoJSON, toXLSX } from "./lib/exporters";
+import { keywordFrequency, groupStats } from "./lib/analytics";
+import { compareToCSV } from "./lib/compare";
+import { agentProfile, newContact, contactsFor, loadContacts, saveContact, deleteContact } from "./lib/agents";
+import { loadAlerts, saveAlerts, newAlertRule, seedRule, runAlertRules, unreadByKey, alertsToICS, alertsToEML } from "./lib/alerts";
+import {
+  VIEW_TABS, viewToQuery, viewFromQuery, loadSavedViews, saveSavedViews, upsertSavedView, findSavedView, suggestViewName,
+} from "./lib/viewState";
+import {
+  loadMappingPresets, saveMappingPresets, findPreset, applyPreset, upsertPreset, exportPresetsJSON, importPresetsJSON,
+} from "./lib/mappingPresets";
+import {
+  newSnapshotId, defaultSnapshotName, listSnapshots, loadSnapshot, saveSnapshot, saveSnapshotSummary, saveSnapshotView, renameSnapshot, deleteSnapshot,
+  loadActiveSnapshotId, saveActiveSnapshotId,
+} from "./lib/snapshots";
+import {
+  DEFAULT_PROFILE_NAME, maxScores, cloneModel, isBuiltInProfile, exportProfileJSON, parseProfileJSON,
+  loadProfiles, saveProfiles, loadActiveProfileName, saveActiveProfileName,
+} from "./lib/scoringModel";
 
-// --- SCORING CONFIG ---
-const DISTRESS_KEYWORDS = [
-  "mortgagee","receivership","must sell","reduced","all offers considered",
-  "vacant possession","liquidation","administration","urgent","below valuation",
-  "motivated vendor","deadline","court ordered","bank instructed","priced to sell",
-  "price drop","fire sale","distressed","under instructions","expressions of interest"
-];
-
-const COLUMN_ALIASES = {
-  address: ["address","street address","street_address","property address","full address"],
-  suburb: ["suburb","location","area"],
-  state: ["state"],
-  postcode: ["postcode","post code","zip","postal code"],
-  propertyType: ["property type","property_type","type","category"],
-  askingPrice: ["asking price","asking_price","price","list price","last listed price","first listed price","listed price","sale price"],
-  landArea: ["land area","land_area","land size","land size (m²)","land_size","land sqm","land (sqm)"],
-  buildingArea: ["building area","building_area","floor size","floor size (m²)","floor_size","building sqm","building (sqm)"],
-  daysOnMarket: ["days on market","days_on_market","dom","days listed","days"],
-  agentName: ["agent name","agent_name","agent","listing agent"],
-  agency: ["agency","agency name","office"],
-  listingUrl: ["listing url","listing_url","url","link","open in rpdata","listing link"],
-  description: ["description","listing description","details","comments","notes"],
-  councilArea: ["council area","council","lga"],
-  listingType: ["listing type","listing_type","sale method"],
-};
-
-function normalise(s) { return (s || "").toString().toLowerCase().trim().replace(/[_\-]/g," "); }
-
-function autoMapColumns(headers) {
-  const map = {};
-  const normHeaders = headers.map(normalise);
-  for (const [field, aliases] of Object.entries(COLUMN_ALIASES)) {
-    for (const alias of aliases) {
-      const idx = normHeaders.indexOf(normalise(alias));
-      if (idx !== -1 && !Object.values(map).includes(headers[idx])) {
-        map[field] = headers[idx];
-        break;
-      }
-    }
-  }
-  return map;
-}
-
-function parsePrice(raw) {
-  if (!raw) return null;
-  const s = raw.toString().trim();
-  const skip = /contact agent|poa|expressions? of interest|price on application|price on request|undisclosed|by negotiation|for sale|just listed|under contract|listing price not available|auction|submit all offers/i;
-  if (skip.test(s)) return null;
-  const rangeMatch = s.match(/\$\s*([\d,.]+)\s*([mkMK])?\s*[-–]\s*\$\s*([\d,.]+)\s*([mkMK])?/);
-  if (rangeMatch) {
-    const lo = toNum(rangeMatch[1], rangeMatch[2]);
-    const hi = toNum(rangeMatch[3], rangeMatch[4]);
-    if (lo !== null && hi !== null) return Math.round((lo + hi) / 2);
-    return lo || hi;
-  }
-  const single = s.match(/\$\s*([\d,.]+)\s*([mkMK])?/);
-  if (single) return toNum(single[1], single[2]);
-  const plain = s.replace(/[,$\s]/g, "");
-  if (/^\d+(\.\d+)?$/.test(plain)) return Math.round(parseFloat(plain));
-  return null;
-}
-function toNum(digits, suffix) {
-  const n = parseFloat(digits.replace(/,/g, ""));
-  if (isNaN(n)) return null;
-  if (suffix && suffix.toLowerCase() === "m") return Math.round(n * 1_000_000);
-  if (suffix && suffix.toLowerCase() === "k") return Math.round(n * 1_000);
-  return Math.round(n);
-}
-
-function scoreProperty(row) {
-  const desc = (row.description || "").toLowerCase();
-  const foundKeywords = DISTRESS_KEYWORDS.filter(kw => desc.includes(kw));
-  const kwCount = foundKeywords.length;
-  let distressScore = 0;
-  if (kwCount >= 4) distressScore = 50;
-  else if (kwCount === 3) distressScore = 40;
-  else if (kwCount === 2) distressScore = 30;
-  else if (kwCount === 1) distressScore = 15;
-
-  const dom = row.daysOnMarket;
-  let domScore = 5;
-  if (dom !== null && dom !== undefined && dom !== "") {
-    const d = parseInt(dom);
-    if (!isNaN(d)) {
-      if (d > 180) domScore = 30;
-      else if (d >= 121) domScore = 20;
-      else if (d >= 61) domScore = 10;
-      else domScore = 0;
-    }
-  }
+const UPLOAD_ACCEPT = `.csv,.tsv,.txt,.json,${WORKBOOK_EXTENSIONS.map(e => "." + e).join(",")}`;
 
-  let vacancyScore = 0;
-  if (desc.includes("vacant possession")) vacancyScore = 20;
-  else if (!/(leased|tenant|lease|tenancy|net income)/i.test(desc)) vacancyScore = 10;
+const NO_PROPERTIES = [];
+const EMPTY_SCAN = { rows: null, properties: NO_PROPERTIES, baselineEntries: null };
+const NO_DUPLICATES = { rows: null, groups: [] };
 
-  const total = distressScore + domScore + vacancyScore;
-  let priority = "Low";
-  if (total >= 60) priority = "High Priority";
-  else if (total >= 35) priority = "Monitor";
-
-  return { score: total, priority, distressKeywords: foundKeywords, distressScore, domScore, vacancyScore };
+function useDebouncedValue(value, ms) {
+  const [debounced, setDebounced] = useState(value);
+  useEffect(() => {
+    const t = setTimeout(() => setDebounced(value), ms);
+    return () => clearTimeout(t);
+  }, [value, ms]);
+  return debounced;
 }
 
-function formatAUD(n) {
-  if (n === null || n === undefined) return "—";
-  if (n >= 1_000_000) return `$${(n / 1_000_000).toFixed(2)}M`;
-  if (n >= 1_000) return `$${(n / 1_000).toFixed(0)}K`;
-  return `$${n.toLocaleString()}`;
+// Same page, with `view` in the query string.
+function viewUrl(view) {
+  const query = viewToQuery(view);
+  return `${window.location.pathname}${query ? `?${query}` : ""}${window.location.hash}`;
 }
 
-const PRIORITY_COLORS = { "High Priority": "#DC2626", "Monitor": "#D97706", "Low": "#9CA3AF" };
-const PRIORITY_BG = { "High Priority": "#FEE2E2", "Monitor": "#FEF3C7", "Low": "#F3F4F6" };
-
 // --- MAIN COMPONENT ---
 export default function DealScanner() {
   const [rawData, setRawData] = useState(null);
   const [headers, setHeaders] = useState([]);
   const [colMap, setColMap] = useState({});
   const [showMapping, setShowMapping] = useState(false);
-  const [properties, setProperties] = useState([]);
-  const [activeTab, setActiveTab] = useState("table");
-  const [expandedRow, setExpandedRow] = useState(null);
-  const [sortCol, setSortCol] = useState("score");
-  const [sortDir, setSortDir] = useState("desc");
-  const [search, setSearch] = useState("");
-  const [filters, setFilters] = useState({
-    priority: ["High Priority", "Monitor", "Low"],
-    propertyType: [],
-    suburbs: [],
-    priceMin: 0, priceMax: 999_999_999,
-    scoreMin: 0,
-    domMin: 0, domMax: 9999,
+  const [sheets, setSheets] = useState(null);
+  const [importError, setImportError] = useState(null);
+  const [sources, setSources] = useState([]);
+  const [pendingSource, setPendingSource] = useState(null);
+  const [mappingPresets, setMappingPresets] = useState(loadMappingPresets);
+  const [rememberMapping, setRememberMapping] = useState(true);
+  const [presetName, setPresetName] = useState("");
+  const [dupDecisions, setDupDecisions] = useState({});
+  const [profiles, setProfiles] = useState(loadProfiles);
+  const [activeProfile, setActiveProfile] = useState(() => {
+    const name = loadActiveProfileName();
+    return loadProfiles()[name] ? name : DEFAULT_PROFILE_NAME;
   });
+  const [model, setModel] = useState(() => cloneModel(profiles[activeProfile]));
+  // A view in the page URL (a shared or bookmarked link) wins over the one
+  // saved with the last scan.
+  const [urlView] = useState(() => viewFromQuery(window.location.search));
+  const [activeTab, setActiveTab] = useState(urlView?.activeTab || "table");
+  const [expandedId, setExpandedId] = useState(null);
+  const [sort, setSort] = useState(urlView?.sort || DEFAULT_SORT);
+  const [columns, setColumns] = useState(loadTableColumns);
+  const [search, setSearch] = useState(urlView?.search || "");
+  const [filters, setFilters] = useState(urlView?.filters || DEFAULT_FILTERS);
+  const [savedViews, setSavedViews] = useState(loadSavedViews);
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  const [exporting, setExporting] = useState(false);
+  const [comparing, setComparing] = useState(false);
+  const [alerts, setAlerts] = useState(loadAlerts);
+  const [snapshot, setSnapshot] = useState(null);
+  const [baseline, setBaseline] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [pipeline, setPipeline] = useState({});
+  const [contacts, setContacts] = useState([]);
+  const [profileOf, setProfileOf] = useState(null);
+  const [restoring, setRestoring] = useState(() => isStorageAvailable() && !!loadActiveSnapshotId());
+  const [task, setTask] = useState(null);
+  const [report, setReport] = useState(null);
+  const [scan, setScan] = useState(EMPTY_SCAN);
+  const [dups, setDups] = useState(NO_DUPLICATES);
+  const [view, setView] = useState({ properties: null, ids: [] });
   const fileRef = useRef();
+  const importJob = useRef(null);
+  const addFileRef = useRef();
+  // The sources, duplicate decisions and baseline last read from or written
+  // to the open snapshot, so autosave only rewrites them when they change.
+  const savedData = useRef(null);
+  // Imports whose listings still need checking against the alert rules once
+  // they are scored, oldest first: { sourceId, fileName }.
+  const alertChecks = useRef([]);
+  // Parsed files from this browser session, kept so a source can be remapped.
+  const rawBySource = useRef(new Map());
+
+  // Runs a cancellable import step in the scan worker, showing its progress.
+  // Resolves null if the user cancelled.
+  const runImportTask = useCallback(async (start) => {
+    const job = start((progress, label) => setTask({ label, progress }));
+    importJob.current = job;
+    setTask({ label: "Starting…", progress: 0 });
+    try {
+      return await job;
+    } catch (e) {
+      if (isCancelled(e)) return null;
+      throw e;
+    } finally {
+      if (importJob.current === job) { importJob.current = null; setTask(null); }
+    }
+  }, []);
+
+  const cancelTask = () => importJob.current?.cancel();
 
-  const processData = useCallback((data, mapping) => {
-    const rows = data.map(row => {
-      const get = (field) => {
-        const col = mapping[field];
-        return col ? (row[col] ?? "") : "";
-      };
-      const price = parsePrice(get("askingPrice"));
-      const dom = get("daysOnMarket");
-      const domNum = dom !== "" && dom !== "-" ? parseInt(dom) : null;
-      const mapped = {
-        address: get("address"),
-        suburb: get("suburb"),
-        state: get("state") || "NSW",
-        postcode: get("postcode"),
-        propertyType: get("propertyType"),
-        askingPriceRaw: get("askingPrice"),
-        askingPrice: price,
-        landArea: get("landArea") !== "-" ? get("landArea") : "",
-        buildingArea: get("buildingArea") !== "-" ? get("buildingArea") : "",
-        daysOnMarket: domNum,
-        agentName: get("agentName"),
-        agency: get("agency"),
-        listingUrl: get("listingUrl"),
-        description: get("description"),
-        councilArea: get("councilArea"),
-        listingType: get("listingType"),
-      };
-      const scoring = scoreProperty(mapped);
-      return { ...mapped, ...scoring };
+  // Adds (or replaces) a mapped source. `excludedRows` are raw row indices
+  // left out after the import report; they are kept so a remap skips them too.
+  const commitSource = useCallback((sourceId, source, mapping, data, mappedRows, excludedRows = []) => {
+    const skip = new Set(excludedRows);
+    const kept = skip.size ? mappedRows.filter((_, i) => !skip.has(i)) : mappedRows;
+    rawBySource.current.set(sourceId, { headers: source.headers, data });
+    if (kept.length) alertChecks.current.push({ sourceId, fileName: source.fileName });
+    setSources(prev => {
+      if (source.replaceId) return prev.map(s => s.id === sourceId ? { ...s, mapping, presetName: source.presetName, excludedRows, rows: kept } : s);
+      const taken = new Set(prev.map(s => s.name));
+      let name = source.name, n = 2;
+      while (taken.has(name)) name = `${source.name} (${n++})`;
+      return [...prev, { id: sourceId, name, fileName: source.fileName, importedAt: new Date().toISOString(), mapping, presetName: source.presetName, excludedRows, rows: kept }];
     });
-    setProperties(rows);
+    setSnapshot(snap => snap || { id: newSnapshotId(), name: defaultSnapshotName(), createdAt: new Date().toISOString() });
   }, []);
 
-  const handleFile = (file) => {
-    const ext = file.name.split(".").pop().toLowerCase();
-    if (ext === "csv" || ext === "tsv") {
-      Papa.parse(file, {
-        header: true, skipEmptyLines: true, complete: (result) => {
-          const h = result.meta.fields || [];
-          setHeaders(h);
-          setRawData(result.data);
-          const map = autoMapColumns(h);
-          setColMap(map);
-          const mapped = Object.keys(map).length;
-          if (mapped < 3) { setShowMapping(true); }
-          else { processData(result.data, map); setShowMapping(false); }
-        }
-      });
-    } else {
-      alert("Please upload a CSV file. You can export from Excel using Save As > CSV.");
+  const processData = useCallback(async (data, mapping, source) => {
+    const sourceId = source.replaceId || `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+    let mapped;
+    try {
+      mapped = await runImportTask(onProgress => getScanClient().map(data, mapping, sourceId, onProgress));
+    } catch (e) {
+      setImportError(`${source.fileName}: ${e.message}`);
+      return;
+    }
+    if (!mapped) return;
+    const excludedRows = source.excludedRows || [];
+    if (mapped.flagged.length) setReport({ sourceId, source, mapping, data, rows: mapped.rows, flagged: mapped.flagged, excludedRows });
+    else commitSource(sourceId, source, mapping, data, mapped.rows, excludedRows);
+  }, [runImportTask, commitSource]);
+
+  // --- IMPORT REPORT ---
+  const applyFixes = (data, fixes) => Object.keys(fixes).length ? data.map((r, i) => fixes[i] || r) : data;
+
+  const importReviewed = (fixes, excludedRows) => {
+    const { sourceId, source, mapping, data, rows } = report;
+    const fixedRows = rows.map((r, i) => fixes[i] ? { id: r.id, sourceId, ...mapListing(fixes[i], mapping) } : r);
+    commitSource(sourceId, source, mapping, applyFixes(data, fixes), fixedRows, excludedRows);
+    setReport(null);
+  };
+
+  const exportRejected = (rejected) => {
+    downloadFile(Papa.unparse(rejected), `${report.source.name.replace(/[^a-z0-9]+/gi, "_")}_rejected_${dateStamp()}.csv`, "text/csv");
+  };
+
+  const backToMapping = (fixes) => {
+    setRawData(applyFixes(report.data, fixes));
+    setColMap(report.mapping);
+    setPendingSource(report.source);
+    setReport(null);
+    setShowMapping(true);
+  };
+
+  const allRows = useMemo(() => sources.flatMap(s => s.rows.map(r => ({ ...r, source: s.name, sources: [s.name] }))), [sources]);
+
+  // Duplicate matching runs in the scan worker too. Scoring waits for it, so
+  // a new source is scored once, with its merges applied.
+  useEffect(() => {
+    let stale = false;
+    getScanClient().duplicates(allRows)
+      .then(groups => { if (!stale) setDups({ rows: allRows, groups }); })
+      .catch(e => { if (!stale) setImportError(`Duplicate matching failed: ${e.message}`); });
+    return () => { stale = true; };
+  }, [allRows]);
+  const dupsReady = dups.rows === allRows;
+  const dupGroups = dups.groups;
+
+  const rows = useMemo(() => {
+    const byId = new Map(allRows.map(r => [r.id, r]));
+    const mergedIds = new Set();
+    const merged = [];
+    dupGroups.filter(g => dupDecisions[g.key] === "merge").forEach(g => {
+      g.ids.forEach(id => mergedIds.add(id));
+      merged.push(mergeRows(g.ids.map(id => byId.get(id))));
+    });
+    return [...allRows.filter(r => !mergedIds.has(r.id)), ...merged];
+  }, [allRows, dupGroups, dupDecisions]);
+
+  const pendingDupCount = dupGroups.filter(g => !dupDecisions[g.key]).length;
+
+  // Scoring runs in the scan worker; a short delay coalesces bursts of model
+  // edits. Results that arrive after newer inputs are dropped.
+  useEffect(() => {
+    if (!dupsReady) return;
+    let stale = false;
+    const t = setTimeout(() => {
+      getScanClient().score(rows, model, baseline)
+        .then(r => {
+          if (stale) return;
+          setScan({ rows, model, baseline, ...r });
+          // Each import is checked against its own listings so alerts name the
+          // right file; imports not in this pass wait for the next one.
+          const sourcesOf = (p) => (p.mergedFrom || [p.id]).map(id => id.slice(0, id.indexOf(":")));
+          const scored = new Set(rows.flatMap(sourcesOf));
+          const due = alertChecks.current.filter(c => scored.has(c.sourceId));
+          if (due.length) {
+            alertChecks.current = alertChecks.current.filter(c => !due.includes(c));
+            setAlerts(a => due.reduce((acc, c) => runAlertRules(acc, r.properties.filter(p => sourcesOf(p).includes(c.sourceId)), { source: c.fileName }).alerts, a));
+          }
+        })
+        .catch(e => { if (!stale) setImportError(`Scoring failed: ${e.message}`); });
+    }, 120);
+    return () => { stale = true; clearTimeout(t); };
+  }, [rows, model, baseline, dupsReady]);
+
+  const scoring = !dupsReady || scan.rows !== rows || scan.model !== model || scan.baseline !== baseline;
+  const properties = rows.length ? scan.properties : NO_PROPERTIES;
+  const baselineEntries = baseline ? scan.baselineEntries : null;
+  const changes = useMemo(() => baselineEntries ? compareScans(baselineEntries, properties) : [], [baselineEntries, properties]);
+  const maxScore = useMemo(() => maxScores(model), [model]);
+  const modelDirty = JSON.stringify(model) !== JSON.stringify(profiles[activeProfile]);
+
+  const selectProfile = (name) => {
+    setActiveProfile(name);
+    setModel(cloneModel(profiles[name]));
+    saveActiveProfileName(name);
+  };
+
+  const saveProfile = (name) => {
+    const next = { ...profiles, [name]: cloneModel(model) };
+    setProfiles(next);
+    saveProfiles(next);
+    setActiveProfile(name);
+    saveActiveProfileName(name);
+  };
+
+  const deleteProfile = (name) => {
+    const { [name]: _removed, ...next } = profiles;
+    setProfiles(next);
+    saveProfiles(next);
+    selectProfile(DEFAULT_PROFILE_NAME);
+  };
+
+  const exportProfile = () => {
+    const slug = activeProfile.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "profile";
+    downloadFile(exportProfileJSON(activeProfile, model), `${slug}.profile.json`, "application/json");
+  };
+
+  const importProfile = async (file) => {
+    try {
+      const parsed = parseProfileJSON(await file.text());
+      let name = parsed.name || file.name.replace(/\.(profile\.)?json$/i, "");
+      if (isBuiltInProfile(name)) name = `${name} (imported)`;
+      const next = { ...profiles, [name]: parsed.model };
+      setProfiles(next);
+      saveProfiles(next);
+      setActiveProfile(name);
+      setModel(cloneModel(parsed.model));
+      saveActiveProfileName(name);
+    } catch (e) {
+      setImportError(`${file.name}: ${e.message}`);
+    }
+  };
+
+  const loadTable = (h, data, baseSource) => {
+    const preset = findPreset(mappingPresets, h);
+    const source = { ...baseSource, headers: h, presetName: preset?.name };
+    setHeaders(h);
+    setRawData(data);
+    setSheets(null);
+    setPendingSource(source);
+    setPresetName(preset?.name || source.name);
+    const map = preset ? applyPreset(preset, h) : autoMapColumns(h);
+    setColMap(map);
+    const mapped = Object.keys(map).length;
+    if (mapped < 3) { setShowMapping(true); }
+    else { processData(data, map, source); setShowMapping(false); }
+  };
+
+  const handleFile = async (file) => {
+    const source = { name: guessSourceName(file.name), fileName: file.name };
+    setImportError(null);
+    try {
+      const result = await runImportTask(onProgress => getScanClient().parse(file, (progress, label) => onProgress(progress, `${file.name}: ${label}`)));
+      if (!result) return;
+      if (result.sheets) setSheets({ fileName: file.name, source, sheets: result.sheets });
+      else loadTable(result.headers, result.data, source);
+    } catch (e) {
+      setImportError(`${file.name}: ${e.message}`);
     }
   };
 
   const applyMapping = () => {
-    processData(rawData, colMap);
+    let source = pendingSource;
+    if (rememberMapping) {
+      const name = presetName.trim() || pendingSource.name;
+      updateMappingPresets(upsertPreset(mappingPresets, { name, headers, mapping: colMap }));
+      source = { ...source, presetName: name };
+    }
+    processData(rawData, colMap, source);
     setShowMapping(false);
   };
 
+  const remapSource = (id) => {
+    const raw = rawBySource.current.get(id);
+    const src = sources.find(s => s.id === id);
+    if (!raw || !src) return;
+    setHeaders(raw.headers);
+    setRawData(raw.data);
+    setColMap(src.mapping || {});
+    setPendingSource({ name: src.name, fileName: src.fileName, headers: raw.headers, replaceId: id, presetName: src.presetName, excludedRows: src.excludedRows });
+    setPresetName(src.presetName || src.name);
+    setShowMapping(true);
+  };
+
+  // --- MAPPING PRESETS ---
+  const updateMappingPresets = (next) => { setMappingPresets(next); saveMappingPresets(next); };
+
+  const savePreset = (preset) => {
+    updateMappingPresets(mappingPresets.map(p => p.id === preset.id ? { ...preset, updatedAt: new Date().toISOString() } : p));
+  };
+
+  const exportPresets = () => downloadFile(exportPresetsJSON(mappingPresets), `mapping_presets_${dateStamp()}.json`, "application/json");
+
+  const importPresets = async (file) => {
+    try {
+      const { presets } = importPresetsJSON(mappingPresets, await file.text());
+      updateMappingPresets(presets);
+    } catch (e) {
+      setImportError(`${file.name}: ${e.message}`);
+    }
+  };
+
+  const cancelImport = () => { setShowMapping(false); setSheets(null); setReport(null); setRawData(null); setPendingSource(null); };
+
+  const resetSession = () => {
+    setSources([]); setDupDecisions({}); setBaseline(null); setRawData(null); setHeaders([]); setShowMapping(false); setPendingSource(null); setReport(null);
+    setFilters(DEFAULT_FILTERS); setSearch(""); setSort(DEFAULT_SORT); setActiveTab("table"); setExpandedId(null);
+    setSnapshot(null); setScan(EMPTY_SCAN); setSelectedIds(new Set());
+    saveActiveSnapshotId(null);
+  };
+
+  // --- WORKSPACE PERSISTENCE ---
+  const refreshHistory = useCallback(() => listSnapshots().then(setHistory).catch(() => {}), []);
+
+  const openView = useCallback((view) => {
+    setFilters({ ...DEFAULT_FILTERS, ...view.filters });
+    setSearch(view.search || "");
+    setSort(sortFromView(view));
+    setActiveTab(view.activeTab && view.activeTab !== "history" ? view.activeTab : "table");
+    setExpandedId(null);
+  }, []);
+
+  const openSnapshot = useCallback(async (id, keepView = false) => {
+    const data = await loadSnapshot(id);
+    if (!data) { saveActiveSnapshotId(null); return; }
+    const saved = { id: data.id, sources: data.sources || [], dupDecisions: data.dupDecisions || {}, baseline: data.baseline || null };
+    setSources(saved.sources);
+    setScan(EMPTY_SCAN);
+    setSelectedIds(new Set());
+    setDupDecisions(saved.dupDecisions);
+    setBaseline(saved.baseline);
+    if (!keepView) openView(data.view || {});
+    setShowMapping(false); setSheets(null); setRawData(null); setPendingSource(null);
+    setSnapshot({ id: data.id, name: data.name, createdAt: data.createdAt });
+    saveActiveSnapshotId(data.id);
+    savedData.current = saved;
+  }, [openView]);
+
+  useEffect(() => {
+    if (!isStorageAvailable()) return;
+    refreshHistory();
+    loadPipeline().then(setPipeline).catch(() => {});
+    loadContacts().then(setContacts).catch(() => {});
+    const id = loadActiveSnapshotId();
+    if (id) openSnapshot(id, !!urlView).catch(() => saveActiveSnapshotId(null)).finally(() => setRestoring(false));
+  }, [refreshHistory, openSnapshot, urlView]);
+
+  // --- CHANGE TRACKING ---
+  const compareWithSnapshot = async (id) => {
+    const data = await loadSnapshot(id);
+    if (!data) return;
+    setBaseline({
+      label: `${data.name} (${new Date(data.createdAt).toLocaleDateString("en-AU")})`,
+      rows: (data.sources || []).flatMap(s => s.rows),
+    });
+  };
+
+  const compareWithFile = async (file) => {
+    try {
+      const result = await runImportTask(onProgress => getScanClient().parse(file, (progress, label) => onProgress(progress, `${file.name}: ${label}`)));
+      if (!result) return;
+      const table = result.sheets ? result.sheets[0] : result;
+      setBaseline({ label: file.name, ...baselineFromFile(table.headers, table.data) });
+    } catch (e) {
+      setImportError(`${file.name}: ${e.message}`);
+    }
+  };
+
+  const removeSnapshot = async (id) => {
+    await deleteSnapshot(id);
+    if (snapshot && snapshot.id === id) resetSession();
+    refreshHistory();
+  };
+
+  const renameSnapshotById = async (id, name) => {
+    if (snapshot && snapshot.id === id) setSnapshot(s => ({ ...s, name }));
+    await renameSnapshot(id, name);
+    refreshHistory();
+  };
+
+  // --- DEAL PIPELINE ---
+  const updateDeal = (entry) => {
+    setPipeline(prev => {
+      const { [entry.key]: _old, ...rest } = prev;
+      return isEmptyDealEntry(entry) ? rest : { ...rest, [entry.key]: entry };
+    });
+    if (isStorageAvailable()) savePipelineEntry(entry).catch(e => setImportError(`Could not save deal notes: ${e.message}`));
+  };
+
+  const removeDeal = (key) => {
+    if (pipeline[key]) updateDeal(newDealEntry(pipeline[key]));
+  };
+
+  const dealFor = (p) => pipeline[p.key] || newDealEntry(p);
+  const toggleStar = (p) => { const d = dealFor(p); updateDeal({ ...d, starred: !d.starred, updatedAt: new Date().toISOString() }); };
+  const openDeal = (entry) => {
+    setSearch(entry.address);
+    setActiveTab("table");
+    setExpandedId(properties.find(p => p.key === entry.key)?.id ?? null);
+  };
+  const openProperty = (id) => {
+    const p = properties.find(x => x.id === id);
+    if (!p) return;
+    setSearch(p.address);
+    setActiveTab("table");
+    setExpandedId(id);
+  };
+  const filterFromChart = (patch) => {
+    setFilters(f => ({ ...f, ...patch }));
+    setActiveTab("table");
+    setExpandedId(null);
+  };
+  const overdueCount = Object.values(pipeline).filter(e => followUpState(e) === "overdue").length;
+
+  // --- AGENT PROFILES ---
+  const profile = useMemo(() => profileOf && agentProfile(properties, profileOf.field, profileOf.name), [profileOf, properties]);
+  const openAgent = (field, name) => setProfileOf({ field, name });
+  const addContact = (fields) => {
+    const entry = newContact({ field: profile.field, name: profile.name, ...fields });
+    setContacts(c => [...c, entry]);
+    if (isStorageAvailable()) saveContact(entry).catch(e => setImportError(`Could not save contact: ${e.message}`));
+  };
+  const removeContact = (id) => {
+    setContacts(c => c.filter(x => x.id !== id));
+    if (isStorageAvailable()) deleteContact(id).catch(e => setImportError(`Could not delete contact: ${e.message}`));
+  };
+
+  // --- ALERTS ---
+  useEffect(() => { saveAlerts(alerts); }, [alerts]);
+
+  const addAlertRule = ({ name, keywords }) => {
+    const rule = seedRule(newAlertRule({ name, filters, keywords }), properties);
+    setAlerts(a => ({ ...a, rules: [...a.rules, rule] }));
+  };
+  const updateAlertRule = (rule) => setAlerts(a => ({ ...a, rules: a.rules.map(r => r.id === rule.id ? rule : r) }));
+  const deleteAlertRule = (id) => setAlerts(a => ({ ...a, rules: a.rules.filter(r => r.id !== id) }));
+  const openAlert = (key) => {
+    const p = properties.find(x => x.key === key);
+    if (p) openProperty(p.id);
+  };
+  const downloadAlerts = (format, list) => {
+    if (format === "ics") downloadFile(alertsToICS(list), `deal_alerts_${dateStamp()}.ics`, "text/calendar");
+    else downloadFile(alertsToEML(list), `deal_alerts_${dateStamp()}.eml`, "message/rfc822");
+  };
+  const alertedKeys = useMemo(() => unreadByKey(alerts.inbox), [alerts.inbox]);
+  const unreadAlerts = alerts.inbox.filter(a => !a.read).length;
+  const deadlinesThisWeek = properties.filter(p => p.daysToDeadline !== null && p.daysToDeadline >= 0 && p.daysToDeadline <= 7).length;
+
+  const updateColumns = (ids) => { setColumns(ids); saveTableColumns(ids); };
+
+  const renameSource = (id, name) => setSources(prev => prev.map(s => s.id === id ? { ...s, name } : s));
+  const removeSource = (id) => setSources(prev => prev.filter(s => s.id !== id));
+
   const allSuburbs = useMemo(() => [...new Set(properties.map(p => p.suburb).filter(Boolean))].sort(), [properties]);
   const allTypes = useMemo(() => [...new Set(properties.map(p => p.propertyType).filter(Boolean))].sort(), [properties]);
+  const stateStats = useMemo(() => groupStats(properties, "state").sort((a, b) => a.name.localeCompare(b.name)), [properties]);
 
-  const filtered = useMemo(() => {
-    let list = properties;
-    if (search) {
-      const q = search.toLowerCase();
-      list = list.filter(p =>
-        (p.address || "").toLowerCase().includes(q) ||
-        (p.suburb || "").toLowerCase().includes(q) ||
-        (p.propertyType || "").toLowerCase().includes(q) ||
-        (p.description || "").toLowerCase().includes(q)
-      );
+  // Filtering and sorting also run in the worker, against the properties it
+  // scored last; only the matching ids come back.
+  const debouncedSearch = useDebouncedValue(search, 200);
+  useEffect(() => {
+    let stale = false;
+    getScanClient().view({ filters, search: debouncedSearch, sort, pipeline })
+      .then(ids => { if (!stale) setView({ properties, ids }); })
+      .catch(e => { if (!stale) setImportError(`Filtering failed: ${e.message}`); });
+    return () => { stale = true; };
+  }, [properties, filters, debouncedSearch, sort, pipeline]);
+
+  // --- VIEW URL AND SAVED VIEWS ---
+  const currentView = { filters, search, sort, activeTab };
+
+  useEffect(() => {
+    const url = viewUrl({ filters, search: debouncedSearch, sort, activeTab });
+    if (url !== `${window.location.pathname}${window.location.search}${window.location.hash}`) window.history.replaceState(window.history.state, "", url);
+  }, [filters, debouncedSearch, sort, activeTab]);
+
+  const updateSavedViews = (next) => { setSavedViews(next); saveSavedViews(next); };
+  const saveView = (name) => updateSavedViews(upsertSavedView(savedViews, name, currentView));
+  const copyViewLink = async () => {
+    try {
+      await navigator.clipboard.writeText(new URL(viewUrl(currentView), window.location.href).href);
+      return true;
+    } catch {
+      setImportError("Could not copy the link. Copy it from the address bar instead.");
+      return false;
     }
-    list = list.filter(p => filters.priority.includes(p.priority));
-    if (filters.propertyType.length > 0) list = list.filter(p => filters.propertyType.includes(p.propertyType));
-    if (filters.suburbs.length > 0) list = list.filter(p => filters.suburbs.includes(p.suburb));
-    list = list.filter(p => (p.askingPrice === null || (p.askingPrice >= filters.priceMin && p.askingPrice <= filters.priceMax)));
-    list = list.filter(p => p.score >= filters.scoreMin);
-    list = list.filter(p => {
-      const d = p.daysOnMarket ?? 0;
-      return d >= filters.domMin && d <= filters.domMax;
-    });
-    list.sort((a, b) => {
-      let va = a[sortCol], vb = b[sortCol];
-      if (va === null || va === undefined) va = sortDir === "asc" ? Infinity : -Infinity;
-      if (vb === null || vb === undefined) vb = sortDir === "asc" ? Infinity : -Infinity;
-      if (typeof va === "string") return sortDir === "asc" ? va.localeCompare(vb) : vb.localeCompare(va);
-      return sortDir === "asc" ? va - vb : vb - va;
+  };
+
+  // Until the worker answers, the previous result is re-read from the new
+  // properties so the table does not flash unfiltered.
+  const filtered = useMemo(() => {
+    if (!view.properties) return properties;
+    const byId = new Map(properties.map(p => [p.id, p]));
+    return view.ids.map(id => byId.get(id)).filter(Boolean);
+  }, [view, properties]);
+
+  const stats = useMemo(() => summaryStats(properties), [properties]);
+
+  // Autosave the open scan. The scanned data, the history summary and the
+  // view are written separately, each only when it changes.
+  useEffect(() => {
+    if (!snapshot || !sources.length || !isStorageAvailable()) return;
+    const saved = savedData.current;
+    if (saved && saved.id === snapshot.id && saved.sources === sources && saved.dupDecisions === dupDecisions && saved.baseline === baseline) return;
+    const t = setTimeout(() => {
+      savedData.current = { id: snapshot.id, sources, dupDecisions, baseline };
+      saveActiveSnapshotId(snapshot.id);
+      saveSnapshot({ ...snapshot, sources, dupDecisions, baseline })
+        .then(refreshHistory).catch(e => setImportError(`Could not save this scan locally: ${e.message}`));
+    }, 600);
+    return () => clearTimeout(t);
+  }, [snapshot, sources, dupDecisions, baseline, refreshHistory]);
+
+  useEffect(() => {
+    if (!snapshot || !sources.length || !stats || !isStorageAvailable()) return;
+    const t = setTimeout(() => {
+      saveSnapshotSummary(snapshot, { sourceNames: sources.map(s => s.name), propertyCount: stats.total, highCount: stats.high })
+        .then(refreshHistory).catch(() => {});
+    }, 600);
+    return () => clearTimeout(t);
+  }, [snapshot, sources, stats, refreshHistory]);
+
+  useEffect(() => {
+    if (!snapshot || !sources.length || !isStorageAvailable()) return;
+    const t = setTimeout(() => saveSnapshotView(snapshot.id, { filters, search, sort, activeTab }).catch(() => {}), 600);
+    return () => clearTimeout(t);
+  }, [snapshot, sources.length, filters, search, sort, activeTab]);
+
+  const keywordFreq = useMemo(() => keywordFrequency(properties), [properties]);
+
+  const exportReport = ({ scope, title, print }) => {
+    const list = scopeProperties(scope, { properties, filtered, selectedIds, pipeline });
+    const html = buildReportHTML({
+      properties: list, maxScore, pipeline, title, baselineLabel: baseline?.label,
+      scope: `${list.length === properties.length ? "All" : `${list.length} of ${properties.length}`} properties from ${sources.map(s => s.name).join(", ")} | ${activeProfile} scoring`,
     });
-    return list;
-  }, [properties, search, filters, sortCol, sortDir]);
-
-  const stats = useMemo(() => {
-    if (!properties.length) return null;
-    const high = properties.filter(p => p.priority === "High Priority").length;
-    const monitor = properties.filter(p => p.priority === "Monitor").length;
-    const low = properties.filter(p => p.priority === "Low").length;
-    const avgScore = (properties.reduce((s, p) => s + p.score, 0) / properties.length).toFixed(1);
-    const withDom = properties.filter(p => p.daysOnMarket !== null);
-    const avgDom = withDom.length ? (withDom.reduce((s, p) => s + p.daysOnMarket, 0) / withDom.length).toFixed(0) : "—";
-    return { total: properties.length, high, monitor, low, avgScore, avgDom };
-  }, [properties]);
-
-  const keywordFreq = useMemo(() => {
-    const freq = {};
-    DISTRESS_KEYWORDS.forEach(kw => freq[kw] = 0);
-    properties.forEach(p => p.distressKeywords.forEach(kw => freq[kw]++));
-    return Object.entries(freq).map(([k, v]) => ({ keyword: k, count: v })).filter(d => d.count > 0).sort((a, b) => b.count - a.count);
-  }, [properties]);
-
-  const exportCSV = () => {
-    const rows = filtered.map(p => ({
-      Address: p.address, Suburb: p.suburb, State: p.state, Postcode: p.postcode,
-      "Property Type": p.propertyType, "Asking Price (AUD)": p.askingPrice || "",
-      "Price Text": p.askingPriceRaw, "Land Area (sqm)": p.landArea, "Building Area (sqm)": p.buildingArea,
-      "Days on Market": p.daysOnMarket ?? "", "Agent": p.agentName, Agency: p.agency,
-      "Listing URL": p.listingUrl, Score: p.score, Priority: p.priority,
-      "Distress Signals": p.distressKeywords.join("; "),
-      "Distress Score": p.distressScore, "DOM Score": p.domScore, "Vacancy Score": p.vacancyScore,
-      Description: p.description,
-    }));
-    const csv = Papa.unparse(rows);
-    const blob = new Blob([csv], { type: "text/csv" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url; a.download = `scored_properties_${new Date().toISOString().slice(0,10)}.csv`; a.click();
-    URL.revokeObjectURL(url);
-  };
-
-  const toggleSort = (col) => {
-    if (sortCol === col) setSortDir(d => d === "asc" ? "desc" : "asc");
-    else { setSortCol(col); setSortDir("desc"); }
-  };
-
-  const SortIcon = ({ col }) => {
-    if (sortCol !== col) return <span className="text-gray-300 ml-1">↕</span>;
-    return <span className="ml-1">{sortDir === "asc" ? "↑" : "↓"}</span>;
+    if (print) printHTML(html);
+    else downloadFile(html, `deal_memo_${dateStamp()}.html`, "text/html");
+  };
+
+  const compared = comparing ? properties.filter(p => selectedIds.has(p.id)) : NO_PROPERTIES;
+
+  const scopeCounts = {
+    all: properties.length, filtered: filtered.length, selected: properties.filter(p => selectedIds.has(p.id)).length,
+    watchlist: properties.filter(p => pipeline[p.key]?.starred).length,
+  };
+
+  const runExport = async ({ format, scope, columns }) => {
+    const list = scopeProperties(scope, { properties, filtered, selectedIds, pipeline });
+    const name = `scored_properties_${dateStamp()}`;
+    const scopeLabel = `${EXPORT_SCOPES.find(s => s.id === scope).label}: ${list.length} of ${properties.length} properties`;
+    try {
+      if (format === "xlsx") {
+        const bytes = await toXLSX(list, pipeline, columns, { title: snapshot?.name || "Deal Scanner Export", scope: `${scopeLabel} | ${activeProfile} scoring` });
+        downloadFile(new Blob([bytes], { type: EXPORT_FORMATS[1].type }), `${name}.xlsx`);
+      } else if (format === "json") {
+        downloadFile(toJSON(list, pipeline, { scope: scopeLabel, profile: activeProfile, model }), `${name}.json`, "application/json");
+      } else if (format === "geojson") {
+        const { text, skipped } = toGeoJSON(list, pipeline, columns);
+        downloadFile(text, `${name}.geojson`, "application/geo+json");
+        if (skipped) setImportError(`${skipped} of ${list.length} properties have no location and were left out of the GeoJSON.`);
+      } else {
+        downloadFile(toCSV(list, pipeline, columns), `${name}.csv`, "text/csv");
+      }
+    } catch (e) {
+      setImportError(`Export failed: ${e.message}`);
+    }
   };
 
+  if (restoring) {
+    return <div className="min-h-screen bg-white p-4 md:p-8 font-sans text-sm text-gray-400">Loading saved workspace…</div>;
+  }
+
+  // --- SHEET PICKER ---
+  if (sheets) {
+    return (
+      <div className="min-h-screen bg-white p-4 md:p-8 font-sans">
+        <h1 className="text-2xl font-bold text-gray-900 mb-1">Choose a Sheet</h1>
+        <p className="text-gray-500 mb-6 text-sm">{sheets.fileName} has {sheets.sheets.length} sheets with data. Pick the one containing the listings.</p>
+        <div className="max-w-2xl space-y-2">
+          {sheets.sheets.map(sh => (
+            <button key={sh.name} onClick={() => loadTable(sh.headers, sh.data, { ...sheets.source, fileName: `${sheets.fileName} [${sh.name}]` })}
+              className="w-full text-left border border-gray-200 rounded-lg p-3 hover:border-gray-400 transition-colors">
+              <div className="flex justify-between items-baseline">
+                <span className="font-medium text-gray-900">{sh.name}</span>
+                <span className="text-xs text-gray-500">{sh.data.length} rows | {Object.keys(autoMapColumns(sh.headers)).length} columns recognised</span>
+              </div>
+              <p className="text-xs text-gray-400 mt-1 truncate">{sh.headers.join(", ")}</p>
+            </button>
+          ))}
+        </div>
+        <button onClick={cancelImport} className="mt-6 px-3 py-1.5 border border-gray-300 rounded text-sm text-gray-600 hover:bg-gray-50">Cancel</button>
+      </div>
+    );
+  }
+
+  if (report) {
+    return (
+      <ImportReport key={`${report.sourceId}:${report.flagged.length}`} fileName={report.source.fileName} sourceName={report.source.name}
+        data={report.data} mapping={report.mapping} model={model} flagged={report.flagged} initialExcluded={report.excludedRows}
+        onImport={importReviewed} onExportRejected={exportRejected} onBack={backToMapping} onCancel={cancelImport} />
+    );
+  }
+
   // --- UPLOAD SCREEN ---
   if (!properties.length && !showMapping) {
     return (
       <div className="min-h-screen bg-white p-4 md:p-8 font-sans">
-        <h1 className="text-2xl font-bold text-gray-900 mb-1">NSW Commercial Property Deal Scanner</h1>
+        <h1 className="text-2xl font-bold text-gray-900 mb-1">Commercial Property Deal Scanner</h1>
         <p className="text-gray-500 mb-8 text-sm">Upload property listings to score and identify distressed opportunities.</p>
         <div
           onClick={() => fileRef.current?.click()}
@@ -288,10 +694,26 @@ export default function DealScanner() {
           className="border-2 border-dashed border-gray-300 rounded-lg p-16 text-center cursor-pointer hover:border-gray-400 transition-colors max-w-xl mx-auto"
         >
           <div className="text-4xl mb-4 text-gray-400">+</div>
-          <p className="text-gray-600 font-medium">Drop CSV file here or click to upload</p>
-          <p className="text-gray-400 text-sm mt-2">Accepts .csv files exported from CommercialRealEstate.com.au or similar</p>
-          <input ref={fileRef} type="file" accept=".csv,.tsv" className="hidden" onChange={e => e.target.files[0] && handleFile(e.target.files[0])} />
+          <p className="text-gray-600 font-medium">Drop a listings file here or click to upload</p>
+          <p className="text-gray-400 text-sm mt-2">Accepts CSV, TSV, Excel (.xlsx/.xls) and JSON exports from CommercialRealEstate.com.au, RP Data or similar</p>
+          <input ref={fileRef} type="file" accept={UPLOAD_ACCEPT} className="hidden"
+            onChange={e => { if (e.target.files[0]) handleFile(e.target.files[0]); e.target.value = ""; }} />
         </div>
+        {task ? (
+          <TaskProgress label={task.label} progress={task.progress} onCancel={cancelTask} className="max-w-xl mx-auto mt-4" />
+        ) : rows.length > 0 && (
+          <TaskProgress label={`Scoring ${rows.length.toLocaleString("en-AU")} listings…`} className="max-w-xl mx-auto mt-4" />
+        )}
+        {importError && (
+          <p className="max-w-xl mx-auto mt-4 text-sm text-red-600 bg-red-50 border border-red-200 rounded px-3 py-2">{importError}</p>
+        )}
+        {history.length > 0 && (
+          <div className="max-w-4xl mx-auto mt-10">
+            <h2 className="text-sm font-bold text-gray-900 mb-2">Previous Scans</h2>
+            <HistoryPanel snapshots={history} activeId={null} onOpen={openSnapshot}
+              onRename={renameSnapshotById} onDelete={removeSnapshot} />
+          </div>
+        )}
       </div>
     );
   }
@@ -302,23 +724,26 @@ export default function DealScanner() {
     return (
       <div className="min-h-screen bg-white p-4 md:p-8 font-sans">
         <h1 className="text-2xl font-bold text-gray-900 mb-1">Column Mapping</h1>
-        <p className="text-gray-500 mb-6 text-sm">Some columns couldn't be matched automatically. Please map them below.</p>
-        <div className="max-w-2xl space-y-3">
-          {fields.map(field => (
-            <div key={field} className="flex items-center gap-4">
-              <label className="w-40 text-sm font-medium text-gray-700 capitalize">{field.replace(/([A-Z])/g, " $1")}</label>
-              <select
-                className="flex-1 border border-gray-300 rounded px-3 py-1.5 text-sm"
-                value={colMap[field] || ""}
-                onChange={e => setColMap(m => ({ ...m, [field]: e.target.value || undefined }))}
-              >
-                <option value="">— Not mapped —</option>
-                {headers.map(h => <option key={h} value={h}>{h}</option>)}
-              </select>
-            </div>
-          ))}
+        <p className="text-gray-500 mb-6 text-sm">
+          {pendingSource?.replaceId ? "Check the column mapping below. The source will be rescored with the new mapping." : "Some columns couldn't be matched automatically. Please map them below."}
+          {pendingSource && <> Importing <span className="font-medium text-gray-700">{pendingSource.fileName}</span> as source "{pendingSource.name}".</>}
+        </p>
+        <div className="max-w-2xl">
+          <ColumnMappingFields fields={fields} headers={headers} mapping={colMap} onChange={setColMap} />
+          <div className="flex items-center gap-4 mt-6 pt-4 border-t border-gray-200">
+            <label className="w-40 flex items-center gap-2 text-sm text-gray-700">
+              <input type="checkbox" checked={rememberMapping} onChange={e => setRememberMapping(e.target.checked)} />
+              Remember as
+            </label>
+            <input value={presetName} onChange={e => setPresetName(e.target.value)} disabled={!rememberMapping}
+              placeholder="Preset name" className="flex-1 border border-gray-300 rounded px-3 py-1.5 text-sm disabled:bg-gray-50" />
+          </div>
+          <p className="text-xs text-gray-400 mt-1 ml-44">Applied automatically to future files with the same columns.</p>
+        </div>
+        <div className="mt-6 flex gap-2">
+          <button onClick={applyMapping} className="px-6 py-2 bg-gray-900 text-white rounded text-sm font-medium hover:bg-gray-800">Apply & Score</button>
+          <button onClick={cancelImport} className="px-4 py-2 border border-gray-300 rounded text-sm text-gray-600 hover:bg-gray-50">Cancel</button>
         </div>
-        <button onClick={applyMapping} className="mt-6 px-6 py-2 bg-gray-900 text-white rounded text-sm font-medium hover:bg-gray-800">Apply & Score</button>
       </div>
     );
   }
@@ -330,17 +755,61 @@ export default function DealScanner() {
       <div className="bg-white border-b border-gray-200 px-4 md:px-8 py-4">
         <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-3">
           <div>
-            <h1 className="text-xl font-bold text-gray-900">NSW Commercial Deal Scanner</h1>
-            <p className="text-xs text-gray-400">{stats.total} properties scored | {new Date().toLocaleDateString("en-AU")}</p>
+            <h1 className="text-xl font-bold text-gray-900">Commercial Deal Scanner{stateStats.length > 0 && <span className="text-gray-400 font-normal"> | {stateStats.map(g => g.name).join(", ")}</span>}</h1>
+            <p className="text-xs text-gray-400">
+              {snapshot ? `${snapshot.name} | ` : ""}{stats.total} properties scored from {sources.length} {sources.length === 1 ? "source" : "sources"} | {new Date(snapshot?.createdAt || Date.now()).toLocaleDateString("en-AU")}
+              {scoring && <span className="text-gray-500"> | Rescoring…</span>}
+            </p>
           </div>
-          <div className="flex gap-2">
-            <button onClick={() => { setProperties([]); setRawData(null); setHeaders([]); setShowMapping(false); }}
+          <div className="flex flex-wrap gap-2">
+            <SavedViewsMenu views={savedViews} current={findSavedView(savedViews, currentView)} suggestedName={suggestViewName(currentView)}
+              onApply={v => openView(v.view)} onSave={saveView} onDelete={id => updateSavedViews(savedViews.filter(v => v.id !== id))}
+              onCopyLink={copyViewLink} />
+            <ReportMenu counts={scopeCounts} defaultTitle={snapshot?.name ? `Deal Memo: ${snapshot.name}` : "Deal Memo"}
+              onExport={exportReport} />
+            <button onClick={() => addFileRef.current?.click()}
+              className="px-3 py-1.5 border border-gray-300 rounded text-sm text-gray-600 hover:bg-gray-50">Add File</button>
+            <input ref={addFileRef} type="file" accept={UPLOAD_ACCEPT} className="hidden"
+              onChange={e => { if (e.target.files[0]) handleFile(e.target.files[0]); e.target.value = ""; }} />
+            <button onClick={resetSession}
               className="px-3 py-1.5 border border-gray-300 rounded text-sm text-gray-600 hover:bg-gray-50">New Upload</button>
-            <button onClick={exportCSV} className="px-3 py-1.5 bg-gray-900 text-white rounded text-sm font-medium hover:bg-gray-800">Export CSV</button>
+            <button onClick={() => setExporting(true)} className="px-3 py-1.5 bg-gray-900 text-white rounded text-sm font-medium hover:bg-gray-800">Export</button>
           </div>
         </div>
       </div>
 
+      {exporting && (
+        <ExportDialog counts={scopeCounts} defaultScope={selectedIds.size ? "selected" : "filtered"}
+          onExport={opts => { setExporting(false); runExport(opts); }} onClose={() => setExporting(false)} />
+      )}
+
+      {comparing && (
+        <CompareView properties={compared} maxScore={maxScore} onOpen={id => { setComparing(false); openProperty(id); }}
+          onRemove={id => setSelectedIds(s => { const next = new Set(s); next.delete(id); return next; })}
+          onExport={() => downloadFile(compareToCSV(compared, maxScore), `property_comparison_${dateStamp()}.csv`, "text/csv")}
+          onClose={() => setComparing(false)} />
+      )}
+
+      {profile && (
+        <AgentProfile profile={profile} contacts={contactsFor(contacts, profile.field, profile.name)} onClose={() => setProfileOf(null)}
+          onAddContact={addContact} onDeleteContact={removeContact} onOpenProfile={openAgent}
+          onOpenProperty={id => { setProfileOf(null); openProperty(id); }}
+          onShowListings={() => { setProfileOf(null); filterFromChart(profile.field === "agency" ? { agencies: profile.variants } : { agents: profile.variants }); }} />
+      )}
+
+      {task && (
+        <div className="mx-4 md:mx-8 mt-4">
+          <TaskProgress label={task.label} progress={task.progress} onCancel={cancelTask} />
+        </div>
+      )}
+
+      {importError && (
+        <div className="mx-4 md:mx-8 mt-4 flex justify-between items-center text-sm text-red-600 bg-red-50 border border-red-200 rounded px-3 py-2">
+          <span>{importError}</span>
+          <button onClick={() => setImportError(null)} className="text-red-400 hover:text-red-600 text-xs">Dismiss</button>
+        </div>
+      )}
+
       {/* Summary Bar */}
       <div className="px-4 md:px-8 py-4">
         <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
@@ -357,22 +826,87 @@ export default function DealScanner() {
             </div>
           ))}
         </div>
+        {stateStats.length > 1 && (
+          <div className="flex flex-wrap gap-2 mt-3">
+            {stateStats.map(g => {
+              const on = filters.states.includes(g.name);
+              return (
+                <button key={g.name} title={on ? "Show all states" : `Show only ${g.name}`}
+                  onClick={() => setFilters(f => ({ ...f, states: on ? f.states.filter(x => x !== g.name) : [...f.states, g.name] }))}
+                  className={`text-left rounded-lg border px-3 py-2 ${on ? "border-gray-900 bg-white" : "border-gray-200 bg-white hover:border-gray-400"}`}>
+                  <div className="text-xs font-bold text-gray-900">{g.name} <span className="font-normal text-gray-500">{g.count} listing{g.count === 1 ? "" : "s"}</span></div>
+                  <div className="text-xs text-gray-500"><span className="text-red-600">{g.high} High</span> | avg score {g.avgScore}</div>
+                </button>
+              );
+            })}
+          </div>
+        )}
       </div>
 
       {/* Tabs */}
       <div className="px-4 md:px-8">
         <div className="flex gap-1 border-b border-gray-200">
-          {["table", "distress"].map(tab => (
+          {VIEW_TABS.map(tab => (
             <button key={tab} onClick={() => setActiveTab(tab)}
               className={`px-4 py-2 text-sm font-medium border-b-2 transition-colors ${activeTab === tab ? "border-gray-900 text-gray-900" : "border-transparent text-gray-500 hover:text-gray-700"}`}>
-              {tab === "table" ? "Properties" : "Distress Signals"}
+              {{ table: "Properties", pipeline: "Pipeline", alerts: "Alerts", deadlines: "Deadlines", map: "Map", analytics: "Analytics", agents: "Agents", distress: "Distress Signals", changes: "Changes", sources: "Sources & Duplicates", model: "Scoring Model", history: "History" }[tab]}
+              {tab === "pipeline" && overdueCount > 0 && (
+                <span className="ml-1.5 bg-red-100 text-red-700 px-1.5 rounded-full text-xs" title="Overdue follow-ups">{overdueCount}</span>
+              )}
+              {tab === "alerts" && unreadAlerts > 0 && (
+                <span className="ml-1.5 bg-blue-100 text-blue-700 px-1.5 rounded-full text-xs" title="Unread alerts">{unreadAlerts}</span>
+              )}
+              {tab === "deadlines" && deadlinesThisWeek > 0 && (
+                <span className="ml-1.5 bg-red-100 text-red-700 px-1.5 rounded-full text-xs" title="Deadlines in the next 7 days">{deadlinesThisWeek}</span>
+              )}
+              {tab === "changes" && changes.length > 0 && (
+                <span className="ml-1.5 bg-blue-100 text-blue-700 px-1.5 rounded-full text-xs">{changes.length}</span>
+              )}
+              {tab === "sources" && pendingDupCount > 0 && (
+                <span className="ml-1.5 bg-amber-100 text-amber-700 px-1.5 rounded-full text-xs">{pendingDupCount}</span>
+              )}
             </button>
           ))}
         </div>
       </div>
 
       <div className="px-4 md:px-8 py-4">
-        {activeTab === "distress" ? (
+        {activeTab === "pipeline" ? (
+          <PipelinePanel pipeline={pipeline} properties={properties} onChange={updateDeal} onOpen={openDeal} onRemove={removeDeal} />
+        ) : activeTab === "alerts" ? (
+          <AlertsPanel alerts={alerts} properties={properties} filters={filters} suggestedName={suggestViewName({ filters })}
+            onAddRule={addAlertRule} onUpdateRule={updateAlertRule} onDeleteRule={deleteAlertRule}
+            onUpdateInbox={inbox => setAlerts(a => ({ ...a, inbox }))} onOpen={openAlert} onDownload={downloadAlerts} />
+        ) : activeTab === "deadlines" ? (
+          <DeadlinesPanel properties={properties} onOpen={openProperty} />
+        ) : activeTab === "map" ? (
+          <MapPanel properties={filtered} region={filters.region}
+            onRegionChange={region => setFilters(f => ({ ...f, region }))} />
+        ) : activeTab === "analytics" ? (
+          <AnalyticsPanel properties={filtered} maxScore={maxScore.total} onFilter={filterFromChart} onOpen={openProperty} />
+        ) : activeTab === "agents" ? (
+          <AgentsPanel properties={properties} contacts={contacts} onOpen={openAgent} />
+        ) : activeTab === "history" ? (
+          <HistoryPanel snapshots={history} activeId={snapshot?.id} onOpen={openSnapshot}
+            onRename={renameSnapshotById} onDelete={removeSnapshot} />
+        ) : activeTab === "changes" ? (
+          <ChangesPanel baseline={baseline} changes={changes} snapshots={history} currentSnapshotId={snapshot?.id}
+            onCompareSnapshot={compareWithSnapshot} onCompareFile={compareWithFile} onClear={() => setBaseline(null)} />
+        ) : activeTab === "sources" ? (
+          <DuplicatesPanel sources={sources} groups={dupGroups} rows={allRows} decisions={dupDecisions}
+            onDecide={(key, decision) => setDupDecisions(d => ({ ...d, [key]: decision }))}
+            onRenameSource={renameSource} onRemoveSource={removeSource}
+            onRemapSource={remapSource} canRemap={id => rawBySource.current.has(id)}>
+            <MappingPresetsPanel presets={mappingPresets} fields={Object.keys(COLUMN_ALIASES)}
+              onSave={savePreset} onDelete={id => updateMappingPresets(mappingPresets.filter(p => p.id !== id))}
+              onExport={exportPresets} onImport={importPresets} />
+          </DuplicatesPanel>
+        ) : activeTab === "model" ? (
+          <ScoringModelPanel model={model} onChange={setModel} profiles={profiles} activeProfile={activeProfile}
+            dirty={modelDirty} onSelectProfile={selectProfile} onSaveProfile={saveProfile} onDeleteProfile={deleteProfile}
+            onExportProfile={exportProfile} onImportProfile={importProfile}
+            priorityCounts={stats} properties={properties} />
+        ) : activeTab === "distress" ? (
           <div className="bg-white rounded-lg border border-gray-200 p-4 md:p-6">
             <h2 className="text-lg font-bold text-gray-900 mb-1">Distress Keyword Frequency</h2>
             <p className="text-xs text-gray-500 mb-4">Across all {stats.total} properties</p>
@@ -419,6 +953,22 @@ export default function DealScanner() {
                   ))}
                 </div>
 
+                {stateStats.length > 1 && (
+                  <div>
+                    <label className="text-xs font-medium text-gray-500 block mb-1">State</label>
+                    <div className="flex flex-wrap gap-x-3">
+                      {stateStats.map(g => (
+                        <label key={g.name} className="flex items-center gap-1.5 text-sm py-0.5">
+                          <input type="checkbox" checked={filters.states.includes(g.name)}
+                            onChange={e => setFilters(f => ({ ...f, states: e.target.checked ? [...f.states, g.name] : f.states.filter(x => x !== g.name) }))} />
+                          {g.name}
+                        </label>
+                      ))}
+                    </div>
+                    <p className="text-xs text-gray-400 mt-0.5">None ticked = all states.</p>
+                  </div>
+                )}
+
                 <div>
                   <label className="text-xs font-medium text-gray-500 block mb-1">Property Type</label>
                   <select multiple className="w-full border border-gray-300 rounded px-2 py-1 text-xs h-24"
@@ -440,11 +990,29 @@ export default function DealScanner() {
                 </div>
 
                 <div>
-                  <label className="text-xs font-medium text-gray-500 block mb-1">Min Score: {filters.scoreMin}</label>
-                  <input type="range" min={0} max={100} value={filters.scoreMin}
+                  <label className="text-xs font-medium text-gray-500 block mb-1">
+                    Min Score: {filters.scoreMin}
+                    {filters.scoreMax !== null && (
+                      <> | Max: {filters.scoreMax} <button onClick={() => setFilters(f => ({ ...f, scoreMax: null }))} className="text-gray-400 hover:text-gray-700">✕</button></>
+                    )}
+                  </label>
+                  <input type="range" min={0} max={maxScore.total} value={filters.scoreMin}
                     onChange={e => setFilters(f => ({ ...f, scoreMin: +e.target.value }))} className="w-full" />
                 </div>
 
+                <div>
+                  <label className="text-xs font-medium text-gray-500 block mb-1">Asking Price ($)</label>
+                  <div className="flex gap-2">
+                    <input type="number" min={0} step={50_000} value={filters.priceMin || ""} placeholder="Min"
+                      onChange={e => setFilters(f => ({ ...f, priceMin: +e.target.value || DEFAULT_FILTERS.priceMin }))}
+                      className="w-full border border-gray-300 rounded px-2 py-1 text-xs" />
+                    <input type="number" min={0} step={50_000} value={filters.priceMax === DEFAULT_FILTERS.priceMax ? "" : filters.priceMax} placeholder="Max"
+                      onChange={e => setFilters(f => ({ ...f, priceMax: e.target.value === "" ? DEFAULT_FILTERS.priceMax : +e.target.value }))}
+                      className="w-full border border-gray-300 rounded px-2 py-1 text-xs" />
+                  </div>
+                  <p className="text-xs text-gray-400 mt-0.5">Listings without a price are always shown.</p>
+                </div>
+
                 <div>
                   <label className="text-xs font-medium text-gray-500 block mb-1">DOM Range: {filters.domMin}–{filters.domMax}</label>
                   <div className="flex gap-2">
@@ -457,118 +1025,70 @@ export default function DealScanner() {
                   </div>
                 </div>
 
-                <button onClick={() => setFilters({
-                  priority: ["High Priority", "Monitor", "Low"], propertyType: [], suburbs: [],
-                  priceMin: 0, priceMax: 999_999_999, scoreMin: 0, domMin: 0, domMax: 9999,
-                })} className="w-full text-xs text-gray-500 hover:text-gray-700 py-1">Reset Filters</button>
-              </div>
-            </div>
+                {[
+                  { label: "$/m² Building", min: "psmBuildingMin", max: "psmBuildingMax", step: 100 },
+                  { label: "$/m² Land", min: "psmLandMin", max: "psmLandMax", step: 100 },
+                  { label: "Yield %", min: "yieldMin", max: "yieldMax", step: 0.5 },
+                ].map(r => (
+                  <div key={r.min}>
+                    <label className="text-xs font-medium text-gray-500 block mb-1">{r.label}</label>
+                    <div className="flex gap-2">
+                      {[r.min, r.max].map((key, i) => (
+                        <input key={key} type="number" min={0} step={r.step} value={filters[key] ?? ""} placeholder={i ? "Max" : "Min"}
+                          onChange={e => setFilters(f => ({ ...f, [key]: e.target.value === "" ? null : +e.target.value }))}
+                          className="w-full border border-gray-300 rounded px-2 py-1 text-xs" />
+                      ))}
+                    </div>
+                  </div>
+                ))}
 
-            {/* Table */}
-            <div className="flex-1 overflow-x-auto">
-              <div className="bg-white rounded-lg border border-gray-200">
-                <div className="px-4 py-3 border-b border-gray-100 flex justify-between items-center">
-                  <span className="text-sm text-gray-500">{filtered.length} of {properties.length} properties</span>
+                <div>
+                  <label className="text-xs font-medium text-gray-500 block mb-1">Deal Status</label>
+                  <select value={filters.dealStatus} onChange={e => setFilters(f => ({ ...f, dealStatus: e.target.value }))}
+                    className="w-full border border-gray-300 rounded px-2 py-1 text-xs">
+                    <option value="">Any</option>
+                    <option value="untracked">Not tracked</option>
+                    {DEAL_STATUSES.map(s => <option key={s} value={s}>{s}</option>)}
+                  </select>
+                  <label className="flex items-center gap-2 text-sm py-0.5 mt-1">
+                    <input type="checkbox" checked={filters.watchlistOnly} onChange={e => setFilters(f => ({ ...f, watchlistOnly: e.target.checked }))} />
+                    Watchlist only
+                  </label>
                 </div>
-                <table className="w-full text-sm">
-                  <thead>
-                    <tr className="border-b border-gray-200 bg-gray-50">
-                      {[
-                        { key: "address", label: "Address" },
-                        { key: "suburb", label: "Suburb" },
-                        { key: "propertyType", label: "Type" },
-                        { key: "askingPrice", label: "Price (AUD)" },
-                        { key: "daysOnMarket", label: "DOM" },
-                        { key: "score", label: "Score" },
-                        { key: "priority", label: "Priority" },
-                      ].map(col => (
-                        <th key={col.key} onClick={() => toggleSort(col.key)}
-                          className="px-3 py-2 text-left text-xs font-medium text-gray-500 cursor-pointer hover:text-gray-700 whitespace-nowrap">
-                          {col.label}<SortIcon col={col.key} />
-                        </th>
-                      ))}
-                    </tr>
-                  </thead>
-                  <tbody>
-                    {filtered.slice(0, 200).map((p, i) => (
-                      <>
-                        <tr key={i} onClick={() => setExpandedRow(expandedRow === i ? null : i)}
-                          className={`border-b border-gray-100 cursor-pointer hover:bg-gray-50 ${expandedRow === i ? "bg-gray-50" : ""}`}>
-                          <td className="px-3 py-2 font-medium text-gray-900 max-w-xs truncate">{p.address || "—"}</td>
-                          <td className="px-3 py-2 text-gray-600">{p.suburb || "—"}</td>
-                          <td className="px-3 py-2 text-gray-600 max-w-[140px] truncate">{p.propertyType || "—"}</td>
-                          <td className="px-3 py-2 text-gray-900 font-medium">{p.askingPrice ? formatAUD(p.askingPrice) : (p.askingPriceRaw || "—")}</td>
-                          <td className="px-3 py-2 text-gray-600">{p.daysOnMarket ?? "—"}</td>
-                          <td className="px-3 py-2">
-                            <span className="font-bold" style={{ color: PRIORITY_COLORS[p.priority] }}>{p.score}</span>
-                          </td>
-                          <td className="px-3 py-2">
-                            <span className="px-2 py-0.5 rounded-full text-xs font-medium"
-                              style={{ backgroundColor: PRIORITY_BG[p.priority], color: PRIORITY_COLORS[p.priority] }}>
-                              {p.priority}
-                            </span>
-                          </td>
-                        </tr>
-                        {expandedRow === i && (
-                          <tr key={`exp-${i}`} className="bg-gray-50 border-b border-gray-200">
-                            <td colSpan={7} className="px-4 py-4">
-                              <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
-                                <div>
-                                  <h4 className="font-bold text-gray-900 mb-2">Score Breakdown</h4>
-                                  <div className="space-y-1 text-xs">
-                                    <div className="flex justify-between"><span className="text-gray-500">Distress Keywords</span><span className="font-medium">{p.distressScore}/50</span></div>
-                                    <div className="flex justify-between"><span className="text-gray-500">Days on Market</span><span className="font-medium">{p.domScore}/30</span></div>
-                                    <div className="flex justify-between"><span className="text-gray-500">Vacancy Signal</span><span className="font-medium">{p.vacancyScore}/20</span></div>
-                                    <div className="flex justify-between border-t border-gray-200 pt-1 mt-1"><span className="text-gray-900 font-bold">Total</span><span className="font-bold">{p.score}/100</span></div>
-                                  </div>
-                                  {p.distressKeywords.length > 0 && (
-                                    <div className="mt-3">
-                                      <span className="text-xs text-gray-500 block mb-1">Keywords found:</span>
-                                      <div className="flex flex-wrap gap-1">
-                                        {p.distressKeywords.map(kw => (
-                                          <span key={kw} className="bg-red-100 text-red-700 px-2 py-0.5 rounded text-xs">{kw}</span>
-                                        ))}
-                                      </div>
-                                    </div>
-                                  )}
-                                </div>
-                                <div>
-                                  <h4 className="font-bold text-gray-900 mb-2">Details</h4>
-                                  <div className="space-y-1 text-xs">
-                                    <div><span className="text-gray-500">Agent:</span> {p.agentName || "—"} {p.agency ? `(${p.agency})` : ""}</div>
-                                    <div><span className="text-gray-500">Land:</span> {p.landArea || "—"} sqm | <span className="text-gray-500">Building:</span> {p.buildingArea || "—"} sqm</div>
-                                    <div><span className="text-gray-500">Price Text:</span> {p.askingPriceRaw || "—"}</div>
-                                    <div><span className="text-gray-500">Council:</span> {p.councilArea || "—"}</div>
-                                    {p.listingUrl && (
-                                      <a href={p.listingUrl} target="_blank" rel="noopener noreferrer"
-                                        className="text-blue-600 hover:underline inline-block mt-1">View Listing →</a>
-                                    )}
-                                  </div>
-                                  {p.description && (
-                                    <div className="mt-3">
-                                      <span className="text-xs text-gray-500 block mb-1">Description:</span>
-                                      <p className="text-xs text-gray-600 max-h-32 overflow-y-auto leading-relaxed">{p.description}</p>
-                                    </div>
-                                  )}
-                                </div>
-                              </div>
-                            </td>
-                          </tr>
-                        )}
-                      </>
-                    ))}
-                  </tbody>
-                </table>
-                {filtered.length > 200 && (
-                  <div className="px-4 py-3 text-center text-xs text-gray-400 border-t border-gray-100">
-                    Showing first 200 of {filtered.length} results. Use filters to narrow down.
+
+                {[
+                  ...(stateStats.length > 1 ? [] : [{ key: "states", label: "State" }]),
+                  { key: "councilAreas", label: "Council" },
+                  { key: "agents", label: "Agent" },
+                  { key: "agencies", label: "Agency" },
+                ].filter(c => filters[c.key].length > 0).map(c => (
+                  <div key={c.key} className="flex items-center justify-between gap-2 text-xs bg-gray-100 text-gray-700 rounded px-2 py-1.5">
+                    <span className="truncate">{c.label}: {filters[c.key].join(", ")}</span>
+                    <button onClick={() => setFilters(f => ({ ...f, [c.key]: [] }))} className="text-gray-400 hover:text-gray-700">Clear</button>
+                  </div>
+                ))}
+
+                {filters.region && (
+                  <div className="flex items-center justify-between text-xs bg-blue-50 text-blue-700 border border-blue-200 rounded px-2 py-1.5">
+                    <button onClick={() => setActiveTab("map")} className="hover:underline">Map region selected</button>
+                    <button onClick={() => setFilters(f => ({ ...f, region: null }))} className="text-blue-400 hover:text-blue-700">Clear</button>
                   </div>
                 )}
-                {filtered.length === 0 && (
-                  <div className="px-4 py-12 text-center text-sm text-gray-400">No properties match your filters.</div>
-                )}
+
+                <button onClick={() => setFilters(DEFAULT_FILTERS)} className="w-full text-xs text-gray-500 hover:text-gray-700 py-1">Reset Filters</button>
               </div>
             </div>
+
+            {/* Table */}
+            <div className="flex-1 min-w-0">
+              <PropertyTable properties={filtered} total={properties.length} columns={columns} onColumnsChange={updateColumns}
+                sort={sort} onSortChange={setSort} expandedId={expandedId} onExpand={setExpandedId}
+                selectedIds={selectedIds} onSelectionChange={setSelectedIds} onCompare={() => setComparing(true)} alertedKeys={alertedKeys}
+                pipeline={pipeline} onToggleStar={toggleStar}
+                renderDetails={p => (
+                  <PropertyDetails p={p} model={model} maxScore={maxScore} baselineLabel={baseline?.label} deal={dealFor(p)} onDealChange={updateDeal} onOpenAgent={openAgent} />
+                )} />
+            </div>
           </div>
         )}
       </div>
@@ -0,0 +1,122 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeAll, beforeEach, afterEach, afterAll, vi } from "vitest";
+import { readFileSync } from "node:fs";
+import { render, screen, fireEvent, cleanup, within, configure } from "@testing-library/react";
+import App from "./App";
+
+// Upload → mapping → dashboard, driven through the UI with the fixture corpus.
+// jsdom has no Worker or IndexedDB, so scans run inline and nothing is saved.
+
+// Read relative to the project root: under jsdom, import.meta.url resolves against the app's base URL.
+const fixture = (name) => new File([readFileSync(`src/test/fixtures/${name}`, "utf8")], name, { type: "text/csv" });
+
+function upload(file, inputIndex = -1) {
+  const input = [...document.querySelectorAll("input[type=file]")].at(inputIndex);
+  fireEvent.change(input, { target: { files: [file] } });
+}
+
+// Label → value of each card in the summary bar.
+function summary() {
+  const grid = screen.getByText("Total Properties").parentElement.parentElement;
+  return Object.fromEntries([...grid.children].map(card => [card.children[0].textContent, card.children[1].textContent]));
+}
+
+const tableAddresses = (names) => screen.getAllByRole("row").map(r => names.find(n => r.textContent.includes(n))).filter(Boolean);
+
+function mapField(field, column) {
+  const label = screen.getByText(field.replace(/([A-Z])/g, " $1"), { selector: "label" });
+  fireEvent.change(label.parentElement.querySelector("select"), { target: { value: column } });
+}
+
+// Scoring runs in batches between renders; leave room for a slow machine.
+configure({ asyncUtilTimeout: 5000 });
+
+beforeAll(() => {
+  globalThis.ResizeObserver ??= class { observe() {} unobserve() {} disconnect() {} };
+  // Sale deadlines in the fixtures count down from this day.
+  vi.useFakeTimers({ toFake: ["Date"] });
+  vi.setSystemTime(new Date(2026, 9, 1));
+});
+afterAll(() => vi.useRealTimers());
+// Filters and tabs are kept in the URL; start each test from a clean one.
+beforeEach(() => { localStorage.clear(); window.history.replaceState(null, "", "/"); });
+afterEach(cleanup);
+
+describe("upload flow", { timeout: 20_000 }, () => {
+  it("scores an auto-mapped export straight onto the dashboard", async () => {
+    render(<App />);
+    upload(fixture("commercialrealestate.csv"));
+    await screen.findByText("8 of 8 properties");
+    expect(screen.queryByText("Column Mapping")).toBeNull();
+    expect(summary()).toMatchObject({ "Total Properties": "8", "High Priority": "2", "Monitor": "2", "Low": "4" });
+    expect(tableAddresses(["Shop 2/14 Example Pde", "88 Sample Rd", "9 Mock Lane", "3/40 Placeholder St"]))
+      .toEqual(["Shop 2/14 Example Pde", "88 Sample Rd", "9 Mock Lane", "3/40 Placeholder St"]);
+  });
+
+  it("adds a second source and filters by state from the summary cards", async () => {
+    render(<App />);
+    upload(fixture("commercialrealestate.csv"));
+    await screen.findByText("8 of 8 properties");
+    upload(fixture("rpdata.csv"));
+    await screen.findByText("14 of 14 properties");
+    expect(summary()).toMatchObject({ "Total Properties": "14", "High Priority": "4", "Monitor": "4", "Low": "6" });
+
+    fireEvent.click(screen.getByTitle("Show only QLD"));
+    await screen.findByText("3 of 14 properties");
+    expect(tableAddresses(["12 Anon St", "22 Withheld Cres", "44 Masked Ave", "Shop 2/14 Example Pde"]))
+      .toEqual(["12 Anon St", "22 Withheld Cres", "44 Masked Ave"]);
+  });
+
+  it("checks alert rules against each of two files imported back-to-back", async () => {
+    localStorage.setItem("dealScanner.alerts", JSON.stringify({ rules: [{ id: "r1", name: "Everything", filters: {}, keywords: [], enabled: true, seen: [] }], inbox: [] }));
+    render(<App />);
+    upload(fixture("commercialrealestate.csv"));
+    upload(fixture("rpdata.csv"));
+    await screen.findByText("14 of 14 properties");
+    const { inbox } = JSON.parse(localStorage.getItem("dealScanner.alerts"));
+    const from = (source) => inbox.filter(a => a.source === source).map(a => a.address);
+    expect(from("commercialrealestate.csv")).toHaveLength(8);
+    expect(from("commercialrealestate.csv")).toContain("Shop 2/14 Example Pde");
+    expect(from("rpdata.csv")).toHaveLength(6);
+    expect(from("rpdata.csv")).toContain("12 Anon St");
+  });
+
+  it("asks for a mapping, reports flagged rows, then imports them", async () => {
+    render(<App />);
+    upload(fixture("crm-export.csv"));
+    await screen.findByText("Column Mapping");
+    mapField("address", "Site");
+    mapField("suburb", "Locality");
+    mapField("askingPrice", "Guide");
+    mapField("daysOnMarket", "Listed For");
+    mapField("description", "Remarks");
+    mapField("agentName", "Rep");
+    fireEvent.click(screen.getByText("Apply & Score"));
+
+    await screen.findByText("Import Report");
+    expect(screen.getByText(/Could not read a price from "call agent"/)).toBeTruthy();
+    fireEvent.click(screen.getByText("Import 5 rows"));
+
+    await screen.findByText("5 of 5 properties");
+    expect(summary()).toMatchObject({ "Total Properties": "5", "High Priority": "1", "Monitor": "1", "Low": "3" });
+    const top = screen.getAllByRole("row").find(r => r.textContent.includes("61 Generic Rd"));
+    expect(within(top).getByText("80")).toBeTruthy();
+  });
+
+  it("remembers a hand-fixed mapping for the next file with the same columns", async () => {
+    render(<App />);
+    upload(fixture("crm-export.csv"));
+    await screen.findByText("Column Mapping");
+    for (const [field, column] of [["address", "Site"], ["suburb", "Locality"], ["askingPrice", "Guide"]]) mapField(field, column);
+    fireEvent.change(screen.getByPlaceholderText("Preset name"), { target: { value: "Office CRM" } });
+    fireEvent.click(screen.getByText("Apply & Score"));
+    fireEvent.click(await screen.findByText("Import 5 rows"));
+    await screen.findByText("5 of 5 properties");
+
+    cleanup();
+    render(<App />);
+    upload(fixture("crm-export.csv"));
+    await screen.findByText("Import Report");
+    expect(screen.queryByText("Column Mapping")).toBeNull();
+  });
+});
@@ -0,0 +1,151 @@
+// --- deal-scan CLI ---
+// Scores listing files outside the browser with the same pipeline as the UI:
+//
+//   deal-scan score feed.csv --out scored.csv --profile aggressive
+//   deal-scan score feed.xlsx --format json --baseline yesterday.csv
+//
+// Kept free of process globals so tests can drive main() directly.
+
+import { readFile, writeFile } from "node:fs/promises";
+import { basename, extname } from "node:path";
+import { parseArgs } from "node:util";
+import Papa from "papaparse";
+import { WORKBOOK_EXTENSIONS, readWorkbook, parseJSONListings } from "../lib/importers.js";
+import { findDuplicateGroups, mergeRows, guessSourceName } from "../lib/dedupe.js";
+import { findPreset, applyPreset, importPresetsJSON } from "../lib/mappingPresets.js";
+import { BUILT_IN_PROFILES, findBuiltInProfile, parseProfileJSON } from "../lib/scoringModel.js";
+import { autoMapColumns, mapListing, baselineFromFile, scoreRows, baselineEntriesFor, toExportRow } from "../lib/scoring.js";
+
+export const USAGE = `Usage: deal-scan score <file...> [options]
+       deal-scan profiles
+
+Scores property listing files (CSV, TSV, Excel or JSON) and writes the same
+columns as the app's CSV export, highest score first.
+
+Options:
+  -o, --out <file>        Write results to a file instead of stdout
+  -f, --format <fmt>      csv or json (default: from --out extension, else csv)
+  -p, --profile <name>    Built-in profile name or a profile JSON exported from the app
+      --baseline <file>   Earlier scan or scored export, for tracked price cuts
+      --presets <file>    Column mapping presets exported from the app
+      --sheet <name>      Worksheet to read from Excel files (default: first with data)
+      --merge-duplicates  Merge listings found in more than one input file
+  -h, --help              Show this help`;
+
+const OPTIONS = {
+  out: { type: "string", short: "o" },
+  format: { type: "string", short: "f" },
+  profile: { type: "string", short: "p" },
+  baseline: { type: "string" },
+  presets: { type: "string" },
+  sheet: { type: "string" },
+  "merge-duplicates": { type: "boolean" },
+  help: { type: "boolean", short: "h" },
+};
+
+// Every usage mistake exits with code 2; anything else is a runtime failure.
+class UsageError extends Error {}
+
+async function readTable(path, sheetName) {
+  const ext = extname(path).slice(1).toLowerCase();
+  if (WORKBOOK_EXTENSIONS.includes(ext)) {
+    const sheets = await readWorkbook(new Blob([await readFile(path)]));
+    if (!sheets.length) throw new Error(`${path}: the workbook has no sheets with data.`);
+    const sheet = sheetName ? sheets.find(s => s.name === sheetName) : sheets[0];
+    if (!sheet) throw new Error(`${path}: no sheet named "${sheetName}" (found ${sheets.map(s => s.name).join(", ")}).`);
+    return { headers: sheet.headers, data: sheet.data };
+  }
+  const text = await readFile(path, "utf8");
+  if (ext === "json") return parseJSONListings(text);
+  const result = Papa.parse(text.replace(/^\uFEFF/, ""), { header: true, skipEmptyLines: true });
+  return { headers: result.meta.fields || [], data: result.data };
+}
+
+async function resolveProfile(nameOrPath) {
+  if (!nameOrPath) return BUILT_IN_PROFILES.Default;
+  const builtIn = findBuiltInProfile(nameOrPath);
+  if (builtIn) return builtIn;
+  let text;
+  try { text = await readFile(nameOrPath, "utf8"); } catch {
+    throw new UsageError(`Unknown profile "${nameOrPath}". Built-in profiles: ${Object.keys(BUILT_IN_PROFILES).join(", ")}.`);
+  }
+  try { return parseProfileJSON(text).model; } catch (e) { throw new Error(`${nameOrPath}: ${e.message}`); }
+}
+
+// Maps each input file like the upload screen does: a saved preset for the
+// header layout wins, otherwise columns are matched by name.
+async function loadRows(paths, { presets, sheet }) {
+  const rows = [];
+  for (const [n, path] of paths.entries()) {
+    const { headers, data } = await readTable(path, sheet);
+    const preset = findPreset(presets, headers);
+    const mapping = preset ? applyPreset(preset, headers) : autoMapColumns(headers);
+    if (Object.keys(mapping).length < 3) {
+      throw new Error(`${path}: only ${Object.keys(mapping).length} columns recognised. Save a column mapping preset in the app and pass it with --presets.`);
+    }
+    const source = guessSourceName(basename(path));
+    data.forEach((r, i) => rows.push({ id: `${n}:${i}`, sourceId: String(n), ...mapListing(r, mapping), source, sources: [source] }));
+  }
+  return rows;
+}
+
+export async function scoreFiles(paths, opts = {}) {
+  const model = await resolveProfile(opts.profile);
+  const presets = opts.presets ? importPresetsJSON([], await readFile(opts.presets, "utf8")).presets : [];
+  let rows = await loadRows(paths, { presets, sheet: opts.sheet });
+
+  if (opts.mergeDuplicates) {
+    const groups = findDuplicateGroups(rows);
+    const merged = new Set(groups.flatMap(g => g.ids));
+    const byId = new Map(rows.map(r => [r.id, r]));
+    rows = [...rows.filter(r => !merged.has(r.id)), ...groups.map(g => mergeRows(g.ids.map(id => byId.get(id))))];
+  }
+
+  let baselineEntries = null;
+  if (opts.baseline) {
+    const { headers, data } = await readTable(opts.baseline);
+    baselineEntries = baselineEntriesFor(baselineFromFile(headers, data), model);
+  }
+
+  return scoreRows(rows, model, baselineEntries).sort((a, b) => b.score - a.score);
+}
+
+export function formatResults(properties, format) {
+  const rows = properties.map(toExportRow);
+  return format === "json" ? JSON.stringify(rows, null, 2) + "\n" : Papa.unparse(rows) + "\n";
+}
+
+export async function main(argv, io = { stdout: s => process.stdout.write(s), stderr: s => process.stderr.write(s) }) {
+  try {
+    let parsed;
+    try { parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true }); } catch (e) { throw new UsageError(e.message); }
+    const { values, positionals: [command, ...files] } = parsed;
+    if (values.help || !command) { io.stdout(USAGE + "\n"); return values.help ? 0 : 2; }
+
+    if (command === "profiles") {
+      io.stdout(Object.keys(BUILT_IN_PROFILES).join("\n") + "\n");
+      return 0;
+    }
+    if (command !== "score") throw new UsageError(`Unknown command "${command}".`);
+    if (!files.length) throw new UsageError("No input files given.");
+
+    const format = (values.format || (values.out && extname(values.out) === ".json" ? "json" : "csv")).toLowerCase();
+    if (format !== "csv" && format !== "json") throw new UsageError(`Unknown format "${values.format}". Use csv or json.`);
+
+    const properties = await scoreFiles(files, {
+      profile: values.profile, baseline: values.baseline, presets: values.presets,
+      sheet: values.sheet, mergeDuplicates: values["merge-duplicates"],
+    });
+    const output = formatResults(properties, format);
+    if (values.out) await writeFile(values.out, output);
+    else io.stdout(output);
+
+    const count = (p) => properties.filter(x => x.priority === p).length;
+    io.stderr(`Scored ${properties.length} listings: ${count("High Priority")} high priority, ${count("Monitor")} monitor, ${count("Low")} low${values.out ? ` -> ${values.out}` : ""}\n`);
+    return 0;
+  } catch (e) {
+    io.stderr(`deal-scan: ${e.message}\n`);
+    if (e instanceof UsageError) { io.stderr("Run deal-scan --help for usage.\n"); return 2; }
+    return 1;
+  }
+}
@@ -0,0 +1,73 @@
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import { mkdtemp, writeFile, readFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { main } from "./dealScan.js";
+import { BUILT_IN_PROFILES, exportProfileJSON } from "../lib/scoringModel.js";
+
+const FEED = [
+  "Address,Suburb,Postcode,Property Type,Asking Price,Days on Market,Description",
+  "1 Main St,Ryde,2112,Retail,$1.5M,200,\"Mortgagee in possession, must sell\"",
+  "2 High St,Parramatta,2150,Office,$2M,30,Leased to a national tenant",
+  "3 Low Rd,Penrith,2750,Industrial,$900K,100,Reduced. Leased to a local tenant",
+].join("\n");
+
+async function run(...args) {
+  const out = [], err = [];
+  const code = await main(args, { stdout: s => out.push(s), stderr: s => err.push(s) });
+  return { code, stdout: out.join(""), stderr: err.join("") };
+}
+
+let dir;
+beforeAll(async () => {
+  dir = await mkdtemp(join(tmpdir(), "deal-scan-"));
+  await writeFile(join(dir, "feed.csv"), FEED);
+});
+afterAll(() => rm(dir, { recursive: true, force: true }));
+
+describe("deal-scan score", () => {
+  it("writes scored CSV sorted by score", async () => {
+    const out = join(dir, "scored.csv");
+    const { code, stderr } = await run("score", join(dir, "feed.csv"), "--out", out);
+    expect(code).toBe(0);
+    expect(stderr).toContain("Scored 3 listings: 1 high priority");
+    const lines = (await readFile(out, "utf8")).trim().split("\n");
+    expect(lines[0]).toMatch(/^Address,Suburb,State,Postcode/);
+    expect(lines[1]).toMatch(/^1 Main St,/);
+    expect(lines[1]).toContain("High Priority");
+  });
+
+  it("prints JSON to stdout and applies a built-in profile", async () => {
+    const byDefault = JSON.parse((await run("score", join(dir, "feed.csv"), "--format", "json")).stdout);
+    const aggressive = JSON.parse((await run("score", join(dir, "feed.csv"), "-f", "json", "--profile", "aggressive")).stdout);
+    const priorityOf = (rows, addr) => rows.find(r => r.Address === addr).Priority;
+    expect(priorityOf(byDefault, "3 Low Rd")).toBe("Low");
+    expect(priorityOf(aggressive, "3 Low Rd")).toBe("Monitor");
+  });
+
+  it("accepts a profile exported from the app", async () => {
+    const file = join(dir, "strict.profile.json");
+    await writeFile(file, exportProfileJSON("Strict", { ...BUILT_IN_PROFILES.Default, priority: { high: 200, monitor: 150 } }));
+    const rows = JSON.parse((await run("score", join(dir, "feed.csv"), "-f", "json", "-p", file)).stdout);
+    expect(rows.every(r => r.Priority === "Low")).toBe(true);
+  });
+
+  it("tracks price cuts against a baseline export", async () => {
+    const baseline = join(dir, "baseline.csv");
+    await run("score", join(dir, "feed.csv"), "--out", baseline);
+    await writeFile(join(dir, "today.csv"), FEED.replace("$2M", "$1.7M"));
+    const rows = JSON.parse((await run("score", join(dir, "today.csv"), "-f", "json", "--baseline", baseline)).stdout);
+    expect(rows.find(r => r.Address === "2 High St")["Distress Signals"]).toContain("price cut (tracked)");
+  });
+
+  it("exits 2 on usage errors and 1 on unreadable input", async () => {
+    expect((await run("score")).code).toBe(2);
+    expect((await run("score", join(dir, "feed.csv"), "-p", "nope")).stderr).toContain("Unknown profile");
+    expect((await run("frobnicate")).code).toBe(2);
+    expect((await run("score", join(dir, "missing.csv"))).code).toBe(1);
+  });
+
+  it("lists built-in profiles", async () => {
+    expect((await run("profiles")).stdout.trim().split("\n")).toEqual(Object.keys(BUILT_IN_PROFILES));
+  });
+});
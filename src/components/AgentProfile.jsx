@@ -0,0 +1,160 @@
+import { useState } from "react";
+import { AGENT_FIELDS, CONTACT_CHANNELS, isMandate } from "../lib/agents";
+import { dateStamp } from "../lib/download";
+import { formatAUD, formatPct, PRIORITY_COLORS, PRIORITY_BG } from "../lib/format";
+
+const MAX_LISTINGS = 25;
+
+function Tile({ label, value, className = "text-gray-900" }) {
+  return (
+    <div className="border border-gray-200 rounded p-2">
+      <div className="text-gray-500">{label}</div>
+      <div className={`text-base font-bold ${className}`}>{value}</div>
+    </div>
+  );
+}
+
+function ContactForm({ listings, onAdd }) {
+  const [at, setAt] = useState(() => dateStamp());
+  const [channel, setChannel] = useState("Call");
+  const [propertyKey, setPropertyKey] = useState("");
+  const [note, setNote] = useState("");
+  const add = () => {
+    onAdd({ at, channel, note: note.trim(), propertyKey: propertyKey || null });
+    setNote(""); setPropertyKey("");
+  };
+  return (
+    <div className="space-y-2">
+      <div className="flex gap-2">
+        <input type="date" value={at} onChange={e => setAt(e.target.value)} className="border border-gray-300 rounded px-2 py-1" aria-label="Contact date" />
+        <select value={channel} onChange={e => setChannel(e.target.value)} className="border border-gray-300 rounded px-2 py-1" aria-label="Contact channel">
+          {CONTACT_CHANNELS.map(c => <option key={c}>{c}</option>)}
+        </select>
+        <select value={propertyKey} onChange={e => setPropertyKey(e.target.value)} className="border border-gray-300 rounded px-2 py-1 flex-1 min-w-0" aria-label="Regarding">
+          <option value="">General</option>
+          {listings.map(p => <option key={p.id} value={p.key}>{p.address || "—"}, {p.suburb}</option>)}
+        </select>
+      </div>
+      <textarea value={note} onChange={e => setNote(e.target.value)} rows={2} placeholder="What was discussed, next steps…"
+        className="w-full border border-gray-300 rounded px-2 py-1" aria-label="Contact note" />
+      <div className="text-right">
+        <button onClick={add} disabled={!at || !note.trim()} className="px-3 py-1.5 bg-gray-900 text-white rounded font-medium hover:bg-gray-800 disabled:opacity-40">Log Contact</button>
+      </div>
+    </div>
+  );
+}
+
+// Slide-over profile for one agent or agency. `profile` comes from
+// agentProfile; `contacts` is this profile's contact log, newest first.
+export default function AgentProfile({ profile, contacts, onClose, onAddContact, onDeleteContact, onOpenProperty, onOpenProfile, onShowListings }) {
+  const { field, name } = profile;
+  const other = field === "agency" ? "agentName" : "agency";
+  const byKey = new Map(profile.listings.map(p => [p.key, p]));
+
+  return (
+    <div className="fixed inset-0 z-40 bg-gray-900/30 flex justify-end" onClick={onClose}>
+      <div className="bg-white w-full max-w-xl h-full overflow-y-auto shadow-xl p-5 text-xs space-y-5" onClick={e => e.stopPropagation()}>
+        <div className="flex justify-between items-start gap-3">
+          <div>
+            <div className="text-gray-400 uppercase tracking-wide">{AGENT_FIELDS[field]}</div>
+            <h2 className="text-lg font-bold text-gray-900">{name}</h2>
+            {profile.variants.length > 1 && <p className="text-gray-400">Also listed as {profile.variants.filter(v => v !== name).join(", ")}</p>}
+          </div>
+          <div className="flex items-center gap-3 shrink-0">
+            <button onClick={onShowListings} className="text-gray-500 hover:text-gray-800 underline">Show in table</button>
+            <button onClick={onClose} className="text-gray-400 hover:text-gray-700 text-base" aria-label="Close">✕</button>
+          </div>
+        </div>
+
+        <div className="grid grid-cols-3 gap-2">
+          <Tile label="Listings" value={profile.count} />
+          <Tile label="Mortgagee / receiver" value={profile.mandates} className={profile.mandates ? "text-red-600" : "text-gray-900"} />
+          <Tile label="Distressed" value={`${profile.distressedPct}%`} />
+          <Tile label="High Priority" value={profile.high} />
+          <Tile label="Avg Days on Market" value={profile.avgDom ?? "—"} />
+          <Tile label="Avg Score" value={profile.avgScore} />
+        </div>
+
+        <section>
+          <h3 className="text-sm font-bold text-gray-900 mb-1.5">Favoured Distress Phrases</h3>
+          {profile.phrases.length ? (
+            <div className="flex flex-wrap gap-1">
+              {profile.phrases.map(ph => <span key={ph.name} className="bg-red-50 text-red-700 px-2 py-0.5 rounded">{ph.name} <b>{ph.count}</b></span>)}
+            </div>
+          ) : <p className="text-gray-400">No distress keywords in their listings.</p>}
+        </section>
+
+        <section>
+          <h3 className="text-sm font-bold text-gray-900 mb-1.5">Price Cuts</h3>
+          {profile.priceCuts.length ? (
+            <table className="w-full">
+              <tbody>
+                {profile.priceCuts.map(c => (
+                  <tr key={c.id} className="border-t border-gray-100">
+                    <td className="py-1"><button onClick={() => onOpenProperty(c.id)} className="hover:underline text-left">{c.address || "—"}, {c.suburb}</button></td>
+                    <td className="py-1 text-right text-gray-500">{formatAUD(c.from)} → {formatAUD(c.to)}</td>
+                    <td className="py-1 text-right text-green-600 font-medium w-16">{formatPct(c.pct)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : <p className="text-gray-400">No tracked price cuts. Compare with an earlier scan on the Changes tab to find them.</p>}
+        </section>
+
+        {profile.related.length > 0 && (
+          <section>
+            <h3 className="text-sm font-bold text-gray-900 mb-1.5">{field === "agency" ? "Agents" : "Agencies"}</h3>
+            <div className="flex flex-wrap gap-1">
+              {profile.related.map(r => (
+                <button key={r.name} onClick={() => onOpenProfile(other, r.name)} className="border border-gray-200 rounded px-2 py-0.5 hover:bg-gray-50">
+                  {r.name} <span className="text-gray-400">{r.count}</span>
+                </button>
+              ))}
+            </div>
+          </section>
+        )}
+
+        <section>
+          <h3 className="text-sm font-bold text-gray-900 mb-1.5">Listings</h3>
+          <table className="w-full">
+            <tbody>
+              {profile.listings.slice(0, MAX_LISTINGS).map(p => (
+                <tr key={p.id} className="border-t border-gray-100">
+                  <td className="py-1 pr-2">
+                    <button onClick={() => onOpenProperty(p.id)} className="hover:underline text-left text-gray-900">{p.address || "—"}, {p.suburb}</button>
+                    {isMandate(p) && <span className="ml-1.5 bg-red-100 text-red-700 px-1 rounded">mandate</span>}
+                  </td>
+                  <td className="py-1 pr-2 text-right text-gray-500 whitespace-nowrap">{p.askingPrice ? formatAUD(p.askingPrice) : (p.askingPriceRaw || "—")}</td>
+                  <td className="py-1 pr-2 text-right text-gray-500 whitespace-nowrap">{p.daysOnMarket ?? "—"} d</td>
+                  <td className="py-1 text-right">
+                    <span className="px-1.5 rounded-full font-medium" style={{ backgroundColor: PRIORITY_BG[p.priority], color: PRIORITY_COLORS[p.priority] }}>{p.score}</span>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {profile.listings.length > MAX_LISTINGS && <p className="text-gray-400 mt-1">And {profile.listings.length - MAX_LISTINGS} more. Use Show in table to see them all.</p>}
+        </section>
+
+        <section>
+          <h3 className="text-sm font-bold text-gray-900 mb-1.5">Contact Log</h3>
+          <ContactForm listings={profile.listings} onAdd={onAddContact} />
+          <div className="mt-3 space-y-2">
+            {contacts.length === 0 && <p className="text-gray-400">No contacts logged yet.</p>}
+            {contacts.map(c => (
+              <div key={c.id} className="border-l-2 border-gray-300 pl-2">
+                <div className="flex items-center gap-2 text-gray-500">
+                  <span className="font-medium text-gray-700">{new Date(`${c.at}T00:00`).toLocaleDateString("en-AU")}</span>
+                  <span>{c.channel}</span>
+                  {c.propertyKey && <span className="truncate">re {byKey.get(c.propertyKey)?.address || "a listing not in this scan"}</span>}
+                  <button onClick={() => onDeleteContact(c.id)} className="ml-auto text-gray-400 hover:text-red-600">Delete</button>
+                </div>
+                <p className="text-gray-700 whitespace-pre-wrap">{c.note}</p>
+              </div>
+            ))}
+          </div>
+        </section>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,69 @@
+import { useMemo, useState } from "react";
+import { AGENT_FIELDS, agentDirectory } from "../lib/agents";
+
+const MAX_ROWS = 200;
+
+// Directory of agents or agencies in the scan, those handling the most
+// mortgagee and receivership mandates first. `onOpen(field, name)` opens a profile.
+export default function AgentsPanel({ properties, contacts, onOpen }) {
+  const [field, setField] = useState("agentName");
+  const [query, setQuery] = useState("");
+  const [mandatesOnly, setMandatesOnly] = useState(false);
+  const directory = useMemo(() => agentDirectory(properties, field, contacts), [properties, field, contacts]);
+  const q = query.trim().toLowerCase();
+  const rows = directory.filter(r => (!mandatesOnly || r.mandates > 0) && (!q || r.name.toLowerCase().includes(q)));
+
+  return (
+    <div className="bg-white rounded-lg border border-gray-200 p-4">
+      <div className="flex flex-wrap items-center gap-3 mb-3">
+        <div className="flex gap-1">
+          {Object.entries(AGENT_FIELDS).map(([f, label]) => (
+            <button key={f} onClick={() => setField(f)}
+              className={`px-3 py-1 rounded-full text-xs border ${field === f ? "bg-gray-900 text-white border-gray-900" : "border-gray-300 text-gray-600 hover:bg-gray-50"}`}>
+              {label === "Agent" ? "Agents" : "Agencies"}
+            </button>
+          ))}
+        </div>
+        <input value={query} onChange={e => setQuery(e.target.value)} placeholder={`Search ${field === "agency" ? "agencies" : "agents"}…`}
+          className="border border-gray-300 rounded px-2 py-1 text-sm w-56" />
+        <label className="flex items-center gap-1.5 text-xs text-gray-600">
+          <input type="checkbox" checked={mandatesOnly} onChange={e => setMandatesOnly(e.target.checked)} /> Mortgagee / receivership only
+        </label>
+        <span className="ml-auto text-xs text-gray-400">{rows.length} of {directory.length}</span>
+      </div>
+      {directory.length === 0 ? (
+        <p className="text-xs text-gray-400 py-8 text-center">No {field === "agency" ? "agency" : "agent"} column in this data, or it is empty.</p>
+      ) : (
+        <table className="w-full text-xs">
+          <thead className="text-gray-500 text-left">
+            <tr>
+              <th className="py-1 font-medium">Name</th>
+              <th className="py-1 font-medium text-right" title="Listings with mortgagee, receivership, liquidation or similar keywords">Mandates</th>
+              <th className="py-1 font-medium text-right">Distressed</th>
+              <th className="py-1 font-medium text-right">High</th>
+              <th className="py-1 font-medium text-right">Listings</th>
+              <th className="py-1 font-medium text-right">Avg DOM</th>
+              <th className="py-1 font-medium text-right">Avg Score</th>
+              <th className="py-1 font-medium text-right">Last Contact</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.slice(0, MAX_ROWS).map(r => (
+              <tr key={r.name} onClick={() => onOpen(field, r.name)} className="border-t border-gray-100 cursor-pointer hover:bg-gray-50">
+                <td className="py-1.5 text-gray-900 font-medium truncate max-w-[240px]">{r.name}</td>
+                <td className={`py-1.5 text-right ${r.mandates ? "text-red-600 font-medium" : "text-gray-400"}`}>{r.mandates}</td>
+                <td className="py-1.5 text-right text-gray-600">{r.distressedPct}%</td>
+                <td className="py-1.5 text-right text-gray-600">{r.high}</td>
+                <td className="py-1.5 text-right text-gray-600">{r.count}</td>
+                <td className="py-1.5 text-right text-gray-600">{r.avgDom ?? "—"}</td>
+                <td className="py-1.5 text-right text-gray-600">{r.avgScore}</td>
+                <td className="py-1.5 text-right text-gray-500">{r.lastContact ? new Date(`${r.lastContact}T00:00`).toLocaleDateString("en-AU") : "—"}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      {rows.length > MAX_ROWS && <p className="text-xs text-gray-400 mt-2">Showing the first {MAX_ROWS}. Search to narrow the list.</p>}
+    </div>
+  );
+}
@@ -0,0 +1,100 @@
+import { useMemo, useState } from "react";
+import { describeRule, newAlertRule, parseKeywords, ruleMatches } from "../lib/alerts";
+import { formatAUD, PRIORITY_COLORS, PRIORITY_BG } from "../lib/format";
+
+function RuleForm({ filters, suggestedName, onAdd }) {
+  const [name, setName] = useState("");
+  const [keywords, setKeywords] = useState("");
+  const preview = newAlertRule({ name: "", filters, keywords: parseKeywords(keywords) });
+  const add = () => {
+    onAdd({ name: name.trim() || suggestedName, keywords: parseKeywords(keywords) });
+    setName(""); setKeywords("");
+  };
+  return (
+    <div className="border border-gray-200 rounded p-3 text-xs space-y-2">
+      <p className="text-gray-500">New rule from the current filters: <span className="text-gray-900 font-medium">{describeRule(preview)}</span></p>
+      <input value={name} onChange={e => setName(e.target.value)} placeholder={suggestedName}
+        className="w-full border border-gray-300 rounded px-2 py-1.5 text-sm" aria-label="Rule name" />
+      <input value={keywords} onChange={e => setKeywords(e.target.value)} placeholder="Keywords, any of: mortgagee, receivership"
+        className="w-full border border-gray-300 rounded px-2 py-1.5 text-sm" aria-label="Rule keywords" />
+      <div className="flex justify-between items-center gap-3">
+        <span className="text-gray-400">Listings that already match are not alerted; later imports are.</span>
+        <button onClick={add} className="px-3 py-1.5 bg-gray-900 text-white rounded font-medium hover:bg-gray-800 shrink-0">Add Rule</button>
+      </div>
+    </div>
+  );
+}
+
+// Alert rules and the inbox of listings they flagged on import. `filters` are
+// the dashboard filters a new rule starts from; `onOpen` receives a listing key.
+export default function AlertsPanel({ alerts, properties, filters, suggestedName, onAddRule, onUpdateRule, onDeleteRule, onUpdateInbox, onOpen, onDownload }) {
+  const [unreadOnly, setUnreadOnly] = useState(false);
+  const current = useMemo(() => Object.fromEntries(alerts.rules.map(r => [r.id, ruleMatches(r, properties).length])), [alerts.rules, properties]);
+  const present = useMemo(() => new Set(properties.map(p => p.key)), [properties]);
+
+  const shown = unreadOnly ? alerts.inbox.filter(a => !a.read) : alerts.inbox;
+  const unread = alerts.inbox.filter(a => !a.read).length;
+  const setRead = (ids, read) => onUpdateInbox(alerts.inbox.map(a => ids.has(a.id) ? { ...a, read } : a));
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-5 gap-4">
+      <div className="lg:col-span-2 bg-white rounded-lg border border-gray-200 p-4 space-y-3">
+        <h2 className="text-sm font-bold text-gray-900">Alert Rules</h2>
+        <RuleForm filters={filters} suggestedName={suggestedName} onAdd={onAddRule} />
+        {alerts.rules.length === 0 ? (
+          <p className="text-xs text-gray-400 py-4 text-center">No rules yet. Set the filters for a deal you want to hear about, then add a rule.</p>
+        ) : alerts.rules.map(rule => (
+          <div key={rule.id} className={`border border-gray-200 rounded p-2.5 text-xs ${rule.enabled ? "" : "opacity-60"}`}>
+            <div className="flex items-center gap-2">
+              <input type="checkbox" checked={rule.enabled} onChange={() => onUpdateRule({ ...rule, enabled: !rule.enabled })} title={rule.enabled ? "Pause this rule" : "Resume this rule"} />
+              <span className="font-medium text-gray-900 flex-1 truncate">{rule.name}</span>
+              <span className="text-gray-400" title="Listings in this scan matching the rule">{current[rule.id]} now</span>
+              <button onClick={() => onDeleteRule(rule.id)} className="text-gray-400 hover:text-red-600" title={`Delete "${rule.name}"`}>✕</button>
+            </div>
+            <p className="text-gray-500 mt-1 ml-5">{describeRule(rule)}</p>
+          </div>
+        ))}
+      </div>
+
+      <div className="lg:col-span-3 bg-white rounded-lg border border-gray-200 p-4">
+        <div className="flex flex-wrap items-center gap-3 mb-3">
+          <h2 className="text-sm font-bold text-gray-900">Inbox</h2>
+          <span className="text-xs text-gray-500">{unread} unread of {alerts.inbox.length}</span>
+          <label className="flex items-center gap-1.5 text-xs text-gray-600">
+            <input type="checkbox" checked={unreadOnly} onChange={e => setUnreadOnly(e.target.checked)} /> Unread only
+          </label>
+          <div className="ml-auto flex gap-2 text-xs">
+            <button onClick={() => setRead(new Set(shown.map(a => a.id)), true)} disabled={!unread} className="text-gray-500 hover:text-gray-800 disabled:opacity-40">Mark all read</button>
+            <button onClick={() => onUpdateInbox(alerts.inbox.filter(a => !a.read))} disabled={unread === alerts.inbox.length} className="text-gray-500 hover:text-gray-800 disabled:opacity-40">Clear read</button>
+            <button onClick={() => onDownload("ics", shown)} disabled={!shown.length} className="px-2 py-1 border border-gray-300 rounded text-gray-600 hover:bg-gray-50 disabled:opacity-40">Calendar (.ics)</button>
+            <button onClick={() => onDownload("eml", shown)} disabled={!shown.length} className="px-2 py-1 border border-gray-300 rounded text-gray-600 hover:bg-gray-50 disabled:opacity-40">Email digest (.eml)</button>
+          </div>
+        </div>
+        {shown.length === 0 ? (
+          <p className="text-xs text-gray-400 py-8 text-center">{alerts.inbox.length ? "No unread alerts." : "New matches appear here each time a file is imported."}</p>
+        ) : (
+          <div className="divide-y divide-gray-100 max-h-[70vh] overflow-y-auto">
+            {shown.map(a => (
+              <div key={a.id} className={`flex items-center gap-3 py-2 text-xs ${a.read ? "text-gray-500" : ""}`}>
+                <span className={`w-2 h-2 rounded-full shrink-0 ${a.read ? "bg-transparent" : "bg-blue-500"}`} />
+                <div className="min-w-0 flex-1">
+                  {present.has(a.key) ? (
+                    <button onClick={() => { setRead(new Set([a.id]), true); onOpen(a.key); }} className={`hover:underline text-left truncate block w-full ${a.read ? "" : "font-medium text-gray-900"}`}>
+                      {a.address || "—"}, {a.suburb}
+                    </button>
+                  ) : (
+                    <span className="truncate block" title="Not in this scan">{a.address || "—"}, {a.suburb}</span>
+                  )}
+                  <span className="text-gray-400">{a.ruleName} | {new Date(a.raisedAt).toLocaleDateString("en-AU")}{a.source ? ` | ${a.source}` : ""}</span>
+                </div>
+                <span className="text-gray-600 shrink-0">{a.askingPrice ? formatAUD(a.askingPrice) : (a.askingPriceText || "—")}</span>
+                <span className="px-1.5 rounded-full font-medium shrink-0" style={{ backgroundColor: PRIORITY_BG[a.priority], color: PRIORITY_COLORS[a.priority] }}>{a.score}</span>
+                <button onClick={() => setRead(new Set([a.id]), !a.read)} className="text-gray-400 hover:text-gray-700 shrink-0 w-16 text-right">{a.read ? "Mark unread" : "Mark read"}</button>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,162 @@
+import { useMemo, useState } from "react";
+import {
+  BarChart, Bar, XAxis, YAxis, Tooltip, ResponsiveContainer, ScatterChart, Scatter, ZAxis, CartesianGrid, Legend,
+} from "recharts";
+import {
+  GROUP_FIELDS, scoreDistribution, domDistribution, priceHistogram, groupStats, distressLeaderboard, priceDomPoints,
+} from "../lib/analytics";
+import { PRIORITY_COLORS, formatAUD } from "../lib/format";
+
+const PRIORITIES = ["High Priority", "Monitor", "Low"];
+const BREAKDOWN_FIELDS = ["state", "suburb", "councilArea", "propertyType"];
+const MAX_POINTS = 3000;
+
+function Card({ title, hint, className = "", children }) {
+  return (
+    <div className={`bg-white rounded-lg border border-gray-200 p-4 ${className}`}>
+      <h3 className="text-sm font-bold text-gray-900">{title}</h3>
+      {hint && <p className="text-xs text-gray-400 mb-2">{hint}</p>}
+      {children}
+    </div>
+  );
+}
+
+function Histogram({ data, color, onFilter }) {
+  return (
+    <div style={{ width: "100%", height: 220 }}>
+      <ResponsiveContainer>
+        <BarChart data={data} margin={{ left: -10, right: 10, top: 10, bottom: 0 }}>
+          <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#F3F4F6" />
+          <XAxis dataKey="label" tick={{ fontSize: 11 }} interval={0} />
+          <YAxis allowDecimals={false} tick={{ fontSize: 11 }} />
+          <Tooltip formatter={v => [v, "Listings"]} />
+          <Bar dataKey="count" fill={color} radius={[4, 4, 0, 0]} cursor="pointer" onClick={d => onFilter(d.payload.filter)} />
+        </BarChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
+
+function Leaderboard({ rows, onFilter }) {
+  if (!rows.length) return <p className="text-xs text-gray-400 py-6 text-center">No listings with distress keywords, or the column is not mapped.</p>;
+  return (
+    <table className="w-full text-xs">
+      <thead className="text-gray-500 text-left">
+        <tr>
+          <th className="py-1 font-medium w-6">#</th>
+          <th className="py-1 font-medium">Name</th>
+          <th className="py-1 font-medium text-right">Distressed</th>
+          <th className="py-1 font-medium text-right">High</th>
+          <th className="py-1 font-medium text-right">Listings</th>
+          <th className="py-1 font-medium text-right">Avg Score</th>
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map((r, i) => (
+          <tr key={r.name} onClick={() => onFilter(r.filter)} className="border-t border-gray-100 cursor-pointer hover:bg-gray-50">
+            <td className="py-1.5 text-gray-400">{i + 1}</td>
+            <td className="py-1.5 text-gray-900 truncate max-w-[180px]">{r.name}</td>
+            <td className="py-1.5 text-right font-medium text-red-600">{r.distressed}</td>
+            <td className="py-1.5 text-right">{r.high}</td>
+            <td className="py-1.5 text-right text-gray-500">{r.count}</td>
+            <td className="py-1.5 text-right text-gray-500">{r.avgScore}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+function PointTooltip({ active, payload }) {
+  const p = active && payload?.[0]?.payload;
+  if (!p) return null;
+  return (
+    <div className="bg-white border border-gray-200 rounded shadow px-2 py-1.5 text-xs">
+      <div className="font-medium text-gray-900">{p.address || "—"}, {p.suburb}</div>
+      <div className="text-gray-500">{formatAUD(p.price)} | {p.dom} days | score {p.score}</div>
+    </div>
+  );
+}
+
+// Charts over the filtered properties. `onFilter` receives a patch for the
+// Properties tab filters; `onOpen` receives a property id from the scatter.
+export default function AnalyticsPanel({ properties, maxScore, onFilter, onOpen }) {
+  const [breakdown, setBreakdown] = useState("suburb");
+  const scores = useMemo(() => scoreDistribution(properties, maxScore), [properties, maxScore]);
+  const doms = useMemo(() => domDistribution(properties), [properties]);
+  const prices = useMemo(() => priceHistogram(properties), [properties]);
+  const groups = useMemo(() => groupStats(properties, breakdown), [properties, breakdown]);
+  const agents = useMemo(() => distressLeaderboard(properties, "agentName"), [properties]);
+  const agencies = useMemo(() => distressLeaderboard(properties, "agency"), [properties]);
+  // Largest scores first so a sample of a huge scan keeps the interesting listings.
+  const { points, pointsTotal } = useMemo(() => {
+    const all = priceDomPoints(properties);
+    return { points: all.length > MAX_POINTS ? [...all].sort((a, b) => b.score - a.score).slice(0, MAX_POINTS) : all, pointsTotal: all.length };
+  }, [properties]);
+
+  if (!properties.length) return <p className="text-gray-400 text-sm py-8 text-center">No properties match the current filters.</p>;
+
+  return (
+    <div className="space-y-4">
+      <p className="text-xs text-gray-500">Across {properties.length.toLocaleString("en-AU")} filtered properties. Click a bar, point or row to filter the Properties tab.</p>
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+        <Card title="Score Distribution"><Histogram data={scores} color="#111827" onFilter={onFilter} /></Card>
+        <Card title="Days on Market"><Histogram data={doms} color="#D97706" onFilter={onFilter} /></Card>
+        <Card title="Asking Price" hint="Listings without a price are left out."><Histogram data={prices} color="#2563EB" onFilter={onFilter} /></Card>
+      </div>
+
+      <Card title="Breakdown" hint="Average score and High Priority count for the 15 largest groups.">
+        <div className="flex gap-1 mb-2">
+          {BREAKDOWN_FIELDS.map(f => (
+            <button key={f} onClick={() => setBreakdown(f)}
+              className={`px-3 py-1 rounded-full text-xs border ${breakdown === f ? "bg-gray-900 text-white border-gray-900" : "border-gray-300 text-gray-600 hover:bg-gray-50"}`}>
+              {GROUP_FIELDS[f].label}
+            </button>
+          ))}
+        </div>
+        {groups.length === 0 ? (
+          <p className="text-xs text-gray-400 py-6 text-center">No {GROUP_FIELDS[breakdown].label.toLowerCase()} values in this data.</p>
+        ) : (
+          <div style={{ width: "100%", height: Math.max(220, groups.length * 30) }}>
+            <ResponsiveContainer>
+              <BarChart data={groups} layout="vertical" margin={{ left: 120, right: 20, top: 5, bottom: 5 }}>
+                <CartesianGrid strokeDasharray="3 3" horizontal={false} stroke="#F3F4F6" />
+                <XAxis type="number" tick={{ fontSize: 11 }} />
+                <YAxis type="category" dataKey="name" tick={{ fontSize: 11 }} width={110} />
+                <Tooltip labelFormatter={(label, payload) => `${label} (${payload?.[0]?.payload.count ?? 0} listings)`} />
+                <Legend wrapperStyle={{ fontSize: 12 }} />
+                <Bar dataKey="avgScore" name="Avg score" fill="#6B7280" cursor="pointer" onClick={d => onFilter(d.payload.filter)} />
+                <Bar dataKey="high" name="High Priority" fill={PRIORITY_COLORS["High Priority"]} cursor="pointer" onClick={d => onFilter(d.payload.filter)} />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        )}
+      </Card>
+
+      <Card title="Price vs Days on Market"
+        hint={pointsTotal > MAX_POINTS ? `Showing the ${MAX_POINTS.toLocaleString("en-AU")} highest-scoring of ${pointsTotal.toLocaleString("en-AU")} listings with a price and DOM.` : "Listings with both a price and DOM. Click a point to open it."}>
+        <div style={{ width: "100%", height: 340 }}>
+          <ResponsiveContainer>
+            <ScatterChart margin={{ left: 10, right: 20, top: 10, bottom: 10 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#F3F4F6" />
+              <XAxis type="number" dataKey="dom" name="DOM" tick={{ fontSize: 11 }} label={{ value: "Days on market", position: "insideBottom", offset: -5, fontSize: 11 }} />
+              <YAxis type="number" dataKey="price" name="Price" tick={{ fontSize: 11 }} tickFormatter={formatAUD} width={70} />
+              <ZAxis range={[30, 30]} />
+              <Tooltip content={<PointTooltip />} />
+              <Legend wrapperStyle={{ fontSize: 12 }} onClick={e => onFilter({ priority: [e.value] })} />
+              {PRIORITIES.map(pr => (
+                <Scatter key={pr} name={pr} data={points.filter(p => p.priority === pr)} fill={PRIORITY_COLORS[pr]} cursor="pointer"
+                  onClick={d => onOpen(d.payload.id)} />
+              ))}
+            </ScatterChart>
+          </ResponsiveContainer>
+        </div>
+      </Card>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+        <Card title="Agents Carrying Distressed Listings"><Leaderboard rows={agents} onFilter={onFilter} /></Card>
+        <Card title="Agencies Carrying Distressed Listings"><Leaderboard rows={agencies} onFilter={onFilter} /></Card>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,137 @@
+import { useMemo, useRef, useState } from "react";
+import { formatAUD, formatPct, PRIORITY_COLORS, PRIORITY_BG } from "../lib/format";
+
+const CHANGE_TYPES = {
+  new: { label: "New listing", color: "bg-blue-100 text-blue-700" },
+  withdrawn: { label: "Withdrawn", color: "bg-gray-200 text-gray-600" },
+  priceCut: { label: "Price cut", color: "bg-green-100 text-green-700" },
+  priceRise: { label: "Price rise", color: "bg-orange-100 text-orange-700" },
+  priorityUp: { label: "Priority upgrade", color: "bg-red-100 text-red-700" },
+  priorityDown: { label: "Priority downgrade", color: "bg-gray-100 text-gray-600" },
+  scoreUp: { label: "Score up", color: "bg-amber-100 text-amber-700" },
+  scoreDown: { label: "Score down", color: "bg-gray-100 text-gray-500" },
+};
+
+const PAGE = 200;
+
+function ChangeValue({ change, side }) {
+  const row = side === "from" ? change.previous : change.current;
+  switch (change.type) {
+    case "new":
+    case "withdrawn":
+      if (!row) return <span className="text-gray-300">—</span>;
+      return <span>{row.askingPrice ? formatAUD(row.askingPrice) : (row.askingPriceRaw || "—")}{row.score !== null && row.score !== undefined ? ` | score ${row.score}` : ""}</span>;
+    case "priceCut":
+    case "priceRise":
+      return side === "from" ? formatAUD(change.from) : <span>{formatAUD(change.to)} <span className="text-xs text-gray-400">({formatPct(change.pct)})</span></span>;
+    case "priorityUp":
+    case "priorityDown": {
+      const p = side === "from" ? change.from : change.to;
+      return <span className="px-2 py-0.5 rounded-full text-xs font-medium" style={{ backgroundColor: PRIORITY_BG[p], color: PRIORITY_COLORS[p] }}>{p}</span>;
+    }
+    default:
+      return side === "from" ? change.from : <span>{change.to} <span className="text-xs text-gray-400">({change.delta > 0 ? "+" : ""}{change.delta})</span></span>;
+  }
+}
+
+export default function ChangesPanel({ baseline, changes, snapshots, currentSnapshotId, onCompareSnapshot, onCompareFile, onClear }) {
+  const [types, setTypes] = useState([]);
+  const [limit, setLimit] = useState(PAGE);
+  const fileRef = useRef();
+  const others = snapshots.filter(s => s.id !== currentSnapshotId);
+
+  const counts = useMemo(() => {
+    const c = Object.fromEntries(Object.keys(CHANGE_TYPES).map(t => [t, 0]));
+    changes.forEach(ch => c[ch.type]++);
+    return c;
+  }, [changes]);
+
+  const visible = useMemo(() => {
+    const order = Object.keys(CHANGE_TYPES);
+    const list = types.length ? changes.filter(c => types.includes(c.type)) : changes;
+    return [...list].sort((a, b) => order.indexOf(a.type) - order.indexOf(b.type));
+  }, [changes, types]);
+
+  const toggleType = (t) => { setTypes(ts => ts.includes(t) ? ts.filter(x => x !== t) : [...ts, t]); setLimit(PAGE); };
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-white rounded-lg border border-gray-200 p-4 flex flex-col md:flex-row md:items-center gap-3">
+        <div className="text-sm">
+          {baseline ? (
+            <>Compared with <span className="font-medium text-gray-900">{baseline.label}</span></>
+          ) : (
+            <span className="text-gray-500">Choose an earlier scan or a previous scored export to compare against.</span>
+          )}
+        </div>
+        <div className="flex items-center gap-2 md:ml-auto">
+          {others.length > 0 && (
+            <select value="" onChange={e => e.target.value && onCompareSnapshot(e.target.value)}
+              className="border border-gray-300 rounded px-2 py-1.5 text-xs">
+              <option value="">Compare with saved scan…</option>
+              {others.map(s => <option key={s.id} value={s.id}>{s.name} ({new Date(s.createdAt).toLocaleDateString("en-AU")})</option>)}
+            </select>
+          )}
+          <button onClick={() => fileRef.current?.click()}
+            className="px-3 py-1.5 border border-gray-300 rounded text-xs text-gray-600 hover:bg-gray-50">Load Previous Export</button>
+          <input ref={fileRef} type="file" accept=".csv,.tsv,.txt" className="hidden"
+            onChange={e => { if (e.target.files[0]) onCompareFile(e.target.files[0]); e.target.value = ""; }} />
+          {baseline && (
+            <button onClick={onClear} className="px-3 py-1.5 text-xs text-gray-500 hover:text-gray-700">Clear</button>
+          )}
+        </div>
+      </div>
+
+      {baseline && (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-8 gap-2">
+            {Object.entries(CHANGE_TYPES).map(([t, def]) => (
+              <button key={t} onClick={() => toggleType(t)}
+                className={`text-left bg-white rounded-lg border p-3 ${types.includes(t) ? "border-gray-900" : "border-gray-200 hover:border-gray-400"}`}>
+                <div className="text-xs text-gray-500 mb-1">{def.label}</div>
+                <div className="text-lg font-bold text-gray-900">{counts[t]}</div>
+              </button>
+            ))}
+          </div>
+
+          <div className="bg-white rounded-lg border border-gray-200 overflow-x-auto">
+            <div className="px-4 py-3 border-b border-gray-100 text-sm text-gray-500">
+              {visible.length} changes{types.length ? " (filtered)" : ""}
+            </div>
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b border-gray-200 bg-gray-50 text-xs text-gray-500">
+                  <th className="px-3 py-2 text-left font-medium">Change</th>
+                  <th className="px-3 py-2 text-left font-medium">Address</th>
+                  <th className="px-3 py-2 text-left font-medium">Suburb</th>
+                  <th className="px-3 py-2 text-left font-medium">Before</th>
+                  <th className="px-3 py-2 text-left font-medium">Now</th>
+                </tr>
+              </thead>
+              <tbody>
+                {visible.slice(0, limit).map((c, i) => {
+                  const row = c.current || c.previous;
+                  return (
+                    <tr key={`${c.key}:${c.type}:${i}`} className="border-b border-gray-100">
+                      <td className="px-3 py-2"><span className={`px-2 py-0.5 rounded text-xs font-medium ${CHANGE_TYPES[c.type].color}`}>{CHANGE_TYPES[c.type].label}</span></td>
+                      <td className="px-3 py-2 font-medium text-gray-900 max-w-xs truncate">{row.address || "—"}</td>
+                      <td className="px-3 py-2 text-gray-600">{row.suburb || "—"}</td>
+                      <td className="px-3 py-2 text-gray-600">{c.type === "new" ? <span className="text-gray-300">—</span> : <ChangeValue change={c} side="from" />}</td>
+                      <td className="px-3 py-2 text-gray-900">{c.type === "withdrawn" ? <span className="text-gray-400">Not in this scan</span> : <ChangeValue change={c} side="to" />}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+            {visible.length > limit && (
+              <button onClick={() => setLimit(l => l + PAGE)} className="w-full text-xs text-gray-500 hover:text-gray-700 py-3 border-t border-gray-100">
+                Show more ({visible.length - limit} remaining)
+              </button>
+            )}
+            {visible.length === 0 && <div className="px-4 py-12 text-center text-sm text-gray-400">No changes since the baseline.</div>}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
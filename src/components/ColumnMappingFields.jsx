@@ -0,0 +1,19 @@
+export default function ColumnMappingFields({ fields, headers, mapping, onChange }) {
+  return (
+    <div className="space-y-3">
+      {fields.map(field => (
+        <div key={field} className="flex items-center gap-4">
+          <label className="w-40 text-sm font-medium text-gray-700 capitalize">{field.replace(/([A-Z])/g, " $1")}</label>
+          <select
+            className="flex-1 border border-gray-300 rounded px-3 py-1.5 text-sm"
+            value={mapping[field] || ""}
+            onChange={e => onChange({ ...mapping, [field]: e.target.value || undefined })}
+          >
+            <option value="">— Not mapped —</option>
+            {headers.map(h => <option key={h} value={h}>{h}</option>)}
+          </select>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,67 @@
+import { useState } from "react";
+import { compareRows, MIN_COMPARE } from "../lib/compare";
+import { PRIORITY_COLORS, PRIORITY_BG } from "../lib/format";
+
+// Selected properties side by side, best values in green and worst in red.
+// `onRemove(id)` drops one from the selection; `onOpen(id)` shows it in the table.
+export default function CompareView({ properties, maxScore, onRemove, onOpen, onExport, onClose }) {
+  const [full, setFull] = useState(false);
+  const rows = compareRows(properties, maxScore);
+  const tone = (r, i) => r.best.includes(i) ? "bg-green-50 text-green-800 font-medium" : r.worst.includes(i) ? "bg-red-50 text-red-700" : "text-gray-700";
+
+  return (
+    <div className="fixed inset-0 z-40 bg-gray-900/30 flex items-start justify-center p-4 overflow-y-auto" onClick={onClose}>
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-6xl p-5 text-xs" onClick={e => e.stopPropagation()}>
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-lg font-bold text-gray-900">Compare {properties.length} Properties</h2>
+          <div className="flex items-center gap-3">
+            <span className="flex items-center gap-2 text-gray-500">
+              <span className="bg-green-50 text-green-800 px-1.5 rounded">Best</span>
+              <span className="bg-red-50 text-red-700 px-1.5 rounded">Worst</span>
+            </span>
+            <button onClick={onExport} className="px-3 py-1.5 border border-gray-300 rounded text-gray-600 hover:bg-gray-50">Download CSV</button>
+            <button onClick={onClose} className="text-gray-400 hover:text-gray-700 text-base" aria-label="Close">✕</button>
+          </div>
+        </div>
+        {properties.length < MIN_COMPARE ? (
+          <p className="text-gray-400 py-8 text-center">Select at least {MIN_COMPARE} properties in the table to compare them.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full table-fixed">
+              <thead>
+                <tr>
+                  <th className="w-36" />
+                  {properties.map(p => (
+                    <th key={p.id} className="text-left align-top px-2 pb-2 font-normal">
+                      <button onClick={() => onOpen(p.id)} className="font-bold text-gray-900 hover:underline text-left">{p.address || "—"}</button>
+                      <div className="flex items-center gap-2 mt-1">
+                        <span className="px-1.5 rounded-full font-medium" style={{ backgroundColor: PRIORITY_BG[p.priority], color: PRIORITY_COLORS[p.priority] }}>{p.score}</span>
+                        <button onClick={() => onRemove(p.id)} className="text-gray-400 hover:text-red-600">Remove</button>
+                      </div>
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((r, n) => (
+                  <tr key={r.id} className={r.section !== rows[n - 1]?.section ? "border-t-2 border-gray-200" : "border-t border-gray-100"}>
+                    <th className="text-left align-top py-1.5 pr-2 font-medium text-gray-500">
+                      {r.section !== rows[n - 1]?.section && <div className="text-gray-400 uppercase tracking-wide font-normal">{r.section}</div>}
+                      {r.label}
+                    </th>
+                    {r.cells.map((c, i) => (
+                      <td key={i} className={`align-top py-1.5 px-2 whitespace-pre-wrap break-words ${tone(r, i)}`}>
+                        <div className={r.id === "description" && !full ? "line-clamp-6" : ""}>{c}</div>
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <button onClick={() => setFull(v => !v)} className="mt-2 text-gray-500 hover:text-gray-800 underline">{full ? "Shorten descriptions" : "Show full descriptions"}</button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,90 @@
+import { useMemo, useState } from "react";
+import { formatCountdown } from "../lib/saleMethod";
+import { formatAUD, PRIORITY_COLORS, PRIORITY_BG } from "../lib/format";
+
+const GROUPS = [
+  { label: "This Week", from: 0, to: 6 },
+  { label: "Next Week", from: 7, to: 13 },
+  { label: "Later", from: 14, to: Infinity },
+];
+const RECENT_DAYS = 14;
+
+function DeadlineRow({ p, onOpen }) {
+  const soon = p.daysToDeadline >= 0 && p.daysToDeadline <= 7;
+  return (
+    <tr className="border-t border-gray-100 hover:bg-gray-50">
+      <td className="py-1.5 pr-3 whitespace-nowrap text-gray-600">
+        {new Date(`${p.deadline}T00:00`).toLocaleDateString("en-AU", { weekday: "short", day: "numeric", month: "short" })}
+      </td>
+      <td className={`py-1.5 pr-3 whitespace-nowrap ${soon ? "text-red-600 font-medium" : p.daysToDeadline < 0 ? "text-gray-400" : "text-gray-600"}`}>{formatCountdown(p.daysToDeadline)}</td>
+      <td className="py-1.5 pr-3 whitespace-nowrap text-gray-500">{p.deadlineType}</td>
+      <td className="py-1.5 pr-3 max-w-xs truncate">
+        <button onClick={() => onOpen(p.id)} className="font-medium text-gray-900 hover:underline text-left">{p.address || "—"}</button>
+        <span className="text-gray-500">, {p.suburb}</span>
+      </td>
+      <td className="py-1.5 pr-3 whitespace-nowrap text-gray-600">{p.askingPrice ? formatAUD(p.askingPrice) : (p.askingPriceRaw || "—")}</td>
+      <td className="py-1.5 pr-3 whitespace-nowrap text-gray-600 text-right">{p.daysOnMarket ?? "—"}</td>
+      <td className="py-1.5 text-right">
+        <span className="px-1.5 rounded-full font-medium" style={{ backgroundColor: PRIORITY_BG[p.priority], color: PRIORITY_COLORS[p.priority] }}>{p.score}</span>
+      </td>
+    </tr>
+  );
+}
+
+// Auction, EOI and tender deadlines across the scan, soonest first. `onOpen`
+// receives a property id.
+export default function DeadlinesPanel({ properties, onOpen }) {
+  const [showRecent, setShowRecent] = useState(false);
+  const dated = useMemo(() => properties.filter(p => p.deadline).sort((a, b) => a.daysToDeadline - b.daysToDeadline || b.score - a.score), [properties]);
+  const recent = dated.filter(p => p.daysToDeadline < 0 && p.daysToDeadline >= -RECENT_DAYS).reverse();
+  const upcoming = dated.filter(p => p.daysToDeadline >= 0);
+
+  if (!dated.length) {
+    return <p className="text-gray-400 text-sm py-8 text-center">No auction, EOI or tender dates found in the listing type, price text or descriptions.</p>;
+  }
+
+  const table = (rows) => (
+    <table className="w-full text-xs">
+      <thead className="text-gray-500 text-left">
+        <tr>
+          <th className="py-1 pr-3 font-medium">Date</th>
+          <th className="py-1 pr-3 font-medium">Countdown</th>
+          <th className="py-1 pr-3 font-medium">Type</th>
+          <th className="py-1 pr-3 font-medium">Property</th>
+          <th className="py-1 pr-3 font-medium">Price</th>
+          <th className="py-1 pr-3 font-medium text-right">DOM</th>
+          <th className="py-1 font-medium text-right">Score</th>
+        </tr>
+      </thead>
+      <tbody>{rows.map(p => <DeadlineRow key={p.id} p={p} onOpen={onOpen} />)}</tbody>
+    </table>
+  );
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center gap-4 text-xs text-gray-500">
+        <span>{upcoming.length} upcoming of {dated.length} listings with a deadline</span>
+        <label className="flex items-center gap-1.5">
+          <input type="checkbox" checked={showRecent} onChange={e => setShowRecent(e.target.checked)} />
+          Show deadlines from the last {RECENT_DAYS} days ({recent.length})
+        </label>
+      </div>
+      {showRecent && recent.length > 0 && (
+        <div className="bg-white rounded-lg border border-gray-200 p-4">
+          <h3 className="text-sm font-bold text-gray-900 mb-2">Recently Closed</h3>
+          {table(recent)}
+        </div>
+      )}
+      {GROUPS.map(g => {
+        const rows = upcoming.filter(p => p.daysToDeadline >= g.from && p.daysToDeadline <= g.to);
+        return rows.length > 0 && (
+          <div key={g.label} className="bg-white rounded-lg border border-gray-200 p-4">
+            <h3 className="text-sm font-bold text-gray-900 mb-2">{g.label} <span className="text-gray-400 font-normal">({rows.length})</span></h3>
+            {table(rows)}
+          </div>
+        );
+      })}
+      {!upcoming.length && <p className="text-gray-400 text-sm py-8 text-center">No upcoming deadlines.</p>}
+    </div>
+  );
+}
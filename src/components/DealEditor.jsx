@@ -0,0 +1,58 @@
+import { useState } from "react";
+import { DEAL_STATUSES, followUpState } from "../lib/pipeline";
+
+const inputCls = "border border-gray-300 rounded px-2 py-1 text-xs";
+
+export function StarButton({ starred, onToggle, className = "" }) {
+  return (
+    <button onClick={e => { e.stopPropagation(); onToggle(); }} title={starred ? "Remove from watchlist" : "Add to watchlist"}
+      className={`leading-none ${starred ? "text-amber-500" : "text-gray-300 hover:text-amber-400"} ${className}`}>
+      {starred ? "★" : "☆"}
+    </button>
+  );
+}
+
+export function FollowUpBadge({ entry }) {
+  const state = followUpState(entry);
+  if (!entry?.followUp) return null;
+  const cls = state === "overdue" ? "bg-red-100 text-red-700" : state === "today" ? "bg-amber-100 text-amber-700" : "bg-gray-100 text-gray-500";
+  return (
+    <span className={`px-1.5 rounded text-xs whitespace-nowrap ${cls}`} title="Follow-up date">
+      {state === "overdue" ? "Overdue " : state === "today" ? "Today " : "Follow up "}
+      {new Date(`${entry.followUp}T00:00`).toLocaleDateString("en-AU", { day: "numeric", month: "short" })}
+    </span>
+  );
+}
+
+// Status, watchlist, follow-up and notes for one property. Notes are saved
+// when the field loses focus; the parent remounts this per property.
+export default function DealEditor({ entry, onChange }) {
+  const [notes, setNotes] = useState(entry.notes);
+  const set = (patch) => onChange({ ...entry, ...patch, updatedAt: new Date().toISOString() });
+  return (
+    <div className="bg-white border border-gray-200 rounded-lg p-3 mb-4" onClick={e => e.stopPropagation()}>
+      <div className="flex flex-wrap items-center gap-3 text-xs">
+        <h4 className="font-bold text-gray-900 text-sm">Deal</h4>
+        <label className="flex items-center gap-1.5">
+          <span className="text-gray-500">Status</span>
+          <select value={entry.status} onChange={e => set({ status: e.target.value })} className={inputCls}>
+            {DEAL_STATUSES.map(s => <option key={s} value={s}>{s}</option>)}
+          </select>
+        </label>
+        <label className="flex items-center gap-1.5">
+          <span className="text-gray-500">Follow up</span>
+          <input type="date" value={entry.followUp || ""} onChange={e => set({ followUp: e.target.value || null })} className={inputCls} />
+        </label>
+        <FollowUpBadge entry={entry} />
+        <label className="flex items-center gap-1.5 text-gray-600">
+          <StarButton starred={entry.starred} onToggle={() => set({ starred: !entry.starred })} className="text-base" />
+          Watchlist
+        </label>
+        {entry.updatedAt && <span className="text-gray-400 md:ml-auto">Updated {new Date(entry.updatedAt).toLocaleString("en-AU", { dateStyle: "medium", timeStyle: "short" })}</span>}
+      </div>
+      <textarea value={notes} onChange={e => setNotes(e.target.value)} onBlur={() => notes !== entry.notes && set({ notes })}
+        rows={2} placeholder="Notes: inspection findings, agent feedback, next steps…"
+        className="w-full mt-2 border border-gray-300 rounded px-2 py-1.5 text-xs" />
+    </div>
+  );
+}
@@ -0,0 +1,170 @@
+import { useMemo, useState } from "react";
+import { mergeRows } from "../lib/dedupe";
+
+const FIELDS = [
+  { key: "address", label: "Address" },
+  { key: "suburb", label: "Suburb" },
+  { key: "postcode", label: "Postcode" },
+  { key: "propertyType", label: "Type" },
+  { key: "askingPriceRaw", label: "Price", source: "askingPrice" },
+  { key: "daysOnMarket", label: "DOM" },
+  { key: "landArea", label: "Land" },
+  { key: "buildingArea", label: "Building" },
+  { key: "agentName", label: "Agent" },
+  { key: "agency", label: "Agency" },
+  { key: "description", label: "Description" },
+];
+
+const PAGE = 25;
+
+function display(v) {
+  if (v === null || v === undefined || v === "") return "—";
+  const s = v.toString();
+  return s.length > 140 ? `${s.slice(0, 140)}…` : s;
+}
+
+function SourceRow({ source, onRename, onRemove, onRemap }) {
+  const [name, setName] = useState(source.name);
+  const commit = () => { if (name.trim() && name.trim() !== source.name) onRename(source.id, name.trim()); else setName(source.name); };
+  return (
+    <tr className="border-b border-gray-100">
+      <td className="px-3 py-2">
+        <input value={name} onChange={e => setName(e.target.value)} onBlur={commit}
+          onKeyDown={e => e.key === "Enter" && e.target.blur()}
+          className="border border-transparent hover:border-gray-300 focus:border-gray-300 rounded px-1 py-0.5 text-sm font-medium text-gray-900" />
+      </td>
+      <td className="px-3 py-2 text-gray-500 text-xs">
+        {source.fileName}
+        {source.presetName && <span className="ml-1.5 text-gray-400">(preset: {source.presetName})</span>}
+      </td>
+      <td className="px-3 py-2 text-gray-600">{source.rows.length}</td>
+      <td className="px-3 py-2 text-gray-500 text-xs">{new Date(source.importedAt).toLocaleString("en-AU")}</td>
+      <td className="px-3 py-2 text-right whitespace-nowrap">
+        {onRemap && <button onClick={() => onRemap(source.id)} className="text-xs text-gray-500 hover:text-gray-700 mr-3">Remap</button>}
+        <button onClick={() => onRemove(source.id)} className="text-xs text-gray-400 hover:text-red-600">Remove</button>
+      </td>
+    </tr>
+  );
+}
+
+function GroupCard({ group, members, decision, onDecide }) {
+  const merged = useMemo(() => mergeRows(members), [members]);
+  return (
+    <div className="bg-white rounded-lg border border-gray-200">
+      <div className="px-4 py-2 border-b border-gray-100 flex items-center gap-3">
+        <span className="text-sm font-medium text-gray-900 truncate">{merged.address || "—"}, {merged.suburb}</span>
+        <span className="text-xs text-gray-400">{Math.round(group.confidence * 100)}% match</span>
+        {decision && (
+          <span className={`text-xs px-2 py-0.5 rounded-full ${decision === "merge" ? "bg-green-100 text-green-700" : "bg-gray-100 text-gray-500"}`}>
+            {decision === "merge" ? "Merged" : "Kept separate"}
+          </span>
+        )}
+        <div className="ml-auto flex gap-2">
+          {decision ? (
+            <button onClick={() => onDecide(group.key, undefined)} className="px-2 py-1 text-xs text-gray-500 hover:text-gray-700">Undo</button>
+          ) : (
+            <>
+              <button onClick={() => onDecide(group.key, "merge")} className="px-3 py-1 bg-gray-900 text-white rounded text-xs font-medium hover:bg-gray-800">Merge</button>
+              <button onClick={() => onDecide(group.key, "separate")} className="px-3 py-1 border border-gray-300 rounded text-xs text-gray-600 hover:bg-gray-50">Not a duplicate</button>
+            </>
+          )}
+        </div>
+      </div>
+      <div className="overflow-x-auto">
+        <table className="w-full text-xs">
+          <thead>
+            <tr className="bg-gray-50 border-b border-gray-200">
+              <th className="px-3 py-1.5 text-left font-medium text-gray-500 w-24">Field</th>
+              {members.map(m => <th key={m.id} className="px-3 py-1.5 text-left font-medium text-gray-500">{m.source}</th>)}
+              <th className="px-3 py-1.5 text-left font-medium text-green-700">Merged</th>
+            </tr>
+          </thead>
+          <tbody>
+            {FIELDS.map(f => (
+              <tr key={f.key} className="border-b border-gray-100 align-top">
+                <td className="px-3 py-1.5 text-gray-500">{f.label}</td>
+                {members.map(m => {
+                  const kept = merged.fieldSources[f.source || f.key] === m.source;
+                  return <td key={m.id} className={`px-3 py-1.5 ${kept ? "text-gray-900 font-medium" : "text-gray-500"}`}>{display(m[f.key])}</td>;
+                })}
+                <td className="px-3 py-1.5 text-gray-900 bg-green-50">{display(merged[f.key])}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+export default function DuplicatesPanel({ sources, groups, rows, decisions, onDecide, onRenameSource, onRemoveSource, onRemapSource, canRemap, children }) {
+  const [show, setShow] = useState("pending");
+  const [limit, setLimit] = useState(PAGE);
+  const byId = useMemo(() => new Map(rows.map(r => [r.id, r])), [rows]);
+  const pending = groups.filter(g => !decisions[g.key]);
+  const visible = show === "pending" ? pending : groups;
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-white rounded-lg border border-gray-200">
+        <div className="px-4 py-3 border-b border-gray-100">
+          <h3 className="text-sm font-bold text-gray-900">Sources</h3>
+          <p className="text-xs text-gray-400">Each file loaded into this session. Rename a source to change how it is labelled on listings.</p>
+        </div>
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b border-gray-200 bg-gray-50 text-xs text-gray-500">
+              <th className="px-3 py-2 text-left font-medium">Source</th>
+              <th className="px-3 py-2 text-left font-medium">File</th>
+              <th className="px-3 py-2 text-left font-medium">Rows</th>
+              <th className="px-3 py-2 text-left font-medium">Imported</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {sources.map(s => (
+              <SourceRow key={s.id} source={s} onRename={onRenameSource} onRemove={onRemoveSource}
+                onRemap={canRemap && canRemap(s.id) ? onRemapSource : null} />
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {children}
+
+      <div className="flex flex-wrap items-center gap-3">
+        <h3 className="text-sm font-bold text-gray-900">Duplicate Listings</h3>
+        <span className="text-xs text-gray-500">{groups.length} found across sources, {pending.length} awaiting review</span>
+        <div className="ml-auto flex gap-2">
+          <select value={show} onChange={e => { setShow(e.target.value); setLimit(PAGE); }}
+            className="border border-gray-300 rounded px-2 py-1 text-xs">
+            <option value="pending">Awaiting review</option>
+            <option value="all">All</option>
+          </select>
+          {pending.length > 0 && (
+            <button onClick={() => pending.forEach(g => onDecide(g.key, "merge"))}
+              className="px-3 py-1 bg-gray-900 text-white rounded text-xs font-medium hover:bg-gray-800">Merge all {pending.length}</button>
+          )}
+        </div>
+      </div>
+
+      {visible.length === 0 ? (
+        <div className="bg-white rounded-lg border border-gray-200 px-4 py-12 text-center text-sm text-gray-400">
+          {sources.length < 2 ? "Add another file to check for listings that appear in more than one source." : "No duplicates to review."}
+        </div>
+      ) : (
+        <>
+          {visible.slice(0, limit).map(g => (
+            <GroupCard key={g.key} group={g} members={g.ids.map(id => byId.get(id))}
+              decision={decisions[g.key]} onDecide={onDecide} />
+          ))}
+          {visible.length > limit && (
+            <button onClick={() => setLimit(l => l + PAGE)} className="w-full text-xs text-gray-500 hover:text-gray-700 py-2">
+              Show more ({visible.length - limit} remaining)
+            </button>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,81 @@
+import { useState } from "react";
+import { EXPORT_FORMATS, EXPORT_SCOPES, EXPORT_COLUMNS, loadExportSettings, saveExportSettings } from "../lib/exporters";
+
+// Format, scope and column choice for the Export button. `counts` holds the
+// number of properties in each scope; the format and columns are remembered.
+export default function ExportDialog({ counts, defaultScope, onExport, onClose }) {
+  const [settings] = useState(loadExportSettings);
+  const [format, setFormat] = useState(settings.format);
+  const [scope, setScope] = useState(defaultScope);
+  const [columns, setColumns] = useState(settings.columns);
+
+  const toggle = (c) => setColumns(columns.includes(c) ? columns.filter(x => x !== c) : EXPORT_COLUMNS.filter(x => x === c || columns.includes(x)));
+  const submit = () => {
+    saveExportSettings({ format, columns });
+    onExport({ format, scope, columns });
+  };
+  const tabular = format !== "json";
+
+  return (
+    <div className="fixed inset-0 z-40 bg-gray-900/40 flex items-center justify-center p-4" onClick={onClose}>
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-lg p-5 text-sm" onClick={e => e.stopPropagation()}
+        onKeyDown={e => e.key === "Escape" && onClose()}>
+        <h2 className="text-lg font-bold text-gray-900 mb-4">Export Properties</h2>
+
+        <div className="grid grid-cols-2 gap-4">
+          <fieldset>
+            <legend className="text-xs font-medium text-gray-500 mb-1">Format</legend>
+            {EXPORT_FORMATS.map(f => (
+              <label key={f.id} className="flex items-center gap-2 py-0.5">
+                <input type="radio" name="export-format" checked={format === f.id} onChange={() => setFormat(f.id)} />
+                {f.label}
+              </label>
+            ))}
+          </fieldset>
+          <fieldset>
+            <legend className="text-xs font-medium text-gray-500 mb-1">Properties</legend>
+            {EXPORT_SCOPES.map(s => (
+              <label key={s.id} className={`flex items-center gap-2 py-0.5 ${counts[s.id] ? "" : "text-gray-400"}`}>
+                <input type="radio" name="export-scope" checked={scope === s.id} disabled={!counts[s.id]} onChange={() => setScope(s.id)} />
+                {s.label} <span className="text-gray-400">({counts[s.id].toLocaleString("en-AU")})</span>
+              </label>
+            ))}
+          </fieldset>
+        </div>
+
+        <div className="mt-4">
+          <div className="flex justify-between items-baseline mb-1">
+            <span className="text-xs font-medium text-gray-500">Columns ({tabular ? `${columns.length} of ${EXPORT_COLUMNS.length}` : "all"})</span>
+            {tabular && (
+              <span className="text-xs space-x-3">
+                <button onClick={() => setColumns(EXPORT_COLUMNS)} className="text-gray-500 hover:text-gray-800">All</button>
+                <button onClick={() => setColumns([])} className="text-gray-500 hover:text-gray-800">None</button>
+              </span>
+            )}
+          </div>
+          {tabular ? (
+            <div className="grid grid-cols-2 gap-x-4 max-h-56 overflow-y-auto border border-gray-200 rounded p-2 text-xs">
+              {EXPORT_COLUMNS.map(c => (
+                <label key={c} className="flex items-center gap-2 py-0.5">
+                  <input type="checkbox" checked={columns.includes(c)} onChange={() => toggle(c)} />
+                  {c}
+                </label>
+              ))}
+            </div>
+          ) : (
+            <p className="text-xs text-gray-400 border border-gray-200 rounded p-2">JSON always includes every field, the score breakdown and each keyword match.</p>
+          )}
+          {format === "geojson" && <p className="text-xs text-gray-400 mt-1">Properties without a map location are left out.</p>}
+        </div>
+
+        <div className="flex justify-end gap-3 mt-5">
+          <button onClick={onClose} className="px-3 py-1.5 text-gray-500 hover:text-gray-700">Cancel</button>
+          <button onClick={submit} disabled={!counts[scope] || (tabular && !columns.length)}
+            className="px-3 py-1.5 bg-gray-900 text-white rounded font-medium hover:bg-gray-800 disabled:opacity-40">
+            Export {counts[scope].toLocaleString("en-AU")}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,19 @@
+// Renders `text` with each distress match marked in place. Negated matches
+// are shown struck through so analysts can see why they were not counted.
+export default function HighlightedText({ text, matches = [] }) {
+  const parts = [];
+  let pos = 0;
+  for (const m of matches) {
+    if (m.start < pos) continue;
+    if (m.start > pos) parts.push(text.slice(pos, m.start));
+    parts.push(
+      <mark key={m.start} title={m.negated ? `"${m.term}" (negated, not counted)` : `Distress signal: ${m.term}`}
+        className={m.negated ? "bg-gray-100 text-gray-400 line-through rounded px-0.5" : "bg-red-100 text-red-800 rounded px-0.5"}>
+        {text.slice(m.start, m.end)}
+      </mark>
+    );
+    pos = m.end;
+  }
+  parts.push(text.slice(pos));
+  return <>{parts}</>;
+}
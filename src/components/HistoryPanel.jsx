@@ -0,0 +1,68 @@
+import { useState } from "react";
+
+function formatDate(iso) {
+  return new Date(iso).toLocaleString("en-AU", { dateStyle: "medium", timeStyle: "short" });
+}
+
+function SnapshotRow({ snap, active, onOpen, onRename, onDelete }) {
+  const [name, setName] = useState(snap.name);
+  const [confirming, setConfirming] = useState(false);
+  const commit = () => { if (name.trim() && name.trim() !== snap.name) onRename(snap.id, name.trim()); else setName(snap.name); };
+  return (
+    <tr className={`border-b border-gray-100 ${active ? "bg-blue-50" : ""}`}>
+      <td className="px-3 py-2">
+        <input value={name} onChange={e => setName(e.target.value)} onBlur={commit}
+          onKeyDown={e => e.key === "Enter" && e.target.blur()}
+          className="border border-transparent hover:border-gray-300 focus:border-gray-300 rounded px-1 py-0.5 text-sm font-medium text-gray-900 bg-transparent" />
+        {active && <span className="ml-1 text-xs text-blue-600">Current</span>}
+      </td>
+      <td className="px-3 py-2 text-xs text-gray-500">{formatDate(snap.createdAt)}</td>
+      <td className="px-3 py-2 text-xs text-gray-500">{formatDate(snap.updatedAt)}</td>
+      <td className="px-3 py-2 text-xs text-gray-500 max-w-[220px] truncate" title={(snap.sourceNames || []).join(", ")}>
+        {(snap.sourceNames || []).join(", ") || "—"}
+      </td>
+      <td className="px-3 py-2 text-gray-600">{snap.propertyCount ?? "—"}</td>
+      <td className="px-3 py-2 text-red-600 font-medium">{snap.highCount ?? "—"}</td>
+      <td className="px-3 py-2 text-right whitespace-nowrap">
+        {!active && <button onClick={() => onOpen(snap.id)} className="px-2 py-1 text-xs text-gray-600 border border-gray-300 rounded hover:bg-gray-50">Open</button>}
+        {confirming ? (
+          <>
+            <button onClick={() => onDelete(snap.id)} className="ml-2 text-xs text-red-600 font-medium">Confirm delete</button>
+            <button onClick={() => setConfirming(false)} className="ml-2 text-xs text-gray-400">Cancel</button>
+          </>
+        ) : (
+          <button onClick={() => setConfirming(true)} className="ml-2 text-xs text-gray-400 hover:text-red-600">Delete</button>
+        )}
+      </td>
+    </tr>
+  );
+}
+
+export default function HistoryPanel({ snapshots, activeId, onOpen, onRename, onDelete }) {
+  if (!snapshots.length) {
+    return <div className="bg-white rounded-lg border border-gray-200 px-4 py-12 text-center text-sm text-gray-400">No saved scans yet.</div>;
+  }
+  return (
+    <div className="bg-white rounded-lg border border-gray-200 overflow-x-auto">
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="border-b border-gray-200 bg-gray-50 text-xs text-gray-500">
+            <th className="px-3 py-2 text-left font-medium">Scan</th>
+            <th className="px-3 py-2 text-left font-medium">Created</th>
+            <th className="px-3 py-2 text-left font-medium">Last Saved</th>
+            <th className="px-3 py-2 text-left font-medium">Sources</th>
+            <th className="px-3 py-2 text-left font-medium">Properties</th>
+            <th className="px-3 py-2 text-left font-medium">High</th>
+            <th />
+          </tr>
+        </thead>
+        <tbody>
+          {snapshots.map(s => (
+            <SnapshotRow key={`${s.id}:${s.name}`} snap={s} active={s.id === activeId}
+              onOpen={onOpen} onRename={onRename} onDelete={onDelete} />
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
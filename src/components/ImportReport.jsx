@@ -0,0 +1,173 @@
+import { useMemo, useState } from "react";
+import { mapListing } from "../lib/scoring";
+import { ISSUE_TYPES, validateRow, mappingNotes, countIssues, rejectedRowsForExport } from "../lib/validation";
+
+const PAGE = 50;
+
+const FIELD_LABELS = {
+  askingPrice: "Price", description: "Description", postcode: "Postcode", state: "State",
+  landArea: "Land", buildingArea: "Building", daysOnMarket: "DOM",
+};
+
+const TYPE_COLORS = {
+  price: "bg-red-100 text-red-700",
+  description: "bg-amber-100 text-amber-700",
+  postcode: "bg-purple-100 text-purple-700",
+  area: "bg-blue-100 text-blue-700",
+  dom: "bg-gray-200 text-gray-700",
+};
+
+// `fields` come from the original issues so an input stays put once fixed.
+function FixRow({ index, raw, issues, fields, mapping, excluded, onFix, onToggle }) {
+  return (
+    <tr className={`border-b border-gray-100 align-top ${excluded ? "bg-gray-50 text-gray-400" : ""}`}>
+      <td className="px-3 py-2">
+        <input type="checkbox" checked={excluded} onChange={() => onToggle(index)} aria-label={`Exclude row ${index + 2}`} />
+      </td>
+      <td className="px-3 py-2 text-xs text-gray-400 tabular-nums">{index + 2}</td>
+      <td className="px-3 py-2 max-w-[220px]">
+        <div className="truncate text-gray-900">{(mapping.address && raw[mapping.address]) || "—"}</div>
+        <div className="truncate text-xs text-gray-500">{mapping.suburb && raw[mapping.suburb]}</div>
+      </td>
+      <td className="px-3 py-2">
+        {issues.length ? (
+          <ul className="space-y-1">
+            {issues.map((issue, n) => (
+              <li key={n} className="text-xs">
+                <span className={`px-1.5 py-0.5 rounded mr-1.5 ${TYPE_COLORS[issue.type]}`}>{ISSUE_TYPES.find(t => t.id === issue.type).label}</span>
+                {issue.message}
+              </li>
+            ))}
+          </ul>
+        ) : <span className="text-xs text-green-700">Fixed</span>}
+      </td>
+      <td className="px-3 py-2">
+        <div className="space-y-1">
+          {fields.map(field => (
+            <label key={field} className="flex items-center gap-2 text-xs">
+              <span className="w-16 text-gray-500">{FIELD_LABELS[field] || field}</span>
+              {field === "description" ? (
+                <textarea value={raw[mapping[field]] ?? ""} onChange={e => onFix(index, mapping[field], e.target.value)} disabled={excluded}
+                  rows={2} className="flex-1 min-w-[200px] border border-gray-300 rounded px-2 py-1 disabled:bg-gray-50" />
+              ) : (
+                <input value={raw[mapping[field]] ?? ""} onChange={e => onFix(index, mapping[field], e.target.value)} disabled={excluded}
+                  className="w-40 border border-gray-300 rounded px-2 py-1 disabled:bg-gray-50" />
+              )}
+            </label>
+          ))}
+        </div>
+      </td>
+    </tr>
+  );
+}
+
+// Shown after mapping when some rows fail validation. Fixes edit the raw
+// column values and are re-validated as the user types; `onImport` receives
+// the edited raw rows by index plus the excluded indices.
+export default function ImportReport({ fileName, sourceName, data, mapping, model, flagged, initialExcluded = [], onImport, onExportRejected, onBack, onCancel }) {
+  const [fixes, setFixes] = useState({});
+  const [excluded, setExcluded] = useState(() => new Set(initialExcluded));
+  const [typeFilter, setTypeFilter] = useState("");
+  const [page, setPage] = useState(0);
+
+  const current = useMemo(() => flagged.map(f => {
+    if (!fixes[f.index]) return f;
+    const raw = fixes[f.index];
+    return { index: f.index, issues: validateRow(raw, mapListing(raw, mapping), mapping) };
+  }), [flagged, fixes, mapping]);
+
+  const counts = useMemo(() => countIssues(current), [current]);
+  const originalCounts = useMemo(() => countIssues(flagged), [flagged]);
+  const outstanding = current.filter(f => f.issues.length && !excluded.has(f.index)).length;
+  // Filter on the original issues so a row stays in view while it is fixed.
+  const shown = typeFilter ? current.filter((f, n) => flagged[n].issues.some(i => i.type === typeFilter)) : current;
+  const pages = Math.max(1, Math.ceil(shown.length / PAGE));
+  const pageRows = shown.slice(page * PAGE, page * PAGE + PAGE);
+  const notes = mappingNotes(mapping, model);
+
+  const rawFor = (i) => fixes[i] || data[i];
+  const fix = (i, col, value) => setFixes(prev => ({ ...prev, [i]: { ...(prev[i] || data[i]), [col]: value } }));
+  const toggle = (i) => setExcluded(prev => { const next = new Set(prev); if (next.has(i)) next.delete(i); else next.add(i); return next; });
+  const setShownExcluded = (on) => setExcluded(prev => {
+    const next = new Set(prev);
+    shown.forEach(f => { if (!on) next.delete(f.index); else if (f.issues.length) next.add(f.index); });
+    return next;
+  });
+  const chooseType = (t) => { setTypeFilter(t); setPage(0); };
+  const exportRejected = () => {
+    const issuesByIndex = Object.fromEntries(current.map(f => [f.index, f.issues]));
+    onExportRejected(rejectedRowsForExport([...excluded].sort((a, b) => a - b).map(i => ({ raw: rawFor(i), issues: issuesByIndex[i] }))));
+  };
+  const fieldsByIndex = useMemo(() => Object.fromEntries(flagged.map(f => [f.index, [...new Set(f.issues.flatMap(i => i.fields))]])), [flagged]);
+
+  return (
+    <div className="min-h-screen bg-white p-4 md:p-8 font-sans">
+      <h1 className="text-2xl font-bold text-gray-900 mb-1">Import Report</h1>
+      <p className="text-gray-500 mb-4 text-sm">
+        {flagged.length.toLocaleString("en-AU")} of {data.length.toLocaleString("en-AU")} rows in <span className="font-medium text-gray-700">{fileName}</span> have
+        data problems. Fix values below or exclude rows before "{sourceName}" is scored. Row numbers match the spreadsheet.
+      </p>
+      {notes.length > 0 && (
+        <ul className="mb-4 text-xs text-amber-800 bg-amber-50 border border-amber-200 rounded px-3 py-2 space-y-0.5">
+          {notes.map(n => <li key={n}>{n}</li>)}
+        </ul>
+      )}
+      <div className="flex flex-wrap items-center gap-2 mb-3">
+        <button onClick={() => chooseType("")}
+          className={`px-3 py-1 rounded-full text-xs border ${!typeFilter ? "bg-gray-900 text-white border-gray-900" : "border-gray-300 text-gray-600 hover:bg-gray-50"}`}>
+          All ({current.length})
+        </button>
+        {ISSUE_TYPES.filter(t => originalCounts[t.id]).map(t => (
+          <button key={t.id} onClick={() => chooseType(t.id)}
+            className={`px-3 py-1 rounded-full text-xs border ${typeFilter === t.id ? "bg-gray-900 text-white border-gray-900" : "border-gray-300 text-gray-600 hover:bg-gray-50"}`}>
+            {t.label} ({counts[t.id]})
+          </button>
+        ))}
+        <span className="ml-auto flex gap-3 text-xs">
+          <button onClick={() => setShownExcluded(true)} className="text-gray-600 hover:text-red-600">Exclude {typeFilter ? "these" : "all flagged"}</button>
+          <button onClick={() => setShownExcluded(false)} className="text-gray-600 hover:text-gray-900">Include {typeFilter ? "these" : "all"}</button>
+        </span>
+      </div>
+      <div className="border border-gray-200 rounded-lg overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead className="bg-gray-50 text-xs text-gray-500 text-left">
+            <tr>
+              <th className="px-3 py-2 font-medium w-16">Exclude</th>
+              <th className="px-3 py-2 font-medium w-12">Row</th>
+              <th className="px-3 py-2 font-medium">Listing</th>
+              <th className="px-3 py-2 font-medium">Issues</th>
+              <th className="px-3 py-2 font-medium">Fix</th>
+            </tr>
+          </thead>
+          <tbody>
+            {pageRows.map(f => (
+              <FixRow key={f.index} index={f.index} raw={rawFor(f.index)} mapping={mapping} issues={f.issues} fields={fieldsByIndex[f.index]}
+                excluded={excluded.has(f.index)} onFix={fix} onToggle={toggle} />
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {pages > 1 && (
+        <div className="flex items-center gap-3 mt-2 text-xs text-gray-500">
+          <button disabled={page === 0} onClick={() => setPage(p => p - 1)} className="hover:text-gray-900 disabled:opacity-40">Previous</button>
+          <span>Page {page + 1} of {pages}</span>
+          <button disabled={page >= pages - 1} onClick={() => setPage(p => p + 1)} className="hover:text-gray-900 disabled:opacity-40">Next</button>
+        </div>
+      )}
+      <div className="mt-6 flex flex-wrap items-center gap-2">
+        <button onClick={() => onImport(fixes, [...excluded])} className="px-6 py-2 bg-gray-900 text-white rounded text-sm font-medium hover:bg-gray-800">
+          Import {(data.length - excluded.size).toLocaleString("en-AU")} rows
+        </button>
+        <button onClick={exportRejected} disabled={!excluded.size}
+          className="px-4 py-2 border border-gray-300 rounded text-sm text-gray-600 hover:bg-gray-50 disabled:opacity-40">
+          Export rejected rows ({excluded.size})
+        </button>
+        <button onClick={() => onBack(fixes)} className="px-4 py-2 border border-gray-300 rounded text-sm text-gray-600 hover:bg-gray-50">Back to mapping</button>
+        <button onClick={onCancel} className="px-4 py-2 text-sm text-gray-500 hover:text-gray-700">Cancel</button>
+        <span className="text-xs text-gray-500 ml-2">
+          {outstanding ? `${outstanding.toLocaleString("en-AU")} flagged rows will be imported as they are.` : "All flagged rows are fixed or excluded."}
+        </span>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,288 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import { formatAUD, PRIORITY_COLORS } from "../lib/format";
+
+// Web Mercator in 256px tiles, the same projection the OSM basemap uses.
+const TILE = 256;
+const HEIGHT = 560;
+const CELL = 56;
+const MIN_ZOOM = 4, MAX_ZOOM = 17;
+const NSW_VIEW = { lat: -32.8, lng: 148.5, zoom: 6 };
+const PRIORITIES = ["High Priority", "Monitor", "Low"];
+const PRECISION_LABELS = { exact: "from file", suburb: "suburb centre", postcode: "postcode centre", approximate: "nearby postcode" };
+
+function project(lat, lng, zoom) {
+  const size = TILE * 2 ** zoom;
+  const sin = Math.sin(lat * Math.PI / 180);
+  return { x: (lng + 180) / 360 * size, y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * size };
+}
+
+function unproject(x, y, zoom) {
+  const size = TILE * 2 ** zoom;
+  const n = Math.PI - 2 * Math.PI * y / size;
+  return { lat: 180 / Math.PI * Math.atan(Math.sinh(n)), lng: x / size * 360 - 180 };
+}
+
+function fitView(points, width, height) {
+  if (!points.length) return NSW_VIEW;
+  const lats = points.map(p => p.geo.lat), lngs = points.map(p => p.geo.lng);
+  const [south, north, west, east] = [Math.min(...lats), Math.max(...lats), Math.min(...lngs), Math.max(...lngs)];
+  for (let zoom = 14; zoom > MIN_ZOOM; zoom--) {
+    const a = project(north, west, zoom), b = project(south, east, zoom);
+    if (b.x - a.x <= width - 80 && b.y - a.y <= height - 80) {
+      return { ...unproject((a.x + b.x) / 2, (a.y + b.y) / 2, zoom), zoom };
+    }
+  }
+  return { lat: (north + south) / 2, lng: (east + west) / 2, zoom: MIN_ZOOM };
+}
+
+// Zooms by `dz` levels keeping the point under (px, py) fixed on screen.
+function zoomAt(view, dz, px, py, width) {
+  const zoom = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, view.zoom + dz));
+  if (zoom === view.zoom) return view;
+  const c = project(view.lat, view.lng, view.zoom);
+  const f = 2 ** (zoom - view.zoom);
+  const ox = px - width / 2, oy = py - HEIGHT / 2;
+  return { ...unproject((c.x + ox) * f - ox, (c.y + oy) * f - oy, zoom), zoom };
+}
+
+function clusterPoints(points, zoom) {
+  const cells = new Map();
+  for (const p of points) {
+    const { x, y } = project(p.geo.lat, p.geo.lng, zoom);
+    const key = `${Math.floor(x / CELL)}:${Math.floor(y / CELL)}`;
+    let c = cells.get(key);
+    if (!c) cells.set(key, c = { key, x: 0, y: 0, items: [] });
+    c.x += x; c.y += y; c.items.push(p);
+  }
+  return [...cells.values()].map(c => {
+    const n = c.items.length;
+    const priority = PRIORITIES.find(pr => c.items.some(p => p.priority === pr)) || "Low";
+    const sameSpot = c.items.every(p => p.geo.lat === c.items[0].geo.lat && p.geo.lng === c.items[0].geo.lng);
+    return { ...c, x: c.x / n, y: c.y / n, priority, sameSpot };
+  });
+}
+
+function PropertyList({ items, onClose }) {
+  const sorted = [...items].sort((a, b) => b.score - a.score);
+  return (
+    <div className="absolute top-3 right-3 w-72 max-h-[500px] overflow-y-auto bg-white rounded-lg border border-gray-200 shadow-lg text-xs"
+      onPointerDown={e => e.stopPropagation()}>
+      <div className="px-3 py-2 border-b border-gray-100 flex items-center">
+        <span className="font-medium text-gray-900">{items.length} {items.length === 1 ? "property" : "properties"}</span>
+        <button onClick={onClose} className="ml-auto text-gray-400 hover:text-gray-600">Close</button>
+      </div>
+      {sorted.slice(0, 25).map(p => (
+        <div key={p.id} className="px-3 py-2 border-b border-gray-100 last:border-b-0">
+          <div className="flex items-center gap-2">
+            <span className="w-2 h-2 rounded-full flex-shrink-0" style={{ background: PRIORITY_COLORS[p.priority] }} />
+            <span className="font-medium text-gray-900 truncate">{p.address || "—"}</span>
+            <span className="ml-auto font-bold" style={{ color: PRIORITY_COLORS[p.priority] }}>{p.score}</span>
+          </div>
+          <div className="text-gray-500 mt-0.5">
+            {p.suburb} {p.postcode} | {p.propertyType || "—"} | {formatAUD(p.askingPrice)}
+          </div>
+          <div className="text-gray-400 mt-0.5">
+            Location: {PRECISION_LABELS[p.geo.precision]}
+            {p.listingUrl && <a href={p.listingUrl} target="_blank" rel="noopener noreferrer" className="ml-2 text-blue-600 hover:underline">Listing ↗</a>}
+          </div>
+        </div>
+      ))}
+      {sorted.length > 25 && <div className="px-3 py-2 text-gray-400">+{sorted.length - 25} more — zoom in or select a region.</div>}
+    </div>
+  );
+}
+
+export default function MapPanel({ properties, region, onRegionChange }) {
+  const points = useMemo(() => properties.filter(p => p.geo), [properties]);
+  const containerRef = useRef();
+  const drag = useRef(null);
+  const wheelDelta = useRef(0);
+  const [width, setWidth] = useState(800);
+  const [view, setView] = useState(() => fitView(points, 800, HEIGHT));
+  const [basemap, setBasemap] = useState(true);
+  const [selecting, setSelecting] = useState(false);
+  const [rect, setRect] = useState(null);
+  const [selected, setSelected] = useState(null);
+
+  useEffect(() => {
+    const el = containerRef.current;
+    if (!el || typeof ResizeObserver === "undefined") return;
+    const ro = new ResizeObserver(([entry]) => setWidth(Math.round(entry.contentRect.width) || 800));
+    ro.observe(el);
+    return () => ro.disconnect();
+  }, []);
+
+  // React registers wheel listeners as passive, so page scrolling can only be
+  // stopped from a native listener.
+  useEffect(() => {
+    const el = containerRef.current;
+    if (!el) return;
+    const onWheel = (e) => {
+      e.preventDefault();
+      wheelDelta.current += e.deltaY;
+      if (Math.abs(wheelDelta.current) < 80) return;
+      const dz = wheelDelta.current < 0 ? 1 : -1;
+      wheelDelta.current = 0;
+      const box = el.getBoundingClientRect();
+      setView(v => zoomAt(v, dz, e.clientX - box.left, e.clientY - box.top, box.width));
+    };
+    el.addEventListener("wheel", onWheel, { passive: false });
+    return () => el.removeEventListener("wheel", onWheel);
+  }, []);
+
+  const center = project(view.lat, view.lng, view.zoom);
+  const left = center.x - width / 2, top = center.y - HEIGHT / 2;
+  const clusters = useMemo(() => clusterPoints(points, view.zoom), [points, view.zoom]);
+  const visible = clusters.filter(c => c.x >= left - 30 && c.x <= left + width + 30 && c.y >= top - 30 && c.y <= top + HEIGHT + 30);
+
+  const tiles = [];
+  if (basemap) {
+    const n = 2 ** view.zoom;
+    for (let ty = Math.max(0, Math.floor(top / TILE)); ty <= Math.min(n - 1, Math.floor((top + HEIGHT) / TILE)); ty++) {
+      for (let tx = Math.floor(left / TILE); tx <= Math.floor((left + width) / TILE); tx++) {
+        const wx = ((tx % n) + n) % n;
+        tiles.push({ key: `${view.zoom}/${tx}/${ty}`, src: `https://tile.openstreetmap.org/${view.zoom}/${wx}/${ty}.png`, x: tx * TILE - left, y: ty * TILE - top });
+      }
+    }
+  }
+
+  const regionRect = region && (() => {
+    const a = project(region.north, region.west, view.zoom), b = project(region.south, region.east, view.zoom);
+    return { x: a.x - left, y: a.y - top, w: b.x - a.x, h: b.y - a.y };
+  })();
+
+  const localPoint = (e) => {
+    const box = containerRef.current.getBoundingClientRect();
+    return { x: e.clientX - box.left, y: e.clientY - box.top };
+  };
+
+  const onPointerDown = (e) => {
+    if (e.button !== 0) return;
+    const pt = localPoint(e);
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+    drag.current = { start: pt, center, mode: selecting || e.shiftKey ? "select" : "pan" };
+  };
+
+  const onPointerMove = (e) => {
+    const d = drag.current;
+    if (!d) return;
+    const pt = localPoint(e);
+    if (d.mode === "select") setRect({ x0: d.start.x, y0: d.start.y, x1: pt.x, y1: pt.y });
+    else setView(v => ({ ...unproject(d.center.x - (pt.x - d.start.x), d.center.y - (pt.y - d.start.y), v.zoom), zoom: v.zoom }));
+  };
+
+  const onPointerUp = () => {
+    const d = drag.current;
+    drag.current = null;
+    if (!d || d.mode !== "select" || !rect) { setRect(null); return; }
+    setRect(null);
+    setSelecting(false);
+    if (Math.abs(rect.x1 - rect.x0) < 8 || Math.abs(rect.y1 - rect.y0) < 8) return;
+    const a = unproject(left + Math.min(rect.x0, rect.x1), top + Math.min(rect.y0, rect.y1), view.zoom);
+    const b = unproject(left + Math.max(rect.x0, rect.x1), top + Math.max(rect.y0, rect.y1), view.zoom);
+    setSelected(null);
+    onRegionChange({ north: a.lat, south: b.lat, west: a.lng, east: b.lng });
+  };
+
+  const openCluster = (c) => {
+    if (c.items.length === 1 || c.sameSpot || view.zoom >= MAX_ZOOM) { setSelected(c.items); return; }
+    const target = unproject(c.x, c.y, view.zoom);
+    setView({ ...target, zoom: Math.min(MAX_ZOOM, view.zoom + 2) });
+  };
+
+  const approxCount = points.filter(p => p.geo.precision !== "exact").length;
+  const missing = properties.length - points.length;
+
+  return (
+    <div className="bg-white rounded-lg border border-gray-200">
+      <div className="px-4 py-3 border-b border-gray-100 flex flex-wrap items-center gap-3">
+        <div>
+          <h3 className="text-sm font-bold text-gray-900">Property Map</h3>
+          <p className="text-xs text-gray-400">
+            {points.length} of {properties.length} filtered properties placed
+            {approxCount > 0 && `, ${approxCount} at suburb or postcode centres`}
+            {missing > 0 && `, ${missing} without a recognised suburb or postcode`}
+          </p>
+        </div>
+        <div className="ml-auto flex flex-wrap items-center gap-2">
+          {region && (
+            <span className="flex items-center gap-1.5 text-xs bg-blue-50 text-blue-700 border border-blue-200 rounded-full px-2.5 py-1">
+              Region filter on
+              <button onClick={() => onRegionChange(null)} className="text-blue-400 hover:text-blue-700">✕</button>
+            </span>
+          )}
+          <button onClick={() => setSelecting(s => !s)}
+            className={`px-3 py-1.5 rounded text-xs font-medium ${selecting ? "bg-blue-600 text-white" : "border border-gray-300 text-gray-600 hover:bg-gray-50"}`}>
+            {selecting ? "Drag to select…" : "Select Region"}
+          </button>
+          <button onClick={() => setView(v => zoomAt(v, 1, width / 2, HEIGHT / 2, width))} className="w-7 h-7 border border-gray-300 rounded text-sm text-gray-600 hover:bg-gray-50">+</button>
+          <button onClick={() => setView(v => zoomAt(v, -1, width / 2, HEIGHT / 2, width))} className="w-7 h-7 border border-gray-300 rounded text-sm text-gray-600 hover:bg-gray-50">−</button>
+          <button onClick={() => setView(fitView(points, width, HEIGHT))} className="px-3 py-1.5 border border-gray-300 rounded text-xs text-gray-600 hover:bg-gray-50">Fit</button>
+          <label className="flex items-center gap-1.5 text-xs text-gray-600">
+            <input type="checkbox" checked={basemap} onChange={e => setBasemap(e.target.checked)} /> Basemap
+          </label>
+        </div>
+      </div>
+
+      <div ref={containerRef} className={`relative overflow-hidden bg-slate-100 select-none touch-none ${selecting ? "cursor-crosshair" : "cursor-grab"}`}
+        style={{ height: HEIGHT }}
+        onPointerDown={onPointerDown} onPointerMove={onPointerMove} onPointerUp={onPointerUp} onPointerCancel={onPointerUp}
+        onDoubleClick={e => { const pt = localPoint(e); setView(v => zoomAt(v, 1, pt.x, pt.y, width)); }}>
+        {tiles.map(t => (
+          <img key={t.key} src={t.src} alt="" draggable={false} className="absolute max-w-none pointer-events-none"
+            style={{ left: t.x, top: t.y, width: TILE, height: TILE }} />
+        ))}
+        <svg className="absolute inset-0" width={width} height={HEIGHT}>
+          {regionRect && (
+            <rect x={regionRect.x} y={regionRect.y} width={regionRect.w} height={regionRect.h}
+              fill="#2563EB" fillOpacity={0.06} stroke="#2563EB" strokeDasharray="6 4" />
+          )}
+          {visible.map(c => {
+            const x = c.x - left, y = c.y - top;
+            const n = c.items.length;
+            const approx = c.items.every(p => p.geo.precision !== "exact");
+            if (n === 1) {
+              const p = c.items[0];
+              return (
+                <circle key={c.key} cx={x} cy={y} r={7} fill={PRIORITY_COLORS[p.priority]} fillOpacity={approx ? 0.55 : 0.9}
+                  stroke="#fff" strokeWidth={2} className="cursor-pointer"
+                  onPointerDown={e => e.stopPropagation()} onClick={() => openCluster(c)}>
+                  <title>{`${p.address || "—"}, ${p.suburb} | Score ${p.score} | ${formatAUD(p.askingPrice)}`}</title>
+                </circle>
+              );
+            }
+            const r = 11 + Math.min(14, Math.log2(n) * 3);
+            return (
+              <g key={c.key} className="cursor-pointer" onPointerDown={e => e.stopPropagation()} onClick={() => openCluster(c)}>
+                <circle cx={x} cy={y} r={r} fill={PRIORITY_COLORS[c.priority]} fillOpacity={approx ? 0.6 : 0.85} stroke="#fff" strokeWidth={2} />
+                <text x={x} y={y} dy="0.35em" textAnchor="middle" fontSize={11} fontWeight="bold" fill="#fff">{n}</text>
+                <title>{`${n} properties${c.sameSpot ? ` in ${c.items[0].suburb || c.items[0].postcode}` : ""}`}</title>
+              </g>
+            );
+          })}
+          {rect && (
+            <rect x={Math.min(rect.x0, rect.x1)} y={Math.min(rect.y0, rect.y1)}
+              width={Math.abs(rect.x1 - rect.x0)} height={Math.abs(rect.y1 - rect.y0)}
+              fill="#2563EB" fillOpacity={0.12} stroke="#2563EB" />
+          )}
+        </svg>
+        {selected && <PropertyList items={selected} onClose={() => setSelected(null)} />}
+        {basemap && (
+          <div className="absolute bottom-0 right-0 bg-white/80 px-1.5 py-0.5 text-[10px] text-gray-600">
+            © <a href="https://www.openstreetmap.org/copyright" target="_blank" rel="noopener noreferrer" className="underline">OpenStreetMap</a> contributors
+          </div>
+        )}
+      </div>
+
+      <div className="px-4 py-2 border-t border-gray-100 flex flex-wrap items-center gap-4 text-xs text-gray-500">
+        {PRIORITIES.map(p => (
+          <span key={p} className="flex items-center gap-1.5">
+            <span className="w-2.5 h-2.5 rounded-full" style={{ background: PRIORITY_COLORS[p] }} />{p}
+          </span>
+        ))}
+        <span className="text-gray-400">Faded markers are placed at a suburb or postcode centre. Clusters take the colour of their highest priority.</span>
+        <span className="ml-auto text-gray-400">Drag to pan, scroll or double-click to zoom, Shift+drag to select a region.</span>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,70 @@
+import { useRef, useState } from "react";
+import ColumnMappingFields from "./ColumnMappingFields";
+
+function PresetRow({ preset, fields, onSave, onDelete }) {
+  const [editing, setEditing] = useState(false);
+  const [name, setName] = useState(preset.name);
+  const [mapping, setMapping] = useState(preset.mapping);
+  const mappedCount = Object.values(preset.mapping).filter(Boolean).length;
+
+  const cancel = () => { setEditing(false); setName(preset.name); setMapping(preset.mapping); };
+  const save = () => { onSave({ ...preset, name: name.trim() || preset.name, mapping }); setEditing(false); };
+
+  return (
+    <div className="border-b border-gray-100 last:border-b-0">
+      <div className="px-4 py-2 flex items-center gap-3 text-sm">
+        <span className="font-medium text-gray-900">{preset.name}</span>
+        <span className="text-xs text-gray-400 truncate flex-1" title={preset.headers.join(", ")}>
+          {preset.headers.length} columns, {mappedCount} fields mapped | updated {new Date(preset.updatedAt).toLocaleDateString("en-AU")}
+        </span>
+        {!editing && (
+          <>
+            <button onClick={() => setEditing(true)} className="text-xs text-gray-500 hover:text-gray-700">Edit</button>
+            <button onClick={() => onDelete(preset.id)} className="text-xs text-gray-400 hover:text-red-600">Delete</button>
+          </>
+        )}
+      </div>
+      {editing && (
+        <div className="px-4 pb-4">
+          <div className="flex items-center gap-4 mb-3">
+            <label className="w-40 text-sm font-medium text-gray-700">Preset name</label>
+            <input value={name} onChange={e => setName(e.target.value)}
+              className="flex-1 border border-gray-300 rounded px-3 py-1.5 text-sm" />
+          </div>
+          <ColumnMappingFields fields={fields} headers={preset.headers} mapping={mapping} onChange={setMapping} />
+          <div className="mt-3 flex gap-2">
+            <button onClick={save} className="px-3 py-1.5 bg-gray-900 text-white rounded text-xs font-medium hover:bg-gray-800">Save Preset</button>
+            <button onClick={cancel} className="px-3 py-1.5 border border-gray-300 rounded text-xs text-gray-600 hover:bg-gray-50">Cancel</button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default function MappingPresetsPanel({ presets, fields, onSave, onDelete, onExport, onImport }) {
+  const fileRef = useRef();
+  return (
+    <div className="bg-white rounded-lg border border-gray-200">
+      <div className="px-4 py-3 border-b border-gray-100 flex items-center gap-2">
+        <div>
+          <h3 className="text-sm font-bold text-gray-900">Column Mapping Presets</h3>
+          <p className="text-xs text-gray-400">Mappings fixed on the Column Mapping screen are remembered and applied to files with the same columns.</p>
+        </div>
+        <div className="ml-auto flex gap-2">
+          <button onClick={() => fileRef.current?.click()}
+            className="px-3 py-1.5 border border-gray-300 rounded text-xs text-gray-600 hover:bg-gray-50">Import</button>
+          <input ref={fileRef} type="file" accept=".json" className="hidden"
+            onChange={e => { if (e.target.files[0]) onImport(e.target.files[0]); e.target.value = ""; }} />
+          <button onClick={onExport} disabled={!presets.length}
+            className="px-3 py-1.5 border border-gray-300 rounded text-xs text-gray-600 hover:bg-gray-50 disabled:opacity-40">Export</button>
+        </div>
+      </div>
+      {presets.length === 0 ? (
+        <div className="px-4 py-8 text-center text-sm text-gray-400">No saved presets yet.</div>
+      ) : (
+        presets.map(p => <PresetRow key={`${p.id}:${p.updatedAt}`} preset={p} fields={fields} onSave={onSave} onDelete={onDelete} />)
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,105 @@
+import { useMemo, useState } from "react";
+import { DEAL_STATUSES, STATUS_COLORS, CLOSED_STATUSES, followUpState } from "../lib/pipeline";
+import { formatAUD, PRIORITY_COLORS, PRIORITY_BG } from "../lib/format";
+import { StarButton, FollowUpBadge } from "./DealEditor";
+
+function DealCard({ entry, property, onChange, onOpen, onRemove }) {
+  const set = (patch) => onChange({ ...entry, ...patch, updatedAt: new Date().toISOString() });
+  return (
+    <div draggable onDragStart={e => e.dataTransfer.setData("text/plain", entry.key)}
+      className={`bg-white border rounded-lg p-2.5 text-xs cursor-grab ${followUpState(entry) === "overdue" ? "border-red-300" : "border-gray-200"}`}>
+      <div className="flex items-start gap-1.5">
+        <StarButton starred={entry.starred} onToggle={() => set({ starred: !entry.starred })} className="text-sm" />
+        <div className="min-w-0 flex-1">
+          {property ? (
+            <button onClick={() => onOpen(entry)} className="font-medium text-gray-900 text-left hover:underline truncate block w-full">{entry.address || "—"}</button>
+          ) : (
+            <span className="font-medium text-gray-900 truncate block">{entry.address || "—"}</span>
+          )}
+          <span className="text-gray-500">{entry.suburb}</span>
+        </div>
+      </div>
+      <div className="flex flex-wrap items-center gap-1.5 mt-1.5">
+        {property ? (
+          <>
+            <span className="px-1.5 rounded-full font-medium" style={{ backgroundColor: PRIORITY_BG[property.priority], color: PRIORITY_COLORS[property.priority] }}>{property.score}</span>
+            <span className="text-gray-600">{property.askingPrice ? formatAUD(property.askingPrice) : (property.askingPriceRaw || "—")}</span>
+          </>
+        ) : (
+          <span className="text-gray-400" title="Notes are kept and reattach when the property appears in a later import">Not in this scan</span>
+        )}
+        <FollowUpBadge entry={entry} />
+      </div>
+      {entry.notes && <p className="text-gray-500 mt-1.5 line-clamp-2" title={entry.notes}>{entry.notes}</p>}
+      <div className="flex items-center gap-2 mt-2">
+        <select value={entry.status} onChange={e => set({ status: e.target.value })} className="border border-gray-200 rounded px-1 py-0.5 text-xs text-gray-600">
+          {DEAL_STATUSES.map(s => <option key={s} value={s}>{s}</option>)}
+        </select>
+        <button onClick={() => onRemove(entry.key)} className="ml-auto text-gray-400 hover:text-red-600">Remove</button>
+      </div>
+    </div>
+  );
+}
+
+// Kanban board of every property with a recorded status, note, follow-up or
+// watchlist flag. Cards can be dragged between columns.
+export default function PipelinePanel({ pipeline, properties, onChange, onOpen, onRemove }) {
+  const [watchlistOnly, setWatchlistOnly] = useState(false);
+  const [hideClosed, setHideClosed] = useState(false);
+  const [dragOver, setDragOver] = useState(null);
+  const byKey = useMemo(() => new Map(properties.map(p => [p.key, p])), [properties]);
+
+  const entries = Object.values(pipeline).filter(e => !watchlistOnly || e.starred);
+  const statuses = hideClosed ? DEAL_STATUSES.filter(s => !CLOSED_STATUSES.includes(s)) : DEAL_STATUSES;
+  const overdue = entries.filter(e => followUpState(e) === "overdue").length;
+
+  const drop = (e, status) => {
+    e.preventDefault();
+    setDragOver(null);
+    const entry = pipeline[e.dataTransfer.getData("text/plain")];
+    if (entry && entry.status !== status) onChange({ ...entry, status, updatedAt: new Date().toISOString() });
+  };
+
+  if (!Object.keys(pipeline).length) {
+    return (
+      <div className="bg-white rounded-lg border border-gray-200 px-4 py-12 text-center text-sm text-gray-400">
+        No deals tracked yet. Star a property or set its status from the expanded row on the Properties tab.
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-4 text-xs text-gray-600">
+        <span>{entries.length} tracked {entries.length === 1 ? "property" : "properties"}</span>
+        {overdue > 0 && <span className="text-red-600 font-medium">{overdue} overdue follow-up{overdue === 1 ? "" : "s"}</span>}
+        <label className="flex items-center gap-1.5 md:ml-auto">
+          <input type="checkbox" checked={watchlistOnly} onChange={e => setWatchlistOnly(e.target.checked)} /> Watchlist only
+        </label>
+        <label className="flex items-center gap-1.5">
+          <input type="checkbox" checked={hideClosed} onChange={e => setHideClosed(e.target.checked)} /> Hide passed and won
+        </label>
+      </div>
+      <div className="flex gap-3 overflow-x-auto pb-2">
+        {statuses.map(status => {
+          const cards = entries.filter(e => e.status === status)
+            .sort((a, b) => (a.followUp || "9999").localeCompare(b.followUp || "9999") || (byKey.get(b.key)?.score ?? -1) - (byKey.get(a.key)?.score ?? -1));
+          return (
+            <div key={status} onDragOver={e => { e.preventDefault(); setDragOver(status); }} onDragLeave={() => setDragOver(null)} onDrop={e => drop(e, status)}
+              className={`w-60 flex-shrink-0 rounded-lg p-2 ${dragOver === status ? "bg-blue-50 ring-1 ring-blue-200" : "bg-gray-100"}`}>
+              <div className="flex items-center justify-between px-1 mb-2">
+                <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${STATUS_COLORS[status]}`}>{status}</span>
+                <span className="text-xs text-gray-400">{cards.length}</span>
+              </div>
+              <div className="space-y-2 min-h-[60px]">
+                {cards.map(e => (
+                  <DealCard key={e.key} entry={e} property={byKey.get(e.key)} onChange={onChange} onOpen={onOpen} onRemove={onRemove} />
+                ))}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,116 @@
+import HighlightedText from "./HighlightedText";
+import DealEditor from "./DealEditor";
+import ScoreWhatIf from "./ScoreWhatIf";
+import { formatAUD, formatPct, formatPerSqm } from "../lib/format";
+import { formatCountdown } from "../lib/saleMethod";
+import { explainScore } from "../lib/scoring";
+
+const COMPONENT_LABELS = { distress: "Distress Keywords", dom: "Days on Market", vacancy: "Vacancy Signal", value: "Price vs Peers", sale: "Sale Method" };
+
+function bandNote({ priority, next, margin }) {
+  const above = margin !== null ? `${priority}, ${margin} point${margin === 1 ? "" : "s"} above its cut-off` : "Low";
+  return next ? `${above}; ${next.gap} point${next.gap === 1 ? "" : "s"} short of ${next.priority} (${next.cutoff})` : above;
+}
+
+// Expanded row content: deal tracking, score breakdown and listing details.
+export default function PropertyDetails({ p, model, maxScore, baselineLabel, deal, onDealChange, onOpenAgent }) {
+  const explained = explainScore(p, model);
+  return (
+    <>
+      <DealEditor key={p.key} entry={deal} onChange={onDealChange} />
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
+        <div>
+          <h4 className="font-bold text-gray-900 mb-2">Score Breakdown</h4>
+          <div className="space-y-1.5 text-xs">
+            {explained.trace.map(t => (
+              <div key={t.component}>
+                <div className="flex justify-between"><span className="text-gray-500">{COMPONENT_LABELS[t.component]}</span><span className="font-medium">{t.points}/{maxScore[t.component]}</span></div>
+                <div className="text-gray-400">{t.reason}{t.next && <span className="text-blue-600"> · {t.next}</span>}</div>
+              </div>
+            ))}
+            <div className="flex justify-between border-t border-gray-200 pt-1 mt-1"><span className="text-gray-900 font-bold">Total</span><span className="font-bold">{p.score}/{maxScore.total}</span></div>
+            <div className="text-gray-500">{bandNote(explained)}</div>
+            {explained.statePack && <div className="text-gray-400">Scored with the {explained.statePack} state pack.</div>}
+          </div>
+          <ScoreWhatIf key={p.key} p={p} model={model} />
+          {p.distressKeywords.length > 0 && (
+            <div className="mt-3">
+              <span className="text-xs text-gray-500 block mb-1">Keywords found:</span>
+              <div className="flex flex-wrap gap-1">
+                {p.distressKeywords.map(kw => (
+                  <span key={kw} className="bg-red-100 text-red-700 px-2 py-0.5 rounded text-xs">{kw}</span>
+                ))}
+              </div>
+            </div>
+          )}
+          {p.saleSignals.length > 0 && (
+            <div className="mt-2 flex flex-wrap gap-1">
+              {p.saleSignals.map(s => <span key={s} className="bg-amber-100 text-amber-800 px-2 py-0.5 rounded text-xs">{s}</span>)}
+            </div>
+          )}
+          {(() => {
+            const ignored = [...new Set(p.distressMatches.filter(m => m.negated).map(m => m.term))].filter(t => !p.distressKeywords.includes(t));
+            return ignored.length > 0 && (
+              <div className="mt-2 text-xs text-gray-400">Negated, not counted: {ignored.join(", ")}</div>
+            );
+          })()}
+        </div>
+        <div>
+          <h4 className="font-bold text-gray-900 mb-2">Details</h4>
+          <div className="space-y-1 text-xs">
+            <div>
+              <span className="text-gray-500">Agent:</span>{" "}
+              {p.agentName ? <button onClick={() => onOpenAgent("agentName", p.agentName)} className="hover:underline">{p.agentName}</button> : "—"}
+              {p.agency && <> (<button onClick={() => onOpenAgent("agency", p.agency)} className="hover:underline">{p.agency}</button>)</>}
+            </div>
+            <div>
+              <span className="text-gray-500">Land:</span> {p.landSqm !== null ? `${p.landSqm.toLocaleString("en-AU")} sqm` : (p.landArea || "—")}
+              {" | "}<span className="text-gray-500">Building:</span> {p.buildingSqm !== null ? `${p.buildingSqm.toLocaleString("en-AU")} sqm` : (p.buildingArea || "—")}
+            </div>
+            {(p.netIncome !== null || p.capRate !== null) && (
+              <div>
+                <span className="text-gray-500">Net Income:</span> {p.netIncome !== null ? `${formatAUD(p.netIncome)} p.a.` : "—"}
+                {" | "}<span className="text-gray-500">Yield:</span> {p.capRate !== null ? `${p.capRate}% (${p.capRateSource === "stated" ? "stated in listing" : "net income ÷ asking price"})` : "—"}
+              </div>
+            )}
+            {p.peerValue && (
+              <div>
+                <span className="text-gray-500">Peer Median:</span> {formatPerSqm(p.peerValue.median)}/m² {p.peerValue.basis} across {p.peerValue.count} {p.propertyType} listings
+                {p.peerValue.scope === "suburb" ? ` in ${p.suburb}` : " in this scan"}
+              </div>
+            )}
+            <div><span className="text-gray-500">Price Text:</span> {p.askingPriceRaw || "—"}</div>
+            {p.priceChange && (
+              <div><span className="text-gray-500">Price Change:</span> {formatAUD(p.priceChange.from)} → {formatAUD(p.priceChange.to)} ({formatPct(p.priceChange.pct)}) since {baselineLabel}</div>
+            )}
+            <div>
+              <span className="text-gray-500">Sale Method:</span> {p.saleMethod || "—"}{p.passedIn ? " (passed in at auction)" : ""}
+              {p.deadline && <>{" | "}<span className="text-gray-500">{p.deadlineType}:</span> {new Date(`${p.deadline}T00:00`).toLocaleDateString("en-AU", { weekday: "short", day: "numeric", month: "short", year: "numeric" })} ({formatCountdown(p.daysToDeadline)})</>}
+            </div>
+            <div><span className="text-gray-500">Council:</span> {p.councilArea || "—"}</div>
+            <div><span className="text-gray-500">{p.sources.length > 1 ? "Listed on:" : "Source:"}</span> {p.sources.join(", ")}</div>
+            {p.listingUrls && Object.keys(p.listingUrls).length > 1 ? (
+              <div className="flex flex-wrap gap-x-3 mt-1">
+                {Object.entries(p.listingUrls).map(([src, url]) => (
+                  <a key={src} href={url} target="_blank" rel="noopener noreferrer"
+                    className="text-blue-600 hover:underline">View on {src} →</a>
+                ))}
+              </div>
+            ) : p.listingUrl && (
+              <a href={p.listingUrl} target="_blank" rel="noopener noreferrer"
+                className="text-blue-600 hover:underline inline-block mt-1">View Listing →</a>
+            )}
+          </div>
+          {p.description && (
+            <div className="mt-3">
+              <span className="text-xs text-gray-500 block mb-1">Description:</span>
+              <p className="text-xs text-gray-600 max-h-32 overflow-y-auto leading-relaxed">
+                <HighlightedText text={p.description} matches={p.distressMatches} />
+              </p>
+            </div>
+          )}
+        </div>
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,267 @@
+import { Fragment, useEffect, useRef, useState } from "react";
+import { StarButton, FollowUpBadge } from "./DealEditor";
+import { TABLE_COLUMNS, DEFAULT_COLUMNS, getColumn, moveColumn, toggleSort } from "../lib/tableView";
+import { STATUS_COLORS } from "../lib/pipeline";
+import { formatAUD, formatPerSqm, PRIORITY_COLORS, PRIORITY_BG } from "../lib/format";
+import { formatCountdown } from "../lib/saleMethod";
+import { MIN_COMPARE, MAX_COMPARE } from "../lib/compare";
+
+const ROW_HEIGHT = 37;
+const OVERSCAN = 12;
+const td = "px-3 py-2 whitespace-nowrap";
+const sqm = (n, raw) => n !== null && n !== undefined ? `${n.toLocaleString("en-AU")} m²` : (raw || "—");
+
+// Cell renderers by column id; `deal` is the property's pipeline entry and
+// `alerted` the names of alert rules with an unread match for it.
+const CELLS = {
+  address: (p, deal, alerted) => (
+    <td className={`${td} font-medium text-gray-900 max-w-xs truncate`}>
+      {alerted && <span title={`New match: ${alerted.join(", ")}`} className="mr-1.5 bg-blue-100 text-blue-700 px-1.5 rounded text-xs font-normal">Alert</span>}
+      {p.address || "—"}
+      {p.sources.length > 1 && (
+        <span title={p.sources.join(", ")} className="ml-1.5 bg-blue-50 text-blue-600 px-1.5 rounded text-xs font-normal">×{p.sources.length}</span>
+      )}
+    </td>
+  ),
+  suburb: (p) => <td className={`${td} text-gray-600`}>{p.suburb || "—"}</td>,
+  propertyType: (p) => <td className={`${td} text-gray-600 max-w-[140px] truncate`}>{p.propertyType || "—"}</td>,
+  askingPrice: (p) => (
+    <td className={`${td} text-gray-900 font-medium`}>
+      {p.askingPrice ? formatAUD(p.askingPrice) : (p.askingPriceRaw || "—")}
+      {p.priceChange && (
+        <span className={`ml-1.5 text-xs font-normal ${p.priceChange.pct < 0 ? "text-green-600" : "text-orange-600"}`}>
+          {p.priceChange.pct < 0 ? "▼" : "▲"}{Math.abs(p.priceChange.pct)}%
+        </span>
+      )}
+    </td>
+  ),
+  pricePerSqmBuilding: (p) => <td className={`${td} text-gray-600`}>{formatPerSqm(p.pricePerSqmBuilding)}</td>,
+  pricePerSqmLand: (p) => <td className={`${td} text-gray-600`}>{formatPerSqm(p.pricePerSqmLand)}</td>,
+  capRate: (p) => (
+    <td className={`${td} text-gray-600`} title={p.capRateSource === "derived" ? "From net income and asking price" : undefined}>
+      {p.capRate !== null ? `${p.capRate}%` : "—"}{p.capRateSource === "derived" && <span className="text-gray-400">*</span>}
+    </td>
+  ),
+  peerDiscount: (p) => (
+    <td className={`${td} ${p.peerDiscount > 0 ? "text-green-600" : "text-gray-600"}`}
+      title={p.peerValue ? `${p.peerValue.basis} $/m² vs median of ${p.peerValue.count}` : undefined}>
+      {p.peerDiscount === null ? "—" : p.peerDiscount > 0 ? `${p.peerDiscount}% below` : p.peerDiscount < 0 ? `${-p.peerDiscount}% above` : "at median"}
+    </td>
+  ),
+  daysOnMarket: (p) => <td className={`${td} text-gray-600`}>{p.daysOnMarket ?? "—"}</td>,
+  deadline: (p) => (
+    <td className={`${td} ${p.daysToDeadline === null || p.daysToDeadline === undefined ? "text-gray-300" : p.daysToDeadline < 0 ? "text-gray-400 line-through" : p.daysToDeadline <= 7 ? "text-red-600 font-medium" : p.daysToDeadline <= 21 ? "text-amber-600" : "text-gray-600"}`}
+      title={p.deadline ? `${p.deadlineType} ${new Date(`${p.deadline}T00:00`).toLocaleDateString("en-AU")}` : undefined}>
+      {formatCountdown(p.daysToDeadline)}
+    </td>
+  ),
+  score: (p) => <td className={td}><span className="font-bold" style={{ color: PRIORITY_COLORS[p.priority] }}>{p.score}</span></td>,
+  priority: (p) => (
+    <td className={td}>
+      <span className="px-2 py-0.5 rounded-full text-xs font-medium" style={{ backgroundColor: PRIORITY_BG[p.priority], color: PRIORITY_COLORS[p.priority] }}>
+        {p.priority}
+      </span>
+    </td>
+  ),
+  deal: (p, deal) => (
+    <td className={td}>
+      {deal && (
+        <div className="flex items-center gap-1">
+          {deal.status !== "New" && <span className={`px-2 py-0.5 rounded-full text-xs ${STATUS_COLORS[deal.status]}`}>{deal.status}</span>}
+          <FollowUpBadge entry={deal} />
+        </div>
+      )}
+    </td>
+  ),
+  distressKeywords: (p) => (
+    <td className={`${td} text-xs text-red-700 max-w-[220px] truncate`} title={p.distressKeywords.join(", ")}>
+      {p.distressKeywords.join(", ") || <span className="text-gray-300">—</span>}
+    </td>
+  ),
+  agentName: (p) => <td className={`${td} text-gray-600 max-w-[160px] truncate`}>{p.agentName || "—"}</td>,
+  agency: (p) => <td className={`${td} text-gray-600 max-w-[180px] truncate`}>{p.agency || "—"}</td>,
+  landSqm: (p) => <td className={`${td} text-gray-600`}>{sqm(p.landSqm, p.landArea)}</td>,
+  buildingSqm: (p) => <td className={`${td} text-gray-600`}>{sqm(p.buildingSqm, p.buildingArea)}</td>,
+  councilArea: (p) => <td className={`${td} text-gray-600 max-w-[160px] truncate`}>{p.councilArea || "—"}</td>,
+  saleMethod: (p) => (
+    <td className={`${td} text-gray-600`}>
+      {p.saleMethod || "—"}
+      {p.passedIn && <span title="Passed in at auction" className="ml-1.5 bg-amber-50 text-amber-700 px-1.5 rounded text-xs">passed in</span>}
+    </td>
+  ),
+  listingType: (p) => <td className={`${td} text-gray-600`}>{p.listingType || "—"}</td>,
+  source: (p) => <td className={`${td} text-gray-600 max-w-[160px] truncate`}>{p.sources.join(", ")}</td>,
+};
+
+function ColumnPicker({ columns, onChange, onClose }) {
+  const shown = columns.map(getColumn);
+  const hidden = TABLE_COLUMNS.filter(c => !columns.includes(c.id));
+  const move = (i, d) => {
+    const next = [...columns];
+    [next[i], next[i + d]] = [next[i + d], next[i]];
+    onChange(next);
+  };
+  return (
+    <div className="absolute right-0 top-full mt-1 z-30 w-64 bg-white border border-gray-200 rounded-lg shadow-lg p-3 text-xs">
+      <div className="max-h-80 overflow-y-auto space-y-0.5">
+        {shown.map((c, i) => (
+          <div key={c.id} className="flex items-center gap-2">
+            <label className="flex items-center gap-2 flex-1">
+              <input type="checkbox" checked disabled={columns.length === 1} onChange={() => onChange(columns.filter(id => id !== c.id))} />
+              {c.label}
+            </label>
+            <button onClick={() => move(i, -1)} disabled={i === 0} className="text-gray-400 hover:text-gray-700 disabled:opacity-30" title="Move left">↑</button>
+            <button onClick={() => move(i, 1)} disabled={i === shown.length - 1} className="text-gray-400 hover:text-gray-700 disabled:opacity-30" title="Move right">↓</button>
+          </div>
+        ))}
+        {hidden.length > 0 && <div className="border-t border-gray-100 my-1.5" />}
+        {hidden.map(c => (
+          <label key={c.id} className="flex items-center gap-2 text-gray-500">
+            <input type="checkbox" checked={false} onChange={() => onChange([...columns, c.id])} />
+            {c.label}
+          </label>
+        ))}
+      </div>
+      <div className="flex justify-between mt-2 pt-2 border-t border-gray-100">
+        <button onClick={() => onChange(DEFAULT_COLUMNS)} className="text-gray-500 hover:text-gray-700">Reset</button>
+        <button onClick={onClose} className="text-gray-900 font-medium">Done</button>
+      </div>
+    </div>
+  );
+}
+
+// Windowed table: only the rows in (or near) the viewport are rendered, with
+// spacer rows standing in for the rest. Rows have a fixed height; the one
+// expanded row is measured.
+export default function PropertyTable({ properties, total, columns, onColumnsChange, sort, onSortChange, expandedId, onExpand, selectedIds, onSelectionChange, onCompare, alertedKeys = {}, pipeline, onToggleStar, renderDetails }) {
+  const scrollRef = useRef();
+  const expandedRef = useRef();
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewHeight, setViewHeight] = useState(600);
+  const [expandedHeight, setExpandedHeight] = useState(320);
+  const [picking, setPicking] = useState(false);
+  const [dragCol, setDragCol] = useState(null);
+
+  useEffect(() => {
+    const el = scrollRef.current;
+    const ro = new ResizeObserver(() => setViewHeight(el.clientHeight));
+    ro.observe(el);
+    return () => ro.disconnect();
+  }, []);
+
+  const expandedIndex = expandedId === null ? -1 : properties.findIndex(p => p.id === expandedId);
+
+  useEffect(() => {
+    const el = expandedRef.current;
+    if (!el) return;
+    const ro = new ResizeObserver(() => setExpandedHeight(el.offsetHeight));
+    ro.observe(el);
+    return () => ro.disconnect();
+  }, [expandedId, expandedIndex]);
+
+  const extra = expandedIndex === -1 ? 0 : expandedHeight;
+  const rowTop = (i) => i * ROW_HEIGHT + (expandedIndex !== -1 && i > expandedIndex ? extra : 0);
+  const indexAt = (y) => {
+    if (expandedIndex === -1 || y < (expandedIndex + 1) * ROW_HEIGHT) return Math.floor(y / ROW_HEIGHT);
+    if (y < (expandedIndex + 1) * ROW_HEIGHT + extra) return expandedIndex;
+    return Math.floor((y - extra) / ROW_HEIGHT);
+  };
+  const start = Math.max(0, indexAt(scrollTop) - OVERSCAN);
+  const end = Math.min(properties.length, indexAt(scrollTop + viewHeight) + OVERSCAN + 1);
+  const totalHeight = properties.length * ROW_HEIGHT + extra;
+  const bottomPad = totalHeight - rowTop(end);
+  const colCount = columns.length + 2;
+  const allSelected = properties.length > 0 && properties.every(p => selectedIds.has(p.id));
+  const toggleAll = () => {
+    const next = new Set(selectedIds);
+    properties.forEach(p => allSelected ? next.delete(p.id) : next.add(p.id));
+    onSelectionChange(next);
+  };
+  const toggleOne = (id) => {
+    const next = new Set(selectedIds);
+    if (!next.delete(id)) next.add(id);
+    onSelectionChange(next);
+  };
+
+  const sortLabel = sort.map(s => `${getColumn(s.key)?.label} ${s.dir === "asc" ? "↑" : "↓"}`).join(", ");
+
+  return (
+    <div className="bg-white rounded-lg border border-gray-200">
+      <div className="px-4 py-3 border-b border-gray-100 flex justify-between items-center gap-3">
+        <span className="text-sm text-gray-500">
+          {properties.length} of {total} properties
+          {selectedIds.size > 0 && (
+            <>
+              {" "}· {selectedIds.size} selected <button onClick={() => onSelectionChange(new Set())} className="text-xs text-gray-400 hover:text-gray-700 underline ml-1">Clear</button>
+              <button onClick={onCompare} disabled={selectedIds.size < MIN_COMPARE || selectedIds.size > MAX_COMPARE}
+                title={`Select ${MIN_COMPARE} to ${MAX_COMPARE} properties to compare`}
+                className="ml-2 px-2.5 py-1 border border-gray-300 rounded text-xs text-gray-600 hover:bg-gray-50 disabled:opacity-40">Compare</button>
+            </>
+          )}
+        </span>
+        <div className="flex items-center gap-3 relative">
+          <span className="text-xs text-gray-400 hidden md:inline" title="Click a header to sort, Shift+click to add a secondary sort">Sorted by {sortLabel}</span>
+          <button onClick={() => setPicking(v => !v)} className="px-2.5 py-1 border border-gray-300 rounded text-xs text-gray-600 hover:bg-gray-50">Columns</button>
+          {picking && <ColumnPicker columns={columns} onChange={onColumnsChange} onClose={() => setPicking(false)} />}
+        </div>
+      </div>
+      <div ref={scrollRef} onScroll={e => setScrollTop(e.currentTarget.scrollTop)} className="overflow-auto" style={{ maxHeight: "70vh" }}>
+        <table className="w-full text-sm">
+          <thead>
+            <tr>
+              <th className="sticky top-0 z-10 bg-gray-50 shadow-[inset_0_-1px_0_#E5E7EB] pl-3 py-2 w-6">
+                <input type="checkbox" checked={allSelected} onChange={toggleAll} aria-label="Select all filtered properties" title="Select all filtered properties" />
+              </th>
+              <th className="sticky top-0 z-10 bg-gray-50 shadow-[inset_0_-1px_0_#E5E7EB] pl-2 py-2 w-6" title="Watchlist" />
+              {columns.map(id => {
+                const col = getColumn(id);
+                const at = sort.findIndex(s => s.key === id);
+                return (
+                  <th key={id} draggable onDragStart={() => setDragCol(id)} onDragEnd={() => setDragCol(null)}
+                    onDragOver={e => dragCol && e.preventDefault()}
+                    onDrop={e => { e.preventDefault(); if (dragCol) onColumnsChange(moveColumn(columns, dragCol, id)); setDragCol(null); }}
+                    onClick={e => onSortChange(toggleSort(sort, id, e.shiftKey))}
+                    title="Click to sort, Shift+click to add a secondary sort, drag to reorder"
+                    className={`sticky top-0 z-10 bg-gray-50 shadow-[inset_0_-1px_0_#E5E7EB] px-3 py-2 text-left text-xs font-medium text-gray-500 cursor-pointer hover:text-gray-700 whitespace-nowrap select-none ${dragCol === id ? "opacity-40" : ""}`}>
+                    {col.label}
+                    {at === -1 ? <span className="text-gray-300 ml-1">↕</span> : (
+                      <span className="ml-1">{sort[at].dir === "asc" ? "↑" : "↓"}{sort.length > 1 && <sup className="text-gray-400">{at + 1}</sup>}</span>
+                    )}
+                  </th>
+                );
+              })}
+            </tr>
+          </thead>
+          <tbody>
+            {start > 0 && <tr aria-hidden style={{ height: rowTop(start) }}><td colSpan={colCount} /></tr>}
+            {properties.slice(start, end).map(p => {
+              const deal = pipeline[p.key];
+              const open = p.id === expandedId;
+              return (
+                <Fragment key={p.id}>
+                  <tr onClick={() => onExpand(open ? null : p.id)} style={{ height: ROW_HEIGHT }}
+                    className={`border-b border-gray-100 cursor-pointer hover:bg-gray-50 ${open ? "bg-gray-50" : ""}`}>
+                    <td className="pl-3 py-2" onClick={e => e.stopPropagation()}>
+                      <input type="checkbox" checked={selectedIds.has(p.id)} onChange={() => toggleOne(p.id)} aria-label={`Select ${p.address || "property"}`} />
+                    </td>
+                    <td className="pl-2 py-2"><StarButton starred={!!deal?.starred} onToggle={() => onToggleStar(p)} /></td>
+                    {columns.map(id => <Fragment key={id}>{CELLS[id](p, deal, alertedKeys[p.key])}</Fragment>)}
+                  </tr>
+                  {open && (
+                    <tr ref={expandedRef} className="bg-gray-50 border-b border-gray-200">
+                      <td colSpan={colCount} className="px-4 py-4">{renderDetails(p)}</td>
+                    </tr>
+                  )}
+                </Fragment>
+              );
+            })}
+            {bottomPad > 0 && <tr aria-hidden style={{ height: bottomPad }}><td colSpan={colCount} /></tr>}
+          </tbody>
+        </table>
+        {properties.length === 0 && (
+          <div className="px-4 py-12 text-center text-sm text-gray-400">No properties match your filters.</div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,47 @@
+import { useState } from "react";
+
+const REPORT_SCOPES = [
+  { id: "filtered", label: "Filtered properties" },
+  { id: "selected", label: "Selected properties" },
+  { id: "all", label: "All properties" },
+];
+
+// Popover for the deal memo: choose the listings and title, then print to
+// PDF or download the standalone HTML. `counts` is keyed by scope id.
+export default function ReportMenu({ counts, defaultTitle, onExport }) {
+  const [open, setOpen] = useState(false);
+  const [scope, setScope] = useState("filtered");
+  const [title, setTitle] = useState("");
+
+  const run = (print) => {
+    onExport({ scope, title: title.trim() || defaultTitle, print });
+    setOpen(false);
+  };
+
+  return (
+    <div className="relative">
+      <button onClick={() => setOpen(o => !o)} className="px-3 py-1.5 border border-gray-300 rounded text-sm text-gray-600 hover:bg-gray-50">Deal Memo</button>
+      {open && (
+        <div className="absolute right-0 top-full mt-1 z-30 w-72 bg-white border border-gray-200 rounded-lg shadow-lg p-3 text-xs">
+          <label className="block text-gray-500 mb-1">Title</label>
+          <input value={title} onChange={e => setTitle(e.target.value)} placeholder={defaultTitle}
+            className="w-full border border-gray-300 rounded px-2 py-1.5 text-sm mb-2" />
+          <div className="space-y-1 mb-2">
+            {REPORT_SCOPES.map(s => (
+              <label key={s.id} className={`flex items-center gap-2 ${counts[s.id] ? "" : "text-gray-400"}`}>
+                <input type="radio" name="report-scope" checked={scope === s.id} disabled={!counts[s.id]} onChange={() => setScope(s.id)} />
+                {s.label} ({counts[s.id].toLocaleString("en-AU")})
+              </label>
+            ))}
+          </div>
+          <p className="text-gray-400 mb-2">An executive summary, then one page per High Priority deal with its score breakdown, keywords, details and notes.</p>
+          <div className="flex justify-end gap-3 pt-2 border-t border-gray-100">
+            <button onClick={() => setOpen(false)} className="text-gray-500 hover:text-gray-700">Cancel</button>
+            <button onClick={() => run(false)} className="text-gray-700 hover:underline">Download HTML</button>
+            <button onClick={() => run(true)} className="font-medium text-gray-900 hover:underline">Print / PDF</button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,43 @@
+import { useState } from "react";
+
+// Saved-view dropdown plus "Save view" and "Copy link". `current` is the
+// saved view matching the dashboard exactly, or null once anything changes.
+export default function SavedViewsMenu({ views, current, suggestedName, onApply, onSave, onDelete, onCopyLink }) {
+  const [saving, setSaving] = useState(false);
+  const [name, setName] = useState("");
+  const [copied, setCopied] = useState(false);
+
+  const openSave = () => { setName(current?.name || suggestedName); setSaving(true); };
+  const save = () => { if (name.trim()) { onSave(name.trim()); setSaving(false); } };
+  const copy = async () => {
+    if (await onCopyLink()) { setCopied(true); setTimeout(() => setCopied(false), 1500); }
+  };
+
+  return (
+    <div className="relative flex items-center gap-2">
+      <select value={current?.id || ""} onChange={e => { const v = views.find(x => x.id === e.target.value); if (v) onApply(v); }}
+        aria-label="Saved views" className="border border-gray-300 rounded px-2 py-1.5 text-sm text-gray-700 max-w-[220px]">
+        <option value="">{views.length ? "Saved views…" : "No saved views"}</option>
+        {views.map(v => <option key={v.id} value={v.id}>{v.name}</option>)}
+      </select>
+      {current && <button onClick={() => onDelete(current.id)} className="text-xs text-gray-400 hover:text-red-600" title={`Delete "${current.name}"`}>✕</button>}
+      <button onClick={openSave} className="px-3 py-1.5 border border-gray-300 rounded text-sm text-gray-600 hover:bg-gray-50">Save View</button>
+      <button onClick={copy} className="px-3 py-1.5 border border-gray-300 rounded text-sm text-gray-600 hover:bg-gray-50">
+        {copied ? "Copied" : "Copy Link"}
+      </button>
+      {saving && (
+        <div className="absolute left-0 top-full mt-1 z-30 w-80 bg-white border border-gray-200 rounded-lg shadow-lg p-3 text-xs">
+          <label className="block text-gray-500 mb-1">View name</label>
+          <input autoFocus value={name} onChange={e => setName(e.target.value)}
+            onKeyDown={e => { if (e.key === "Enter") save(); if (e.key === "Escape") setSaving(false); }}
+            className="w-full border border-gray-300 rounded px-2 py-1.5 text-sm" />
+          <p className="text-gray-400 mt-1">Saves the filters, search, sort and tab. A view with the same name is replaced.</p>
+          <div className="flex justify-end gap-3 mt-2">
+            <button onClick={() => setSaving(false)} className="text-gray-500 hover:text-gray-700">Cancel</button>
+            <button onClick={save} disabled={!name.trim()} className="font-medium text-gray-900 hover:underline disabled:opacity-40">Save</button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
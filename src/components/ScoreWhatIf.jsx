@@ -0,0 +1,52 @@
+import { useState } from "react";
+import { whatIf } from "../lib/sensitivity";
+import { formatAUD, PRIORITY_COLORS, PRIORITY_BG } from "../lib/format";
+
+const LABELS = { distress: "Distress", dom: "Days on Market", vacancy: "Vacancy", value: "Price vs Peers", sale: "Sale Method" };
+
+// Sliders that rescore one property with a different days on market or asking
+// price, keyed by property so each expanded row starts from its own values.
+export default function ScoreWhatIf({ p, model }) {
+  const [open, setOpen] = useState(false);
+  const [dom, setDom] = useState(p.daysOnMarket ?? 0);
+  const [drop, setDrop] = useState(0);
+
+  if (!open) {
+    return <button onClick={() => setOpen(true)} className="mt-2 text-xs text-gray-500 hover:text-gray-800 underline">What if…</button>;
+  }
+
+  const result = whatIf(p, model, { daysOnMarket: dom, priceDropPct: drop });
+  const changed = result.trace.filter(t => t.points !== p[`${t.component}Score`]);
+  const delta = result.score - p.score;
+
+  return (
+    <div className="mt-3 border border-gray-200 rounded p-3 text-xs space-y-2">
+      <div className="flex justify-between items-center">
+        <span className="font-bold text-gray-900">What If</span>
+        <button onClick={() => { setDom(p.daysOnMarket ?? 0); setDrop(0); }} className="text-gray-400 hover:text-gray-700">Reset</button>
+      </div>
+      <label className="flex items-center gap-2">
+        <span className="text-gray-500 w-28">Days on market</span>
+        <input type="range" min={0} max={Math.max(365, (p.daysOnMarket ?? 0) * 2)} value={dom} onChange={e => setDom(+e.target.value)} className="flex-1" aria-label="Days on market" />
+        <span className="w-12 text-right font-medium">{dom}</span>
+      </label>
+      <label className="flex items-center gap-2" title={p.askingPrice ? "" : "No asking price to reduce"}>
+        <span className="text-gray-500 w-28">Price drop</span>
+        <input type="range" min={0} max={40} value={drop} disabled={!p.askingPrice} onChange={e => setDrop(+e.target.value)} className="flex-1" aria-label="Price drop" />
+        <span className="w-12 text-right font-medium">{drop}%</span>
+      </label>
+      {drop > 0 && p.askingPrice && <div className="text-gray-400">Asking {formatAUD(p.askingPrice)} → {formatAUD(Math.round(p.askingPrice * (1 - drop / 100)))}</div>}
+      <div className="flex items-center gap-2 border-t border-gray-100 pt-2">
+        <span className="text-gray-500">Score</span>
+        <span className="font-bold">{p.score} → {result.score}</span>
+        {delta !== 0 && <span className={delta > 0 ? "text-green-600" : "text-red-600"}>({delta > 0 ? "+" : ""}{delta})</span>}
+        <span className="ml-auto px-1.5 rounded-full font-medium" style={{ backgroundColor: PRIORITY_BG[result.priority], color: PRIORITY_COLORS[result.priority] }}>{result.priority}</span>
+      </div>
+      {changed.map(t => (
+        <div key={t.component} className="text-gray-500">
+          {LABELS[t.component]}: {p[`${t.component}Score`]} → <span className="font-medium text-gray-800">{t.points}</span> <span className="text-gray-400">({t.reason})</span>
+        </div>
+      ))}
+    </div>
+  );
+}
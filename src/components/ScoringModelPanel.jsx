@@ -0,0 +1,327 @@
+import { useMemo, useRef, useState } from "react";
+import { EMPTY_STATE_PACK, isBuiltInProfile, isValidPattern, maxScores, modelForState } from "../lib/scoringModel";
+import { STATES } from "../lib/states";
+import { thresholdSensitivity, nearCutoffs } from "../lib/sensitivity";
+
+const inputCls = "border border-gray-300 rounded px-2 py-1 text-xs";
+
+function NumberInput({ value, onChange, className = "w-20", step = 1 }) {
+  return (
+    <input type="number" step={step} value={value}
+      onChange={e => onChange(e.target.value === "" ? 0 : +e.target.value)}
+      className={`${inputCls} ${className}`} />
+  );
+}
+
+function Section({ title, hint, children }) {
+  return (
+    <div className="bg-white rounded-lg border border-gray-200 p-4">
+      <h3 className="text-sm font-bold text-gray-900">{title}</h3>
+      {hint && <p className="text-xs text-gray-400 mb-3">{hint}</p>}
+      {children}
+    </div>
+  );
+}
+
+// Editable list of { [keyField]: number, points: number } rows.
+function TierList({ rows, keyField, keyLabel, onChange }) {
+  const update = (i, patch) => onChange(rows.map((r, j) => j === i ? { ...r, ...patch } : r));
+  return (
+    <div className="space-y-1">
+      {rows.map((r, i) => (
+        <div key={i} className="flex items-center gap-2 text-xs">
+          <span className="text-gray-500 w-16">{keyLabel} ≥</span>
+          <NumberInput value={r[keyField]} step={keyField === "min" ? 0.5 : 1} onChange={v => update(i, { [keyField]: v })} />
+          <span className="text-gray-500">→</span>
+          <NumberInput value={r.points} onChange={v => update(i, { points: v })} />
+          <span className="text-gray-400">pts</span>
+          <button onClick={() => onChange(rows.filter((_, j) => j !== i))} className="text-gray-400 hover:text-red-600 ml-auto">Remove</button>
+        </div>
+      ))}
+      <button onClick={() => onChange([...rows, { [keyField]: 0, points: 0 }])}
+        className="text-xs text-gray-500 hover:text-gray-700 pt-1">+ Add tier</button>
+    </div>
+  );
+}
+
+// Per-state extras: keywords, a DOM band shift and a cut-off shift.
+function StatePacks({ packs = {}, priority, onChange }) {
+  const [state, setState] = useState(() => Object.keys(packs)[0] || STATES[0]);
+  const [term, setTerm] = useState("");
+  const pack = packs[state] || EMPTY_STATE_PACK;
+  const update = (patch) => onChange({ ...packs, [state]: { ...pack, ...patch } });
+  const remove = () => onChange(Object.fromEntries(Object.entries(packs).filter(([st]) => st !== state)));
+  const addTerm = () => {
+    const t = term.trim().toLowerCase();
+    if (t && !pack.keywords.some(k => k.term.toLowerCase() === t)) update({ keywords: [...pack.keywords, { term: t, weight: 1 }] });
+    setTerm("");
+  };
+
+  return (
+    <div className="text-xs space-y-3">
+      <div className="flex flex-wrap gap-1">
+        {STATES.map(st => (
+          <button key={st} onClick={() => setState(st)}
+            className={`px-2.5 py-0.5 rounded-full border ${st === state ? "bg-gray-900 text-white border-gray-900" : packs[st] ? "border-gray-500 text-gray-800" : "border-gray-200 text-gray-400"}`}>{st}</button>
+        ))}
+      </div>
+      <div className="space-y-1">
+        {pack.keywords.map((k, i) => (
+          <div key={i} className="flex items-center gap-2">
+            <span className="flex-1">{k.term}</span>
+            <NumberInput value={k.weight} step={0.5} className="w-16" onChange={weight => update({ keywords: pack.keywords.map((x, j) => j === i ? { ...x, weight } : x) })} />
+            <button onClick={() => update({ keywords: pack.keywords.filter((_, j) => j !== i) })} className="text-gray-400 hover:text-red-600">Remove</button>
+          </div>
+        ))}
+        <div className="flex gap-2">
+          <input value={term} onChange={e => setTerm(e.target.value)} onKeyDown={e => e.key === "Enter" && addTerm()} placeholder={`Add a ${state} keyword`} className={`${inputCls} flex-1`} />
+          <button onClick={addTerm} className="px-3 py-1 border border-gray-300 rounded text-gray-600 hover:bg-gray-50">Add</button>
+        </div>
+      </div>
+      <label className="flex items-center gap-2">
+        <span className="text-gray-500">Move DOM bands by</span>
+        <NumberInput value={pack.domShift} onChange={domShift => update({ domShift })} />
+        <span className="text-gray-400">days</span>
+      </label>
+      <label className="flex items-center gap-2">
+        <span className="text-gray-500">Move cut-offs by</span>
+        <NumberInput value={pack.priorityShift ?? 0} onChange={priorityShift => update({ priorityShift })} />
+        <span className="text-gray-400">points (High ≥ {priority.high + (pack.priorityShift || 0)}, Monitor ≥ {priority.monitor + (pack.priorityShift || 0)})</span>
+      </label>
+      {packs[state] && <button onClick={remove} className="text-gray-400 hover:text-red-600">Remove {state} pack</button>}
+    </div>
+  );
+}
+
+const CUTOFF_LABELS = { high: ["High Priority", "text-red-600"], monitor: ["Monitor", "text-amber-600"] };
+
+// Moves in delta order with null marking the current value.
+const withNow = (moves) => [...moves.filter(m => m.delta < 0), null, ...moves.filter(m => m.delta > 0)];
+
+// How many properties would change priority if a cut-off moved, each cell a
+// shortcut to apply that value.
+function ThresholdSensitivity({ listings, priority, onApply }) {
+  const rows = thresholdSensitivity(listings, priority);
+  const near = nearCutoffs(listings, priority);
+  const cell = (key, m) => m.skipped ? <span className="text-gray-300">—</span> : (
+    <button onClick={() => onApply(key, m.value)} title={`High ${m.counts["High Priority"]}, Monitor ${m.counts.Monitor}, Low ${m.counts.Low}`}
+      className="w-full rounded px-1 py-0.5 hover:bg-gray-100">
+      <div className="font-medium text-gray-800">{m.value}</div>
+      <div className="text-gray-400">{m.up ? <span className="text-green-600">{m.up}↑</span> : m.down ? <span className="text-red-600">{m.down}↓</span> : "no change"}</div>
+    </button>
+  );
+  return (
+    <div className="text-xs">
+      <table className="w-full text-center">
+        <thead className="text-gray-500">
+          <tr>
+            <th className="text-left font-medium py-1">Cut-off</th>
+            {withNow(rows[0].moves).map(m => <th key={m ? m.delta : "now"} className="font-medium">{!m ? "Now" : `${m.delta > 0 ? "+" : ""}${m.delta}`}</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(r => (
+            <tr key={r.key} className="border-t border-gray-100">
+              <td className={`text-left py-1 ${CUTOFF_LABELS[r.key][1]}`}>{CUTOFF_LABELS[r.key][0]}</td>
+              {withNow(r.moves).map(m => m ? <td key={m.delta}>{cell(r.key, m)}</td> : (
+                <td key="now" className="py-1"><div className="font-bold text-gray-900">{r.value}</div><div className="text-gray-400">{r.current[CUTOFF_LABELS[r.key][0]]} now</div></td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p className="text-gray-400 mt-2">
+        {near.high} within 5 points of High Priority, {near.monitor} within 5 points of Monitor. ↑ moves up a band, ↓ moves down. Click a value to use it.
+      </p>
+    </div>
+  );
+}
+
+export default function ScoringModelPanel({ model, onChange, profiles, activeProfile, dirty, onSelectProfile, onSaveProfile, onDeleteProfile, onExportProfile, onImportProfile, priorityCounts, properties = [] }) {
+  const fileRef = useRef();
+  const [newName, setNewName] = useState("");
+  const [newKeyword, setNewKeyword] = useState("");
+  const max = maxScores(model);
+  const set = (patch) => onChange({ ...model, ...patch });
+  const setVacancy = (patch) => set({ vacancy: { ...model.vacancy, ...patch } });
+  const isBuiltIn = isBuiltInProfile(activeProfile);
+  // Each listing is measured against its state's cut-offs.
+  const listings = useMemo(() => properties.map(p => ({ score: p.score, priority: modelForState(model, p.state).priority })), [properties, model]);
+
+  const addKeyword = () => {
+    const term = newKeyword.trim().toLowerCase();
+    if (!term || model.keywords.some(k => k.term.toLowerCase() === term)) return;
+    set({ keywords: [...model.keywords, { term, weight: 1 }] });
+    setNewKeyword("");
+  };
+
+  const saveAs = () => {
+    const name = newName.trim();
+    if (!name || isBuiltInProfile(name)) return;
+    onSaveProfile(name);
+    setNewName("");
+  };
+
+  return (
+    <div className="space-y-4">
+      {/* Profile bar */}
+      <div className="bg-white rounded-lg border border-gray-200 p-4 flex flex-col md:flex-row md:items-center gap-3">
+        <div className="flex items-center gap-2">
+          <label className="text-xs font-medium text-gray-500">Profile</label>
+          <select value={activeProfile} onChange={e => onSelectProfile(e.target.value)} className={`${inputCls} py-1.5`}>
+            {Object.keys(profiles).sort().map(n => <option key={n} value={n}>{n}</option>)}
+          </select>
+          {dirty && <span className="text-xs text-amber-600">Unsaved changes</span>}
+        </div>
+        <div className="flex items-center gap-2 md:ml-auto">
+          {!isBuiltIn && (
+            <>
+              <button onClick={() => onSaveProfile(activeProfile)} disabled={!dirty}
+                className="px-3 py-1.5 bg-gray-900 text-white rounded text-xs font-medium hover:bg-gray-800 disabled:opacity-40">Save</button>
+              <button onClick={() => onDeleteProfile(activeProfile)}
+                className="px-3 py-1.5 border border-gray-300 rounded text-xs text-gray-600 hover:bg-gray-50">Delete</button>
+            </>
+          )}
+          {dirty && (
+            <button onClick={() => onSelectProfile(activeProfile)}
+              className="px-3 py-1.5 border border-gray-300 rounded text-xs text-gray-600 hover:bg-gray-50">Revert</button>
+          )}
+          <input value={newName} onChange={e => setNewName(e.target.value)} placeholder="New profile name"
+            onKeyDown={e => e.key === "Enter" && saveAs()} className={`${inputCls} py-1.5 w-40`} />
+          <button onClick={saveAs} disabled={!newName.trim() || isBuiltInProfile(newName.trim())}
+            className="px-3 py-1.5 border border-gray-300 rounded text-xs text-gray-600 hover:bg-gray-50 disabled:opacity-40">Save As</button>
+          <button onClick={() => fileRef.current?.click()}
+            className="px-3 py-1.5 border border-gray-300 rounded text-xs text-gray-600 hover:bg-gray-50">Import</button>
+          <input ref={fileRef} type="file" accept=".json" className="hidden"
+            onChange={e => { if (e.target.files[0]) onImportProfile(e.target.files[0]); e.target.value = ""; }} />
+          <button onClick={onExportProfile} title="Download this profile as JSON, e.g. for deal-scan --profile"
+            className="px-3 py-1.5 border border-gray-300 rounded text-xs text-gray-600 hover:bg-gray-50">Export</button>
+        </div>
+      </div>
+
+      {priorityCounts && (
+        <p className="text-xs text-gray-500">
+          Live result: <span className="text-red-600 font-medium">{priorityCounts.high} High Priority</span>,{" "}
+          <span className="text-amber-600 font-medium">{priorityCounts.monitor} Monitor</span>,{" "}
+          <span className="text-gray-400 font-medium">{priorityCounts.low} Low</span>. Max possible score {max.total}.
+        </p>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+        <div className="space-y-4">
+          <Section title="Distress Keywords" hint="Each keyword found in the description adds its weight to the keyword count. Keywords match whole words, plurals and -ed/-ing forms; built-in keywords also match common variants (MIP, VP, EOI). Matches after a negation such as “not a” are ignored.">
+            <div className="space-y-1 max-h-96 overflow-y-auto">
+              {model.keywords.map((k, i) => (
+                <div key={i} className="flex items-center gap-2">
+                  <input value={k.term} className={`${inputCls} flex-1`}
+                    onChange={e => set({ keywords: model.keywords.map((x, j) => j === i ? { ...x, term: e.target.value } : x) })} />
+                  <NumberInput value={k.weight} step={0.5} className="w-16"
+                    onChange={v => set({ keywords: model.keywords.map((x, j) => j === i ? { ...x, weight: v } : x) })} />
+                  <button onClick={() => set({ keywords: model.keywords.filter((_, j) => j !== i) })}
+                    className="text-xs text-gray-400 hover:text-red-600">Remove</button>
+                </div>
+              ))}
+            </div>
+            <div className="flex gap-2 mt-2">
+              <input value={newKeyword} onChange={e => setNewKeyword(e.target.value)} placeholder="Add keyword or phrase"
+                onKeyDown={e => e.key === "Enter" && addKeyword()} className={`${inputCls} flex-1`} />
+              <button onClick={addKeyword} className="px-3 py-1 border border-gray-300 rounded text-xs text-gray-600 hover:bg-gray-50">Add</button>
+            </div>
+          </Section>
+
+          <Section title="State Packs" hint="Used automatically for listings in that state (from the state column or postcode), on top of the settings here.">
+            <StatePacks packs={model.statePacks} priority={model.priority} onChange={statePacks => set({ statePacks })} />
+          </Section>
+        </div>
+
+        <div className="space-y-4">
+          <Section title="Keyword Tiers" hint={`Distress points by weighted keyword count (max ${max.distress}).`}>
+            <TierList rows={model.keywordTiers} keyField="min" keyLabel="Count" onChange={keywordTiers => set({ keywordTiers })} />
+          </Section>
+
+          <Section title="Days on Market Bands" hint={`DOM points by days listed (max ${max.dom}).`}>
+            <TierList rows={model.domBands} keyField="minDays" keyLabel="Days" onChange={domBands => set({ domBands })} />
+            <div className="flex items-center gap-2 text-xs mt-2">
+              <span className="text-gray-500">No DOM in data →</span>
+              <NumberInput value={model.domMissingPoints} onChange={domMissingPoints => set({ domMissingPoints })} />
+              <span className="text-gray-400">pts</span>
+            </div>
+          </Section>
+
+          <Section title="Vacancy Signal" hint="Patterns are case-insensitive regular expressions matched against the description.">
+            <div className="space-y-2 text-xs">
+              <div className="flex items-center gap-2">
+                <span className="text-gray-500 w-28">Vacant pattern</span>
+                <input value={model.vacancy.vacantPattern} onChange={e => setVacancy({ vacantPattern: e.target.value })}
+                  className={`${inputCls} flex-1 ${isValidPattern(model.vacancy.vacantPattern) ? "" : "border-red-400"}`} />
+                <NumberInput value={model.vacancy.vacantPoints} onChange={vacantPoints => setVacancy({ vacantPoints })} />
+              </div>
+              <div className="flex items-center gap-2">
+                <span className="text-gray-500 w-28">Lease pattern</span>
+                <input value={model.vacancy.leasePattern} onChange={e => setVacancy({ leasePattern: e.target.value })}
+                  className={`${inputCls} flex-1 ${isValidPattern(model.vacancy.leasePattern) ? "" : "border-red-400"}`} />
+                <NumberInput value={model.vacancy.noLeasePoints} onChange={noLeasePoints => setVacancy({ noLeasePoints })} />
+              </div>
+              <p className="text-gray-400">Vacant pattern match scores the first value; otherwise no lease pattern match scores the second.</p>
+            </div>
+          </Section>
+
+          <Section title="Tracked Price Cuts" hint="Applies when the scan is compared with an earlier one on the Changes tab.">
+            <div className="flex items-center gap-2 text-xs">
+              <span className="text-gray-500">Cut of at least</span>
+              <NumberInput value={model.priceCut.minPct} step={0.5} className="w-16" onChange={minPct => set({ priceCut: { ...model.priceCut, minPct } })} />
+              <span className="text-gray-500">% counts as a keyword with weight</span>
+              <NumberInput value={model.priceCut.weight} step={0.5} className="w-16" onChange={weight => set({ priceCut: { ...model.priceCut, weight } })} />
+            </div>
+          </Section>
+
+          <Section title="Price vs Peers" hint={`Value points when $/m² is below the median for the same suburb and property type (max ${max.value}).`}>
+            <TierList rows={model.peerValue.bands} keyField="minPct" keyLabel="% below"
+              onChange={bands => set({ peerValue: { ...model.peerValue, bands } })} />
+            <div className="flex items-center gap-2 text-xs mt-2">
+              <span className="text-gray-500">Compare only with at least</span>
+              <NumberInput value={model.peerValue.minPeers} className="w-16"
+                onChange={minPeers => set({ peerValue: { ...model.peerValue, minPeers: Math.max(2, minPeers) } })} />
+              <span className="text-gray-500">listings; smaller suburbs fall back to the property type across the scan.</span>
+            </div>
+          </Section>
+
+          <Section title="Sale Method" hint={`Points from the sale method and any auction, EOI or tender deadline (max ${max.sale}).`}>
+            <div className="space-y-2 text-xs">
+              <div className="flex flex-wrap items-center gap-2">
+                <span className="text-gray-500">Deadline within</span>
+                <NumberInput value={model.saleMethod.withinDays} className="w-16" onChange={withinDays => set({ saleMethod: { ...model.saleMethod, withinDays } })} />
+                <span className="text-gray-500">days after at least</span>
+                <NumberInput value={model.saleMethod.minDom} className="w-16" onChange={minDom => set({ saleMethod: { ...model.saleMethod, minDom } })} />
+                <span className="text-gray-500">days on market →</span>
+                <NumberInput value={model.saleMethod.deadlinePoints} onChange={deadlinePoints => set({ saleMethod: { ...model.saleMethod, deadlinePoints } })} />
+                <span className="text-gray-400">pts</span>
+              </div>
+              <div className="flex items-center gap-2">
+                <span className="text-gray-500">Passed in at auction, now for sale another way →</span>
+                <NumberInput value={model.saleMethod.passedInPoints} onChange={passedInPoints => set({ saleMethod: { ...model.saleMethod, passedInPoints } })} />
+                <span className="text-gray-400">pts</span>
+              </div>
+            </div>
+          </Section>
+
+          <Section title="Priority Cut-offs">
+            <div className="flex items-center gap-4 text-xs">
+              <label className="flex items-center gap-2"><span className="text-red-600">High Priority ≥</span>
+                <NumberInput value={model.priority.high} onChange={high => set({ priority: { ...model.priority, high } })} /></label>
+              <label className="flex items-center gap-2"><span className="text-amber-600">Monitor ≥</span>
+                <NumberInput value={model.priority.monitor} onChange={monitor => set({ priority: { ...model.priority, monitor } })} /></label>
+            </div>
+          </Section>
+
+          {listings.length > 0 && (
+            <Section title="Threshold Sensitivity" hint="Priority changes across this scan if a cut-off moved by 5 or 10 points; state packs' own cut-offs move with it.">
+              <ThresholdSensitivity listings={listings} priority={model.priority}
+                onApply={(key, value) => set({ priority: { ...model.priority, [key]: value } })} />
+            </Section>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,20 @@
+// Progress bar for a running import or scoring task. `progress` is a 0..1
+// fraction, or null while the length of the work is unknown.
+export default function TaskProgress({ label, progress = null, onCancel, className = "" }) {
+  const pct = progress === null ? null : Math.round(progress * 100);
+  return (
+    <div className={`bg-white border border-gray-200 rounded-lg px-4 py-3 ${className}`}>
+      <div className="flex items-center justify-between gap-3 text-xs text-gray-600 mb-1.5">
+        <span className="truncate">{label}</span>
+        <span className="flex items-center gap-3 flex-shrink-0">
+          {pct !== null && <span className="tabular-nums">{pct}%</span>}
+          {onCancel && <button onClick={onCancel} className="text-gray-500 hover:text-red-600 font-medium">Cancel</button>}
+        </span>
+      </div>
+      <div className="h-1.5 bg-gray-100 rounded-full overflow-hidden" role="progressbar" aria-valuenow={pct ?? undefined} aria-valuemin={0} aria-valuemax={100}>
+        <div className={`h-full bg-gray-900 rounded-full transition-[width] ${pct === null ? "w-1/3 animate-pulse" : ""}`}
+          style={pct === null ? undefined : { width: `${pct}%` }} />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,388 @@
+// NSW suburb / postcode centroids used to place listings on the map without a
+// network geocoder. Coordinates are approximate locality centres (±1–2 km),
+// which is enough to group deals geographically. Format:
+// [postcode, suburb, latitude, longitude]. The first row for a postcode is
+// its representative centroid.
+export const NSW_LOCALITIES = [
+  // Sydney CBD and inner city
+  ["2000", "Sydney", -33.8688, 151.2093],
+  ["2000", "The Rocks", -33.8599, 151.2090],
+  ["2000", "Haymarket", -33.8790, 151.2040],
+  ["2000", "Barangaroo", -33.8615, 151.2010],
+  ["2007", "Ultimo", -33.8790, 151.1980],
+  ["2008", "Chippendale", -33.8880, 151.1990],
+  ["2009", "Pyrmont", -33.8700, 151.1940],
+  ["2010", "Surry Hills", -33.8860, 151.2110],
+  ["2010", "Darlinghurst", -33.8790, 151.2190],
+  ["2011", "Potts Point", -33.8700, 151.2250],
+  ["2011", "Woolloomooloo", -33.8700, 151.2200],
+  ["2015", "Alexandria", -33.9020, 151.1940],
+  ["2015", "Beaconsfield", -33.9120, 151.2010],
+  ["2016", "Redfern", -33.8930, 151.2040],
+  ["2017", "Waterloo", -33.9000, 151.2070],
+  ["2017", "Zetland", -33.9080, 151.2080],
+  ["2018", "Rosebery", -33.9180, 151.2040],
+  ["2019", "Botany", -33.9460, 151.1960],
+  ["2019", "Banksmeadow", -33.9520, 151.2070],
+  ["2020", "Mascot", -33.9260, 151.1930],
+  ["2021", "Paddington", -33.8840, 151.2310],
+  ["2022", "Bondi Junction", -33.8920, 151.2470],
+  ["2025", "Woollahra", -33.8870, 151.2400],
+  ["2026", "Bondi", -33.8910, 151.2620],
+  ["2027", "Edgecliff", -33.8790, 151.2370],
+  ["2028", "Double Bay", -33.8780, 151.2430],
+  ["2029", "Rose Bay", -33.8700, 151.2680],
+  ["2030", "Vaucluse", -33.8580, 151.2780],
+  ["2031", "Randwick", -33.9140, 151.2410],
+  ["2032", "Kingsford", -33.9240, 151.2270],
+  ["2033", "Kensington", -33.9090, 151.2230],
+  ["2034", "Coogee", -33.9200, 151.2560],
+  ["2035", "Maroubra", -33.9500, 151.2430],
+  ["2036", "Matraville", -33.9580, 151.2310],
+  ["2036", "Port Botany", -33.9710, 151.2210],
+  ["2037", "Glebe", -33.8790, 151.1850],
+  ["2038", "Annandale", -33.8810, 151.1700],
+  ["2039", "Rozelle", -33.8620, 151.1710],
+  ["2040", "Leichhardt", -33.8830, 151.1570],
+  ["2041", "Balmain", -33.8590, 151.1790],
+  ["2042", "Newtown", -33.8970, 151.1790],
+  ["2043", "Erskineville", -33.9020, 151.1860],
+  ["2044", "St Peters", -33.9110, 151.1800],
+  ["2044", "Tempe", -33.9230, 151.1600],
+  ["2045", "Haberfield", -33.8800, 151.1390],
+  ["2046", "Five Dock", -33.8670, 151.1290],
+  ["2047", "Drummoyne", -33.8520, 151.1540],
+  ["2048", "Stanmore", -33.8940, 151.1640],
+  ["2049", "Petersham", -33.8940, 151.1550],
+  ["2050", "Camperdown", -33.8890, 151.1760],
+
+  // Lower and upper North Shore, Northern Beaches
+  ["2060", "North Sydney", -33.8390, 151.2070],
+  ["2061", "Milsons Point", -33.8470, 151.2120],
+  ["2062", "Cammeray", -33.8220, 151.2110],
+  ["2063", "Northbridge", -33.8140, 151.2190],
+  ["2064", "Artarmon", -33.8090, 151.1850],
+  ["2065", "St Leonards", -33.8230, 151.1950],
+  ["2065", "Crows Nest", -33.8260, 151.2040],
+  ["2066", "Lane Cove", -33.8150, 151.1690],
+  ["2066", "Lane Cove West", -33.8080, 151.1530],
+  ["2067", "Chatswood", -33.7970, 151.1830],
+  ["2068", "Willoughby", -33.8010, 151.1990],
+  ["2069", "Roseville", -33.7840, 151.1780],
+  ["2070", "Lindfield", -33.7760, 151.1690],
+  ["2071", "Killara", -33.7660, 151.1620],
+  ["2072", "Gordon", -33.7560, 151.1540],
+  ["2073", "Pymble", -33.7440, 151.1410],
+  ["2074", "Turramurra", -33.7320, 151.1290],
+  ["2075", "St Ives", -33.7300, 151.1590],
+  ["2076", "Wahroonga", -33.7180, 151.1170],
+  ["2077", "Hornsby", -33.7030, 151.0990],
+  ["2077", "Asquith", -33.6880, 151.1080],
+  ["2079", "Mount Colah", -33.6710, 151.1150],
+  ["2080", "Mount Kuring-gai", -33.6530, 151.1370],
+  ["2081", "Berowra", -33.6230, 151.1500],
+  ["2085", "Belrose", -33.7380, 151.2160],
+  ["2086", "Frenchs Forest", -33.7480, 151.2330],
+  ["2087", "Forestville", -33.7600, 151.2110],
+  ["2088", "Mosman", -33.8290, 151.2440],
+  ["2089", "Neutral Bay", -33.8330, 151.2180],
+  ["2090", "Cremorne", -33.8280, 151.2290],
+  ["2093", "Balgowlah", -33.7950, 151.2620],
+  ["2095", "Manly", -33.7970, 151.2880],
+  ["2096", "Curl Curl", -33.7690, 151.2890],
+  ["2097", "Collaroy", -33.7320, 151.3010],
+  ["2099", "Dee Why", -33.7510, 151.2860],
+  ["2100", "Brookvale", -33.7670, 151.2690],
+  ["2101", "Narrabeen", -33.7130, 151.2970],
+  ["2102", "Warriewood", -33.6890, 151.2990],
+  ["2103", "Mona Vale", -33.6770, 151.3030],
+  ["2107", "Avalon Beach", -33.6360, 151.3290],
+
+  // Ryde, Hills and Parramatta
+  ["2110", "Hunters Hill", -33.8340, 151.1450],
+  ["2111", "Gladesville", -33.8310, 151.1270],
+  ["2112", "Ryde", -33.8150, 151.1030],
+  ["2112", "Putney", -33.8260, 151.1060],
+  ["2113", "North Ryde", -33.7960, 151.1240],
+  ["2113", "Macquarie Park", -33.7770, 151.1200],
+  ["2114", "West Ryde", -33.8060, 151.0880],
+  ["2114", "Meadowbank", -33.8160, 151.0900],
+  ["2115", "Ermington", -33.8140, 151.0550],
+  ["2116", "Rydalmere", -33.8130, 151.0330],
+  ["2117", "Dundas", -33.8000, 151.0420],
+  ["2117", "Telopea", -33.7940, 151.0430],
+  ["2118", "Carlingford", -33.7820, 151.0480],
+  ["2119", "Beecroft", -33.7510, 151.0650],
+  ["2120", "Pennant Hills", -33.7380, 151.0720],
+  ["2120", "Thornleigh", -33.7310, 151.0790],
+  ["2121", "Epping", -33.7730, 151.0820],
+  ["2122", "Eastwood", -33.7910, 151.0810],
+  ["2122", "Marsfield", -33.7790, 151.1060],
+  ["2125", "West Pennant Hills", -33.7480, 151.0400],
+  ["2126", "Cherrybrook", -33.7220, 151.0450],
+  ["2127", "Sydney Olympic Park", -33.8470, 151.0640],
+  ["2127", "Newington", -33.8380, 151.0560],
+  ["2128", "Silverwater", -33.8340, 151.0470],
+  ["2130", "Summer Hill", -33.8910, 151.1380],
+  ["2131", "Ashfield", -33.8880, 151.1250],
+  ["2132", "Croydon", -33.8830, 151.1150],
+  ["2133", "Croydon Park", -33.8980, 151.1010],
+  ["2134", "Burwood", -33.8770, 151.1040],
+  ["2135", "Strathfield", -33.8790, 151.0830],
+  ["2136", "Enfield", -33.8870, 151.0930],
+  ["2137", "Concord", -33.8580, 151.1030],
+  ["2137", "Mortlake", -33.8430, 151.1070],
+  ["2138", "Rhodes", -33.8300, 151.0870],
+  ["2140", "Homebush", -33.8660, 151.0820],
+  ["2140", "Homebush West", -33.8620, 151.0700],
+  ["2141", "Lidcombe", -33.8640, 151.0470],
+  ["2142", "Granville", -33.8330, 151.0110],
+  ["2142", "Clyde", -33.8340, 151.0230],
+  ["2142", "Camellia", -33.8200, 151.0260],
+  ["2142", "Rosehill", -33.8220, 151.0230],
+  ["2143", "Regents Park", -33.8830, 151.0240],
+  ["2143", "Birrong", -33.8920, 151.0220],
+  ["2144", "Auburn", -33.8490, 151.0330],
+  ["2145", "Westmead", -33.8080, 150.9870],
+  ["2145", "Wentworthville", -33.8070, 150.9720],
+  ["2145", "Greystanes", -33.8230, 150.9450],
+  ["2145", "Girraween", -33.7990, 150.9460],
+  ["2146", "Toongabbie", -33.7870, 150.9510],
+  ["2147", "Seven Hills", -33.7740, 150.9360],
+  ["2147", "Kings Langley", -33.7480, 150.9240],
+  ["2148", "Blacktown", -33.7690, 150.9060],
+  ["2148", "Arndell Park", -33.7900, 150.8760],
+  ["2148", "Huntingwood", -33.7990, 150.8810],
+  ["2150", "Parramatta", -33.8150, 151.0010],
+  ["2150", "Harris Park", -33.8230, 151.0080],
+  ["2151", "North Parramatta", -33.7980, 151.0040],
+  ["2152", "Northmead", -33.7840, 150.9890],
+  ["2153", "Baulkham Hills", -33.7610, 150.9900],
+  ["2153", "Bella Vista", -33.7400, 150.9550],
+  ["2154", "Castle Hill", -33.7310, 151.0040],
+  ["2155", "Kellyville", -33.7000, 150.9500],
+  ["2155", "Rouse Hill", -33.6820, 150.9150],
+  ["2156", "Glenhaven", -33.7000, 151.0000],
+  ["2158", "Dural", -33.6820, 151.0290],
+  ["2160", "Merrylands", -33.8360, 150.9920],
+  ["2161", "Guildford", -33.8530, 150.9880],
+  ["2162", "Chester Hill", -33.8830, 150.9960],
+  ["2162", "Sefton", -33.8870, 151.0100],
+  ["2163", "Villawood", -33.8820, 150.9750],
+  ["2163", "Carramar", -33.8840, 150.9640],
+
+  // South-west and western Sydney
+  ["2164", "Smithfield", -33.8530, 150.9400],
+  ["2164", "Wetherill Park", -33.8490, 150.9050],
+  ["2165", "Fairfield", -33.8720, 150.9560],
+  ["2166", "Cabramatta", -33.8950, 150.9350],
+  ["2166", "Canley Vale", -33.8860, 150.9470],
+  ["2167", "Glenfield", -33.9720, 150.8930],
+  ["2168", "Miller", -33.9150, 150.8850],
+  ["2168", "Ashcroft", -33.9180, 150.8990],
+  ["2170", "Liverpool", -33.9200, 150.9230],
+  ["2170", "Warwick Farm", -33.9130, 150.9340],
+  ["2170", "Casula", -33.9500, 150.9040],
+  ["2171", "Hoxton Park", -33.9270, 150.8590],
+  ["2171", "Prestons", -33.9420, 150.8720],
+  ["2173", "Moorebank", -33.9400, 150.9540],
+  ["2174", "Edmondson Park", -33.9650, 150.8590],
+  ["2175", "Horsley Park", -33.8440, 150.8480],
+  ["2176", "Bossley Park", -33.8640, 150.8840],
+  ["2177", "Bonnyrigg", -33.8920, 150.8690],
+  ["2178", "Kemps Creek", -33.8800, 150.7880],
+  ["2179", "Austral", -33.9300, 150.8100],
+  ["2190", "Greenacre", -33.9010, 151.0570],
+  ["2190", "Chullora", -33.8930, 151.0550],
+  ["2191", "Belfield", -33.9040, 151.0850],
+  ["2192", "Belmore", -33.9170, 151.0890],
+  ["2193", "Canterbury", -33.9110, 151.1180],
+  ["2194", "Campsie", -33.9120, 151.1030],
+  ["2195", "Lakemba", -33.9200, 151.0750],
+  ["2196", "Punchbowl", -33.9290, 151.0510],
+  ["2197", "Bass Hill", -33.9000, 151.0010],
+  ["2198", "Georges Hall", -33.9120, 150.9870],
+  ["2199", "Yagoona", -33.9070, 151.0260],
+  ["2200", "Bankstown", -33.9170, 151.0350],
+  ["2200", "Condell Park", -33.9250, 151.0110],
+  ["2203", "Dulwich Hill", -33.9050, 151.1390],
+  ["2204", "Marrickville", -33.9110, 151.1550],
+  ["2205", "Arncliffe", -33.9360, 151.1470],
+  ["2205", "Wolli Creek", -33.9290, 151.1540],
+  ["2206", "Earlwood", -33.9250, 151.1250],
+  ["2207", "Bexley", -33.9500, 151.1270],
+  ["2208", "Kingsgrove", -33.9410, 151.0990],
+  ["2209", "Beverly Hills", -33.9480, 151.0800],
+  ["2210", "Peakhurst", -33.9620, 151.0650],
+  ["2211", "Padstow", -33.9520, 151.0320],
+  ["2212", "Revesby", -33.9510, 151.0150],
+  ["2213", "Panania", -33.9530, 150.9970],
+  ["2214", "Milperra", -33.9380, 150.9860],
+  ["2216", "Rockdale", -33.9520, 151.1370],
+  ["2216", "Banksia", -33.9460, 151.1410],
+  ["2217", "Kogarah", -33.9630, 151.1330],
+  ["2218", "Carlton", -33.9690, 151.1210],
+  ["2219", "Sans Souci", -33.9890, 151.1330],
+  ["2220", "Hurstville", -33.9670, 151.1020],
+  ["2221", "Blakehurst", -33.9890, 151.1100],
+  ["2223", "Mortdale", -33.9700, 151.0810],
+  ["2224", "Sylvania", -34.0120, 151.1000],
+  ["2225", "Oyster Bay", -34.0060, 151.0800],
+  ["2226", "Jannali", -34.0170, 151.0650],
+  ["2227", "Gymea", -34.0350, 151.0850],
+  ["2228", "Miranda", -34.0340, 151.1010],
+  ["2228", "Taren Point", -34.0180, 151.1230],
+  ["2229", "Caringbah", -34.0470, 151.1220],
+  ["2230", "Cronulla", -34.0580, 151.1520],
+  ["2232", "Sutherland", -34.0310, 151.0580],
+  ["2232", "Kirrawee", -34.0350, 151.0700],
+  ["2233", "Engadine", -34.0660, 151.0120],
+  ["2234", "Menai", -34.0130, 151.0120],
+
+  // Central Coast, Newcastle and Hunter
+  ["2250", "Gosford", -33.4260, 151.3420],
+  ["2250", "West Gosford", -33.4240, 151.3160],
+  ["2250", "Erina", -33.4370, 151.3910],
+  ["2251", "Kincumber", -33.4700, 151.3840],
+  ["2256", "Woy Woy", -33.4850, 151.3240],
+  ["2259", "Wyong", -33.2830, 151.4230],
+  ["2259", "Tuggerah", -33.3070, 151.4150],
+  ["2260", "The Entrance", -33.3430, 151.4980],
+  ["2280", "Belmont", -33.0360, 151.6600],
+  ["2283", "Toronto", -33.0140, 151.5940],
+  ["2284", "Boolaroo", -32.9490, 151.6190],
+  ["2285", "Cardiff", -32.9420, 151.6590],
+  ["2287", "Wallsend", -32.9010, 151.6650],
+  ["2289", "Adamstown", -32.9380, 151.7250],
+  ["2290", "Charlestown", -32.9680, 151.6930],
+  ["2291", "Merewether", -32.9480, 151.7540],
+  ["2292", "Broadmeadow", -32.9240, 151.7300],
+  ["2293", "Wickham", -32.9190, 151.7580],
+  ["2294", "Carrington", -32.9150, 151.7650],
+  ["2295", "Stockton", -32.9100, 151.7860],
+  ["2298", "Waratah", -32.9060, 151.7280],
+  ["2299", "Lambton", -32.9100, 151.7100],
+  ["2300", "Newcastle", -32.9283, 151.7817],
+  ["2302", "Newcastle West", -32.9250, 151.7610],
+  ["2303", "Hamilton", -32.9210, 151.7480],
+  ["2304", "Mayfield", -32.8970, 151.7360],
+  ["2305", "New Lambton", -32.9260, 151.7090],
+  ["2306", "Windale", -32.9940, 151.6810],
+  ["2307", "Shortland", -32.8800, 151.6910],
+  ["2308", "Callaghan", -32.8920, 151.7040],
+  ["2320", "Maitland", -32.7330, 151.5570],
+  ["2320", "Rutherford", -32.7150, 151.5270],
+  ["2322", "Beresfield", -32.7990, 151.6560],
+  ["2322", "Thornton", -32.7820, 151.6410],
+  ["2323", "East Maitland", -32.7500, 151.5890],
+  ["2325", "Cessnock", -32.8340, 151.3560],
+  ["2330", "Singleton", -32.5640, 151.1690],
+  ["2333", "Muswellbrook", -32.2650, 150.8880],
+
+  // North West and New England
+  ["2340", "Tamworth", -31.0900, 150.9290],
+  ["2350", "Armidale", -30.5130, 151.6650],
+  ["2360", "Inverell", -29.7740, 151.1120],
+  ["2380", "Gunnedah", -30.9800, 150.2550],
+  ["2390", "Narrabri", -30.3250, 149.7830],
+  ["2400", "Moree", -29.4650, 149.8450],
+
+  // North Coast
+  ["2430", "Taree", -31.9100, 152.4600],
+  ["2440", "Kempsey", -31.0800, 152.8400],
+  ["2444", "Port Macquarie", -31.4300, 152.9080],
+  ["2450", "Coffs Harbour", -30.2960, 153.1140],
+  ["2460", "Grafton", -29.6900, 152.9330],
+  ["2470", "Casino", -28.8650, 153.0470],
+  ["2478", "Ballina", -28.8660, 153.5650],
+  ["2480", "Lismore", -28.8130, 153.2770],
+  ["2481", "Byron Bay", -28.6430, 153.6120],
+  ["2485", "Tweed Heads", -28.1760, 153.5410],
+
+  // Illawarra and South Coast
+  ["2500", "Wollongong", -34.4250, 150.8930],
+  ["2500", "North Wollongong", -34.4120, 150.8990],
+  ["2502", "Warrawong", -34.4860, 150.8880],
+  ["2505", "Port Kembla", -34.4780, 150.9000],
+  ["2506", "Berkeley", -34.4800, 150.8440],
+  ["2508", "Helensburgh", -34.1800, 150.9900],
+  ["2515", "Thirroul", -34.3170, 150.9180],
+  ["2517", "Woonona", -34.3490, 150.9060],
+  ["2518", "Corrimal", -34.3720, 150.9000],
+  ["2519", "Fairy Meadow", -34.3920, 150.8930],
+  ["2525", "Figtree", -34.4350, 150.8600],
+  ["2526", "Unanderra", -34.4530, 150.8450],
+  ["2527", "Albion Park", -34.5710, 150.7760],
+  ["2528", "Warilla", -34.5500, 150.8600],
+  ["2529", "Shellharbour", -34.5810, 150.8700],
+  ["2530", "Dapto", -34.4990, 150.7940],
+  ["2533", "Kiama", -34.6710, 150.8540],
+  ["2540", "Nowra", -34.8840, 150.6000],
+  ["2541", "Bomaderry", -34.8520, 150.6100],
+  ["2550", "Bega", -36.6740, 149.8420],
+
+  // Macarthur, Southern Highlands and Southern Tablelands
+  ["2560", "Campbelltown", -34.0650, 150.8140],
+  ["2560", "Leumeah", -34.0500, 150.8300],
+  ["2565", "Ingleburn", -34.0000, 150.8670],
+  ["2566", "Minto", -34.0280, 150.8430],
+  ["2567", "Narellan", -34.0400, 150.7350],
+  ["2567", "Smeaton Grange", -34.0370, 150.7580],
+  ["2570", "Camden", -34.0540, 150.6960],
+  ["2576", "Bowral", -34.4780, 150.4180],
+  ["2577", "Moss Vale", -34.5480, 150.3710],
+  ["2580", "Goulburn", -34.7540, 149.7180],
+  ["2582", "Yass", -34.8420, 148.9100],
+  ["2594", "Young", -34.3130, 148.3010],
+  ["2620", "Queanbeyan", -35.3530, 149.2340],
+
+  // Riverina and Murray
+  ["2640", "Albury", -36.0800, 146.9160],
+  ["2650", "Wagga Wagga", -35.1080, 147.3700],
+  ["2680", "Griffith", -34.2890, 146.0440],
+  ["2700", "Narrandera", -34.7480, 146.5520],
+  ["2710", "Deniliquin", -35.5320, 144.9610],
+  ["2720", "Tumut", -35.3000, 148.2220],
+
+  // Penrith, Hawkesbury, Blacktown growth areas and Blue Mountains
+  ["2745", "Glenmore Park", -33.7900, 150.6690],
+  ["2747", "Kingswood", -33.7590, 150.7200],
+  ["2747", "Werrington", -33.7590, 150.7400],
+  ["2750", "Penrith", -33.7510, 150.6940],
+  ["2750", "Jamisontown", -33.7680, 150.6780],
+  ["2750", "South Penrith", -33.7740, 150.6980],
+  ["2753", "Richmond", -33.5990, 150.7520],
+  ["2756", "Windsor", -33.6130, 150.8140],
+  ["2756", "South Windsor", -33.6260, 150.8090],
+  ["2759", "St Clair", -33.7970, 150.7850],
+  ["2759", "Erskine Park", -33.8130, 150.7980],
+  ["2760", "St Marys", -33.7670, 150.7740],
+  ["2761", "Plumpton", -33.7500, 150.8400],
+  ["2762", "Schofields", -33.6970, 150.8700],
+  ["2763", "Quakers Hill", -33.7330, 150.8840],
+  ["2765", "Riverstone", -33.6780, 150.8610],
+  ["2765", "Marsden Park", -33.6950, 150.8360],
+  ["2766", "Eastern Creek", -33.8030, 150.8520],
+  ["2766", "Rooty Hill", -33.7720, 150.8440],
+  ["2767", "Doonside", -33.7650, 150.8690],
+  ["2768", "Glenwood", -33.7390, 150.9250],
+  ["2769", "The Ponds", -33.7060, 150.9080],
+  ["2770", "Mount Druitt", -33.7680, 150.8190],
+  ["2770", "Minchinbury", -33.7870, 150.8300],
+  ["2773", "Glenbrook", -33.7680, 150.6220],
+  ["2774", "Blaxland", -33.7470, 150.6060],
+  ["2777", "Springwood", -33.6970, 150.5640],
+  ["2780", "Katoomba", -33.7140, 150.3120],
+
+  // Central West and Far West
+  ["2790", "Lithgow", -33.4820, 150.1580],
+  ["2795", "Bathurst", -33.4190, 149.5780],
+  ["2800", "Orange", -33.2830, 149.1000],
+  ["2820", "Wellington", -32.5560, 148.9450],
+  ["2830", "Dubbo", -32.2430, 148.6040],
+  ["2840", "Bourke", -30.0900, 145.9380],
+  ["2850", "Mudgee", -32.5940, 149.5870],
+  ["2870", "Parkes", -33.1370, 148.1760],
+  ["2871", "Forbes", -33.3850, 148.0080],
+  ["2880", "Broken Hill", -31.9530, 141.4530],
+];
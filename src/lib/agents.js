@@ -0,0 +1,122 @@
+// --- AGENT AND AGENCY PROFILES ---
+// Everything the current scan says about one agent or agency, plus the deal
+// team's contact log. Names are matched ignoring case and spacing, so "JOHN
+// SMITH" and "John  Smith" are one agent. Contacts are stored in IndexedDB
+// outside the scan snapshots, like the deal pipeline.
+
+import { dbGetAll, dbPut, dbDelete } from "./db.js";
+import { PRICE_CUT_SIGNAL } from "./scoringModel.js";
+
+export const AGENT_FIELDS = { agentName: "Agent", agency: "Agency" };
+
+export const CONTACT_CHANNELS = ["Call", "Email", "Meeting", "Inspection", "Other"];
+
+// Keywords that mean a lender or insolvency practitioner is selling.
+const MANDATE_RE = /mortgagee|receiver|liquidat|administrat|court ordered|bank instructed|controller/i;
+
+export const isMandate = (p) => p.distressKeywords.some(k => MANDATE_RE.test(k));
+
+export function normaliseName(name) {
+  return (name || "").toString().trim().replace(/\s+/g, " ").toLowerCase();
+}
+
+export function contactKey(field, name) {
+  return `${field}:${normaliseName(name)}`;
+}
+
+const round1 = (n) => Math.round(n * 10) / 10;
+const average = (values) => values.length ? round1(values.reduce((s, v) => s + v, 0) / values.length) : null;
+
+function summarise(listings) {
+  const distressed = listings.filter(p => p.distressKeywords.length).length;
+  return {
+    count: listings.length,
+    mandates: listings.filter(isMandate).length,
+    distressed,
+    distressedPct: listings.length ? Math.round(distressed / listings.length * 100) : 0,
+    high: listings.filter(p => p.priority === "High Priority").length,
+    avgScore: average(listings.map(p => p.score)),
+    avgDom: average(listings.map(p => p.daysOnMarket).filter(d => d !== null && d !== undefined)),
+  };
+}
+
+function groupByName(properties, field) {
+  const groups = new Map();
+  for (const p of properties) {
+    const key = normaliseName(p[field]);
+    if (!key) continue;
+    const g = groups.get(key) || { key, names: new Map(), listings: [] };
+    g.names.set(p[field], (g.names.get(p[field]) || 0) + 1);
+    g.listings.push(p);
+    groups.set(key, g);
+  }
+  return groups;
+}
+
+// The most common spelling is the one shown.
+const displayName = (names) => [...names.entries()].sort((a, b) => b[1] - a[1])[0][0];
+
+// Every agent (or agency) in the scan, those carrying the most mortgagee and
+// receivership mandates first. `contacts` adds the date each was last contacted.
+export function agentDirectory(properties, field, contacts = []) {
+  const last = {};
+  for (const c of contacts) if (c.field === field && (!last[c.contactKey] || c.at > last[c.contactKey])) last[c.contactKey] = c.at;
+  return [...groupByName(properties, field).values()]
+    .map(g => ({ name: displayName(g.names), variants: [...g.names.keys()], ...summarise(g.listings), lastContact: last[`${field}:${g.key}`] || null }))
+    .sort((a, b) => b.mandates - a.mandates || b.distressed - a.distressed || b.count - a.count || a.name.localeCompare(b.name));
+}
+
+function countBy(items) {
+  const counts = new Map();
+  for (const x of items) if (x) counts.set(x, (counts.get(x) || 0) + 1);
+  return [...counts.entries()].map(([name, count]) => ({ name, count })).sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+}
+
+// Null when nobody by that name is in `properties`.
+export function agentProfile(properties, field, name) {
+  const key = normaliseName(name);
+  const g = groupByName(properties, field).get(key);
+  if (!g) return null;
+  const listings = [...g.listings].sort((a, b) => b.score - a.score);
+  const other = field === "agency" ? "agentName" : "agency";
+  return {
+    field, name: displayName(g.names), variants: [...g.names.keys()],
+    ...summarise(listings),
+    listings,
+    // Cuts found by comparing with an earlier scan on the Changes tab.
+    priceCuts: listings.filter(p => p.priceChange && p.priceChange.pct < 0)
+      .map(p => ({ id: p.id, address: p.address, suburb: p.suburb, ...p.priceChange }))
+      .sort((a, b) => a.pct - b.pct),
+    phrases: countBy(listings.flatMap(p => p.distressKeywords.filter(k => k !== PRICE_CUT_SIGNAL))),
+    related: [...groupByName(listings, other).values()]
+      .map(r => ({ name: displayName(r.names), count: r.listings.length }))
+      .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name)),
+    suburbs: countBy(listings.map(p => p.suburb)),
+  };
+}
+
+// --- CONTACT LOG ---
+export function newContact({ field, name, at, channel = "Call", note = "", propertyKey = null }) {
+  return {
+    id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    contactKey: contactKey(field, name), field, name, at, channel, note, propertyKey,
+    createdAt: new Date().toISOString(),
+  };
+}
+
+export function contactsFor(contacts, field, name) {
+  const key = contactKey(field, name);
+  return contacts.filter(c => c.contactKey === key).sort((a, b) => b.at.localeCompare(a.at) || b.createdAt.localeCompare(a.createdAt));
+}
+
+export function loadContacts() {
+  return dbGetAll("contacts");
+}
+
+export function saveContact(entry) {
+  return dbPut("contacts", entry);
+}
+
+export function deleteContact(id) {
+  return dbDelete("contacts", id);
+}
@@ -0,0 +1,63 @@
+import { describe, it, expect } from "vitest";
+import { scoreRows, mapListing } from "./scoring.js";
+import { DEFAULT_SCORING_MODEL } from "./scoringModel.js";
+import { isMandate, normaliseName, contactKey, agentDirectory, agentProfile, newContact, contactsFor } from "./agents.js";
+
+const MAPPING = { address: "Address", suburb: "Suburb", askingPrice: "Price", daysOnMarket: "DOM", description: "Description", agentName: "Agent", agency: "Agency" };
+const scored = (rows) => scoreRows(rows.map((r, i) => ({ id: `s:${i}`, sourceId: "s", source: "Test", sources: ["Test"], ...mapListing(r, MAPPING) })), DEFAULT_SCORING_MODEL);
+
+const properties = scored([
+  { Address: "1 Main St", Suburb: "Parramatta", Price: "$3M", DOM: "200", Description: "Mortgagee in possession. Vacant possession.", Agent: "Jane Doe", Agency: "Acme Commercial" },
+  { Address: "2 Side St", Suburb: "Penrith", Price: "$8M", DOM: "100", Description: "Receivership sale", Agent: "JANE  DOE", Agency: "Acme Commercial" },
+  { Address: "3 High St", Suburb: "Ryde", Price: "$1M", DOM: "30", Description: "Leased to a national tenant", Agent: "Bob Lee", Agency: "Acme Commercial" },
+  { Address: "4 Low St", Suburb: "Ryde", Price: "$2M", DOM: "50", Description: "Leased", Agent: "Bob Lee", Agency: "Other Realty" },
+  { Address: "5 Far St", Suburb: "Ryde", Price: "$2M", DOM: "60", Description: "Leased", Agent: "Bob Lee", Agency: "" },
+]);
+properties[1] = { ...properties[1], priceChange: { from: 8_500_000, to: 8_000_000, pct: -5.9 } };
+
+describe("agent directory", () => {
+  it("matches names ignoring case and spacing", () => {
+    expect(normaliseName("  JANE   Doe ")).toBe("jane doe");
+    expect(contactKey("agentName", "Jane  DOE")).toBe("agentName:jane doe");
+  });
+
+  it("puts agents with the most mortgagee and receivership mandates first", () => {
+    expect(properties.filter(isMandate).map(p => p.address)).toEqual(["1 Main St", "2 Side St"]);
+    const agents = agentDirectory(properties, "agentName");
+    expect(agents.map(a => [a.name, a.count, a.mandates])).toEqual([["Jane Doe", 2, 2], ["Bob Lee", 3, 0]]);
+    expect(agents[0].variants).toEqual(["Jane Doe", "JANE  DOE"]);
+    expect(agents[0]).toMatchObject({ distressedPct: 100, avgDom: 150 });
+    expect(agentDirectory(properties, "agency").map(a => a.name)).toEqual(["Acme Commercial", "Other Realty"]);
+  });
+
+  it("adds the last contact date", () => {
+    const contacts = [
+      newContact({ field: "agentName", name: "jane doe", at: "2026-03-01", note: "Called" }),
+      newContact({ field: "agentName", name: "Jane Doe", at: "2026-03-09", note: "Inspected" }),
+      newContact({ field: "agency", name: "Jane Doe", at: "2026-04-01", note: "Not the agent" }),
+    ];
+    const [jane, bob] = agentDirectory(properties, "agentName", contacts);
+    expect(jane.lastContact).toBe("2026-03-09");
+    expect(bob.lastContact).toBeNull();
+    expect(contactsFor(contacts, "agentName", "JANE DOE").map(c => c.note)).toEqual(["Inspected", "Called"]);
+  });
+});
+
+describe("agent profile", () => {
+  it("summarises listings, phrases, price cuts and related agencies", () => {
+    const jane = agentProfile(properties, "agentName", "jane doe");
+    expect(jane.name).toBe("Jane Doe");
+    expect(jane.listings).toHaveLength(2);
+    expect(jane.phrases.map(ph => ph.name)).toContain("mortgagee");
+    expect(jane.priceCuts).toEqual([{ id: "s:1", address: "2 Side St", suburb: "Penrith", from: 8_500_000, to: 8_000_000, pct: -5.9 }]);
+    expect(jane.related).toEqual([{ name: "Acme Commercial", count: 2 }]);
+
+    const acme = agentProfile(properties, "agency", "Acme Commercial");
+    expect(acme.related.map(r => r.name)).toEqual(["Jane Doe", "Bob Lee"]);
+    expect(acme.suburbs[0]).toEqual({ name: "Parramatta", count: 1 });
+  });
+
+  it("returns null for someone not in the scan", () => {
+    expect(agentProfile(properties, "agentName", "Nobody")).toBeNull();
+  });
+});
@@ -0,0 +1,171 @@
+// --- ALERT RULES ---
+// Standing criteria checked after every import. A rule is a set of dashboard
+// filters plus optional keywords (any of them may appear). Each rule keeps
+// the listing keys it has already matched, so only listings that newly match
+// land in the alert inbox.
+
+import { DEFAULT_FILTERS, matchesFilters } from "./filters.js";
+import { compileKeyword, findDistressSignals } from "./distressText.js";
+import { suggestViewName } from "./viewState.js";
+import { formatAUD } from "./format.js";
+
+const ALERTS_KEY = "dealScanner.alerts";
+const MAX_INBOX = 1000;
+
+export const EMPTY_ALERTS = { rules: [], inbox: [] };
+
+export function loadAlerts() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(ALERTS_KEY) || "{}");
+    return {
+      rules: Array.isArray(saved.rules) ? saved.rules.filter(r => r && r.id && r.name && r.filters) : [],
+      inbox: Array.isArray(saved.inbox) ? saved.inbox : [],
+    };
+  } catch {
+    return EMPTY_ALERTS;
+  }
+}
+
+export function saveAlerts(alerts) {
+  localStorage.setItem(ALERTS_KEY, JSON.stringify(alerts));
+}
+
+// "mortgagee, receivership" -> ["mortgagee", "receivership"]
+export function parseKeywords(text) {
+  return [...new Set((text || "").split(/[,;\n]+/).map(k => k.trim().toLowerCase()).filter(Boolean))];
+}
+
+// Deal status and the watchlist describe our own tracking rather than the
+// market, so rules leave them out.
+export function newAlertRule({ name, filters, keywords = [] }) {
+  const { dealStatus: _status, watchlistOnly: _watchlist, ...market } = { ...DEFAULT_FILTERS, ...filters };
+  return {
+    id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    name, filters: market, keywords, enabled: true, seen: [], createdAt: new Date().toISOString(),
+  };
+}
+
+export function describeRule(rule) {
+  const base = suggestViewName({ filters: rule.filters });
+  if (!rule.keywords.length) return base;
+  const words = rule.keywords.map(k => `"${k}"`).join(" or ");
+  return base === "All listings" ? `Listings mentioning ${words}` : `${base} mentioning ${words}`;
+}
+
+// Keywords go through the distress matcher, so "mortgagee" also finds
+// "mortgagees" but not "not a mortgagee sale". Fields are joined as separate
+// clauses so a negation cannot reach from one into the next.
+function mentionsAny(p, keywords) {
+  const text = [p.address, p.suburb, p.propertyType, p.description].filter(Boolean).join(".\n");
+  return findDistressSignals(text, keywords).found.length > 0;
+}
+
+// Properties matching `rule`, whether or not it has seen them before.
+export function ruleMatches(rule, properties) {
+  const filters = { ...DEFAULT_FILTERS, ...rule.filters };
+  const keywords = rule.keywords.map(k => compileKeyword(k, 1));
+  return properties.filter(p => matchesFilters(p, filters) && (!keywords.length || mentionsAny(p, keywords)));
+}
+
+// Marks everything the rule matches now as seen, so a new rule only alerts
+// on listings that arrive in later imports.
+export function seedRule(rule, properties) {
+  return { ...rule, seen: [...new Set([...rule.seen, ...ruleMatches(rule, properties).map(p => p.key)])] };
+}
+
+// Checks every enabled rule against freshly imported `properties`. Returns
+// the updated alert state and the inbox entries that were added.
+export function runAlertRules(alerts, properties, { source = "", at = new Date() } = {}) {
+  const raisedAt = at.toISOString();
+  const raised = [];
+  const rules = alerts.rules.map(rule => {
+    if (!rule.enabled) return rule;
+    const seen = new Set(rule.seen);
+    const fresh = ruleMatches(rule, properties).filter(p => !seen.has(p.key));
+    if (!fresh.length) return rule;
+    for (const p of fresh) {
+      seen.add(p.key);
+      raised.push({
+        id: `${rule.id}:${p.key}`, ruleId: rule.id, ruleName: rule.name, key: p.key,
+        address: p.address, suburb: p.suburb, state: p.state, askingPrice: p.askingPrice, askingPriceText: p.askingPriceRaw,
+        daysOnMarket: p.daysOnMarket, score: p.score, priority: p.priority, distressKeywords: p.distressKeywords,
+        listingUrl: p.listingUrl, source, raisedAt, read: false,
+      });
+    }
+    return { ...rule, seen: [...seen] };
+  });
+  if (!raised.length) return { alerts, raised };
+  return { alerts: { rules, inbox: [...raised, ...alerts.inbox].slice(0, MAX_INBOX) }, raised };
+}
+
+// Listing keys with at least one unread alert, mapped to the rule names.
+export function unreadByKey(inbox) {
+  const byKey = {};
+  for (const a of inbox) if (!a.read) byKey[a.key] = [...(byKey[a.key] || []), a.ruleName];
+  return byKey;
+}
+
+// --- ALERT FILES ---
+const price = (a) => a.askingPrice ? formatAUD(a.askingPrice) : (a.askingPriceText || "Price not given");
+const place = (a) => [a.address, a.suburb].filter(Boolean).join(", ") || "Address not given";
+const summaryLine = (a) => `${price(a)} | score ${a.score} (${a.priority})${a.daysOnMarket !== null && a.daysOnMarket !== undefined ? ` | ${a.daysOnMarket} days on market` : ""}`;
+
+const icsText = (s) => s.replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+const icsDate = (d) => `${d.getFullYear()}${String(d.getMonth() + 1).padStart(2, "0")}${String(d.getDate()).padStart(2, "0")}`;
+const icsStamp = (d) => d.toISOString().replace(/[-:]/g, "").replace(/\.\d+/, "");
+
+// Content lines longer than 75 characters continue on the next line after a space.
+function fold(line) {
+  const out = [];
+  for (let i = 0; i < line.length; i += 74) out.push((i ? " " : "") + line.slice(i, i + 74));
+  return out.join("\r\n");
+}
+
+// One all-day event per alert on the day it was raised, as a review reminder.
+export function alertsToICS(alerts, now = new Date()) {
+  const lines = ["BEGIN:VCALENDAR", "VERSION:2.0", "PRODID:-//Deal Scanner//Alerts//EN", "CALSCALE:GREGORIAN"];
+  for (const a of alerts) {
+    const day = new Date(a.raisedAt);
+    const next = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1);
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${a.id.replace(/[^a-z0-9:|-]/gi, "-")}@deal-scanner`,
+      `DTSTAMP:${icsStamp(now)}`,
+      `DTSTART;VALUE=DATE:${icsDate(day)}`,
+      `DTEND;VALUE=DATE:${icsDate(next)}`,
+      `SUMMARY:${icsText(`Review: ${place(a)}`)}`,
+      `DESCRIPTION:${icsText(`Matched alert rule "${a.ruleName}".\n${summaryLine(a)}${a.distressKeywords?.length ? `\nKeywords: ${a.distressKeywords.join(", ")}` : ""}${a.listingUrl ? `\n${a.listingUrl}` : ""}`)}`,
+      ...(a.listingUrl ? [`URL:${a.listingUrl}`] : []),
+      "END:VEVENT",
+    );
+  }
+  lines.push("END:VCALENDAR");
+  return lines.map(fold).join("\r\n") + "\r\n";
+}
+
+// A plain-text email digest grouped by rule, saved unsent so it opens as a
+// draft in Outlook or Apple Mail.
+export function alertsToEML(alerts, now = new Date()) {
+  const byRule = new Map();
+  for (const a of alerts) byRule.set(a.ruleName, [...(byRule.get(a.ruleName) || []), a]);
+  const body = [`${alerts.length} new ${alerts.length === 1 ? "listing matches" : "listings match"} your alert rules.`, ""];
+  for (const [rule, items] of byRule) {
+    body.push(`${rule} (${items.length})`, "-".repeat(Math.min(60, rule.length + 4 + String(items.length).length)));
+    for (const a of items) {
+      body.push(`* ${place(a)}`, `  ${summaryLine(a)}`);
+      if (a.listingUrl) body.push(`  ${a.listingUrl}`);
+    }
+    body.push("");
+  }
+  return [
+    "X-Unsent: 1",
+    "To: ",
+    `Subject: Deal Scanner alerts: ${alerts.length} new ${alerts.length === 1 ? "match" : "matches"}`,
+    `Date: ${now.toUTCString().replace("GMT", "+0000")}`,
+    "MIME-Version: 1.0",
+    "Content-Type: text/plain; charset=utf-8",
+    "Content-Transfer-Encoding: 8bit",
+    "",
+    ...body,
+  ].join("\r\n");
+}
@@ -0,0 +1,81 @@
+import { describe, it, expect } from "vitest";
+import { scoreRows, mapListing } from "./scoring.js";
+import { DEFAULT_SCORING_MODEL } from "./scoringModel.js";
+import { DEFAULT_FILTERS } from "./filters.js";
+import {
+  EMPTY_ALERTS, parseKeywords, newAlertRule, describeRule, ruleMatches, seedRule, runAlertRules, unreadByKey, alertsToICS, alertsToEML,
+} from "./alerts.js";
+
+const MAPPING = { address: "Address", suburb: "Suburb", askingPrice: "Price", daysOnMarket: "DOM", description: "Description", listingUrl: "URL" };
+const scored = (rows) => scoreRows(rows.map((r, i) => ({ id: `s:${i}`, sourceId: "s", source: "Test", sources: ["Test"], ...mapListing(r, MAPPING) })), DEFAULT_SCORING_MODEL);
+
+const first = scored([
+  { Address: "1 Main St", Suburb: "Parramatta", Price: "$3M", DOM: "200", Description: "Mortgagee in possession. Vacant possession." },
+  { Address: "2 Side St", Suburb: "Penrith", Price: "$8M", DOM: "10", Description: "Receivership sale, leased" },
+  { Address: "3 High St", Suburb: "Ryde", Price: "$1M", DOM: "30", Description: "Leased to a national tenant" },
+]);
+const second = scored([
+  { Address: "1 Main St", Suburb: "Parramatta", Price: "$2.8M", DOM: "230", Description: "Mortgagee in possession. Vacant possession." },
+  { Address: "4 New Rd", Suburb: "Blacktown", Price: "$4.5M", DOM: "5", Description: "Receivers appointed. Receivership. Expressions of interest", URL: "https://example.com/4" },
+]);
+
+const westUnder5m = newAlertRule({
+  name: "West under $5M",
+  filters: { ...DEFAULT_FILTERS, suburbs: ["Parramatta", "Penrith", "Blacktown"], priceMax: 5_000_000, watchlistOnly: true },
+  keywords: parseKeywords("Mortgagee, receivership"),
+});
+
+describe("alert rules", () => {
+  it("parses keywords and leaves our own tracking filters out", () => {
+    expect(parseKeywords(" Mortgagee, receivership;mortgagee\n")).toEqual(["mortgagee", "receivership"]);
+    expect(westUnder5m.filters).not.toHaveProperty("watchlistOnly");
+    expect(describeRule(westUnder5m)).toBe('3 suburbs under $5M mentioning "mortgagee" or "receivership"');
+    expect(describeRule(newAlertRule({ name: "x", filters: {}, keywords: ["vacant"] }))).toBe('Listings mentioning "vacant"');
+  });
+
+  it("matches the filters and any keyword", () => {
+    expect(ruleMatches(westUnder5m, first).map(p => p.address)).toEqual(["1 Main St"]);
+    const highScore = newAlertRule({ name: "Score 40+", filters: { scoreMin: 40 } });
+    expect(ruleMatches(highScore, first).every(p => p.score >= 40)).toBe(true);
+  });
+
+  it("matches keywords as the scoring does, skipping negated mentions", () => {
+    const rule = newAlertRule({ name: "Mortgagee", filters: {}, keywords: ["mortgagee"] });
+    const props = scored([
+      { Address: "5 Bay St", Suburb: "Ryde", Description: "Not a mortgagee sale. Leased." },
+      { Address: "6 Bay St", Suburb: "Ryde", Description: "Mortgagees in possession" },
+      { Address: "7 Bay St", Suburb: "Ryde", Description: "Mortgageeship" },
+    ]);
+    expect(ruleMatches(rule, props).map(p => p.address)).toEqual(["6 Bay St"]);
+  });
+
+  it("alerts only on listings a rule has not matched before", () => {
+    const seeded = { ...EMPTY_ALERTS, rules: [seedRule(westUnder5m, first)] };
+    const { alerts, raised } = runAlertRules(seeded, second, { source: "week2.csv", at: new Date(2026, 2, 3, 9) });
+    expect(raised.map(a => a.address)).toEqual(["4 New Rd"]);
+    expect(raised[0]).toMatchObject({ ruleName: "West under $5M", source: "week2.csv", read: false });
+    expect(alerts.rules[0].seen).toHaveLength(2);
+    expect(runAlertRules(alerts, second).raised).toHaveLength(0);
+    expect(unreadByKey(alerts.inbox)).toEqual({ [raised[0].key]: ["West under $5M"] });
+
+    const paused = { ...seeded, rules: [{ ...seeded.rules[0], enabled: false }] };
+    expect(runAlertRules(paused, second).alerts).toBe(paused);
+  });
+
+  it("writes calendar and email files", () => {
+    const { raised } = runAlertRules({ ...EMPTY_ALERTS, rules: [westUnder5m] }, second, { at: new Date(2026, 2, 3, 9) });
+    const ics = alertsToICS(raised, new Date(Date.UTC(2026, 2, 3, 0, 0, 0)));
+    expect(ics).toMatch(/^BEGIN:VCALENDAR\r\n/);
+    expect(ics.match(/BEGIN:VEVENT/g)).toHaveLength(2);
+    expect(ics).toContain("DTSTART;VALUE=DATE:20260303");
+    expect(ics).toContain("DTEND;VALUE=DATE:20260304");
+    expect(ics).toContain("SUMMARY:Review: 4 New Rd\\, Blacktown");
+    expect(ics.split("\r\n").every(l => l.length <= 75)).toBe(true);
+
+    const eml = alertsToEML(raised, new Date(Date.UTC(2026, 2, 3)));
+    expect(eml).toContain("Subject: Deal Scanner alerts: 2 new matches");
+    expect(eml).toContain("West under $5M (2)");
+    expect(eml).toContain("* 4 New Rd, Blacktown");
+    expect(eml).toContain("  https://example.com/4");
+  });
+});
@@ -0,0 +1,100 @@
+// --- MARKET ANALYTICS ---
+// Aggregates behind the Analytics tab. Every bucket and group carries the
+// filter patch that narrows the Properties tab to exactly its listings, so
+// chart clicks can hand it straight to setFilters.
+
+const DOM_BANDS = [0, 30, 60, 90, 180, 365];
+const PRICE_BANDS = [0, 500_000, 1_000_000, 2_000_000, 3_000_000, 5_000_000, 10_000_000];
+
+function shortMoney(n) {
+  if (n >= 1_000_000) return `$${+(n / 1_000_000).toFixed(1)}M`;
+  return `$${Math.round(n / 1_000)}K`;
+}
+
+// Counts `values` into [edges[i], edges[i + 1]) bands; the last band is open
+// and filters up to `openMax`. Values are whole numbers, so each band's filter
+// upper bound is the next edge minus one.
+function banded(values, edges, label, [minKey, maxKey, openMax]) {
+  const bins = edges.map((lo, i) => {
+    const hi = edges[i + 1] ?? null;
+    return { lo, hi, label: label(lo, hi), count: 0, filter: { [minKey]: lo, [maxKey]: hi === null ? openMax : hi - 1 } };
+  });
+  for (const v of values) {
+    if (v === null || v === undefined || v < edges[0]) continue;
+    let i = edges.length - 1;
+    while (v < edges[i]) i--;
+    bins[i].count++;
+  }
+  return bins;
+}
+
+// Score buckets of ten points (five for models scoring under 50).
+export function scoreDistribution(properties, maxTotal) {
+  const step = maxTotal < 50 ? 5 : 10;
+  const edges = [];
+  for (let lo = 0; lo < Math.max(maxTotal, step); lo += step) edges.push(lo);
+  return banded(properties.map(p => Math.max(0, p.score)), edges,
+    (lo, hi) => hi === null ? `${lo}+` : `${lo}–${hi - 1}`, ["scoreMin", "scoreMax", null]);
+}
+
+export function domDistribution(properties) {
+  return banded(properties.map(p => p.daysOnMarket), DOM_BANDS,
+    (lo, hi) => hi === null ? `${lo}+ days` : `${lo}–${hi - 1}`, ["domMin", "domMax", 9999]);
+}
+
+export function priceHistogram(properties) {
+  return banded(properties.map(p => p.askingPrice), PRICE_BANDS,
+    (lo, hi) => hi === null ? `${shortMoney(lo)}+` : lo === 0 ? `< ${shortMoney(hi)}` : `${shortMoney(lo)}–${shortMoney(hi)}`,
+    ["priceMin", "priceMax", 999_999_999]);
+}
+
+// Which filter array narrows to one value of each groupable field.
+export const GROUP_FIELDS = {
+  state: { label: "State", filterKey: "states" },
+  suburb: { label: "Suburb", filterKey: "suburbs" },
+  councilArea: { label: "Council Area", filterKey: "councilAreas" },
+  propertyType: { label: "Property Type", filterKey: "propertyType" },
+  agentName: { label: "Agent", filterKey: "agents" },
+  agency: { label: "Agency", filterKey: "agencies" },
+};
+
+// Per-value totals for `field`, most listings first. Blank values are skipped.
+export function groupStats(properties, field, limit = 15) {
+  const groups = new Map();
+  for (const p of properties) {
+    const name = (p[field] || "").toString();
+    if (!name.trim()) continue;
+    const g = groups.get(name) || { name, count: 0, high: 0, distressed: 0, scoreSum: 0 };
+    g.count++;
+    g.scoreSum += p.score;
+    if (p.priority === "High Priority") g.high++;
+    if (p.distressKeywords.length) g.distressed++;
+    groups.set(name, g);
+  }
+  const { filterKey } = GROUP_FIELDS[field];
+  return [...groups.values()]
+    .map(({ scoreSum, ...g }) => ({ ...g, avgScore: Math.round(scoreSum / g.count * 10) / 10, filter: { [filterKey]: [g.name] } }))
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name))
+    .slice(0, limit);
+}
+
+// Agents or agencies ranked by how many listings with distress keywords they carry.
+export function distressLeaderboard(properties, field, limit = 10) {
+  return groupStats(properties, field, Infinity)
+    .filter(g => g.distressed > 0)
+    .sort((a, b) => b.distressed - a.distressed || b.high - a.high || a.name.localeCompare(b.name))
+    .slice(0, limit);
+}
+
+// Price vs DOM points for listings that have both.
+export function priceDomPoints(properties) {
+  return properties.filter(p => p.askingPrice !== null && p.daysOnMarket !== null)
+    .map(p => ({ id: p.id, price: p.askingPrice, dom: p.daysOnMarket, priority: p.priority, address: p.address, suburb: p.suburb, score: p.score }));
+}
+
+// Listings per distress keyword, most common first.
+export function keywordFrequency(properties) {
+  const freq = {};
+  for (const p of properties) for (const kw of p.distressKeywords) freq[kw] = (freq[kw] || 0) + 1;
+  return Object.entries(freq).map(([keyword, count]) => ({ keyword, count })).sort((a, b) => b.count - a.count);
+}
@@ -0,0 +1,58 @@
+import { describe, it, expect } from "vitest";
+import { DEFAULT_FILTERS, matchesFilters } from "./filters.js";
+import { scoreDistribution, domDistribution, priceHistogram, groupStats, distressLeaderboard, priceDomPoints } from "./analytics.js";
+
+const listing = (i) => ({
+  id: `s:${i}`, address: `${i} Main St`, suburb: ["Ryde", "Penrith", "Parramatta"][i % 3], councilArea: i % 2 ? "Ryde" : "",
+  propertyType: i % 4 ? "Industrial" : "Retail", agentName: ["Jo Smith", "Sam Lee", ""][i % 3], agency: "Acme",
+  askingPrice: i % 5 ? 400_000 * i : null, daysOnMarket: i % 7 ? i * 13 : null, score: (i * 7) % 60,
+  priority: i % 6 === 0 ? "High Priority" : i % 2 ? "Monitor" : "Low", distressKeywords: i % 3 === 0 ? ["mortgagee"] : [],
+});
+const LISTINGS = Array.from({ length: 60 }, (_, i) => listing(i));
+const matching = (patch) => LISTINGS.filter(p => matchesFilters(p, { ...DEFAULT_FILTERS, ...patch })).length;
+
+describe("distributions", () => {
+  it("bins scores and each bin's filter selects the same listings", () => {
+    const bins = scoreDistribution(LISTINGS, 60);
+    expect(bins.map(b => b.label)).toEqual(["0–9", "10–19", "20–29", "30–39", "40–49", "50+"]);
+    expect(bins.reduce((s, b) => s + b.count, 0)).toBe(60);
+    for (const b of bins) expect(matching(b.filter)).toBe(b.count);
+  });
+
+  it("bins prices and skips listings without one", () => {
+    const bins = priceHistogram(LISTINGS);
+    expect(bins.reduce((s, b) => s + b.count, 0)).toBe(LISTINGS.filter(p => p.askingPrice !== null).length);
+    expect(bins[0].label).toBe("< $500K");
+    expect(bins.at(-1).filter).toEqual({ priceMin: 10_000_000, priceMax: 999_999_999 });
+    const withPrice = LISTINGS.filter(p => p.askingPrice !== null);
+    for (const b of bins) expect(withPrice.filter(p => matchesFilters(p, { ...DEFAULT_FILTERS, ...b.filter })).length).toBe(b.count);
+  });
+
+  it("bins days on market with an open last band", () => {
+    const bins = domDistribution(LISTINGS);
+    expect(bins.at(-1)).toMatchObject({ label: "365+ days", filter: { domMin: 365, domMax: 9999 } });
+    expect(bins.reduce((s, b) => s + b.count, 0)).toBe(LISTINGS.filter(p => p.daysOnMarket !== null).length);
+  });
+});
+
+describe("groups", () => {
+  it("totals per value and filters to that value", () => {
+    const councils = groupStats(LISTINGS, "councilArea");
+    expect(councils).toHaveLength(1);
+    expect(councils[0]).toMatchObject({ name: "Ryde", count: 30, filter: { councilAreas: ["Ryde"] } });
+    for (const g of groupStats(LISTINGS, "suburb")) expect(matching(g.filter)).toBe(g.count);
+  });
+
+  it("ranks agents by distressed listings and skips blanks", () => {
+    const board = distressLeaderboard(LISTINGS, "agentName");
+    expect(board.map(r => r.name)).toEqual(["Jo Smith"]);
+    expect(board[0]).toMatchObject({ distressed: 20, count: 20, filter: { agents: ["Jo Smith"] } });
+    expect(matching(board[0].filter)).toBe(20);
+  });
+
+  it("plots only listings with a price and DOM", () => {
+    const points = priceDomPoints(LISTINGS);
+    expect(points.every(p => p.price !== null && p.dom !== null)).toBe(true);
+    expect(points[0]).toMatchObject({ id: "s:1", price: 400_000, dom: 13 });
+  });
+});
@@ -0,0 +1,71 @@
+// --- SCAN-TO-SCAN CHANGE TRACKING ---
+// Compares the current scan with a baseline (an earlier snapshot or scored
+// export). Listings are matched on normalised address + suburb.
+
+import { normaliseAddress, normaliseSuburb } from "./dedupe.js";
+
+export const PRIORITY_RANK = { "Low": 0, "Monitor": 1, "High Priority": 2 };
+
+export function listingKey(row) {
+  return `${normaliseSuburb(row.suburb)}|${normaliseAddress(row.address, row.suburb)}`;
+}
+
+function indexByKey(rows) {
+  const map = new Map();
+  rows.forEach(r => {
+    const key = r.key || listingKey(r);
+    if (key !== "|" && !map.has(key)) map.set(key, r);
+  });
+  return map;
+}
+
+// Reduces listing rows to the fields a baseline needs to keep.
+export function toBaselineEntries(rows) {
+  return rows.map(r => ({
+    key: listingKey(r),
+    address: r.address, suburb: r.suburb,
+    askingPrice: r.askingPrice ?? null, askingPriceRaw: r.askingPriceRaw || "",
+    daysOnMarket: r.daysOnMarket ?? null,
+    score: r.score ?? null, priority: r.priority || null,
+  }));
+}
+
+// Attaches `priceChange` ({ from, to, pct }) to every current row whose asking
+// price differs from the baseline. Runs before scoring so cuts can score.
+export function annotatePriceChanges(rows, baseline) {
+  if (!baseline || !baseline.length) return rows;
+  const before = indexByKey(baseline);
+  return rows.map(r => {
+    const prev = before.get(listingKey(r));
+    if (!prev || !prev.askingPrice || !r.askingPrice || prev.askingPrice === r.askingPrice) return r;
+    const pct = Math.round(((r.askingPrice - prev.askingPrice) / prev.askingPrice) * 1000) / 10;
+    return { ...r, priceChange: { from: prev.askingPrice, to: r.askingPrice, pct } };
+  });
+}
+
+// Returns one entry per changed listing: { type, key, current, previous, ... }.
+// Types: new, withdrawn, priceCut, priceRise, priorityUp, priorityDown, scoreUp, scoreDown.
+// A listing can produce several entries (e.g. a price cut and a priority upgrade).
+export function compareScans(baseline, properties) {
+  const before = indexByKey(baseline);
+  const after = indexByKey(properties.map(p => ({ ...p, key: listingKey(p) })));
+  const changes = [];
+  for (const [key, cur] of after) {
+    const prev = before.get(key);
+    if (!prev) { changes.push({ type: "new", key, current: cur, previous: null }); continue; }
+    if (cur.priceChange) {
+      changes.push({ type: cur.priceChange.pct < 0 ? "priceCut" : "priceRise", key, current: cur, previous: prev, from: cur.priceChange.from, to: cur.priceChange.to, pct: cur.priceChange.pct });
+    }
+    if (prev.priority && cur.priority !== prev.priority) {
+      const up = PRIORITY_RANK[cur.priority] > PRIORITY_RANK[prev.priority];
+      changes.push({ type: up ? "priorityUp" : "priorityDown", key, current: cur, previous: prev, from: prev.priority, to: cur.priority });
+    }
+    if (prev.score !== null && prev.score !== undefined && cur.score !== prev.score) {
+      changes.push({ type: cur.score > prev.score ? "scoreUp" : "scoreDown", key, current: cur, previous: prev, from: prev.score, to: cur.score, delta: cur.score - prev.score });
+    }
+  }
+  for (const [key, prev] of before) {
+    if (!after.has(key)) changes.push({ type: "withdrawn", key, current: null, previous: prev });
+  }
+  return changes;
+}
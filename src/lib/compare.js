@@ -0,0 +1,76 @@
+// --- SIDE-BY-SIDE COMPARISON ---
+// Rows of the Compare view, one column per shortlisted property. Numeric rows
+// with a `better` direction mark their best and worst values; ties and rows
+// where fewer than two properties have a value are left unmarked.
+
+import Papa from "papaparse";
+import { formatAUD, formatPerSqm } from "./format.js";
+import { formatCountdown } from "./saleMethod.js";
+
+export const MIN_COMPARE = 2;
+export const MAX_COMPARE = 6;
+
+const sqm = (n) => n === null || n === undefined ? "—" : `${n.toLocaleString("en-AU")} sqm`;
+const text = (v) => v || "—";
+const points = (key) => (v, p, max) => `${v ?? 0}/${max[key]}`;
+
+// Scores are shown out of the matching maxScores() entry, e.g. "12/30".
+export const COMPARE_ROWS = [
+  { section: "Property", id: "suburb", label: "Suburb", get: p => p.suburb, format: text },
+  { section: "Property", id: "propertyType", label: "Type", get: p => p.propertyType, format: text },
+  { section: "Property", id: "councilArea", label: "Council", get: p => p.councilArea, format: text },
+  { section: "Property", id: "agentName", label: "Agent", get: p => p.agentName, format: text },
+  { section: "Property", id: "agency", label: "Agency", get: p => p.agency, format: text },
+  { section: "Price", id: "askingPrice", label: "Asking Price", get: p => p.askingPrice, format: (v, p) => v !== null && v !== undefined ? formatAUD(v) : text(p.askingPriceRaw), better: "low" },
+  { section: "Price", id: "pricePerSqmLand", label: "$/sqm Land", get: p => p.pricePerSqmLand, format: formatPerSqm, better: "low" },
+  { section: "Price", id: "pricePerSqmBuilding", label: "$/sqm Building", get: p => p.pricePerSqmBuilding, format: formatPerSqm, better: "low" },
+  { section: "Price", id: "landSqm", label: "Land", get: p => p.landSqm, format: sqm },
+  { section: "Price", id: "buildingSqm", label: "Building", get: p => p.buildingSqm, format: sqm },
+  { section: "Market", id: "daysOnMarket", label: "Days on Market", get: p => p.daysOnMarket, format: v => v ?? "—", better: "high" },
+  { section: "Market", id: "saleMethod", label: "Sale Method", get: p => p.saleMethod, format: text },
+  { section: "Market", id: "deadline", label: "Deadline", get: p => p.daysToDeadline, format: (v, p) => p.deadline ? `${p.deadlineType} ${formatCountdown(v)}` : "—" },
+  { section: "Score", id: "score", label: "Total Score", get: p => p.score, format: points("total"), better: "high" },
+  { section: "Score", id: "priority", label: "Priority", get: p => p.priority, format: text },
+  { section: "Score", id: "distressScore", label: "Distress Keywords", get: p => p.distressScore, format: points("distress"), better: "high" },
+  { section: "Score", id: "domScore", label: "Days on Market", get: p => p.domScore, format: points("dom"), better: "high" },
+  { section: "Score", id: "vacancyScore", label: "Vacancy Signal", get: p => p.vacancyScore, format: points("vacancy"), better: "high" },
+  { section: "Score", id: "valueScore", label: "Price vs Peers", get: p => p.valueScore, format: points("value"), better: "high" },
+  { section: "Score", id: "saleScore", label: "Sale Method", get: p => p.saleScore, format: points("sale"), better: "high" },
+  { section: "Details", id: "keywords", label: "Keywords", get: p => p.distressKeywords.join(", "), format: text },
+  { section: "Details", id: "description", label: "Description", get: p => p.description, format: text },
+];
+
+const isNumber = (v) => typeof v === "number" && !isNaN(v);
+
+// Indexes of the best and worst values in `values`.
+export function extremes(values, better) {
+  const nums = values.map((v, i) => [v, i]).filter(([v]) => isNumber(v));
+  if (!better || nums.length < 2) return { best: [], worst: [] };
+  const lo = Math.min(...nums.map(([v]) => v));
+  const hi = Math.max(...nums.map(([v]) => v));
+  if (lo === hi) return { best: [], worst: [] };
+  const at = (x) => nums.filter(([v]) => v === x).map(([, i]) => i);
+  return better === "low" ? { best: at(lo), worst: at(hi) } : { best: at(hi), worst: at(lo) };
+}
+
+export function compareRows(properties, max) {
+  return COMPARE_ROWS.map(row => {
+    const values = properties.map(p => row.get(p));
+    return {
+      section: row.section, id: row.id, label: row.label,
+      cells: values.map((v, i) => String(row.format(v, properties[i], max))),
+      ...extremes(values, row.better),
+    };
+  });
+}
+
+// One row per comparison line, one column per property, best and worst
+// flagged in the last two columns.
+export function compareToCSV(properties, max) {
+  const heads = properties.map(p => [p.address, p.suburb].filter(Boolean).join(", ") || p.id);
+  const data = compareRows(properties, max).map(r => [
+    r.section, r.label, ...r.cells,
+    r.best.map(i => heads[i]).join("; "), r.worst.map(i => heads[i]).join("; "),
+  ]);
+  return Papa.unparse({ fields: ["Section", "Field", ...heads, "Best", "Worst"], data });
+}
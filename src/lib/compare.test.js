@@ -0,0 +1,40 @@
+import { describe, it, expect } from "vitest";
+import Papa from "papaparse";
+import { scoreRows, mapListing } from "./scoring.js";
+import { DEFAULT_SCORING_MODEL, maxScores } from "./scoringModel.js";
+import { extremes, compareRows, compareToCSV } from "./compare.js";
+
+const MAPPING = { address: "Address", suburb: "Suburb", askingPrice: "Price", daysOnMarket: "DOM", description: "Description", councilArea: "Council", agentName: "Agent" };
+const properties = scoreRows([
+  { Address: "1 Main St", Suburb: "Parramatta", Price: "$3M", DOM: "200", Description: "Mortgagee in possession. Vacant possession.", Council: "City of Parramatta", Agent: "Jane Doe" },
+  { Address: "2 Side St", Suburb: "Penrith", Price: "$8M", DOM: "10", Description: "Leased to a national tenant", Council: "Penrith", Agent: "Bob Lee" },
+  { Address: "3 High St", Suburb: "Ryde", Price: "Contact agent", DOM: "200", Description: "Leased" },
+].map((r, i) => ({ id: `s:${i}`, sourceId: "s", source: "Test", sources: ["Test"], ...mapListing(r, MAPPING) })), DEFAULT_SCORING_MODEL);
+const max = maxScores(DEFAULT_SCORING_MODEL);
+
+describe("property comparison", () => {
+  it("finds best and worst values in either direction, leaving ties and gaps unmarked", () => {
+    expect(extremes([3, 8, null], "low")).toEqual({ best: [0], worst: [1] });
+    expect(extremes([200, 10, 200], "high")).toEqual({ best: [0, 2], worst: [1] });
+    expect(extremes([5, 5], "high")).toEqual({ best: [], worst: [] });
+    expect(extremes([5, null], "high")).toEqual({ best: [], worst: [] });
+    expect(extremes([1, 2], undefined)).toEqual({ best: [], worst: [] });
+  });
+
+  it("formats each row and marks the cheapest and highest scoring", () => {
+    const rows = Object.fromEntries(compareRows(properties, max).map(r => [r.id, r]));
+    expect(rows.askingPrice.cells).toEqual(["$3.00M", "$8.00M", "Contact agent"]);
+    expect(rows.askingPrice).toMatchObject({ best: [0], worst: [1] });
+    expect(rows.councilArea.cells).toEqual(["City of Parramatta", "Penrith", "—"]);
+    expect(rows.score.cells[0]).toBe(`${properties[0].score}/${max.total}`);
+    expect(rows.score.best).toEqual([0]);
+    expect(rows.keywords.cells[0]).toContain("mortgagee");
+  });
+
+  it("exports one column per property with best and worst named", () => {
+    const { data } = Papa.parse(compareToCSV(properties.slice(0, 2), max), { header: true });
+    expect(Object.keys(data[0])).toEqual(["Section", "Field", "1 Main St, Parramatta", "2 Side St, Penrith", "Best", "Worst"]);
+    const price = data.find(r => r.Field === "Asking Price");
+    expect(price).toMatchObject({ Best: "1 Main St, Parramatta", Worst: "2 Side St, Penrith" });
+  });
+});
@@ -0,0 +1,161 @@
+import { describe, it, expect } from "vitest";
+import { readFileSync } from "node:fs";
+import Papa from "papaparse";
+import { autoMapColumns, mapListing, scoreRows, baselineFromFile, baselineEntriesFor } from "./scoring.js";
+import { DEFAULT_SCORING_MODEL } from "./scoringModel.js";
+import { DEFAULT_FILTERS, applyView } from "./filters.js";
+import { DEFAULT_SORT } from "./tableView.js";
+import { EXPORT_COLUMNS, toCSV } from "./exporters.js";
+import { validateRow } from "./validation.js";
+
+// Anonymised exports in src/test/fixtures, scored as of a fixed day so sale
+// deadlines count down the same way on every run.
+const AS_OF = new Date(2026, 9, 1);
+const CRM_MAPPING = { address: "Site", suburb: "Locality", askingPrice: "Guide", daysOnMarket: "Listed For", description: "Remarks", agentName: "Rep" };
+
+function readFixture(name) {
+  const { data, meta } = Papa.parse(readFileSync(new URL(`../test/fixtures/${name}.csv`, import.meta.url), "utf8"), { header: true, skipEmptyLines: true });
+  return { headers: meta.fields, data };
+}
+
+function scan(name, mapping) {
+  const { headers, data } = readFixture(name);
+  const map = mapping || autoMapColumns(headers);
+  const rows = data.map((r, i) => ({ id: `${name}:${i}`, sourceId: name, source: name, sources: [name], ...mapListing(r, map) }));
+  const flagged = data.map((r, i) => validateRow(r, rows[i], map).length ? i : null).filter(i => i !== null);
+  return { headers, data, mapping: map, rows, flagged, properties: scoreRows(rows, DEFAULT_SCORING_MODEL, null, AS_OF) };
+}
+
+const ranked = (properties) => applyView(properties, { filters: DEFAULT_FILTERS, search: "", sort: DEFAULT_SORT }).map(p => [p.address, p.score, p.priority]);
+const byAddress = (properties) => Object.fromEntries(properties.map(p => [p.address, p]));
+
+const cre = scan("commercialrealestate");
+const rp = scan("rpdata");
+const crm = scan("crm-export", CRM_MAPPING);
+
+describe("fixture corpus: mapping", () => {
+  it("auto-maps a CommercialRealEstate export", () => {
+    expect(cre.mapping).toEqual({
+      address: "Address", suburb: "Suburb", state: "State", postcode: "Postcode", propertyType: "Property Type",
+      askingPrice: "Price", landArea: "Land Area", buildingArea: "Building Area", daysOnMarket: "Days on Market",
+      agentName: "Agent Name", agency: "Agency", listingUrl: "Listing URL", description: "Description", listingType: "Sale Method",
+    });
+  });
+
+  it("prefers the last listed price in an RP Data export by alias order, not column order", () => {
+    expect(rp.headers.indexOf("First Listed Price")).toBeLessThan(rp.headers.indexOf("Last Listed Price"));
+    expect(rp.mapping).toMatchObject({
+      address: "Street Address", askingPrice: "Last Listed Price", landArea: "Land Size (m²)", buildingArea: "Floor Size (m²)",
+      daysOnMarket: "Days Listed", agentName: "Agent", listingUrl: "Open in RPData", description: "Listing Description",
+    });
+  });
+
+  it("maps nothing in a CRM export, which goes to the mapping screen", () => {
+    expect(autoMapColumns(crm.headers)).toEqual({});
+  });
+});
+
+describe("fixture corpus: prices and validation", () => {
+  it("reads every price format in the corpus", () => {
+    const prices = (properties) => Object.fromEntries(properties.map(p => [p.address, p.askingPrice]));
+    expect(prices(rp.properties)).toMatchObject({
+      "12 Anon St": 1_350_000, "7 Redacted Rd": 850_000, "44 Masked Ave": null, "3 Hidden Pl": 1_250_000, "22 Withheld Cres": 1_050_000,
+    });
+    expect(prices(crm.properties)).toEqual({
+      "5 Unnamed St": 850_000, "61 Generic Rd": null, "8 Nominal Ave": 1_350_000, "30 Blank Pl": 1_250_000, "2 Unknown Lane": null,
+    });
+    expect(byAddress(cre.properties)["56 Specimen Ave"]).toMatchObject({ askingPrice: null, askingPriceRaw: "Contact Agent" });
+  });
+
+  it("flags only rows a person has to fix", () => {
+    expect(cre.flagged).toEqual([]);
+    expect(rp.flagged).toEqual([]);
+    expect(crm.flagged).toEqual([4]);
+  });
+
+  it("takes the state from the file and deadlines from the description", () => {
+    expect(rp.properties.map(p => p.state)).toEqual(["QLD", "VIC", "QLD", "VIC", "NSW", "QLD"]);
+    expect(byAddress(cre.properties)["88 Sample Rd"]).toMatchObject({ saleMethod: "Expressions of Interest", deadline: "2026-11-14" });
+    expect(byAddress(rp.properties)["22 Withheld Cres"]).toMatchObject({ saleMethod: "Auction", deadline: "2026-11-15" });
+  });
+});
+
+// Golden rankings: if a scoring change moves any of these, update them in
+// the same commit so the reshuffle is reviewed rather than silent.
+describe("fixture corpus: golden priorities", () => {
+  it("ranks the CommercialRealEstate export", () => {
+    expect(ranked(cre.properties)).toEqual([
+      ["Shop 2/14 Example Pde", 100, "High Priority"],
+      ["88 Sample Rd", 60, "High Priority"],
+      ["9 Mock Lane", 45, "Monitor"],
+      ["56 Specimen Ave", 45, "Monitor"],
+      ["1 Trial Way", 10, "Low"],
+      ["17 Fixture Blvd", 10, "Low"],
+      ["120 Demo Hwy", 8, "Low"],
+      ["3/40 Placeholder St", 0, "Low"],
+    ]);
+  });
+
+  it("ranks the RP Data export with state packs applied", () => {
+    expect(ranked(rp.properties)).toEqual([
+      ["3 Hidden Pl", 80, "High Priority"],
+      ["12 Anon St", 70, "High Priority"],
+      ["7 Redacted Rd", 45, "Monitor"],
+      ["22 Withheld Cres", 40, "Monitor"],
+      ["44 Masked Ave", 15, "Low"],
+      ["101 Obscured Pde", 10, "Low"],
+    ]);
+  });
+
+  it("ranks the hand-mapped CRM export", () => {
+    expect(ranked(crm.properties)).toEqual([
+      ["61 Generic Rd", 80, "High Priority"],
+      ["8 Nominal Ave", 50, "Monitor"],
+      ["2 Unknown Lane", 25, "Low"],
+      ["30 Blank Pl", 10, "Low"],
+      ["5 Unnamed St", 0, "Low"],
+    ]);
+  });
+
+  it("keeps the signals behind the top listings", () => {
+    const top = byAddress(cre.properties)["Shop 2/14 Example Pde"];
+    expect(top.distressKeywords).toEqual(["mortgagee", "must sell", "vacant possession", "motivated vendor"]);
+    expect(top).toMatchObject({ distressScore: 50, domScore: 30, vacancyScore: 20, valueScore: 0 });
+    expect(byAddress(cre.properties)["120 Demo Hwy"].valueScore).toBe(8);
+  });
+});
+
+describe("fixture corpus: filtering and sorting", () => {
+  const all = [...cre.properties, ...rp.properties, ...crm.properties];
+  const view = (filters, sort = DEFAULT_SORT, search = "") =>
+    applyView(all, { filters: { ...DEFAULT_FILTERS, ...filters }, search, sort }).map(p => p.address);
+
+  it("filters by state and priority", () => {
+    expect(view({ states: ["QLD", "VIC"], priority: ["High Priority"] })).toEqual(["3 Hidden Pl", "12 Anon St"]);
+    expect(view({ priority: ["High Priority"] })).toHaveLength(5);
+  });
+
+  it("searches descriptions and suburbs together", () => {
+    expect(view({}, DEFAULT_SORT, "parramatta reduced")).toEqual(["8 Nominal Ave", "9 Mock Lane"]);
+  });
+
+  it("sorts by price with unpriced listings last", () => {
+    const list = view({ states: ["QLD"] }, [{ key: "askingPrice", dir: "asc" }]);
+    expect(list).toEqual(["22 Withheld Cres", "12 Anon St", "44 Masked Ave"]);
+  });
+});
+
+describe("fixture corpus: CSV export round trip", () => {
+  it("reads back the exported scores and priorities", () => {
+    for (const { rows, properties } of [cre, rp, crm]) {
+      const { data, meta } = Papa.parse(toCSV(properties, {}, EXPORT_COLUMNS), { header: true, skipEmptyLines: true });
+      expect(meta.fields).toEqual(EXPORT_COLUMNS);
+      const baseline = baselineFromFile(meta.fields, data);
+      expect(baseline.entries.map(e => [e.address, e.score, e.priority])).toEqual(properties.map(p => [p.address, p.score, p.priority]));
+
+      const rescored = scoreRows(rows, DEFAULT_SCORING_MODEL, baselineEntriesFor(baseline), AS_OF);
+      expect(rescored.filter(p => p.priceChange)).toEqual([]);
+      expect(rescored.map(p => p.score)).toEqual(properties.map(p => p.score));
+    }
+  });
+});
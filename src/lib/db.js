@@ -0,0 +1,76 @@
+// --- INDEXEDDB ---
+// Minimal promise wrapper around the browser's IndexedDB. Every object store
+// the app uses is declared here so upgrades happen in one place.
+
+const DB_NAME = "deal-scanner";
+const DB_VERSION = 4;
+const STORES = {
+  snapshots: { keyPath: "id" },
+  snapshotData: { keyPath: "id" },
+  snapshotViews: { keyPath: "id" },
+  pipeline: { keyPath: "key" },
+  contacts: { keyPath: "id" },
+};
+
+let dbPromise = null;
+
+export function isStorageAvailable() {
+  return typeof indexedDB !== "undefined";
+}
+
+function openDB() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        for (const [name, opts] of Object.entries(STORES)) {
+          if (!db.objectStoreNames.contains(name)) db.createObjectStore(name, opts);
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => { dbPromise = null; reject(req.error); };
+    });
+  }
+  return dbPromise;
+}
+
+function run(storeNames, mode, fn) {
+  return openDB().then(db => new Promise((resolve, reject) => {
+    const tx = db.transaction(storeNames, mode);
+    const req = fn(tx);
+    tx.oncomplete = () => resolve(req ? req.result : undefined);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  }));
+}
+
+export const dbGet = (store, key) => run([store], "readonly", tx => tx.objectStore(store).get(key));
+export const dbGetAll = (store) => run([store], "readonly", tx => tx.objectStore(store).getAll());
+export const dbPut = (store, value) => run([store], "readwrite", tx => { tx.objectStore(store).put(value); });
+export const dbDelete = (store, key) => run([store], "readwrite", tx => { tx.objectStore(store).delete(key); });
+
+// Writes several records atomically: entries are [storeName, value] pairs.
+export function dbPutMany(entries) {
+  const names = [...new Set(entries.map(([store]) => store))];
+  return run(names, "readwrite", tx => { entries.forEach(([store, value]) => tx.objectStore(store).put(value)); });
+}
+
+// Read-modify-write in one transaction: entries are [storeName, key, fn];
+// fn gets the stored record (or undefined) and returns the record to put, or
+// null to leave it as it is.
+export function dbUpdateMany(entries) {
+  const names = [...new Set(entries.map(([store]) => store))];
+  return run(names, "readwrite", tx => {
+    entries.forEach(([store, key, fn]) => {
+      const os = tx.objectStore(store);
+      const req = os.get(key);
+      req.onsuccess = () => { const next = fn(req.result); if (next) os.put(next); };
+    });
+  });
+}
+
+export function dbDeleteMany(entries) {
+  const names = [...new Set(entries.map(([store]) => store))];
+  return run(names, "readwrite", tx => { entries.forEach(([store, key]) => tx.objectStore(store).delete(key)); });
+}
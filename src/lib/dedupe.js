@@ -0,0 +1,196 @@
+// --- CROSS-SOURCE DUPLICATE DETECTION ---
+
+const STREET_TYPES = {
+  street: "st", road: "rd", avenue: "ave", drive: "dr", place: "pl", parade: "pde",
+  highway: "hwy", crescent: "cres", court: "ct", lane: "ln", terrace: "tce",
+  boulevard: "blvd", circuit: "cct", close: "cl", esplanade: "esp", square: "sq",
+  way: "wy", grove: "gr", mount: "mt", saint: "st", north: "n", south: "s", east: "e", west: "w",
+};
+
+const UNIT_PREFIX = /^(?:unit|suite|shop|lot|level|factory|warehouse|u|ste|lvl)\s*([\w-]+)\s*[,/]?\s*/;
+
+export function normaliseAddress(address, suburb = "") {
+  let s = (address || "").toString().toLowerCase().replace(/\s+/g, " ").trim();
+  // Drop a trailing "suburb NSW 2150" that some feeds append to the street address.
+  if (suburb) {
+    const sub = suburb.toString().toLowerCase().trim();
+    const i = sub ? s.lastIndexOf(sub) : -1;
+    if (i > 0) s = s.slice(0, i);
+  }
+  s = s.replace(/,?\s*\b(nsw|vic|qld|sa|wa|tas|act|nt)\b\s*\d{0,4}\s*$/, "");
+  s = s.replace(UNIT_PREFIX, "$1/");
+  s = s.replace(/[.,#]/g, " ").replace(/\s*\/\s*/g, "/").replace(/\s*-\s*/g, "-");
+  return s.split(/\s+/).filter(Boolean).map(t => STREET_TYPES[t] || t).join(" ");
+}
+
+export function normaliseSuburb(s) {
+  return (s || "").toString().toLowerCase().replace(/[^a-z ]/g, " ").replace(/\s+/g, " ").trim();
+}
+
+function bigrams(s) {
+  const out = new Map();
+  for (let i = 0; i < s.length - 1; i++) {
+    const g = s.slice(i, i + 2);
+    out.set(g, (out.get(g) || 0) + 1);
+  }
+  return out;
+}
+
+// Sørensen–Dice coefficient over character bigrams, 0..1.
+export function similarity(a, b) {
+  if (a === b) return 1;
+  if (a.length < 2 || b.length < 2) return 0;
+  const ga = bigrams(a), gb = bigrams(b);
+  let overlap = 0;
+  for (const [g, n] of ga) overlap += Math.min(n, gb.get(g) || 0);
+  return (2 * overlap) / (a.length - 1 + b.length - 1);
+}
+
+function splitAddress(norm) {
+  const tokens = norm.split(" ");
+  return {
+    numbers: tokens.filter(t => /\d/.test(t)).join(" "),
+    street: tokens.filter(t => !/\d/.test(t)).join(" "),
+  };
+}
+
+const STREET_THRESHOLD = 0.8;
+const SUBURB_THRESHOLD = 0.85;
+
+// Returns a 0..1 confidence that two listings are the same property, or 0.
+export function matchListings(a, b) {
+  if (a.postcode && b.postcode && a.postcode.toString().trim() !== b.postcode.toString().trim()) return 0;
+  const subA = normaliseSuburb(a.suburb), subB = normaliseSuburb(b.suburb);
+  const subSim = subA && subB ? similarity(subA, subB) : 1;
+  if (subSim < SUBURB_THRESHOLD) return 0;
+  const pa = splitAddress(normaliseAddress(a.address, a.suburb));
+  const pb = splitAddress(normaliseAddress(b.address, b.suburb));
+  if (!pa.street || !pb.street || pa.numbers !== pb.numbers) return 0;
+  const streetSim = similarity(pa.street, pb.street);
+  if (streetSim < STREET_THRESHOLD) return 0;
+  return Math.round(((streetSim + subSim) / 2) * 100) / 100;
+}
+
+// Words in a street name that say nothing about which street it is.
+const STREET_WORDS = new Set(Object.values(STREET_TYPES));
+
+// Blocking keys for one row: suburb or postcode, the exact street numbers
+// (matchListings requires them to be equal) and the first three letters of
+// each street name word, so a misspelt "Paramatta Rd" still meets
+// "Parramatta Road".
+function blockKeys(r) {
+  const { numbers, street } = splitAddress(normaliseAddress(r.address, r.suburb));
+  if (!street) return [];
+  const words = street.split(" ");
+  const named = words.filter(w => !STREET_WORDS.has(w));
+  const stems = [...new Set((named.length ? named : words).map(w => w.slice(0, 3)))];
+  const areas = [];
+  const sub = normaliseSuburb(r.suburb);
+  if (sub) areas.push(`s:${sub}`);
+  if (r.postcode) areas.push(`p:${r.postcode.toString().trim()}`);
+  return areas.flatMap(a => stems.map(stem => `${a}|${numbers}|${stem}`));
+}
+
+// Finds groups of rows from different sources that describe the same property.
+// Rows need `id`, `sourceId` and the mapped address fields.
+export function findDuplicateGroups(rows) {
+  if (new Set(rows.map(r => r.sourceId)).size < 2) return [];
+  const keys = rows.map(blockKeys);
+  const blocks = new Map();
+  keys.forEach((ks, i) => ks.forEach(k => { if (!blocks.has(k)) blocks.set(k, []); blocks.get(k).push(i); }));
+
+  const parent = rows.map((_, i) => i);
+  const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const matches = [];
+  for (const [key, members] of blocks) {
+    for (let x = 0; x < members.length; x++) {
+      for (let y = x + 1; y < members.length; y++) {
+        const i = members[x], j = members[y];
+        if (rows[i].sourceId === rows[j].sourceId) continue;
+        // A pair that shares several blocks is compared in the first one only.
+        if (keys[i].find(k => keys[j].includes(k)) !== key) continue;
+        const c = matchListings(rows[i], rows[j]);
+        if (!c) continue;
+        const ri = find(i), rj = find(j);
+        if (ri !== rj) parent[ri] = rj;
+        matches.push([i, c]);
+      }
+    }
+  }
+
+  const groups = new Map();
+  rows.forEach((_, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(i);
+  });
+  const confidence = new Map();
+  for (const [i, c] of matches) {
+    const root = find(i);
+    confidence.set(root, Math.min(c, confidence.get(root) ?? 1));
+  }
+  return [...groups.entries()].filter(([, g]) => g.length > 1).map(([root, g]) => {
+    const ids = g.map(i => rows[i].id).sort();
+    return { key: ids.join("|"), ids, confidence: confidence.get(root) };
+  });
+}
+
+// --- MERGING ---
+const TEXT_FIELDS = ["suburb", "state", "postcode", "propertyType", "landArea", "buildingArea",
+  "agentName", "agency", "councilArea", "listingType"];
+
+function mostCommon(values) {
+  const counts = new Map();
+  values.forEach(v => counts.set(v, (counts.get(v) || 0) + 1));
+  return [...counts.entries()].sort((a, b) => b[1] - a[1])[0][0];
+}
+
+// Builds one listing from several source rows, keeping the most useful value
+// for each field and recording which source supplied it.
+export function mergeRows(rows) {
+  const merged = { ...rows[0] };
+  const fieldSources = {};
+  const take = (field, row) => { merged[field] = row[field]; fieldSources[field] = row.source; };
+  const withValue = field => rows.filter(r => r[field] !== null && r[field] !== undefined && r[field] !== "");
+
+  // Longest address and description carry the most detail.
+  for (const field of ["address", "description"]) {
+    const cands = withValue(field);
+    if (cands.length) take(field, cands.reduce((a, b) => (b[field].length > a[field].length ? b : a)));
+  }
+  for (const field of TEXT_FIELDS) {
+    const cands = withValue(field);
+    if (!cands.length) continue;
+    const value = mostCommon(cands.map(r => r[field]));
+    take(field, cands.find(r => r[field] === value));
+  }
+  const priced = withValue("askingPrice");
+  if (priced.length) {
+    take("askingPrice", priced[0]);
+    merged.askingPriceRaw = priced[0].askingPriceRaw;
+  } else {
+    const withText = withValue("askingPriceRaw");
+    if (withText.length) { merged.askingPrice = null; take("askingPriceRaw", withText[0]); }
+  }
+  // The longest days-on-market is the truest measure of total exposure.
+  const withDom = withValue("daysOnMarket");
+  if (withDom.length) take("daysOnMarket", withDom.reduce((a, b) => (b.daysOnMarket > a.daysOnMarket ? b : a)));
+  const withUrl = withValue("listingUrl");
+  if (withUrl.length) take("listingUrl", withUrl[0]);
+
+  merged.id = rows.map(r => r.id).sort().join("|");
+  merged.sources = [...new Set(rows.flatMap(r => r.sources || [r.source]))];
+  merged.listingUrls = Object.fromEntries(withUrl.map(r => [r.source, r.listingUrl]));
+  merged.mergedFrom = rows.map(r => r.id);
+  merged.fieldSources = fieldSources;
+  return merged;
+}
+
+// Guesses a source label from the uploaded file name.
+export function guessSourceName(fileName) {
+  const n = fileName.toLowerCase();
+  if (/rp ?data|corelogic/.test(n)) return "RP Data";
+  if (/realcommercial/.test(n)) return "realcommercial.com.au";
+  if (/commercialrealestate|\bcre\b/.test(n)) return "commercialrealestate.com.au";
+  return fileName.replace(/\.[^.]+$/, "");
+}
@@ -0,0 +1,32 @@
+import { describe, it, expect } from "vitest";
+import { findDuplicateGroups, matchListings } from "./dedupe.js";
+
+const row = (id, address, suburb, postcode = "") => ({ id, sourceId: id.split(":")[0], address, suburb, postcode });
+
+describe("duplicate groups", () => {
+  it("matches across sources on suburb or postcode, street number and street name", () => {
+    const rows = [
+      row("a:0", "12 Parramatta Road", "Homebush", "2140"),
+      row("b:0", "12 Paramatta Rd", "Homebush"),
+      row("c:0", "12 Parramatta Rd Homebush NSW 2140", "Homebush", "2140"),
+      row("c:1", "14 Parramatta Rd", "Homebush", "2140"),
+      row("a:1", "5 George Street", "Sydney", "2000"),
+      row("b:1", "5 George St", "Sydney", "2000"),
+    ];
+    const groups = findDuplicateGroups(rows);
+    expect(groups.map(g => g.ids)).toEqual([["a:0", "b:0", "c:0"], ["a:1", "b:1"]]);
+    expect(groups[0].confidence).toBe(Math.min(...[[0, 1], [0, 2], [1, 2]].map(([i, j]) => matchListings(rows[i], rows[j]))));
+    expect(groups[1]).toMatchObject({ key: "a:1|b:1", confidence: 1 });
+  });
+
+  it("ignores rows from the same source", () => {
+    expect(findDuplicateGroups([row("a:0", "5 George St", "Sydney"), row("a:1", "5 George St", "Sydney")])).toEqual([]);
+  });
+
+  it("handles a large export in a single suburb", () => {
+    const streets = ["George St", "Pitt St", "Kent St", "Sussex St", "York St"];
+    const rows = Array.from({ length: 10_000 }, (_, i) =>
+      row(`${i % 2 ? "a" : "b"}:${i}`, `${Math.floor(i / 2) % 1000} ${streets[Math.floor(i / 2000)]}`, "Sydney", "2000"));
+    expect(findDuplicateGroups(rows)).toHaveLength(5000);
+  });
+});
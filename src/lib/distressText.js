@@ -0,0 +1,121 @@
+// --- DISTRESS TEXT MATCHING ---
+// Keywords are matched as whole-word token sequences on stemmed words, so
+// "mortgagees" finds "mortgagee" but "reduced" no longer matches inside other
+// words. Built-in keywords also match their common variants and abbreviations,
+// and a match preceded by a negation in the same clause ("not a mortgagee
+// sale") is reported but not counted.
+
+const TOKEN_RE = /[a-z0-9]+(?:['’][a-z]+)?|[.;!?]/gi;
+
+const NEGATIONS = new Set(["not", "no", "non", "never", "without", "nor", "neither", "isn't", "isn’t", "wasn't", "wasn’t", "nothing"]);
+const NEGATION_WINDOW = 3;
+
+// Variants for the default keywords. `notFollowedBy` lists words that turn a
+// match into something harmless ("reduced outgoings").
+const VARIANTS = {
+  "mortgagee": { variants: ["mortgagee in possession", "mip"] },
+  "receivership": { variants: ["receiver", "receivers and managers", "receiver appointed"] },
+  "must sell": { variants: ["must be sold", "needs to be sold", "has to sell"] },
+  "reduced": {
+    variants: ["price reduction", "reduced price"],
+    notFollowedBy: ["outgoings", "rent", "rates", "costs", "hours", "size", "area", "staff", "risk", "maintenance", "fees"],
+  },
+  "all offers considered": { variants: ["all offers will be considered", "all offers presented", "submit all offers"] },
+  "vacant possession": { variants: ["vp"] },
+  "liquidation": { variants: ["liquidator", "liquidators appointed"] },
+  "administration": { variants: ["administrator", "voluntary administration"], notFollowedBy: ["building", "office", "offices", "area", "block"] },
+  "urgent": { variants: ["urgent sale"] },
+  "below valuation": { variants: ["below val", "under valuation", "below bank valuation", "below market value"] },
+  "motivated vendor": { variants: ["motivated seller", "vendor is motivated", "highly motivated"] },
+  "court ordered": { variants: ["court order", "by order of the court"] },
+  "bank instructed": { variants: ["instructed by the bank", "bank instructs"] },
+  "priced to sell": { variants: ["priced for a quick sale", "priced for quick sale"] },
+  "price drop": { variants: ["price dropped", "price slashed", "price cut"] },
+  "distressed": { variants: ["distress sale", "distressed asset"] },
+  "under instructions": { variants: ["instructions to sell"] },
+  "expressions of interest": { variants: ["eoi", "eois"] },
+};
+
+// Light suffix stripping: enough to fold plurals and -ed/-ing forms together.
+export function stem(word) {
+  let w = word.toLowerCase().replace(/['’]s$/, "");
+  if (w.length <= 3) return w;
+  if (w.endsWith("ies") && w.length > 4) w = w.slice(0, -3) + "y";
+  else if (w.endsWith("ing") && w.length > 5) w = w.slice(0, -3);
+  else if (w.endsWith("ed") && w.length > 4) w = w.slice(0, -2);
+  else if (w.endsWith("es") && w.length > 4 && /(ss|x|ch|sh)es$/.test(w)) w = w.slice(0, -2);
+  else if (w.endsWith("s") && !w.endsWith("ss") && w.length > 3) w = w.slice(0, -1);
+  if (w.endsWith("ly") && w.length > 5) w = w.slice(0, -2);
+  if (w.endsWith("e") && w.length > 4) w = w.slice(0, -1);
+  return w;
+}
+
+// Word tokens with their offsets and clause number; sentence punctuation only
+// advances the clause so negation does not reach across sentences.
+export function tokenize(text) {
+  const tokens = [];
+  let clause = 0;
+  for (const m of (text || "").toString().matchAll(TOKEN_RE)) {
+    if (/^[.;!?]$/.test(m[0])) { clause++; continue; }
+    const word = m[0].toLowerCase();
+    tokens.push({ word, stem: stem(word), start: m.index, end: m.index + m[0].length, clause });
+  }
+  return tokens;
+}
+
+const phraseStems = (phrase) => tokenize(phrase).map(t => t.stem);
+
+export function compileKeyword(term, weight) {
+  const key = term.trim().toLowerCase();
+  const extra = VARIANTS[key] || {};
+  const phrases = [key, ...(extra.variants || [])].map(phraseStems).filter(p => p.length);
+  return { term: key, weight, phrases, notFollowedBy: new Set((extra.notFollowedBy || []).map(stem)) };
+}
+
+function isNegated(tokens, i) {
+  for (let j = i - 1; j >= Math.max(0, i - NEGATION_WINDOW); j--) {
+    if (tokens[j].clause !== tokens[i].clause) break;
+    if (NEGATIONS.has(tokens[j].word)) return true;
+  }
+  return false;
+}
+
+// First match of a free-form pattern (e.g. the vacancy regexes) that is not
+// negated under the same clause and window rules as keywords, or null.
+export function findUnnegated(text, re) {
+  const tokens = tokenize(text);
+  for (const m of (text || "").matchAll(new RegExp(re.source, re.flags.replace("g", "") + "g"))) {
+    const i = tokens.findIndex(t => t.end > m.index);
+    if (i === -1 || !isNegated(tokens, i)) return m;
+  }
+  return null;
+}
+
+// Returns the keywords that count (at least one un-negated match) and every
+// match with its character offsets for highlighting.
+export function findDistressSignals(text, keywords) {
+  const tokens = tokenize(text);
+  const byStem = new Map();
+  tokens.forEach((t, i) => { if (!byStem.has(t.stem)) byStem.set(t.stem, []); byStem.get(t.stem).push(i); });
+
+  const matches = [];
+  const found = [];
+  for (const kw of keywords) {
+    const byStart = new Map();
+    for (const phrase of kw.phrases) {
+      for (const i of byStem.get(phrase[0]) || []) {
+        if (!phrase.every((s, k) => tokens[i + k]?.stem === s && tokens[i + k].clause === tokens[i].clause)) continue;
+        const last = i + phrase.length - 1;
+        const next = tokens[last + 1];
+        if (next && next.clause === tokens[last].clause && kw.notFollowedBy.has(next.stem)) continue;
+        const prev = byStart.get(i);
+        if (prev && prev.end >= tokens[last].end) continue;
+        byStart.set(i, { term: kw.term, start: tokens[i].start, end: tokens[last].end, negated: isNegated(tokens, i) });
+      }
+    }
+    matches.push(...byStart.values());
+    if ([...byStart.values()].some(m => !m.negated)) found.push(kw);
+  }
+  matches.sort((a, b) => a.start - b.start || b.end - a.end);
+  return { found, matches };
+}
@@ -0,0 +1,26 @@
+// Triggers a browser download of in-memory content.
+export function downloadFile(content, fileName, type) {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url; a.download = fileName; a.click();
+  URL.revokeObjectURL(url);
+}
+
+export function dateStamp(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+// Opens the browser print dialog for a standalone HTML document (where the
+// user can choose "Save as PDF"), using a hidden frame so no popup is needed.
+export function printHTML(html) {
+  const frame = document.createElement("iframe");
+  frame.style.cssText = "position:fixed;right:0;bottom:0;width:0;height:0;border:0";
+  frame.onload = () => {
+    frame.contentWindow.focus();
+    frame.contentWindow.print();
+    setTimeout(() => frame.remove(), 1000);
+  };
+  frame.srcdoc = html;
+  document.body.appendChild(frame);
+}
@@ -0,0 +1,195 @@
+// --- EXPORT FORMATS ---
+// CSV, styled XLSX, JSON and GeoJSON output for a chosen set of properties.
+// Tabular formats use the CSV column names from toExportRow plus the deal
+// fields; JSON keeps the full nested record including the score breakdown.
+
+import Papa from "papaparse";
+import { toExportRow } from "./scoring.js";
+import { dealExportFields } from "./pipeline.js";
+import { keywordFrequency } from "./analytics.js";
+import { summaryStats } from "./report.js";
+import { PRIORITY_BG, PRIORITY_COLORS } from "./format.js";
+
+const SETTINGS_KEY = "dealScanner.exportSettings";
+
+export const EXPORT_FORMATS = [
+  { id: "csv", label: "CSV", ext: "csv", type: "text/csv" },
+  { id: "xlsx", label: "Excel (.xlsx)", ext: "xlsx", type: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet" },
+  { id: "json", label: "JSON", ext: "json", type: "application/json" },
+  { id: "geojson", label: "GeoJSON", ext: "geojson", type: "application/geo+json" },
+];
+
+export const EXPORT_SCOPES = [
+  { id: "all", label: "All properties" },
+  { id: "filtered", label: "Filtered" },
+  { id: "selected", label: "Selected" },
+  { id: "watchlist", label: "Watchlist" },
+];
+
+// Column names in CSV order (toExportRow only needs the keyword list).
+export const EXPORT_COLUMNS = [...Object.keys(toExportRow({ distressKeywords: [] })), ...Object.keys(dealExportFields(null))];
+
+export function loadExportSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY) || "{}");
+    const columns = Array.isArray(saved.columns) ? EXPORT_COLUMNS.filter(c => saved.columns.includes(c)) : [];
+    return {
+      format: EXPORT_FORMATS.some(f => f.id === saved.format) ? saved.format : "csv",
+      columns: columns.length ? columns : EXPORT_COLUMNS,
+    };
+  } catch {
+    return { format: "csv", columns: EXPORT_COLUMNS };
+  }
+}
+
+export function saveExportSettings(settings) {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+}
+
+export function scopeProperties(scope, { properties, filtered, selectedIds, pipeline }) {
+  if (scope === "filtered") return filtered;
+  if (scope === "selected") return properties.filter(p => selectedIds.has(p.id));
+  if (scope === "watchlist") return properties.filter(p => pipeline[p.key]?.starred);
+  return properties;
+}
+
+// Flat rows limited to `columns`, in EXPORT_COLUMNS order.
+export function exportRows(properties, pipeline = {}, columns = EXPORT_COLUMNS) {
+  const keep = EXPORT_COLUMNS.filter(c => columns.includes(c));
+  return properties.map(p => {
+    const full = { ...toExportRow(p), ...dealExportFields(pipeline[p.key]) };
+    return Object.fromEntries(keep.map(c => [c, full[c]]));
+  });
+}
+
+export function toCSV(properties, pipeline, columns) {
+  return Papa.unparse(exportRows(properties, pipeline, columns), { columns: EXPORT_COLUMNS.filter(c => columns.includes(c)) });
+}
+
+// The full record: listing fields, metrics, the score breakdown with every
+// keyword match (negated ones included) and the pipeline entry.
+export function toJSON(properties, pipeline = {}, meta = {}) {
+  const records = properties.map(p => ({
+    id: p.id, key: p.key,
+    address: p.address, suburb: p.suburb, state: p.state, postcode: p.postcode,
+    propertyType: p.propertyType, listingType: p.listingType, councilArea: p.councilArea,
+    askingPrice: p.askingPrice, askingPriceText: p.askingPriceRaw, daysOnMarket: p.daysOnMarket,
+    landSqm: p.landSqm ?? null, buildingSqm: p.buildingSqm ?? null,
+    pricePerSqmLand: p.pricePerSqmLand ?? null, pricePerSqmBuilding: p.pricePerSqmBuilding ?? null,
+    netIncome: p.netIncome ?? null, capRate: p.capRate ?? null, capRateSource: p.capRateSource ?? null,
+    peerDiscount: p.peerDiscount ?? null, peerValue: p.peerValue ?? null, priceChange: p.priceChange ?? null,
+    agentName: p.agentName, agency: p.agency, listingUrl: p.listingUrl, sources: p.sources,
+    geo: p.geo ?? null,
+    score: p.score, priority: p.priority,
+    saleMethod: p.saleMethod ?? null, deadline: p.deadline ?? null, deadlineType: p.deadlineType ?? null, passedIn: !!p.passedIn,
+    breakdown: { distress: p.distressScore, dom: p.domScore, vacancy: p.vacancyScore, value: p.valueScore, sale: p.saleScore ?? 0 },
+    saleSignals: p.saleSignals || [],
+    distressKeywords: p.distressKeywords,
+    distressMatches: (p.distressMatches || []).map(({ term, start, end, negated }) => ({ term, start, end, negated: !!negated })),
+    description: p.description,
+    deal: pipeline[p.key] || null,
+  }));
+  return JSON.stringify({ exportedAt: new Date().toISOString(), ...meta, count: records.length, properties: records }, null, 2);
+}
+
+// Point features for listings with a location; the rest are counted as skipped.
+export function toGeoJSON(properties, pipeline = {}, columns = EXPORT_COLUMNS) {
+  const located = properties.filter(p => p.geo);
+  const rows = exportRows(located, pipeline, columns);
+  const geojson = {
+    type: "FeatureCollection",
+    features: located.map((p, i) => ({
+      type: "Feature",
+      id: p.id,
+      geometry: { type: "Point", coordinates: [p.geo.lng, p.geo.lat] },
+      properties: { ...rows[i], "Location Precision": p.geo.precision },
+    })),
+  };
+  return { text: JSON.stringify(geojson), skipped: properties.length - located.length };
+}
+
+const hex = (color) => color.replace("#", "").toUpperCase();
+const colLetter = (n) => { let s = ""; for (n++; n > 0; n = Math.floor((n - 1) / 26)) s = String.fromCharCode(65 + (n - 1) % 26) + s; return s; };
+
+// The community SheetJS build ignores cell `.s` styles on write, so they are
+// added to the saved package afterwards: one font, fill and cell format per
+// distinct style, appended to xl/styles.xml and referenced from each cell.
+// Only bold, size, font colour and a solid fill are supported.
+function writeCellStyles(XLSX, wb, bytes) {
+  const zip = XLSX.CFB.read(new Uint8Array(bytes), { type: "array" });
+  const file = (path) => XLSX.CFB.find(zip, `/${path}`);
+  const text = (entry) => new TextDecoder().decode(entry.content);
+  let styles = text(file("xl/styles.xml"));
+  const count = (tag) => Number(styles.match(new RegExp(`<${tag} count="(\\d+)"`))[1]);
+  const append = (tag, xml) => {
+    styles = styles.replace(new RegExp(`<${tag} count="\\d+">`), m => m.replace(/\d+/, count(tag) + 1)).replace(`</${tag}>`, `${xml}</${tag}>`);
+    return count(tag) - 1;
+  };
+  const xfs = new Map();
+  const xfFor = (s) => {
+    const key = JSON.stringify(s);
+    if (!xfs.has(key)) {
+      const f = s.font;
+      const fontId = f ? append("fonts", `<font>${f.bold ? "<b/>" : ""}<sz val="${f.sz || 12}"/>${f.color ? `<color rgb="FF${f.color.rgb}"/>` : '<color theme="1"/>'}<name val="Calibri"/><family val="2"/><scheme val="minor"/></font>`) : 0;
+      const fillId = s.fill ? append("fills", `<fill><patternFill patternType="solid"><fgColor rgb="FF${s.fill.fgColor.rgb}"/><bgColor indexed="64"/></patternFill></fill>`) : 0;
+      xfs.set(key, append("cellXfs", `<xf numFmtId="0" fontId="${fontId}" fillId="${fillId}" borderId="0" xfId="0"${fontId ? ' applyFont="1"' : ""}${fillId ? ' applyFill="1"' : ""}/>`));
+    }
+    return xfs.get(key);
+  };
+  wb.SheetNames.forEach((name, i) => {
+    const ws = wb.Sheets[name];
+    const refs = new Map(Object.keys(ws).filter(ref => ref[0] !== "!" && ws[ref].s).map(ref => [ref, xfFor(ws[ref].s)]));
+    if (!refs.size) return;
+    const entry = file(`xl/worksheets/sheet${i + 1}.xml`);
+    entry.content = new TextEncoder().encode(text(entry).replace(/<c r="([A-Z]+\d+)"(?! s=)/g, (m, ref) => refs.has(ref) ? `${m} s="${refs.get(ref)}"` : m));
+    entry.size = entry.content.length;
+  });
+  const entry = file("xl/styles.xml");
+  entry.content = new TextEncoder().encode(styles);
+  entry.size = entry.content.length;
+  return XLSX.CFB.write(zip, { type: "array", fileType: "zip" });
+}
+
+// Workbook bytes with three sheets: the properties (one fill colour per
+// priority, bold header, autofilter), a summary and keyword counts.
+// SheetJS is loaded on demand.
+export async function toXLSX(properties, pipeline, columns, { title = "Deal Scanner Export", scope = "" } = {}) {
+  const mod = await import("@e965/xlsx");
+  const XLSX = mod.default || mod;
+  const keep = EXPORT_COLUMNS.filter(c => columns.includes(c));
+  const rows = exportRows(properties, pipeline, keep);
+  const bold = { font: { bold: true } };
+
+  const ws = XLSX.utils.json_to_sheet(rows, { header: keep });
+  keep.forEach((c, ci) => { ws[`${colLetter(ci)}1`].s = { font: { bold: true, color: { rgb: "FFFFFF" } }, fill: { patternType: "solid", fgColor: { rgb: "111827" } } }; });
+  properties.forEach((p, ri) => {
+    const fill = { patternType: "solid", fgColor: { rgb: hex(PRIORITY_BG[p.priority] || "#FFFFFF") } };
+    keep.forEach((c, ci) => {
+      const cell = ws[`${colLetter(ci)}${ri + 2}`];
+      if (!cell) return;
+      cell.s = c === "Priority" || c === "Score" ? { fill, font: { bold: true, color: { rgb: hex(PRIORITY_COLORS[p.priority] || "#111827") } } } : { fill };
+    });
+  });
+  ws["!cols"] = keep.map(c => ({ wch: c === "Description" ? 60 : Math.min(40, Math.max(10, c.length + 2)) }));
+  if (rows.length) ws["!autofilter"] = { ref: `A1:${colLetter(keep.length - 1)}${rows.length + 1}` };
+
+  const stats = summaryStats(properties) || { total: 0, high: 0, monitor: 0, low: 0, avgScore: "", avgDom: "" };
+  const summary = XLSX.utils.aoa_to_sheet([
+    [title], [`Exported ${new Date().toLocaleString("en-AU")}${scope ? ` | ${scope}` : ""}`], [],
+    ["Properties", stats.total], ["High Priority", stats.high], ["Monitor", stats.monitor], ["Low", stats.low],
+    ["Average score", stats.avgScore === "" ? "" : +stats.avgScore], ["Average days on market", stats.avgDom === "—" ? "" : +stats.avgDom],
+  ]);
+  summary.A1.s = { font: { bold: true, sz: 14 } };
+  for (let r = 4; r <= 9; r++) summary[`A${r}`].s = bold;
+  summary["!cols"] = [{ wch: 26 }, { wch: 14 }];
+
+  const keywords = XLSX.utils.aoa_to_sheet([["Keyword", "Listings"], ...keywordFrequency(properties).map(k => [k.keyword, k.count])]);
+  keywords.A1.s = bold; keywords.B1.s = bold;
+  keywords["!cols"] = [{ wch: 30 }, { wch: 10 }];
+
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, ws, "Properties");
+  XLSX.utils.book_append_sheet(wb, summary, "Summary");
+  XLSX.utils.book_append_sheet(wb, keywords, "Keywords");
+  return writeCellStyles(XLSX, wb, XLSX.write(wb, { type: "array", bookType: "xlsx" }));
+}
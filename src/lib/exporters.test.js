@@ -0,0 +1,66 @@
+import { describe, it, expect } from "vitest";
+import * as XLSX from "@e965/xlsx";
+import { scoreRows, mapListing } from "./scoring.js";
+import { DEFAULT_SCORING_MODEL } from "./scoringModel.js";
+import { EXPORT_COLUMNS, scopeProperties, exportRows, toCSV, toJSON, toGeoJSON, toXLSX } from "./exporters.js";
+
+const MAPPING = { address: "Address", suburb: "Suburb", askingPrice: "Price", daysOnMarket: "DOM", description: "Description" };
+const rows = [
+  { Address: "1 Main St", Suburb: "Ryde", Price: "$1.2M", DOM: "400", Description: "Mortgagee in possession. Vacant possession." },
+  { Address: "2 Side St", Suburb: "Penrith", Price: "$2M", DOM: "10", Description: "Leased to a national tenant" },
+].map((r, i) => ({ id: `s:${i}`, sourceId: "s", source: "Test", sources: ["Test"], ...mapListing(r, MAPPING) }));
+const properties = scoreRows(rows, DEFAULT_SCORING_MODEL);
+properties[0].geo = { lat: -33.8, lng: 151.1, precision: "suburb" };
+properties[1].geo = null;
+const pipeline = { [properties[1].key]: { key: properties[1].key, status: "Contacted", starred: true, notes: "", followUp: null } };
+
+describe("exporters", () => {
+  it("picks the properties for each scope", () => {
+    const ctx = { properties, filtered: [properties[0]], selectedIds: new Set(["s:1"]), pipeline };
+    expect(scopeProperties("all", ctx)).toHaveLength(2);
+    expect(scopeProperties("filtered", ctx)).toEqual([properties[0]]);
+    expect(scopeProperties("selected", ctx).map(p => p.id)).toEqual(["s:1"]);
+    expect(scopeProperties("watchlist", ctx).map(p => p.id)).toEqual(["s:1"]);
+  });
+
+  it("keeps only the chosen columns, in the standard order", () => {
+    const [row] = exportRows(properties, pipeline, ["Score", "Address", "Deal Status"]);
+    expect(Object.keys(row)).toEqual(["Address", "Score", "Deal Status"]);
+    expect(EXPORT_COLUMNS.indexOf("Address")).toBeLessThan(EXPORT_COLUMNS.indexOf("Score"));
+    expect(toCSV(properties, pipeline, ["Suburb", "Address"]).split(/\r?\n/)).toEqual(["Address,Suburb", "1 Main St,Ryde", "2 Side St,Penrith"]);
+  });
+
+  it("writes the full record and score breakdown to JSON", () => {
+    const out = JSON.parse(toJSON(properties, pipeline, { scope: "All" }));
+    expect(out).toMatchObject({ scope: "All", count: 2 });
+    const [first, second] = out.properties;
+    expect(first.breakdown.distress).toBeGreaterThan(0);
+    expect(first.distressMatches[0]).toMatchObject({ term: "mortgagee", negated: false });
+    expect(second.deal.status).toBe("Contacted");
+  });
+
+  it("writes located properties as GeoJSON points", () => {
+    const { text, skipped } = toGeoJSON(properties, pipeline, ["Address", "Score"]);
+    const geo = JSON.parse(text);
+    expect(skipped).toBe(1);
+    expect(geo.features).toHaveLength(1);
+    expect(geo.features[0].geometry.coordinates).toEqual([151.1, -33.8]);
+    expect(geo.features[0].properties).toMatchObject({ Address: "1 Main St", "Location Precision": "suburb" });
+  });
+
+  it("builds a styled workbook with summary and keyword sheets", async () => {
+    const bytes = await toXLSX(properties, pipeline, ["Address", "Score", "Priority"], { title: "Scan" });
+    const wb = XLSX.read(bytes, { type: "array", cellStyles: true });
+    expect(wb.SheetNames).toEqual(["Properties", "Summary", "Keywords"]);
+    const ws = wb.Sheets.Properties;
+    expect(ws.A1.v).toBe("Address");
+    expect(ws.B2.v).toBe(properties[0].score);
+    expect(ws.C2.v).toBe("High Priority");
+    expect(ws.A2.s.fgColor.rgb).toBe("FEE2E2");
+    expect(ws.A3.s.fgColor.rgb).not.toBe("FEE2E2");
+    expect(ws.A1.s.fgColor.rgb).toBe("111827");
+    expect(ws["!autofilter"].ref).toBe("A1:C3");
+    expect(wb.Sheets.Summary.A1.v).toBe("Scan");
+    expect(wb.Sheets.Keywords.A2.v).toBe("mortgagee");
+  });
+});
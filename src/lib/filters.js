@@ -0,0 +1,71 @@
+// --- PROPERTY FILTERS AND SEARCH ---
+// The dashboard's filter state and the search index. Runs in the scan worker,
+// so it must stay free of DOM and React dependencies.
+
+import { inBounds } from "./geocode.js";
+import { sortProperties } from "./tableView.js";
+
+export const DEFAULT_FILTERS = {
+  priority: ["High Priority", "Monitor", "Low"],
+  states: [],
+  propertyType: [],
+  suburbs: [],
+  councilAreas: [], agents: [], agencies: [],
+  priceMin: 0, priceMax: 999_999_999,
+  scoreMin: 0, scoreMax: null,
+  domMin: 0, domMax: 9999,
+  psmBuildingMin: null, psmBuildingMax: null,
+  psmLandMin: null, psmLandMax: null,
+  yieldMin: null, yieldMax: null,
+  region: null,
+  dealStatus: "", watchlistOnly: false,
+};
+
+// Open-ended range check for optional metrics; listings without the metric
+// drop out once either bound is set.
+export function inRange(v, min, max) {
+  if (min === null && max === null) return true;
+  if (v === null || v === undefined) return false;
+  return (min === null || v >= min) && (max === null || v <= max);
+}
+
+// One lower-cased string per property, built once per scoring run so each
+// keystroke only does substring checks.
+export function buildSearchIndex(properties) {
+  return properties.map(p => [p.address, p.suburb, p.propertyType, p.description].filter(Boolean).join("\n").toLowerCase());
+}
+
+// Every whitespace-separated term must appear somewhere in the listing.
+export function searchTerms(search) {
+  return (search || "").toLowerCase().split(/\s+/).filter(Boolean);
+}
+
+export function matchesFilters(p, filters, pipeline = {}) {
+  const deal = pipeline[p.key];
+  const dom = p.daysOnMarket ?? 0;
+  return filters.priority.includes(p.priority) &&
+    (!filters.states.length || filters.states.includes(p.state)) &&
+    (!filters.propertyType.length || filters.propertyType.includes(p.propertyType)) &&
+    (!filters.suburbs.length || filters.suburbs.includes(p.suburb)) &&
+    (!filters.councilAreas.length || filters.councilAreas.includes(p.councilArea)) &&
+    (!filters.agents.length || filters.agents.includes(p.agentName)) &&
+    (!filters.agencies.length || filters.agencies.includes(p.agency)) &&
+    (p.askingPrice === null || (p.askingPrice >= filters.priceMin && p.askingPrice <= filters.priceMax)) &&
+    p.score >= filters.scoreMin && (filters.scoreMax === null || p.score <= filters.scoreMax) &&
+    dom >= filters.domMin && dom <= filters.domMax &&
+    inRange(p.pricePerSqmBuilding, filters.psmBuildingMin, filters.psmBuildingMax) &&
+    inRange(p.pricePerSqmLand, filters.psmLandMin, filters.psmLandMax) &&
+    inRange(p.capRate, filters.yieldMin, filters.yieldMax) &&
+    (!filters.region || (p.geo && inBounds(p.geo, filters.region))) &&
+    (!filters.watchlistOnly || deal?.starred) &&
+    (!filters.dealStatus || (filters.dealStatus === "untracked" ? !deal : deal?.status === filters.dealStatus));
+}
+
+// Filters and sorts `properties`. `index` is the matching buildSearchIndex
+// output; it is built on the fly when omitted.
+export function applyView(properties, { filters, search, sort, pipeline = {} }, index = null) {
+  const terms = searchTerms(search);
+  const text = terms.length ? (index || buildSearchIndex(properties)) : null;
+  const list = properties.filter((p, i) => (!text || terms.every(t => text[i].includes(t))) && matchesFilters(p, filters, pipeline));
+  return sortProperties(list, sort, { pipeline });
+}
@@ -0,0 +1,48 @@
+import { describe, it, expect } from "vitest";
+import { DEFAULT_FILTERS, inRange, searchTerms, matchesFilters, applyView } from "./filters.js";
+
+const prop = (over) => ({
+  id: over.address, key: over.address, address: "", suburb: "Ryde", propertyType: "Retail", description: "", priority: "Low", score: 10,
+  askingPrice: 1_000_000, daysOnMarket: 30, pricePerSqmBuilding: null, pricePerSqmLand: null, capRate: null, geo: null,
+  distressKeywords: [], sources: [], ...over,
+});
+
+describe("filters", () => {
+  it("treats unset metric bounds as open and drops unknown values once set", () => {
+    expect(inRange(null, null, null)).toBe(true);
+    expect(inRange(null, 5, null)).toBe(false);
+    expect(inRange(6, 5, null)).toBe(true);
+    expect(inRange(6, null, 5.5)).toBe(false);
+  });
+
+  it("splits search into lower-case terms", () => {
+    expect(searchTerms("  Mortgagee   RYDE ")).toEqual(["mortgagee", "ryde"]);
+  });
+
+  it("filters on deal status and watchlist", () => {
+    const pipeline = { a: { status: "Offer", starred: true }, b: { status: "Reviewing", starred: false } };
+    const list = ["a", "b", "c"].map(address => prop({ address }));
+    const ids = (filters) => list.filter(p => matchesFilters(p, { ...DEFAULT_FILTERS, ...filters }, pipeline)).map(p => p.id);
+    expect(ids({ watchlistOnly: true })).toEqual(["a"]);
+    expect(ids({ dealStatus: "Reviewing" })).toEqual(["b"]);
+    expect(ids({ dealStatus: "untracked" })).toEqual(["c"]);
+  });
+
+  it("filters on state", () => {
+    const list = [prop({ address: "a", state: "NSW" }), prop({ address: "b", state: "QLD" }), prop({ address: "c", state: "" })];
+    const ids = (filters) => list.filter(p => matchesFilters(p, { ...DEFAULT_FILTERS, ...filters })).map(p => p.id);
+    expect(ids({})).toEqual(["a", "b", "c"]);
+    expect(ids({ states: ["QLD", "VIC"] })).toEqual(["b"]);
+  });
+
+  it("requires every search term and keeps listings without a price", () => {
+    const list = [
+      prop({ address: "1 High St", description: "Mortgagee sale" }),
+      prop({ address: "2 High St", suburb: "Penrith", description: "Mortgagee sale", askingPrice: null }),
+      prop({ address: "3 Low St", suburb: "Penrith" }),
+    ];
+    const view = (search, filters = {}) => applyView(list, { filters: { ...DEFAULT_FILTERS, ...filters }, search, sort: [{ key: "address", dir: "asc" }] }).map(p => p.id);
+    expect(view("penrith mortgagee")).toEqual(["2 High St"]);
+    expect(view("", { priceMax: 500_000 })).toEqual(["2 High St"]);
+  });
+});
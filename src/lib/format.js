@@ -0,0 +1,20 @@
+// --- DISPLAY FORMATTING ---
+
+export function formatAUD(n) {
+  if (n === null || n === undefined) return "—";
+  if (n >= 1_000_000) return `$${(n / 1_000_000).toFixed(2)}M`;
+  if (n >= 1_000) return `$${(n / 1_000).toFixed(0)}K`;
+  return `$${n.toLocaleString()}`;
+}
+
+export function formatPerSqm(n) {
+  if (n === null || n === undefined) return "—";
+  return `$${Math.round(n).toLocaleString("en-AU")}`;
+}
+
+export function formatPct(pct) {
+  return `${pct > 0 ? "+" : ""}${pct}%`;
+}
+
+export const PRIORITY_COLORS = { "High Priority": "#DC2626", "Monitor": "#D97706", "Low": "#9CA3AF" };
+export const PRIORITY_BG = { "High Priority": "#FEE2E2", "Monitor": "#FEF3C7", "Low": "#F3F4F6" };
@@ -0,0 +1,65 @@
+// --- OFFLINE GEOCODING ---
+// Places listings using coordinates from the file when present, otherwise the
+// bundled suburb/postcode centroids. `precision` tells the map how far to trust
+// each point: exact > suburb > postcode > approximate.
+
+import { NSW_LOCALITIES } from "../data/nswLocalities.js";
+
+function normSuburb(s) { return (s || "").toString().toLowerCase().replace(/[^a-z ]/g, " ").replace(/\s+/g, " ").trim(); }
+
+const CENTROID_STATES = ["NSW"];
+const byPostcode = new Map();
+const bySuburb = new Map();
+const bySuburbPostcode = new Map();
+for (const [postcode, suburb, lat, lng] of NSW_LOCALITIES) {
+  const point = { lat, lng };
+  if (!byPostcode.has(postcode)) byPostcode.set(postcode, point);
+  if (!bySuburb.has(normSuburb(suburb))) bySuburb.set(normSuburb(suburb), point);
+  bySuburbPostcode.set(`${normSuburb(suburb)}|${postcode}`, point);
+}
+const knownPostcodes = [...byPostcode.keys()].map(Number).sort((a, b) => a - b);
+
+// Australian mainland and Tasmania, loosely.
+function inAustralia(lat, lng) { return lat <= -9 && lat >= -44 && lng >= 112 && lng <= 154; }
+
+export function parseCoordinate(v) {
+  if (v === null || v === undefined || v === "") return null;
+  const n = parseFloat(v.toString().trim());
+  return isFinite(n) ? n : null;
+}
+
+// Nearest known postcode within a few numbers; NSW postcodes are allocated
+// roughly geographically, so this lands in the right district.
+function nearbyPostcode(pc) {
+  const n = parseInt(pc);
+  if (isNaN(n)) return null;
+  let best = null;
+  for (const k of knownPostcodes) {
+    if (Math.abs(k - n) <= 5 && (best === null || Math.abs(k - n) < Math.abs(best - n))) best = k;
+  }
+  return best === null ? null : byPostcode.get(String(best));
+}
+
+export function geocode(row) {
+  const lat = parseCoordinate(row.latitude), lng = parseCoordinate(row.longitude);
+  if (lat !== null && lng !== null && inAustralia(lat, lng)) return { lat, lng, precision: "exact" };
+  // The bundled centroids cover NSW only.
+  if (row.state && !CENTROID_STATES.includes(row.state)) return null;
+
+  const sub = normSuburb(row.suburb);
+  const pc = (row.postcode || "").toString().trim().padStart(4, "0");
+  const hasPc = /^\d{4}$/.test(pc) && pc !== "0000";
+  let point = hasPc && sub ? bySuburbPostcode.get(`${sub}|${pc}`) : null;
+  if (point) return { ...point, precision: "suburb" };
+  point = sub ? bySuburb.get(sub) : null;
+  if (point) return { ...point, precision: "suburb" };
+  point = hasPc ? byPostcode.get(pc) : null;
+  if (point) return { ...point, precision: "postcode" };
+  point = hasPc ? nearbyPostcode(pc) : null;
+  if (point) return { ...point, precision: "approximate" };
+  return null;
+}
+
+export function inBounds(geo, b) {
+  return geo.lat <= b.north && geo.lat >= b.south && geo.lng >= b.west && geo.lng <= b.east;
+}
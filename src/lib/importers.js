@@ -0,0 +1,89 @@
+// --- FILE IMPORTERS ---
+// Workbook and JSON readers. Each produces { headers, data } where data is an
+// array of plain objects keyed by header, the same shape Papa.parse returns.
+
+export const WORKBOOK_EXTENSIONS = ["xlsx", "xls", "xlsm", "xlsb", "ods"];
+
+function cellText(v) {
+  if (v === null || v === undefined) return "";
+  return v.toString().trim();
+}
+
+// Exports often start with a title block ("Report generated ...") before the
+// real header row. Take the first of the leading rows with the most filled cells.
+function findHeaderRow(grid) {
+  const scan = grid.slice(0, 20);
+  const filled = scan.map(r => r.filter(c => cellText(c) !== "").length);
+  const most = Math.max(0, ...filled);
+  return Math.max(0, filled.findIndex(n => n === most));
+}
+
+function uniqueHeaders(row) {
+  const seen = {};
+  return row.map((c, i) => {
+    let h = cellText(c) || `Column ${i + 1}`;
+    if (seen[h]) h = `${h} (${++seen[h]})`;
+    else seen[h] = 1;
+    return h;
+  });
+}
+
+export async function readWorkbook(file) {
+  const XLSX = await import("@e965/xlsx");
+  const wb = XLSX.read(await file.arrayBuffer(), { type: "array", cellDates: true });
+  const sheets = wb.SheetNames.map(name => {
+    const grid = XLSX.utils.sheet_to_json(wb.Sheets[name], { header: 1, raw: false, defval: "", blankrows: false });
+    return { name, grid };
+  });
+  return sheets.map(({ name, grid }) => {
+    const headerIdx = findHeaderRow(grid);
+    const headers = uniqueHeaders(grid[headerIdx] || []);
+    const data = grid.slice(headerIdx + 1)
+      .filter(r => r.some(c => cellText(c) !== ""))
+      .map(r => Object.fromEntries(headers.map((h, i) => [h, cellText(r[i])])));
+    return { name, headers, data };
+  }).filter(s => s.headers.length && s.data.length);
+}
+
+function flatten(obj, prefix, out) {
+  for (const [k, v] of Object.entries(obj)) {
+    const key = prefix ? `${prefix}.${k}` : k;
+    if (v && typeof v === "object" && !Array.isArray(v)) flatten(v, key, out);
+    else if (Array.isArray(v)) out[key] = v.map(x => (x && typeof x === "object") ? JSON.stringify(x) : cellText(x)).join("; ");
+    else out[key] = cellText(v);
+  }
+  return out;
+}
+
+// API dumps are either a bare array or an envelope such as { data: [...] } or
+// { results: { listings: [...] } }. Use the first array of objects found.
+function findRecords(json) {
+  if (Array.isArray(json)) return json.filter(r => r && typeof r === "object");
+  if (json && typeof json === "object") {
+    for (const v of Object.values(json)) {
+      const found = findRecords(v);
+      if (found && found.length) return found;
+    }
+  }
+  return null;
+}
+
+export function parseJSONListings(text) {
+  let json;
+  try { json = JSON.parse(text); } catch (e) { throw new Error(`Not valid JSON: ${e.message}`); }
+  const records = findRecords(json);
+  if (!records || !records.length) throw new Error("No array of listing objects found in the JSON file.");
+  const flat = records.map(r => flatten(r, "", {}));
+  const paths = [...new Set(flat.flatMap(r => Object.keys(r)))];
+  // Nested fields keep their leaf name ("address.suburb" -> "suburb") unless
+  // that would collide, so they still auto-map.
+  const leafCount = {};
+  paths.forEach(p => { const leaf = p.split(".").pop(); leafCount[leaf] = (leafCount[leaf] || 0) + 1; });
+  const headerFor = Object.fromEntries(paths.map(p => {
+    const leaf = p.split(".").pop();
+    return [p, leafCount[leaf] === 1 ? leaf : p];
+  }));
+  const headers = paths.map(p => headerFor[p]);
+  const data = flat.map(r => Object.fromEntries(paths.map(p => [headerFor[p], r[p] ?? ""])));
+  return { headers, data };
+}
@@ -0,0 +1,82 @@
+// --- COLUMN MAPPING PRESETS ---
+// A preset remembers a hand-fixed column mapping for one export layout. Files
+// are matched to presets by their header signature: the set of column names,
+// ignoring case, spacing and order.
+
+const PRESETS_KEY = "dealScanner.mappingPresets";
+
+function normHeader(h) { return (h || "").toString().toLowerCase().replace(/[_-]/g, " ").replace(/\s+/g, " ").trim(); }
+
+export function headerSignature(headers) {
+  return [...new Set(headers.map(normHeader).filter(Boolean))].sort().join("|");
+}
+
+export function loadMappingPresets() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PRESETS_KEY) || "[]");
+    return Array.isArray(saved) ? saved : [];
+  } catch {
+    return [];
+  }
+}
+
+export function saveMappingPresets(presets) {
+  localStorage.setItem(PRESETS_KEY, JSON.stringify(presets));
+}
+
+export function findPreset(presets, headers) {
+  const sig = headerSignature(headers);
+  return presets.find(p => p.signature === sig) || null;
+}
+
+// Resolves a preset's mapping against the actual header spelling in this file.
+export function applyPreset(preset, headers) {
+  const byNorm = new Map(headers.map(h => [normHeader(h), h]));
+  const map = {};
+  for (const [field, col] of Object.entries(preset.mapping)) {
+    const actual = byNorm.get(normHeader(col));
+    if (actual) map[field] = actual;
+  }
+  return map;
+}
+
+function cleanMapping(mapping) {
+  return Object.fromEntries(Object.entries(mapping).filter(([, col]) => col));
+}
+
+// Adds or replaces the preset for this header signature.
+export function upsertPreset(presets, { name, headers, mapping }) {
+  const signature = headerSignature(headers);
+  const existing = presets.find(p => p.signature === signature);
+  const preset = {
+    id: existing?.id || `preset-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    name: name || existing?.name || "Untitled preset",
+    signature,
+    headers: [...headers],
+    mapping: cleanMapping(mapping),
+    updatedAt: new Date().toISOString(),
+  };
+  return existing ? presets.map(p => (p.id === existing.id ? preset : p)) : [...presets, preset];
+}
+
+export function exportPresetsJSON(presets) {
+  return JSON.stringify({ type: "deal-scanner-mapping-presets", version: 1, presets }, null, 2);
+}
+
+// Accepts an exported presets file (or a bare array of presets) and merges it
+// into `presets`; imported presets replace ones with the same signature.
+export function importPresetsJSON(presets, text) {
+  let json;
+  try { json = JSON.parse(text); } catch (e) { throw new Error(`Not valid JSON: ${e.message}`); }
+  const incoming = Array.isArray(json) ? json : json?.presets;
+  if (!Array.isArray(incoming)) throw new Error("No mapping presets found in this file.");
+  let next = presets;
+  let count = 0;
+  for (const p of incoming) {
+    if (!p || !Array.isArray(p.headers) || !p.mapping || typeof p.mapping !== "object") continue;
+    next = upsertPreset(next, { name: p.name, headers: p.headers, mapping: p.mapping });
+    count++;
+  }
+  if (!count) throw new Error("No valid mapping presets found in this file.");
+  return { presets: next, count };
+}
@@ -0,0 +1,129 @@
+// --- AREA, $/SQM AND YIELD ---
+// Land and building areas arrive as free text ("1,200 m²", "0.5 ha",
+// "450 - 600sqm"); income and yield are only ever mentioned in the description.
+
+const AREA_RE = /(\d+(?:\.\d+)?)\s*(?:(?:-|–|to)\s*(\d+(?:\.\d+)?))?\s*(ha\b|hectares?|acres?|ac\b|sq\.?\s*m|sqm|m2|m²|square met(?:re|er)s?)?/;
+
+// Square metres, or null. Ranges use their midpoint; a bare number is sqm.
+export function parseArea(raw) {
+  if (raw === null || raw === undefined) return null;
+  const s = raw.toString().toLowerCase().replace(/,/g, "").trim();
+  const m = s.match(AREA_RE);
+  if (!m) return null;
+  const lo = parseFloat(m[1]), hi = m[2] ? parseFloat(m[2]) : lo;
+  const unit = m[3] || "";
+  const factor = /^(ha|hect)/.test(unit) ? 10_000 : /^ac/.test(unit) ? 4_046.86 : 1;
+  const sqm = Math.round((lo + hi) / 2 * factor);
+  return sqm > 0 ? sqm : null;
+}
+
+const INCOME_RE = /\b(net (?:income|rent(?:al)?|return)|(?:gross |current |total )?(?:rental )?income|rent(?:al)?)\b[^$.\n]{0,30}\$\s*(\d[\d,]*(?:\.\d+)?)\s*(k|m|million)?\b(?=([^\n]{0,20}))/gi;
+
+function annualise(amount, tail) {
+  if (/per month|\bp\.?c\.?m\b|^\s*\+?\s*(?:gst\s*)?p\.?m\b|monthly/i.test(tail)) return amount * 12;
+  if (/per week|^\s*\+?\s*(?:gst\s*)?p\.?w\b|weekly/i.test(tail)) return amount * 52;
+  return amount;
+}
+
+// Annual income quoted in the description, preferring an explicit net figure.
+export function parseNetIncome(description) {
+  if (!description) return null;
+  let best = null;
+  for (const m of description.toString().matchAll(INCOME_RE)) {
+    const suffix = (m[3] || "").toLowerCase();
+    let amount = parseFloat(m[2].replace(/,/g, ""));
+    if (suffix === "k") amount *= 1_000;
+    else if (suffix) amount *= 1_000_000;
+    amount = Math.round(annualise(amount, m[4]));
+    if (amount < 1_000) continue;
+    const isNet = /^net/i.test(m[1]);
+    if (isNet) return amount;
+    if (best === null) best = amount;
+  }
+  return best;
+}
+
+const YIELD_RE = /(\d{1,2}(?:\.\d+)?)\s*%\s*(?:net\s+|gross\s+)?(?:yield|return|cap(?:italisation)?\s*rate)|(?:yield|cap(?:italisation)?\s*rate)\s*(?:of|at|:|approx\.?|approximately|~)?\s*(\d{1,2}(?:\.\d+)?)\s*%/i;
+
+export function parseStatedYield(description) {
+  const m = (description || "").toString().match(YIELD_RE);
+  if (!m) return null;
+  const pct = parseFloat(m[1] ?? m[2]);
+  return pct > 0 ? pct : null;
+}
+
+const round1 = (n) => Math.round(n * 10) / 10;
+
+// Numeric metrics derived from one listing. A yield stated in the description
+// wins over one derived from net income and asking price.
+export function listingMetrics(row) {
+  const landSqm = parseArea(row.landArea);
+  const buildingSqm = parseArea(row.buildingArea);
+  const price = row.askingPrice;
+  const netIncome = parseNetIncome(row.description);
+  const stated = parseStatedYield(row.description);
+  const derived = netIncome && price ? round1(netIncome / price * 100) : null;
+  return {
+    landSqm, buildingSqm, netIncome,
+    pricePerSqmLand: price && landSqm ? Math.round(price / landSqm) : null,
+    pricePerSqmBuilding: price && buildingSqm ? Math.round(price / buildingSqm) : null,
+    capRate: stated ?? derived,
+    capRateSource: stated !== null ? "stated" : derived !== null ? "derived" : null,
+  };
+}
+
+// --- PEER COMPARISON ---
+// Each listing's $/sqm is compared with the median for the same suburb and
+// property type, falling back to the property type across the whole scan when
+// the suburb has too few comparable listings. Building $/sqm is preferred over
+// land when both exist. `peerDiscount` is the percentage below that median.
+
+const BASES = [
+  { key: "pricePerSqmBuilding", label: "building" },
+  { key: "pricePerSqmLand", label: "land" },
+];
+
+function median(values) {
+  const s = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(s.length / 2);
+  return s.length % 2 ? s[mid] : (s[mid - 1] + s[mid]) / 2;
+}
+
+const norm = (s) => (s || "").toString().toLowerCase().trim();
+
+export function annotatePeerValues(rows, minPeers = 3) {
+  const groups = new Map();
+  const add = (key, value) => { if (!groups.has(key)) groups.set(key, []); groups.get(key).push(value); };
+  for (const r of rows) {
+    if (!norm(r.propertyType)) continue;
+    for (const b of BASES) {
+      if (r[b.key] === null || r[b.key] === undefined) continue;
+      add(`${b.key}|type|${norm(r.propertyType)}`, r[b.key]);
+      if (norm(r.suburb)) add(`${b.key}|suburb|${norm(r.suburb)}|${norm(r.propertyType)}`, r[b.key]);
+    }
+  }
+  const medians = new Map();
+  const peerMedian = (key) => {
+    const values = groups.get(key);
+    if (!values || values.length < minPeers) return null;
+    if (!medians.has(key)) medians.set(key, median(values));
+    return { median: medians.get(key), count: values.length };
+  };
+
+  return rows.map(r => {
+    if (!norm(r.propertyType)) return { ...r, peerValue: null, peerDiscount: null };
+    for (const b of BASES) {
+      const own = r[b.key];
+      if (own === null || own === undefined) continue;
+      const scopes = norm(r.suburb) ? [["suburb", `${b.key}|suburb|${norm(r.suburb)}|${norm(r.propertyType)}`]] : [];
+      scopes.push(["type", `${b.key}|type|${norm(r.propertyType)}`]);
+      for (const [scope, key] of scopes) {
+        const peers = peerMedian(key);
+        if (!peers) continue;
+        const discount = Math.round((peers.median - own) / peers.median * 100);
+        return { ...r, peerValue: { basis: b.label, scope, median: Math.round(peers.median), count: peers.count, discount }, peerDiscount: discount };
+      }
+    }
+    return { ...r, peerValue: null, peerDiscount: null };
+  });
+}
@@ -0,0 +1,62 @@
+// --- DEAL PIPELINE ---
+// Status, notes, watchlist flag and follow-up date recorded against a
+// property. Entries are keyed by listingKey (normalised address + suburb) and
+// stored outside the scan snapshots, so they carry over to every later import
+// of the same property.
+
+import { dbGetAll, dbPut, dbDelete } from "./db.js";
+
+export const DEAL_STATUSES = ["New", "Reviewing", "Contacted agent", "Inspected", "Offer", "Passed", "Won"];
+
+export const STATUS_COLORS = {
+  "New": "bg-gray-100 text-gray-700",
+  "Reviewing": "bg-blue-100 text-blue-700",
+  "Contacted agent": "bg-indigo-100 text-indigo-700",
+  "Inspected": "bg-purple-100 text-purple-700",
+  "Offer": "bg-amber-100 text-amber-700",
+  "Passed": "bg-gray-200 text-gray-500",
+  "Won": "bg-green-100 text-green-700",
+};
+
+export const CLOSED_STATUSES = ["Passed", "Won"];
+
+export function newDealEntry(property) {
+  return { key: property.key, address: property.address || "", suburb: property.suburb || "", status: "New", notes: "", starred: false, followUp: null };
+}
+
+// An entry with nothing recorded is dropped rather than stored.
+export function isEmptyDealEntry(e) {
+  return !e.starred && !e.notes.trim() && !e.followUp && e.status === "New";
+}
+
+// Returns { [key]: entry } for every stored entry.
+export async function loadPipeline() {
+  const all = await dbGetAll("pipeline");
+  return Object.fromEntries(all.map(e => [e.key, e]));
+}
+
+export function savePipelineEntry(entry) {
+  return isEmptyDealEntry(entry) ? dbDelete("pipeline", entry.key) : dbPut("pipeline", entry);
+}
+
+export function todayISO(date = new Date()) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+}
+
+// "overdue", "today" or null for an entry's follow-up date. Closed deals
+// never need a follow-up.
+export function followUpState(entry, today = todayISO()) {
+  if (!entry?.followUp || CLOSED_STATUSES.includes(entry.status)) return null;
+  if (entry.followUp < today) return "overdue";
+  return entry.followUp === today ? "today" : null;
+}
+
+// Extra columns appended to the CSV export.
+export function dealExportFields(entry) {
+  return {
+    "Deal Status": entry?.status || "",
+    "Watchlist": entry?.starred ? "Yes" : "",
+    "Follow Up": entry?.followUp || "",
+    "Notes": entry?.notes || "",
+  };
+}
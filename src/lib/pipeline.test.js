@@ -0,0 +1,32 @@
+import { describe, it, expect } from "vitest";
+import { newDealEntry, isEmptyDealEntry, followUpState, dealExportFields, todayISO } from "./pipeline.js";
+
+const entry = (over = {}) => ({ ...newDealEntry({ key: "ryde|1 main st", address: "1 Main St", suburb: "Ryde" }), ...over });
+
+describe("deal entries", () => {
+  it("treats an untouched entry as empty", () => {
+    expect(isEmptyDealEntry(entry())).toBe(true);
+    expect(isEmptyDealEntry(entry({ notes: "  " }))).toBe(true);
+    expect(isEmptyDealEntry(entry({ starred: true }))).toBe(false);
+    expect(isEmptyDealEntry(entry({ status: "Reviewing" }))).toBe(false);
+  });
+
+  it("flags follow-ups that are due or overdue on open deals", () => {
+    expect(followUpState(entry({ followUp: "2026-03-01" }), "2026-03-02")).toBe("overdue");
+    expect(followUpState(entry({ followUp: "2026-03-02" }), "2026-03-02")).toBe("today");
+    expect(followUpState(entry({ followUp: "2026-03-03" }), "2026-03-02")).toBeNull();
+    expect(followUpState(entry({ followUp: "2026-03-01", status: "Passed" }), "2026-03-02")).toBeNull();
+    expect(followUpState(undefined)).toBeNull();
+  });
+
+  it("formats local dates as ISO days", () => {
+    expect(todayISO(new Date(2026, 0, 5))).toBe("2026-01-05");
+  });
+
+  it("adds deal columns to the export", () => {
+    expect(dealExportFields(entry({ status: "Offer", starred: true, notes: "Vendor motivated" }))).toEqual({
+      "Deal Status": "Offer", "Watchlist": "Yes", "Follow Up": "", "Notes": "Vendor motivated",
+    });
+    expect(dealExportFields(undefined)["Deal Status"]).toBe("");
+  });
+});
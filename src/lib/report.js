@@ -0,0 +1,180 @@
+// --- DEAL MEMO REPORT ---
+// A self-contained HTML document for the investment committee: an executive
+// summary followed by one page per High Priority deal. The same string is
+// downloaded as .html or printed to PDF from the browser.
+
+import { formatAUD, formatPct, formatPerSqm, PRIORITY_COLORS } from "./format.js";
+
+export function summaryStats(properties) {
+  if (!properties.length) return null;
+  const high = properties.filter(p => p.priority === "High Priority").length;
+  const monitor = properties.filter(p => p.priority === "Monitor").length;
+  const low = properties.filter(p => p.priority === "Low").length;
+  const avgScore = (properties.reduce((s, p) => s + p.score, 0) / properties.length).toFixed(1);
+  const withDom = properties.filter(p => p.daysOnMarket !== null);
+  const avgDom = withDom.length ? (withDom.reduce((s, p) => s + p.daysOnMarket, 0) / withDom.length).toFixed(0) : "—";
+  return { total: properties.length, high, monitor, low, avgScore, avgDom };
+}
+
+const esc = (v) => (v ?? "").toString().replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
+
+function highlighted(text, matches = []) {
+  let out = "", pos = 0;
+  for (const m of matches) {
+    if (m.negated || m.start < pos) continue;
+    out += esc(text.slice(pos, m.start)) + `<mark>${esc(text.slice(m.start, m.end))}</mark>`;
+    pos = m.end;
+  }
+  return out + esc(text.slice(pos));
+}
+
+function countBy(items) {
+  const counts = {};
+  for (const x of items) counts[x] = (counts[x] || 0) + 1;
+  return Object.entries(counts).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+}
+
+const area = (sqm, raw) => sqm !== null && sqm !== undefined ? `${sqm.toLocaleString("en-AU")} m²` : (raw || "—");
+// Listing URLs come from imported files; only web links become anchors.
+const WEB_URL = /^https?:\/\//i;
+const row = (label, value) => `<tr><th>${esc(label)}</th><td>${value}</td></tr>`;
+
+function dealPage(p, n, { maxScore, pipeline, baselineLabel }) {
+  const deal = pipeline[p.key];
+  const details = [
+    ["Property type", esc(p.propertyType || "—")],
+    ["Asking price", `${esc(formatAUD(p.askingPrice))}${p.askingPriceRaw ? ` <span class="muted">(${esc(p.askingPriceRaw)})</span>` : ""}`],
+    ["Days on market", p.daysOnMarket ?? "—"],
+    ["Land / building", `${esc(area(p.landSqm, p.landArea))} / ${esc(area(p.buildingSqm, p.buildingArea))}`],
+    ["$/m² building / land", `${esc(formatPerSqm(p.pricePerSqmBuilding))} / ${esc(formatPerSqm(p.pricePerSqmLand))}`],
+    ["Yield", p.capRate !== null && p.capRate !== undefined ? `${p.capRate}% <span class="muted">(${p.capRateSource === "stated" ? "stated in listing" : "net income ÷ asking price"})</span>` : "—"],
+    ["Net income", p.netIncome ? `${esc(formatAUD(p.netIncome))} p.a.` : "—"],
+    ...(p.peerValue ? [["Peer median", `${esc(formatPerSqm(p.peerValue.median))}/m² ${esc(p.peerValue.basis)} across ${p.peerValue.count} listings`]] : []),
+    ...(p.priceChange ? [["Price change", `${esc(formatAUD(p.priceChange.from))} → ${esc(formatAUD(p.priceChange.to))} (${esc(formatPct(p.priceChange.pct))}) since ${esc(baselineLabel || "the baseline")}`]] : []),
+    ["Agent", esc([p.agentName, p.agency && `(${p.agency})`].filter(Boolean).join(" ") || "—")],
+    ["Council", esc(p.councilArea || "—")],
+    ["Sale method", esc(p.saleMethod || p.listingType || "—")],
+    ...(p.deadline ? [["Deadline", `${esc(p.deadlineType)} ${esc(new Date(`${p.deadline}T00:00`).toLocaleDateString("en-AU", { weekday: "short", day: "numeric", month: "long", year: "numeric" }))}`]] : []),
+    ["Source", esc((p.sources || [p.source]).filter(Boolean).join(", ") || "—")],
+    ...(p.listingUrl ? [["Listing", WEB_URL.test(p.listingUrl) ? `<a href="${esc(p.listingUrl)}">${esc(p.listingUrl)}</a>` : esc(p.listingUrl)]] : []),
+  ];
+  const breakdown = [
+    ["Distress keywords", p.distressScore, maxScore.distress],
+    ["Days on market", p.domScore, maxScore.dom],
+    ["Vacancy signal", p.vacancyScore, maxScore.vacancy],
+    ["Price vs peers", p.valueScore, maxScore.value],
+    ["Sale method", p.saleScore ?? 0, maxScore.sale],
+  ];
+  return `
+<section class="page deal" id="deal-${n}">
+  <div class="deal-head">
+    <div>
+      <h2>${esc(p.address || "Address not given")}</h2>
+      <p class="muted">${esc([p.suburb, p.state, p.postcode].filter(Boolean).join(" "))}</p>
+    </div>
+    <div class="score" style="border-color:${PRIORITY_COLORS[p.priority]};color:${PRIORITY_COLORS[p.priority]}">${p.score}<small>/${maxScore.total}</small></div>
+  </div>
+  <div class="cols">
+    <div>
+      <h3>Score Breakdown</h3>
+      <table class="kv">${breakdown.map(([label, v, max]) => row(label, `${v}/${max}`)).join("")}${row("Total", `<b>${p.score}/${maxScore.total}</b>`)}</table>
+      <h3>Matched Keywords</h3>
+      <p>${p.distressKeywords.length ? p.distressKeywords.map(k => `<span class="chip">${esc(k)}</span>`).join(" ") : '<span class="muted">None</span>'}</p>
+      ${p.saleSignals?.length ? `<h3>Sale Signals</h3><p>${p.saleSignals.map(k => `<span class="chip">${esc(k)}</span>`).join(" ")}</p>` : ""}
+      <h3>Deal Notes</h3>
+      ${deal ? `<table class="kv">
+        ${row("Status", esc(deal.status))}
+        ${deal.starred ? row("Watchlist", "Yes") : ""}
+        ${deal.followUp ? row("Follow up", esc(new Date(`${deal.followUp}T00:00`).toLocaleDateString("en-AU"))) : ""}
+      </table>${deal.notes ? `<p class="notes">${esc(deal.notes)}</p>` : ""}` : '<p class="muted">Not tracked in the pipeline.</p>'}
+    </div>
+    <div>
+      <h3>Details</h3>
+      <table class="kv">${details.map(([label, value]) => row(label, value)).join("")}</table>
+    </div>
+  </div>
+  ${p.description ? `<h3>Description</h3><p class="description">${highlighted(p.description, p.distressMatches)}</p>` : ""}
+</section>`;
+}
+
+const STYLES = `
+  @page { size: A4; margin: 15mm; }
+  * { box-sizing: border-box; }
+  body { font: 12px/1.5 -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; color: #111827; margin: 0 auto; max-width: 190mm; padding: 10mm 0; }
+  h1 { font-size: 22px; margin: 0 0 2px; }
+  h2 { font-size: 17px; margin: 0; }
+  h3 { font-size: 12px; text-transform: uppercase; letter-spacing: .04em; color: #6B7280; margin: 16px 0 6px; }
+  .muted { color: #6B7280; }
+  .page + .page { break-before: page; page-break-before: always; margin-top: 24px; }
+  @media screen { .page + .page { border-top: 1px dashed #D1D5DB; padding-top: 24px; } }
+  .tiles { display: grid; grid-template-columns: repeat(3, 1fr); gap: 8px; margin: 14px 0; }
+  .tile { border: 1px solid #E5E7EB; border-radius: 6px; padding: 8px 10px; }
+  .tile b { display: block; font-size: 18px; }
+  table { border-collapse: collapse; width: 100%; }
+  table.list th, table.list td { text-align: left; padding: 4px 6px; border-bottom: 1px solid #F3F4F6; }
+  table.list th { color: #6B7280; font-weight: 500; }
+  table.kv th { text-align: left; font-weight: 400; color: #6B7280; padding: 2px 8px 2px 0; width: 40%; vertical-align: top; }
+  table.kv td { padding: 2px 0; }
+  .num { text-align: right; }
+  .cols { display: grid; grid-template-columns: 1fr 1fr; gap: 20px; }
+  .deal-head { display: flex; justify-content: space-between; align-items: flex-start; border-bottom: 2px solid #111827; padding-bottom: 8px; }
+  .score { border: 2px solid; border-radius: 8px; padding: 4px 10px; font-size: 22px; font-weight: 700; }
+  .score small { font-size: 11px; font-weight: 400; }
+  .chip { display: inline-block; background: #FEE2E2; color: #B91C1C; border-radius: 4px; padding: 1px 6px; margin: 0 2px 2px 0; }
+  .notes { white-space: pre-wrap; background: #F9FAFB; border-left: 3px solid #D1D5DB; padding: 6px 8px; }
+  .description { white-space: pre-wrap; color: #374151; }
+  mark { background: #FEE2E2; color: #991B1B; padding: 0 1px; }
+  a { color: #2563EB; word-break: break-all; }
+`;
+
+// `properties` is the report scope (all, filtered or selected listings). Every
+// High Priority listing in it gets its own page, highest score first.
+export function buildReportHTML({ properties, maxScore, pipeline = {}, title = "Deal Memo", scope = "", baselineLabel = null, generatedAt = new Date() }) {
+  const stats = summaryStats(properties) || { total: 0, high: 0, monitor: 0, low: 0, avgScore: "—", avgDom: "—" };
+  const deals = properties.filter(p => p.priority === "High Priority").sort((a, b) => b.score - a.score);
+  const keywords = countBy(properties.flatMap(p => p.distressKeywords)).slice(0, 8);
+  const suburbs = countBy(deals.map(p => p.suburb).filter(Boolean)).slice(0, 8);
+  const tiles = [
+    ["Properties", stats.total], ["High Priority", stats.high], ["Monitor", stats.monitor],
+    ["Low", stats.low], ["Average score", stats.avgScore], ["Average DOM", `${stats.avgDom} days`],
+  ];
+  const date = generatedAt.toLocaleDateString("en-AU", { day: "numeric", month: "long", year: "numeric" });
+
+  const summary = `
+<section class="page">
+  <h1>${esc(title)}</h1>
+  <p class="muted">Generated ${esc(date)}${scope ? ` | ${esc(scope)}` : ""}</p>
+  <h3>Executive Summary</h3>
+  <p>${stats.total.toLocaleString("en-AU")} properties were scored. ${stats.high} ${stats.high === 1 ? "is" : "are"} High Priority and ${stats.monitor} ${stats.monitor === 1 ? "is" : "are"} worth monitoring.${keywords.length ? ` The most common distress signal is "${esc(keywords[0][0])}" (${keywords[0][1]} listings).` : ""}</p>
+  <div class="tiles">${tiles.map(([label, v]) => `<div class="tile"><span class="muted">${esc(label)}</span><b>${esc(v)}</b></div>`).join("")}</div>
+  <div class="cols">
+    <div>
+      <h3>Top Distress Signals</h3>
+      ${keywords.length ? `<table class="list">${keywords.map(([k, c]) => `<tr><td>${esc(k)}</td><td class="num">${c}</td></tr>`).join("")}</table>` : '<p class="muted">No distress keywords found.</p>'}
+    </div>
+    <div>
+      <h3>High Priority by Suburb</h3>
+      ${suburbs.length ? `<table class="list">${suburbs.map(([s, c]) => `<tr><td>${esc(s)}</td><td class="num">${c}</td></tr>`).join("")}</table>` : '<p class="muted">None.</p>'}
+    </div>
+  </div>
+  <h3>High Priority Deals</h3>
+  ${deals.length ? `<table class="list">
+    <tr><th>#</th><th>Address</th><th>Suburb</th><th class="num">Price</th><th class="num">DOM</th><th class="num">Score</th></tr>
+    ${deals.map((p, i) => `<tr><td>${i + 1}</td><td><a href="#deal-${i + 1}">${esc(p.address || "—")}</a></td><td>${esc(p.suburb)}</td><td class="num">${esc(formatAUD(p.askingPrice))}</td><td class="num">${p.daysOnMarket ?? "—"}</td><td class="num">${p.score}</td></tr>`).join("")}
+  </table>` : '<p class="muted">No High Priority deals in this selection.</p>'}
+</section>`;
+
+  return `<!DOCTYPE html>
+<html lang="en-AU">
+<head>
+<meta charset="utf-8">
+<title>${esc(title)} – ${esc(date)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+${summary}
+${deals.map((p, i) => dealPage(p, i + 1, { maxScore, pipeline, baselineLabel })).join("\n")}
+</body>
+</html>
+`;
+}
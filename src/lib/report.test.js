@@ -0,0 +1,49 @@
+import { describe, it, expect } from "vitest";
+import { scoreRows, mapListing } from "./scoring.js";
+import { maxScores, DEFAULT_SCORING_MODEL } from "./scoringModel.js";
+import { summaryStats, buildReportHTML } from "./report.js";
+
+const MAPPING = { address: "Address", suburb: "Suburb", askingPrice: "Price", daysOnMarket: "DOM", description: "Description" };
+const rows = [
+  { Address: "1 <Main> St", Suburb: "Ryde", Price: "$1.2M", DOM: "400", Description: "Mortgagee in possession. Vacant possession." },
+  { Address: "2 Side St", Suburb: "Penrith", Price: "$2M", DOM: "10", Description: "Leased to a national tenant" },
+].map((r, i) => ({ id: `s:${i}`, sourceId: "s", source: "Test", sources: ["Test"], ...mapListing(r, MAPPING) }));
+const properties = scoreRows(rows, DEFAULT_SCORING_MODEL);
+const maxScore = maxScores(DEFAULT_SCORING_MODEL);
+
+describe("deal memo report", () => {
+  it("summarises the listings", () => {
+    expect(summaryStats([])).toBeNull();
+    expect(summaryStats(properties)).toMatchObject({ total: 2, high: 1 });
+  });
+
+  it("gives each High Priority deal its own page with notes and highlights", () => {
+    const [deal] = properties.filter(p => p.priority === "High Priority");
+    const pipeline = { [deal.key]: { key: deal.key, status: "Inspected", notes: "Call <vendor> Monday", starred: true, followUp: null } };
+    const html = buildReportHTML({ properties, maxScore, pipeline, title: "IC Pack", scope: "All properties", generatedAt: new Date(2026, 0, 5) });
+    expect(html).toMatch(/^<!DOCTYPE html>/);
+    expect(html).toContain("<h1>IC Pack</h1>");
+    expect(html).toContain("5 January 2026");
+    expect(html.match(/class="page deal"/g)).toHaveLength(1);
+    expect(html).toContain("1 &lt;Main&gt; St");
+    expect(html).toContain("Call &lt;vendor&gt; Monday");
+    expect(html).toContain("<mark>Mortgagee in possession</mark>");
+    expect(html).not.toContain("2 Side St</h2>");
+  });
+
+  it("links only web URLs and shows follow-up dates as local days", () => {
+    const [deal] = properties.filter(p => p.priority === "High Priority");
+    const pipeline = { [deal.key]: { key: deal.key, status: "Offer", followUp: "2026-03-01" } };
+    const html = (listingUrl) => buildReportHTML({ properties: [{ ...deal, listingUrl }], maxScore, pipeline });
+    expect(html("https://example.com/1")).toContain('<a href="https://example.com/1">');
+    expect(html("javascript:alert(1)")).not.toContain(`href="javascript`);
+    expect(html("javascript:alert(1)")).toContain("javascript:alert(1)");
+    expect(html(null)).toContain(new Date(2026, 2, 1).toLocaleDateString("en-AU"));
+  });
+
+  it("says so when there are no High Priority deals", () => {
+    const html = buildReportHTML({ properties: properties.filter(p => p.priority !== "High Priority"), maxScore });
+    expect(html).toContain("No High Priority deals in this selection.");
+    expect(html).not.toContain('class="page deal"');
+  });
+});
@@ -0,0 +1,109 @@
+// --- SALE METHOD AND DEADLINES ---
+// How a listing is being sold and when bids close, read from the listing
+// type, the price text and the description. Agents write dates every which
+// way ("Auction Thu 12th March", "EOI closing 4pm 26/03/2026", "Tenders close
+// 3 April"); anything unrecognised is left blank.
+
+export const SALE_METHODS = ["Auction", "Expressions of Interest", "Tender", "Private Treaty"];
+
+// Checked in this order, so "EOI, or auction if not sold prior" is an EOI campaign.
+const METHOD_PATTERNS = [
+  ["Expressions of Interest", /\bexpressions? of interest\b|\beoi\b/i],
+  ["Tender", /\btenders?\b/i],
+  ["Auction", /\bauction\b/i],
+  ["Private Treaty", /\bprivate (?:treaty|sale)\b|\bfor sale\b|\bby negotiation\b|\bprice guide\b|\boffers (?:over|above|from)\b/i],
+];
+
+// "Passed in at auction on 3 March" describes the past, so the clause is left
+// out when looking for the current method and deadline.
+const PASSED_IN_RE = /\b(?:was\s+)?passed in\b[^.;\n]*/gi;
+
+const DEADLINE_KEYWORD_RE = /\b(auction|expressions? of interest|eoi|tenders?|clos(?:es|ing)(?: date)?)\b/gi;
+
+const MONTHS = "(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)";
+const MONTH_INDEX = { jan: 0, feb: 1, mar: 2, apr: 3, may: 4, jun: 5, jul: 6, aug: 7, sep: 8, oct: 9, nov: 10, dec: 11 };
+const DATE_PATTERNS = [
+  [/\b(\d{4})-(\d{2})-(\d{2})\b/, m => [+m[1], +m[2] - 1, +m[3]]],
+  [/\b(\d{1,2})\/(\d{1,2})(?:\/(\d{4}|\d{2}))?\b/, m => [m[3], +m[2] - 1, +m[1]]],
+  [new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTHS}\\b\\.?,?(?:\\s+(\\d{4}))?`, "i"), m => [m[3], MONTH_INDEX[m[2].slice(0, 3).toLowerCase()], +m[1]]],
+  [new RegExp(`\\b${MONTHS}\\b\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b,?(?:\\s+(\\d{4}))?`, "i"), m => [m[3], MONTH_INDEX[m[1].slice(0, 3).toLowerCase()], +m[2]]],
+];
+
+const DAY_MS = 86_400_000;
+const startOfDay = (d) => new Date(d.getFullYear(), d.getMonth(), d.getDate());
+const isoDate = (d) => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+
+// The first date in `text`. A date without a year takes the year that puts
+// it closest to `asOf`.
+export function parseDeadlineDate(text, asOf = new Date()) {
+  let best = null;
+  for (const [re, parts] of DATE_PATTERNS) {
+    const m = text.match(re);
+    if (!m || (best && best.index <= m.index)) continue;
+    const [year, month, day] = parts(m);
+    if (month < 0 || month > 11 || day < 1 || day > 31) continue;
+    const years = year ? [+year < 100 ? 2000 + +year : +year] : [asOf.getFullYear() - 1, asOf.getFullYear(), asOf.getFullYear() + 1];
+    const date = years.map(y => new Date(y, month, day))
+      .filter(d => d.getDate() === day)
+      .sort((a, b) => Math.abs(a - asOf) - Math.abs(b - asOf))[0];
+    if (date) best = { index: m.index, date };
+  }
+  return best ? best.date : null;
+}
+
+function deadlineType(keyword, method) {
+  const k = keyword.toLowerCase();
+  if (k === "auction") return "Auction";
+  if (k.startsWith("tender") || (k.startsWith("clos") && method === "Tender")) return "Tender closes";
+  if (k.startsWith("clos") && method !== "Expressions of Interest") return "Closes";
+  return "EOI closes";
+}
+
+// { saleMethod, deadline (YYYY-MM-DD), deadlineType, daysToDeadline, passedIn }
+// for one mapped listing. Days are counted from the start of `asOf`.
+export function parseSaleTerms(row, asOf = new Date()) {
+  const description = (row.description || "").toString();
+  const passedIn = /\bpassed in\b/i.test(description);
+  const current = description.replace(PASSED_IN_RE, " ");
+  const fields = [row.listingType, row.askingPriceRaw, current].map(s => (s || "").toString());
+
+  // Portals often label every listing "For Sale", so an auction, EOI or tender
+  // anywhere in the listing wins over a private treaty.
+  const [specific, general] = [METHOD_PATTERNS.slice(0, 3), METHOD_PATTERNS.slice(3)];
+  let saleMethod = null;
+  for (const patterns of [specific, general]) {
+    for (const text of fields) {
+      saleMethod = patterns.find(([, re]) => re.test(text))?.[0] || null;
+      if (saleMethod) break;
+    }
+    if (saleMethod) break;
+  }
+  if (!saleMethod && passedIn) saleMethod = "Private Treaty";
+
+  let deadline = null, type = null;
+  for (const text of fields) {
+    for (const m of text.matchAll(DEADLINE_KEYWORD_RE)) {
+      const window = text.slice(m.index, m.index + 80).split(/[.!?](?:\s|$)|\n|\|/)[0];
+      const date = parseDeadlineDate(window, asOf);
+      if (date) { deadline = date; type = deadlineType(m[1], saleMethod); break; }
+    }
+    if (deadline) break;
+  }
+
+  return {
+    saleMethod,
+    deadline: deadline ? isoDate(deadline) : null,
+    deadlineType: type,
+    daysToDeadline: deadline ? Math.round((deadline - startOfDay(asOf)) / DAY_MS) : null,
+    passedIn,
+  };
+}
+
+// "today", "in 5 days", "3 days ago"
+export function formatCountdown(days) {
+  if (days === null || days === undefined) return "—";
+  if (days === 0) return "today";
+  if (days === 1) return "tomorrow";
+  if (days === -1) return "yesterday";
+  return days > 0 ? `in ${days} days` : `${-days} days ago`;
+}
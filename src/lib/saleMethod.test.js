@@ -0,0 +1,55 @@
+import { describe, it, expect } from "vitest";
+import { parseSaleTerms, parseDeadlineDate, formatCountdown } from "./saleMethod.js";
+
+const asOf = new Date(2026, 2, 10, 15, 30);
+const terms = (row) => parseSaleTerms({ listingType: "", askingPriceRaw: "", description: "", ...row }, asOf);
+
+describe("parseDeadlineDate", () => {
+  it.each([
+    ["closing 4pm Thursday 26 March 2026", "2026-03-26"],
+    ["auction Thu 12th March", "2026-03-12"],
+    ["close March 26th, 2026", "2026-03-26"],
+    ["closes 26/03/2026 at noon", "2026-03-26"],
+    ["closing 2/4", "2026-04-02"],
+    ["tender 2026-04-14", "2026-04-14"],
+    ["auction 30 August", "2026-08-30"],
+    ["auction 20 December", "2025-12-20"],
+  ])("reads %s", (text, iso) => {
+    const d = parseDeadlineDate(text, asOf);
+    expect([d.getFullYear(), d.getMonth() + 1, d.getDate()].map(n => String(n).padStart(2, "0")).join("-")).toBe(iso);
+  });
+
+  it.each(["closing soon", "auction 31/02", "4.30pm on site"])("ignores %s", (text) => {
+    expect(parseDeadlineDate(text, asOf)).toBeNull();
+  });
+});
+
+describe("parseSaleTerms", () => {
+  it("reads the method and deadline from the listing type and price text", () => {
+    expect(terms({ listingType: "Auction", askingPriceRaw: "Auction 28 March 2026" }))
+      .toEqual({ saleMethod: "Auction", deadline: "2026-03-28", deadlineType: "Auction", daysToDeadline: 18, passedIn: false });
+    expect(terms({ askingPriceRaw: "Expressions of Interest", description: "EOI closing 4pm Thursday 12 March." }))
+      .toMatchObject({ saleMethod: "Expressions of Interest", deadline: "2026-03-12", deadlineType: "EOI closes", daysToDeadline: 2 });
+    expect(terms({ description: "Offered by public tender. Tenders close 3 April 2026." }))
+      .toMatchObject({ saleMethod: "Tender", deadlineType: "Tender closes", daysToDeadline: 24 });
+  });
+
+  it("prefers an auction or EOI in the description over a generic For Sale", () => {
+    expect(terms({ listingType: "For Sale", description: "Auction on site 21 March" })).toMatchObject({ saleMethod: "Auction", deadline: "2026-03-21" });
+    expect(terms({ listingType: "For Sale" })).toMatchObject({ saleMethod: "Private Treaty", deadline: null, daysToDeadline: null });
+  });
+
+  it("treats a past auction as history", () => {
+    const r = terms({ listingType: "For Sale", description: "Passed in at auction on 1 March. Now for sale, offers over $2M." });
+    expect(r).toMatchObject({ saleMethod: "Private Treaty", passedIn: true, deadline: null });
+    expect(terms({ description: "Property was passed in at auction 28 February" })).toMatchObject({ saleMethod: "Private Treaty", passedIn: true });
+  });
+
+  it("leaves listings without sale details blank", () => {
+    expect(terms({ description: "Leased to a national tenant" })).toEqual({ saleMethod: null, deadline: null, deadlineType: null, daysToDeadline: null, passedIn: false });
+  });
+
+  it("formats countdowns", () => {
+    expect([0, 1, -1, 5, -3, null].map(formatCountdown)).toEqual(["today", "tomorrow", "yesterday", "in 5 days", "3 days ago", "—"]);
+  });
+});
@@ -0,0 +1,67 @@
+// --- SCAN CLIENT ---
+// Main-thread side of the scan worker. Each call returns a promise with a
+// cancel() method; progress arrives through the optional onProgress callback
+// as (fraction, label). Without Worker support (tests, old browsers) the same
+// engine runs inline.
+
+import { createScanEngine, CANCELLED } from "./scanEngine.js";
+
+export function isCancelled(e) {
+  return e?.message === CANCELLED;
+}
+
+function workerTransport() {
+  const worker = new Worker(new URL("../workers/scanWorker.js", import.meta.url), { type: "module" });
+  const pending = new Map();
+  const settle = (id, fn) => { const job = pending.get(id); if (job) { pending.delete(id); fn(job); } };
+  worker.onmessage = ({ data }) => {
+    if ("progress" in data) { pending.get(data.id)?.onProgress?.(data.progress, data.label); return; }
+    settle(data.id, job => data.error ? job.reject(new Error(data.error)) : job.resolve(data.result));
+  };
+  worker.onerror = (e) => {
+    const err = new Error(e.message || "The scan worker stopped unexpectedly.");
+    [...pending.keys()].forEach(id => settle(id, job => job.reject(err)));
+  };
+  return {
+    send: (id, task, args, onProgress) => new Promise((resolve, reject) => {
+      pending.set(id, { resolve, reject, onProgress });
+      worker.postMessage({ id, task, args });
+    }),
+    cancel: (id) => {
+      worker.postMessage({ cancel: id });
+      settle(id, job => job.reject(new Error(CANCELLED)));
+    },
+  };
+}
+
+function inlineTransport() {
+  const engine = createScanEngine();
+  const cancelled = new Set();
+  return {
+    send: (id, task, args, onProgress) =>
+      engine[task](...args, (p, label) => onProgress?.(p, label), () => cancelled.has(id)).finally(() => cancelled.delete(id)),
+    cancel: (id) => cancelled.add(id),
+  };
+}
+
+let client = null;
+
+// Shared client: the worker keeps the last scored properties for view().
+export function getScanClient() {
+  if (client) return client;
+  const transport = typeof Worker !== "undefined" ? workerTransport() : inlineTransport();
+  let nextId = 1;
+  const call = (task, args, onProgress) => {
+    const id = nextId++;
+    return Object.assign(transport.send(id, task, args, onProgress), { cancel: () => transport.cancel(id) });
+  };
+  client = {
+    parse: (file, onProgress) => call("parse", [file], onProgress),
+    map: (data, mapping, sourceId, onProgress) => call("map", [data, mapping, sourceId], onProgress),
+    // Only the fields findDuplicateGroups reads cross to the worker.
+    duplicates: (rows) => call("duplicates", [rows.map(({ id, sourceId, address, suburb, postcode }) => ({ id, sourceId, address, suburb, postcode }))]),
+    score: (rows, model, baseline, onProgress) => call("score", [rows, model, baseline], onProgress),
+    view: (params) => call("view", [params]),
+  };
+  return client;
+}
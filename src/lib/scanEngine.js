@@ -0,0 +1,99 @@
+// --- SCAN ENGINE ---
+// The heavy steps of a scan: reading files, mapping rows, matching
+// duplicates, scoring and filtering. scanWorker.js runs this off the main
+// thread; scanClient.js falls back to running it inline where workers are
+// unavailable.
+//
+// Every task takes a trailing `progress(fraction, label)` callback and an
+// `isCancelled()` check so long loops can stop early.
+
+import Papa from "papaparse";
+import { WORKBOOK_EXTENSIONS, readWorkbook, parseJSONListings } from "./importers.js";
+import { mapListing, scoreRows, baselineEntriesFor } from "./scoring.js";
+import { buildSearchIndex, applyView } from "./filters.js";
+import { validateRow } from "./validation.js";
+import { findDuplicateGroups } from "./dedupe.js";
+
+const CSV_CHUNK = 512 * 1024;
+const MAP_BATCH = 5000;
+
+export const CANCELLED = "Cancelled";
+
+function parseCSV(file, progress, isCancelled) {
+  return new Promise((resolve, reject) => {
+    const data = [];
+    let headers = null;
+    Papa.parse(file, {
+      header: true, skipEmptyLines: true, chunkSize: CSV_CHUNK,
+      chunk: (result, parser) => {
+        if (isCancelled()) { parser.abort(); reject(new Error(CANCELLED)); return; }
+        headers = headers || result.meta.fields || [];
+        for (const row of result.data) data.push(row);
+        progress(Math.min(1, result.meta.cursor / (file.size || 1)), `Reading ${data.length.toLocaleString("en-AU")} rows`);
+      },
+      complete: () => resolve({ headers: headers || [], data }),
+      error: (e) => reject(e),
+    });
+  });
+}
+
+export function createScanEngine() {
+  let properties = [];
+  let index = [];
+
+  return {
+    // Resolves { headers, data } for a single table, or { sheets } when a
+    // workbook has more than one sheet with data.
+    async parse(file, progress = () => {}, isCancelled = () => false) {
+      const ext = file.name.split(".").pop().toLowerCase();
+      progress(0, "Reading file");
+      if (ext === "csv" || ext === "tsv" || ext === "txt") return parseCSV(file, progress, isCancelled);
+      if (WORKBOOK_EXTENSIONS.includes(ext)) {
+        const sheets = await readWorkbook(file);
+        if (!sheets.length) throw new Error("The workbook has no sheets with data.");
+        return sheets.length === 1 ? sheets[0] : { sheets };
+      }
+      if (ext === "json") return parseJSONListings(await file.text());
+      throw new Error(`Unsupported file type ".${ext}". Upload a CSV, TSV, Excel workbook or JSON file.`);
+    },
+
+    // Resolves { rows, flagged }: the mapped rows plus the validation issues
+    // for any row that has them (see validation.js).
+    async map(data, mapping, sourceId, progress = () => {}, isCancelled = () => false) {
+      const rows = new Array(data.length);
+      const flagged = [];
+      for (let start = 0; start < data.length; start += MAP_BATCH) {
+        if (isCancelled()) throw new Error(CANCELLED);
+        const end = Math.min(data.length, start + MAP_BATCH);
+        for (let i = start; i < end; i++) {
+          rows[i] = { id: `${sourceId}:${i}`, sourceId, ...mapListing(data[i], mapping) };
+          const issues = validateRow(data[i], rows[i], mapping);
+          if (issues.length) flagged.push({ index: i, issues });
+        }
+        progress(end / data.length, `Mapping ${end.toLocaleString("en-AU")} of ${data.length.toLocaleString("en-AU")} rows`);
+        await new Promise(r => setTimeout(r, 0));
+      }
+      return { rows, flagged };
+    },
+
+    // Groups of rows from different sources that look like the same property.
+    async duplicates(rows) {
+      return findDuplicateGroups(rows);
+    },
+
+    // Scores `rows` and keeps the result for view(). `baseline` is the raw
+    // baseline ({ rows } or { entries }); entries come back for change tracking.
+    async score(rows, model, baseline, progress = () => {}) {
+      progress(0, `Scoring ${rows.length.toLocaleString("en-AU")} listings`);
+      const baselineEntries = baselineEntriesFor(baseline, model);
+      properties = scoreRows(rows, model, baselineEntries);
+      index = buildSearchIndex(properties);
+      return { properties, baselineEntries };
+    },
+
+    // Ids of the scored properties passing the filters, in sort order.
+    async view(params) {
+      return applyView(properties, params, index).map(p => p.id);
+    },
+  };
+}
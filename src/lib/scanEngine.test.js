@@ -0,0 +1,65 @@
+import { describe, it, expect } from "vitest";
+import { createScanEngine, CANCELLED } from "./scanEngine.js";
+import { DEFAULT_FILTERS } from "./filters.js";
+import { DEFAULT_SCORING_MODEL } from "./scoringModel.js";
+
+const MAPPING = { address: "Address", suburb: "Suburb", askingPrice: "Price", daysOnMarket: "DOM", description: "Description" };
+const data = Array.from({ length: 12000 }, (_, i) => ({
+  Address: `${i} Main St`, Suburb: ["Ryde", "Penrith", "Parramatta"][i % 3], Price: `$${1 + (i % 5)}M`, DOM: String(i % 200),
+  Description: i % 4 ? "Leased to a national tenant" : "Mortgagee in possession",
+}));
+
+describe("scan engine", () => {
+  it("maps rows in batches and reports progress", async () => {
+    const engine = createScanEngine();
+    const seen = [];
+    const { rows, flagged } = await engine.map(data, MAPPING, "src", p => seen.push(p));
+    expect(rows).toHaveLength(12000);
+    expect(flagged).toEqual([]);
+    expect(rows[5]).toMatchObject({ id: "src:5", sourceId: "src", address: "5 Main St", askingPrice: 1_000_000 });
+    expect(seen.length).toBeGreaterThan(1);
+    expect(seen.at(-1)).toBe(1);
+  });
+
+  it("flags rows that fail validation", async () => {
+    const engine = createScanEngine();
+    const bad = [...data.slice(0, 3), { ...data[3], Price: "call me", DOM: "99999" }];
+    const { flagged } = await engine.map(bad, MAPPING, "src");
+    expect(flagged).toHaveLength(1);
+    expect(flagged[0].index).toBe(3);
+    expect(flagged[0].issues.map(i => i.type)).toEqual(["price", "dom"]);
+  });
+
+  it("stops mapping when cancelled", async () => {
+    const engine = createScanEngine();
+    let calls = 0;
+    await expect(engine.map(data, MAPPING, "src", () => calls++, () => calls > 0)).rejects.toThrow(CANCELLED);
+  });
+
+  it("filters and sorts the last scored properties by id", async () => {
+    const engine = createScanEngine();
+    const { rows } = await engine.map(data.slice(0, 300), MAPPING, "src");
+    const { properties } = await engine.score(rows, DEFAULT_SCORING_MODEL, null);
+    expect(properties).toHaveLength(300);
+    const ids = await engine.view({ filters: DEFAULT_FILTERS, search: "penrith  MORTGAGEE", sort: [{ key: "daysOnMarket", dir: "asc" }] });
+    const found = ids.map(id => properties.find(p => p.id === id));
+    expect(found).toHaveLength(25);
+    expect(found.every(p => p.suburb === "Penrith" && p.distressKeywords.includes("mortgagee"))).toBe(true);
+    expect(found.map(p => p.daysOnMarket)).toEqual([...found.map(p => p.daysOnMarket)].sort((a, b) => a - b));
+  });
+
+  it("returns baseline entries scored with the same model", async () => {
+    const engine = createScanEngine();
+    const { rows } = await engine.map(data.slice(0, 3), MAPPING, "src");
+    const { baselineEntries } = await engine.score(rows, DEFAULT_SCORING_MODEL, { rows: rows.map(r => ({ ...r, askingPrice: r.askingPrice + 100_000 })) });
+    expect(baselineEntries).toHaveLength(3);
+    expect(baselineEntries[0]).toMatchObject({ address: "0 Main St", askingPrice: 1_100_000 });
+  });
+
+  it("reads JSON files and rejects unknown types", async () => {
+    const engine = createScanEngine();
+    const json = new File([JSON.stringify({ data: [{ address: "1 Main St", suburb: "Ryde" }] })], "feed.json");
+    expect(await engine.parse(json)).toMatchObject({ headers: ["address", "suburb"], data: [{ address: "1 Main St" }] });
+    await expect(engine.parse(new File(["x"], "feed.pdf"))).rejects.toThrow("Unsupported file type");
+  });
+});
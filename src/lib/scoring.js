@@ -0,0 +1,301 @@
+// --- HEADLESS SCORING ---
+// Everything needed to turn raw listing rows into scored properties, with no
+// browser dependencies. The UI and the deal-scan CLI both score through
+// scoreRows so a nightly batch run matches what analysts see on screen.
+
+import { DEFAULT_SCORING_MODEL, PRICE_CUT_SIGNAL, compileModel, modelForState } from "./scoringModel.js";
+import { findDistressSignals, findUnnegated } from "./distressText.js";
+import { listingMetrics, annotatePeerValues } from "./metrics.js";
+import { annotatePriceChanges, toBaselineEntries, listingKey } from "./changes.js";
+import { geocode } from "./geocode.js";
+import { normaliseState, stateForPostcode } from "./states.js";
+import { parseSaleTerms, formatCountdown } from "./saleMethod.js";
+
+// --- COLUMN MAPPING ---
+export const COLUMN_ALIASES = {
+  address: ["address","street address","street_address","property address","full address"],
+  suburb: ["suburb","location","area"],
+  state: ["state"],
+  postcode: ["postcode","post code","zip","postal code"],
+  propertyType: ["property type","property_type","type","category"],
+  askingPrice: ["asking price","asking_price","price","list price","last listed price","first listed price","listed price","sale price"],
+  landArea: ["land area","land_area","land size","land size (m²)","land_size","land sqm","land (sqm)"],
+  buildingArea: ["building area","building_area","floor size","floor size (m²)","floor_size","building sqm","building (sqm)"],
+  daysOnMarket: ["days on market","days_on_market","dom","days listed","days"],
+  agentName: ["agent name","agent_name","agent","listing agent"],
+  agency: ["agency","agency name","office"],
+  listingUrl: ["listing url","listing_url","url","link","open in rpdata","listing link"],
+  description: ["description","listing description","details","comments","notes"],
+  councilArea: ["council area","council","lga"],
+  listingType: ["listing type","listing_type","sale method"],
+  latitude: ["latitude","lat"],
+  longitude: ["longitude","long","lng","lon"],
+};
+
+export function normalise(s) { return (s || "").toString().toLowerCase().trim().replace(/[_-]/g," "); }
+
+export function autoMapColumns(headers) {
+  const map = {};
+  const normHeaders = headers.map(normalise);
+  for (const [field, aliases] of Object.entries(COLUMN_ALIASES)) {
+    for (const alias of aliases) {
+      const idx = normHeaders.indexOf(normalise(alias));
+      if (idx !== -1 && !Object.values(map).includes(headers[idx])) {
+        map[field] = headers[idx];
+        break;
+      }
+    }
+  }
+  return map;
+}
+
+// Price text that deliberately gives no figure.
+const PRICE_WITHHELD_RE = /contact agent|poa|expressions? of interest|price on application|price on request|undisclosed|by negotiation|for sale|just listed|under contract|listing price not available|auction|submit all offers/i;
+
+export function isWithheldPrice(raw) {
+  return PRICE_WITHHELD_RE.test((raw ?? "").toString());
+}
+
+// "45", "1,204" and "45 days" all read; blanks, "-" and other text are null.
+export function parseDaysOnMarket(raw) {
+  const m = (raw ?? "").toString().replace(/,/g, "").trim().match(/^-?\d+(\.\d+)?(?=\s*(days?)?$)/i);
+  return m ? Math.round(+m[0]) : null;
+}
+
+export function parsePrice(raw) {
+  if (!raw) return null;
+  const s = raw.toString().trim();
+  if (PRICE_WITHHELD_RE.test(s)) return null;
+  const rangeMatch = s.match(/\$\s*([\d,.]+)\s*([mkMK])?\s*[-–]\s*\$\s*([\d,.]+)\s*([mkMK])?/);
+  if (rangeMatch) {
+    const lo = toNum(rangeMatch[1], rangeMatch[2]);
+    const hi = toNum(rangeMatch[3], rangeMatch[4]);
+    if (lo !== null && hi !== null) return Math.round((lo + hi) / 2);
+    return lo || hi;
+  }
+  const single = s.match(/\$\s*([\d,.]+)\s*([mkMK])?/);
+  if (single) return toNum(single[1], single[2]);
+  const plain = s.replace(/[,$\s]/g, "");
+  if (/^\d+(\.\d+)?$/.test(plain)) return Math.round(parseFloat(plain));
+  return null;
+}
+function toNum(digits, suffix) {
+  const n = parseFloat(digits.replace(/,/g, ""));
+  if (isNaN(n)) return null;
+  if (suffix && suffix.toLowerCase() === "m") return Math.round(n * 1_000_000);
+  if (suffix && suffix.toLowerCase() === "k") return Math.round(n * 1_000);
+  return Math.round(n);
+}
+
+export function priorityFor(score, priority) {
+  if (score >= priority.high) return "High Priority";
+  if (score >= priority.monitor) return "Monitor";
+  return "Low";
+}
+
+// With a `trace` array, each component also pushes { component, points,
+// reason, next? } explaining its points; `next` says what would score more.
+export function scoreProperty(row, model = DEFAULT_SCORING_MODEL, trace = null) {
+  model = modelForState(model, row.state);
+  const m = compileModel(model);
+  const desc = (row.description || "").toLowerCase();
+  const { found: matched, matches: distressMatches } = findDistressSignals(row.description, m.keywords);
+  const foundKeywords = matched.map(k => k.term);
+  let kwWeight = matched.reduce((s, k) => s + k.weight, 0);
+  const cutPct = row.priceChange ? -row.priceChange.pct : 0;
+  const cutCounts = cutPct > 0 && cutPct >= m.priceCut.minPct;
+  if (cutCounts) {
+    foundKeywords.push(PRICE_CUT_SIGNAL);
+    kwWeight += Number(m.priceCut.weight) || 0;
+  }
+  const tier = m.keywordTiers.find(t => kwWeight >= t.min);
+  const distressScore = tier?.points ?? 0;
+  if (trace) {
+    const terms = [...matched.map(k => k.weight === 1 ? k.term : `${k.term} ×${k.weight}`), ...(cutCounts ? [`${cutPct}% price cut ×${m.priceCut.weight}`] : [])];
+    const up = [...m.keywordTiers].reverse().find(t => t.min > kwWeight && t.points > distressScore);
+    trace.push({
+      component: "distress", points: distressScore,
+      reason: !terms.length ? "No distress keywords found"
+        : `Keyword count ${kwWeight} (${terms.join(", ")}) ${tier ? `reaches the ${tier.min}+ tier` : "is below the lowest tier"}`,
+      next: up && `${up.min - kwWeight} more keyword weight would score ${up.points}`,
+    });
+  }
+
+  const dom = row.daysOnMarket;
+  let domScore = model.domMissingPoints;
+  let d = NaN;
+  if (dom !== null && dom !== undefined && dom !== "") {
+    d = parseInt(dom);
+    if (!isNaN(d)) domScore = m.domBands.find(b => d >= b.minDays)?.points ?? 0;
+  }
+  if (trace) {
+    const band = m.domBands.find(b => d >= b.minDays);
+    const up = [...m.domBands].reverse().find(b => b.minDays > d && b.points > domScore);
+    trace.push({
+      component: "dom", points: domScore,
+      reason: isNaN(d) ? "Days on market not given" : band ? `${d} days on market, at least ${band.minDays}` : `${d} days on market, under every band`,
+      next: !isNaN(d) && up && `${up.minDays - d} more days would score ${up.points}`,
+    });
+  }
+
+  const vacant = m.vacantRe && findUnnegated(desc, m.vacantRe);
+  const lease = !vacant && m.leaseRe && findUnnegated(desc, m.leaseRe);
+  let vacancyScore = 0;
+  if (vacant) vacancyScore = model.vacancy.vacantPoints;
+  else if (!lease) vacancyScore = model.vacancy.noLeasePoints;
+  if (trace) {
+    trace.push({
+      component: "vacancy", points: vacancyScore,
+      reason: vacant ? `"${vacant[0]}" found` : lease ? `"${lease[0]}" found, so treated as leased` : "No vacancy or lease words found",
+    });
+  }
+
+  const valueScore = row.peerDiscount !== null && row.peerDiscount !== undefined
+    ? m.peerBands.find(b => row.peerDiscount >= b.minPct)?.points ?? 0
+    : 0;
+  if (trace) {
+    const pv = row.peerValue;
+    const up = pv && [...m.peerBands].reverse().find(b => b.minPct > pv.discount && b.points > valueScore);
+    trace.push({
+      component: "value", points: valueScore,
+      reason: !pv ? "No comparable listings to measure $/sqm against"
+        : `${pv.basis} ${Math.abs(pv.discount)}% ${pv.discount >= 0 ? "below" : "above"} the median of ${pv.count} ${pv.scope === "suburb" ? "same-suburb" : "same-type"} listings`,
+      next: up && `${up.minPct - pv.discount} percentage points further below the median would score ${up.points}`,
+    });
+  }
+
+  // Terms come from parseSaleTerms; rows scored without them get no sale points.
+  const sale = m.saleMethod;
+  const saleSignals = [];
+  let saleScore = 0;
+  const days = row.daysToDeadline;
+  if (days !== null && days !== undefined && days >= 0 && days <= sale.withinDays && (row.daysOnMarket ?? 0) >= sale.minDom) {
+    saleSignals.push(`${row.deadlineType} ${formatCountdown(days)} after ${row.daysOnMarket} days on market`);
+    saleScore += Number(sale.deadlinePoints) || 0;
+  }
+  if (row.passedIn && row.saleMethod && row.saleMethod !== "Auction") {
+    saleSignals.push(`Passed in at auction, now ${row.saleMethod === "Private Treaty" ? "for sale" : `by ${row.saleMethod.toLowerCase()}`}`);
+    saleScore += Number(sale.passedInPoints) || 0;
+  }
+  if (trace) {
+    trace.push({
+      component: "sale", points: saleScore,
+      reason: saleSignals.length ? saleSignals.join("; ")
+        : row.deadline ? `${row.deadlineType} ${formatCountdown(days)}, outside ${sale.withinDays} days or before ${sale.minDom} days on market`
+        : "No deadline or passed-in auction",
+    });
+  }
+
+  const total = distressScore + domScore + vacancyScore + valueScore + saleScore;
+  const priority = priorityFor(total, model.priority);
+
+  return { score: total, priority, distressKeywords: foundKeywords, distressMatches, distressScore, domScore, vacancyScore, valueScore, saleScore, saleSignals };
+}
+
+// The score with its trace, plus how far the total is from the next priority
+// band up (`next`), how far above its own band's cut-off (`margin`) and the
+// state pack used, if any.
+export function explainScore(row, model = DEFAULT_SCORING_MODEL) {
+  const trace = [];
+  const result = scoreProperty(row, model, trace);
+  const { high, monitor } = modelForState(model, row.state).priority;
+  const next = result.score < monitor ? { priority: "Monitor", cutoff: monitor, gap: monitor - result.score }
+    : result.score < high ? { priority: "High Priority", cutoff: high, gap: high - result.score } : null;
+  const floor = result.priority === "High Priority" ? high : result.priority === "Monitor" ? monitor : null;
+  const statePack = row.state && model.statePacks?.[row.state] ? row.state : null;
+  return { ...result, trace, next, margin: floor === null ? null : result.score - floor, statePack };
+}
+
+export function mapListing(row, mapping) {
+  const get = (field) => {
+    const col = mapping[field];
+    return col ? (row[col] ?? "") : "";
+  };
+  const price = parsePrice(get("askingPrice"));
+  const postcode = get("postcode");
+  return {
+    address: get("address"),
+    suburb: get("suburb"),
+    // The state column wins; otherwise the postcode decides. Listings with
+    // neither have no state and are scored without a state pack.
+    state: normaliseState(get("state")) || stateForPostcode(postcode),
+    postcode,
+    propertyType: get("propertyType"),
+    askingPriceRaw: get("askingPrice"),
+    askingPrice: price,
+    landArea: get("landArea") !== "-" ? get("landArea") : "",
+    buildingArea: get("buildingArea") !== "-" ? get("buildingArea") : "",
+    daysOnMarket: parseDaysOnMarket(get("daysOnMarket")),
+    agentName: get("agentName"),
+    agency: get("agency"),
+    listingUrl: get("listingUrl"),
+    description: get("description"),
+    councilArea: get("councilArea"),
+    listingType: get("listingType"),
+    latitude: get("latitude"),
+    longitude: get("longitude"),
+  };
+}
+
+// A previous scored export keeps its own scores; any other listing file is
+// mapped like a normal upload and scored with the current model.
+export function baselineFromFile(headers, data) {
+  const byName = Object.fromEntries(headers.map(h => [normalise(h), h]));
+  if (!byName.score || !byName.priority) {
+    const mapping = autoMapColumns(headers);
+    return { rows: data.map(r => mapListing(r, mapping)) };
+  }
+  const col = (row, ...names) => {
+    for (const n of names) { const h = byName[n]; if (h && row[h] !== undefined && row[h] !== "") return row[h]; }
+    return "";
+  };
+  return {
+    entries: toBaselineEntries(data.map(r => {
+      const priceText = col(r, "price text", "asking price (aud)");
+      const dom = parseInt(col(r, "days on market"));
+      const score = parseFloat(col(r, "score"));
+      return {
+        address: col(r, "address"), suburb: col(r, "suburb"),
+        askingPrice: parsePrice(priceText) ?? parsePrice(col(r, "asking price (aud)")),
+        askingPriceRaw: priceText,
+        daysOnMarket: isNaN(dom) ? null : dom,
+        score: isNaN(score) ? null : score,
+        priority: col(r, "priority") || null,
+      };
+    })),
+  };
+}
+
+// Full pipeline for a set of mapped rows: area and yield metrics, sale method
+// and deadline, tracked price changes against an optional baseline, peer
+// $/sqm comparison, score, location. Deadline countdowns run from `asOf`.
+export function scoreRows(rows, model = DEFAULT_SCORING_MODEL, baselineEntries = null, asOf = new Date()) {
+  const measured = rows.map(r => ({ ...r, ...listingMetrics(r), ...parseSaleTerms(r, asOf) }));
+  return annotatePeerValues(annotatePriceChanges(measured, baselineEntries), model.peerValue.minPeers)
+    .map(r => ({ ...r, key: listingKey(r), ...scoreProperty(r, model), geo: geocode(r) }));
+}
+
+// Baseline entries from the output of baselineFromFile. Raw listings are
+// rescored with `model` so score changes reflect the data, not a model edit.
+export function baselineEntriesFor(baseline, model = DEFAULT_SCORING_MODEL) {
+  if (!baseline) return null;
+  return baseline.entries || toBaselineEntries(scoreRows(baseline.rows, model));
+}
+
+// One row of the scored CSV export. baselineFromFile reads these columns back.
+export function toExportRow(p) {
+  return {
+    Address: p.address, Suburb: p.suburb, State: p.state, Postcode: p.postcode,
+    "Property Type": p.propertyType, "Asking Price (AUD)": p.askingPrice || "",
+    "Price Text": p.askingPriceRaw, "Land Area (sqm)": p.landSqm ?? "", "Building Area (sqm)": p.buildingSqm ?? "",
+    "$/sqm Land": p.pricePerSqmLand ?? "", "$/sqm Building": p.pricePerSqmBuilding ?? "",
+    "Net Income (AUD)": p.netIncome ?? "", "Cap Rate (%)": p.capRate ?? "", "Below Peer Median (%)": p.peerDiscount ?? "",
+    "Days on Market": p.daysOnMarket ?? "", "Sale Method": p.saleMethod ?? "", Deadline: p.deadline ?? "",
+    "Deadline Type": p.deadlineType ?? "", "Agent": p.agentName, Agency: p.agency,
+    "Listing URL": p.listingUrl, Latitude: p.geo?.lat ?? "", Longitude: p.geo?.lng ?? "", Score: p.score, Priority: p.priority,
+    "Distress Signals": p.distressKeywords.join("; "),
+    "Distress Score": p.distressScore, "DOM Score": p.domScore, "Vacancy Score": p.vacancyScore, "Value Score": p.valueScore,
+    "Sale Method Score": p.saleScore ?? "",
+    Description: p.description,
+  };
+}
@@ -0,0 +1,225 @@
+import { describe, it, expect } from "vitest";
+import {
+  normalise, autoMapColumns, parsePrice, mapListing, scoreProperty, explainScore, scoreRows, baselineFromFile, baselineEntriesFor, toExportRow,
+} from "./scoring.js";
+import {
+  DEFAULT_SCORING_MODEL, BUILT_IN_PROFILES, PRICE_CUT_SIGNAL, parseProfileJSON, exportProfileJSON, cloneModel, modelForState,
+} from "./scoringModel.js";
+
+const listing = (over = {}) => ({
+  address: "1 Main St", suburb: "Ryde", postcode: "2112", propertyType: "Retail",
+  askingPrice: 1_000_000, askingPriceRaw: "$1M", daysOnMarket: 30, description: "", ...over,
+});
+
+describe("column mapping", () => {
+  it("normalises separators and case", () => {
+    expect(normalise(" Days_On-Market ")).toBe("days on market");
+  });
+
+  it("maps known headers and never reuses a column", () => {
+    const map = autoMapColumns(["Street Address", "Suburb", "Asking Price", "DOM", "Type", "Lat", "Long"]);
+    expect(map).toMatchObject({
+      address: "Street Address", suburb: "Suburb", askingPrice: "Asking Price", daysOnMarket: "DOM",
+      propertyType: "Type", latitude: "Lat", longitude: "Long",
+    });
+    expect(new Set(Object.values(map)).size).toBe(Object.values(map).length);
+  });
+
+  it("turns a raw row into a listing", () => {
+    const row = mapListing({ Addr: "1 Main St", Price: "$1.2M", DOM: "-", Land: "-" }, { address: "Addr", askingPrice: "Price", daysOnMarket: "DOM", landArea: "Land" });
+    expect(row).toMatchObject({ address: "1 Main St", askingPrice: 1_200_000, daysOnMarket: null, landArea: "", state: "" });
+  });
+});
+
+describe("parsePrice", () => {
+  it.each([
+    ["$1.2M", 1_200_000],
+    ["$850K", 850_000],
+    ["$850k", 850_000],
+    ["$800K - $900K", 850_000],
+    ["$1.2M - $1.5M", 1_350_000],
+    ["$1.2m–$1.5m", 1_350_000],
+    ["1,250,000", 1_250_000],
+    ["1250000", 1_250_000],
+    ["Offers above $2,000,000", 2_000_000],
+  ])("parses %s", (raw, expected) => {
+    expect(parsePrice(raw)).toBe(expected);
+  });
+
+  it.each(["Contact Agent", "POA", "Expressions of Interest", "Auction", "", null])("returns null for %s", (raw) => {
+    expect(parsePrice(raw)).toBeNull();
+  });
+});
+
+describe("scoreProperty", () => {
+  it("adds keyword, DOM and vacancy points", () => {
+    const r = scoreProperty(listing({ daysOnMarket: 200, description: "Mortgagee in possession. Vacant possession, must sell." }));
+    expect(r.distressKeywords).toEqual(["mortgagee", "must sell", "vacant possession"]);
+    expect(r).toMatchObject({ distressScore: 40, domScore: 30, vacancyScore: 20, score: 90, priority: "High Priority" });
+  });
+
+  it("ignores negated vacancy words", () => {
+    expect(scoreProperty(listing({ description: "Tenant in place, not vacant possession." })).vacancyScore).toBe(0);
+    expect(scoreProperty(listing({ description: "Not leased. Vacant possession." })).vacancyScore).toBe(20);
+    expect(scoreProperty(listing({ description: "Never been leased." })).vacancyScore).toBe(10);
+  });
+
+  it("ignores negated keywords", () => {
+    const r = scoreProperty(listing({ description: "This is not a mortgagee sale. Leased to a national tenant." }));
+    expect(r.distressKeywords).toEqual([]);
+    expect(r.distressMatches).toEqual([expect.objectContaining({ term: "mortgagee", negated: true })]);
+  });
+
+  it("scores missing DOM with the configured fallback", () => {
+    expect(scoreProperty(listing({ daysOnMarket: null })).domScore).toBe(DEFAULT_SCORING_MODEL.domMissingPoints);
+  });
+
+  it("counts a tracked price cut as a weighted signal", () => {
+    const r = scoreProperty(listing({ priceChange: { from: 1_100_000, to: 1_000_000, pct: -9.1 } }));
+    expect(r.distressKeywords).toContain(PRICE_CUT_SIGNAL);
+    expect(r.distressScore).toBe(30);
+  });
+
+  it("adds sale method points for a deadline after a long campaign and a failed auction", () => {
+    const asOf = new Date(2026, 2, 10);
+    const [tender, early, passedIn] = scoreRows([
+      listing({ daysOnMarket: 200, description: "Tenders close 20 March 2026." }),
+      listing({ daysOnMarket: 20, description: "Tenders close 20 March 2026." }),
+      listing({ listingType: "For Sale", description: "Passed in at auction. Now available by private treaty." }),
+    ], DEFAULT_SCORING_MODEL, null, asOf);
+    expect(tender).toMatchObject({ saleMethod: "Tender", daysToDeadline: 10, saleScore: 10, saleSignals: ["Tender closes in 10 days after 200 days on market"] });
+    expect(early.saleScore).toBe(0);
+    expect(passedIn).toMatchObject({ saleScore: 15, saleSignals: ["Passed in at auction, now for sale"] });
+    expect(passedIn.score).toBe(scoreProperty(listing()).score + 15);
+  });
+});
+
+describe("explainScore", () => {
+  it("traces every component and adds up to the score", () => {
+    const r = explainScore(listing({ daysOnMarket: 150, description: "Mortgagee in possession. Leased to a national tenant." }));
+    expect(r.trace.map(t => t.component)).toEqual(["distress", "dom", "vacancy", "value", "sale"]);
+    expect(r.trace.reduce((s, t) => s + t.points, 0)).toBe(r.score);
+    const [distress, dom, vacancy] = r.trace;
+    expect(distress).toMatchObject({ points: 15, reason: "Keyword count 1 (mortgagee) reaches the 1+ tier", next: "1 more keyword weight would score 30" });
+    expect(dom).toMatchObject({ points: 20, reason: "150 days on market, at least 121", next: "31 more days would score 30" });
+    expect(vacancy).toMatchObject({ points: 0, reason: '"leased" found, so treated as leased' });
+    expect(r).toMatchObject({ score: 35, priority: "Monitor", margin: 0, next: { priority: "High Priority", cutoff: 60, gap: 25 } });
+  });
+
+  it("explains missing values and a top band", () => {
+    const r = explainScore(listing({ daysOnMarket: null, description: "" }));
+    expect(r.trace.find(t => t.component === "dom").reason).toBe("Days on market not given");
+    expect(r.trace.find(t => t.component === "vacancy")).toMatchObject({ points: 10, reason: "No vacancy or lease words found" });
+    expect(r.trace.find(t => t.component === "value").reason).toBe("No comparable listings to measure $/sqm against");
+    expect(r).toMatchObject({ priority: "Low", margin: null, next: { priority: "Monitor", gap: 20 } });
+    const top = explainScore(listing({ daysOnMarket: 200, description: "Mortgagee in possession. Vacant possession, must sell." }));
+    expect(top).toMatchObject({ next: null, margin: 30 });
+    expect(top.trace[1].next).toBeFalsy();
+  });
+});
+
+describe("scoreRows", () => {
+  it("scores listings priced below their suburb peers higher", () => {
+    const rows = [700, 1000, 1100, 1200].map((perSqm, i) =>
+      listing({ id: String(i), address: `${i} Main St`, askingPrice: perSqm * 1000, buildingArea: "1,000 m²" }));
+    const [cheap, ...rest] = scoreRows(rows);
+    expect(cheap.peerValue).toMatchObject({ basis: "building", scope: "suburb", count: 4 });
+    expect(cheap.peerDiscount).toBe(33);
+    expect(cheap.valueScore).toBe(20);
+    expect(rest.every(p => p.valueScore === 0)).toBe(true);
+  });
+
+  it("tracks price changes against a previous scored export", () => {
+    const before = scoreRows([listing({ askingPrice: 1_200_000, askingPriceRaw: "$1.2M" })]);
+    const exported = before.map(toExportRow);
+    const baseline = baselineFromFile(Object.keys(exported[0]), exported.map(r => Object.fromEntries(Object.entries(r).map(([k, v]) => [k, String(v)]))));
+    expect(baseline.entries).toHaveLength(1);
+    const [now] = scoreRows([listing()], DEFAULT_SCORING_MODEL, baselineEntriesFor(baseline));
+    expect(now.priceChange).toMatchObject({ from: 1_200_000, to: 1_000_000 });
+    expect(now.distressKeywords).toContain(PRICE_CUT_SIGNAL);
+  });
+
+  it("places listings from suburb centroids", () => {
+    const [p] = scoreRows([listing()]);
+    expect(p.geo).toMatchObject({ precision: "suburb" });
+  });
+
+  it("does not place other states' listings on NSW centroids", () => {
+    const [qld, exact, act] = scoreRows([
+      listing({ suburb: "Richmond", state: "QLD", postcode: "4000" }),
+      listing({ suburb: "Richmond", state: "VIC", postcode: "3121", latitude: "-37.82", longitude: "145.0" }),
+      listing({ suburb: "Fyshwick", state: "ACT", postcode: "2609" }),
+    ]);
+    expect(qld.geo).toBeNull();
+    expect(act).toMatchObject({ state: "ACT", geo: null });
+    expect(exact.geo).toMatchObject({ precision: "exact" });
+  });
+});
+
+describe("state packs", () => {
+  it("adds the state's keywords only for listings in that state", () => {
+    const text = "Deceased estate. Vendor says sell.";
+    const [nsw, qld, none] = scoreRows([listing({ description: text, state: "NSW" }), listing({ description: text, state: "QLD" }), listing({ description: text, state: "" })]);
+    expect(nsw.distressKeywords).toEqual([]);
+    expect(qld.distressKeywords).toEqual(["vendor says sell", "deceased estate"]);
+    expect(qld.distressScore).toBe(30);
+    expect(none.distressKeywords).toEqual([]);
+    expect(explainScore(qld).statePack).toBe("QLD");
+    expect(explainScore(nsw).statePack).toBeNull();
+  });
+
+  it("scores text without a pack-only term the same in every state", () => {
+    const text = "Receivers and managers appointed. Must be sold. Mortgagee in possession.";
+    const scores = ["NSW", "QLD", "VIC", "SA", ""].map(state => scoreProperty(listing({ description: text, daysOnMarket: 30, state })));
+    expect(new Set(scores.map(r => r.distressScore))).toEqual(new Set([40]));
+    expect(scores[1].distressKeywords).toEqual(["mortgagee", "receivership", "must sell"]);
+
+    // Packs saved before this was fixed still carry variants of model keywords.
+    const model = cloneModel(DEFAULT_SCORING_MODEL);
+    model.statePacks.QLD.keywords.push({ term: "must be sold", weight: 1 }, { term: "Receivers and Managers", weight: 2 });
+    expect(modelForState(model, "QLD").keywords.map(k => k.term)).not.toContain("must be sold");
+    expect(scoreProperty(listing({ description: text, state: "QLD" }), model).distressScore).toBe(40);
+  });
+
+  it("ships later DOM bands for QLD and earlier bands with higher cut-offs for VIC", () => {
+    const dom = (daysOnMarket, state) => scoreProperty(listing({ daysOnMarket, state })).domScore;
+    expect([dom(125, "NSW"), dom(125, "QLD"), dom(125, "VIC")]).toEqual([20, 10, 20]);
+    expect([dom(155, "NSW"), dom(155, "QLD"), dom(155, "VIC")]).toEqual([20, 20, 30]);
+    const row = listing({ daysOnMarket: 130, description: "Mortgagee in possession. Must sell.", state: "VIC" });
+    expect(scoreProperty(row)).toMatchObject({ score: 60, priority: "Monitor" });
+    expect(scoreProperty({ ...row, state: "NSW" })).toMatchObject({ score: 60, priority: "High Priority" });
+    expect(modelForState(BUILT_IN_PROFILES.Aggressive, "VIC").priority).toEqual({ high: 50, monitor: 30 });
+    const edited = { ...cloneModel(DEFAULT_SCORING_MODEL), priority: { high: 50, monitor: 20 } };
+    expect(modelForState(edited, "VIC").priority).toEqual({ high: 55, monitor: 25 });
+    expect(scoreProperty(row, edited).priority).toBe("High Priority");
+  });
+
+  it("shifts DOM bands and cut-offs", () => {
+    const model = cloneModel(DEFAULT_SCORING_MODEL);
+    model.statePacks.QLD = { keywords: [], domShift: 30, priorityShift: -30 };
+    const row = listing({ daysOnMarket: 190, description: "Mortgagee in possession", state: "QLD" });
+    expect(scoreProperty(row, model)).toMatchObject({ domScore: 20, priority: "High Priority" });
+    expect(scoreProperty({ ...row, state: "NSW" }, model)).toMatchObject({ domScore: 30, priority: "Monitor" });
+    expect(modelForState(model, "QLD")).toBe(modelForState(model, "QLD"));
+    expect(modelForState(model, "SA")).toBe(model);
+    expect(explainScore(row, model).next).toBeNull();
+  });
+});
+
+describe("profiles", () => {
+  it("ships aggressive and conservative profiles with lower and higher cut-offs", () => {
+    const row = listing({ daysOnMarket: 100, description: "Price reduced." });
+    const priority = (model) => scoreRows([row], model)[0].priority;
+    expect(priority(BUILT_IN_PROFILES.Aggressive)).toBe("High Priority");
+    expect(priority(BUILT_IN_PROFILES.Default)).toBe("Monitor");
+    expect(priority(BUILT_IN_PROFILES.Conservative)).toBe("Low");
+  });
+
+  it("round-trips an exported profile and fills missing settings", () => {
+    const { peerValue: _omit, ...old } = DEFAULT_SCORING_MODEL;
+    const parsed = parseProfileJSON(exportProfileJSON("Old", old));
+    expect(parsed.name).toBe("Old");
+    expect(parsed.model.peerValue).toEqual(DEFAULT_SCORING_MODEL.peerValue);
+    expect(() => parseProfileJSON("{\"foo\": 1}")).toThrow("Not a scoring profile.");
+  });
+});
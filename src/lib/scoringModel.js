@@ -0,0 +1,231 @@
+// --- SCORING MODEL ---
+// Every weight and threshold used by scoreProperty lives here so it can be
+// edited in the Scoring Model panel and saved as a named profile.
+
+import { compileKeyword } from "./distressText.js";
+
+export const DEFAULT_SCORING_MODEL = {
+  keywords: [
+    "mortgagee","receivership","must sell","reduced","all offers considered",
+    "vacant possession","liquidation","administration","urgent","below valuation",
+    "motivated vendor","deadline","court ordered","bank instructed","priced to sell",
+    "price drop","fire sale","distressed","under instructions","expressions of interest"
+  ].map(term => ({ term, weight: 1 })),
+  // Points awarded once the weighted keyword count reaches `min`, highest first.
+  keywordTiers: [
+    { min: 4, points: 50 },
+    { min: 3, points: 40 },
+    { min: 2, points: 30 },
+    { min: 1, points: 15 },
+  ],
+  // Points awarded once days on market reaches `minDays`, highest first.
+  domBands: [
+    { minDays: 181, points: 30 },
+    { minDays: 121, points: 20 },
+    { minDays: 61, points: 10 },
+  ],
+  domMissingPoints: 5,
+  vacancy: {
+    vacantPattern: "vacant possession",
+    vacantPoints: 20,
+    leasePattern: "leased|tenant|lease|tenancy|net income",
+    noLeasePoints: 10,
+  },
+  // Asking-price cuts found by comparing with an earlier scan count towards the
+  // keyword count with this weight once the cut reaches `minPct` percent.
+  priceCut: { minPct: 5, weight: 2 },
+  // Points awarded once $/sqm is at least `minPct` percent below the median of
+  // comparable listings (same suburb and type, at least `minPeers` of them).
+  peerValue: {
+    bands: [
+      { minPct: 30, points: 20 },
+      { minPct: 20, points: 14 },
+      { minPct: 10, points: 8 },
+    ],
+    minPeers: 3,
+  },
+  // Sale-method points: an auction, EOI or tender closing within `withinDays`
+  // days after at least `minDom` days on market, and a listing that passed in
+  // at auction and is now offered another way.
+  saleMethod: { withinDays: 21, minDom: 90, deadlinePoints: 10, passedInPoints: 15 },
+  priority: { high: 60, monitor: 35 },
+  // Used automatically for listings in that state, on top of the settings
+  // above: extra keywords for local selling language, DOM bands moved by
+  // `domShift` days and priority cut-offs moved by `priorityShift` points.
+  // QLD commercial campaigns run longer, so its bands start a month later.
+  // VIC sells mostly by set-date EOI over four to six weeks, so a listing
+  // still up after two months has usually failed its campaign; its bands
+  // start a month earlier and the cut-offs rise 5 points so time on market
+  // alone does not make a VIC listing High Priority.
+  statePacks: {
+    QLD: {
+      keywords: ["vendor says sell", "deceased estate"].map(term => ({ term, weight: 1 })),
+      domShift: 30, priorityShift: 0,
+    },
+    VIC: {
+      keywords: ["sale by set date", "vendor instructions", "deceased estate", "controllers appointed"].map(term => ({ term, weight: 1 })),
+      domShift: -30, priorityShift: 5,
+    },
+  },
+};
+
+// Label used in distressKeywords when a tracked price cut is scored.
+export const PRICE_CUT_SIGNAL = "price cut (tracked)";
+
+export const DEFAULT_PROFILE_NAME = "Default";
+
+export function cloneModel(model) { return JSON.parse(JSON.stringify(model)); }
+
+// Read-only profiles shipped with the app and the CLI. Aggressive surfaces more
+// candidates for review; Conservative only flags strong, well-evidenced deals.
+export const BUILT_IN_PROFILES = {
+  [DEFAULT_PROFILE_NAME]: DEFAULT_SCORING_MODEL,
+  Aggressive: {
+    ...cloneModel(DEFAULT_SCORING_MODEL),
+    domBands: [
+      { minDays: 150, points: 30 },
+      { minDays: 90, points: 20 },
+      { minDays: 45, points: 10 },
+    ],
+    priceCut: { minPct: 3, weight: 2 },
+    peerValue: {
+      bands: [
+        { minPct: 20, points: 20 },
+        { minPct: 10, points: 14 },
+        { minPct: 5, points: 8 },
+      ],
+      minPeers: 3,
+    },
+    priority: { high: 45, monitor: 25 },
+  },
+  Conservative: {
+    ...cloneModel(DEFAULT_SCORING_MODEL),
+    priceCut: { minPct: 10, weight: 2 },
+    peerValue: { ...cloneModel(DEFAULT_SCORING_MODEL.peerValue), minPeers: 5 },
+    priority: { high: 75, monitor: 50 },
+  },
+};
+
+export function isBuiltInProfile(name) { return Object.hasOwn(BUILT_IN_PROFILES, name); }
+
+// Finds a built-in profile by name, ignoring case.
+export function findBuiltInProfile(name) {
+  const key = Object.keys(BUILT_IN_PROFILES).find(k => k.toLowerCase() === (name || "").toLowerCase());
+  return key ? BUILT_IN_PROFILES[key] : null;
+}
+
+// Profiles saved before a setting existed pick up its default value.
+export function withDefaults(model) {
+  return { ...cloneModel(DEFAULT_SCORING_MODEL), ...model };
+}
+
+export const EMPTY_STATE_PACK = { keywords: [], domShift: 0, priorityShift: 0 };
+
+// `model` as it applies to listings in `state`. Pack keywords sharing a phrase
+// or variant with a model keyword are dropped, so "must be sold" is not counted
+// again on top of "must sell". Cached per model object so compileModel's own
+// cache keeps working.
+const stateModels = new WeakMap();
+export function modelForState(model, state) {
+  const pack = state && model.statePacks?.[state];
+  if (!pack) return model;
+  let byState = stateModels.get(model);
+  if (!byState) stateModels.set(model, byState = new Map());
+  if (!byState.has(state)) {
+    const phrases = (k) => compileKeyword(k.term, k.weight).phrases.map(p => p.join(" "));
+    const known = new Set(model.keywords.flatMap(phrases));
+    const shift = Number(pack.domShift) || 0;
+    const priorityShift = Number(pack.priorityShift) || 0;
+    byState.set(state, {
+      ...model,
+      keywords: [...model.keywords, ...(pack.keywords || []).filter(k => !phrases(k).some(p => known.has(p)))],
+      domBands: shift ? model.domBands.map(b => ({ ...b, minDays: Math.max(0, b.minDays + shift) })) : model.domBands,
+      priority: priorityShift ? { high: model.priority.high + priorityShift, monitor: model.priority.monitor + priorityShift } : model.priority,
+    });
+  }
+  return byState.get(state);
+}
+
+function safeRegex(pattern) {
+  if (!pattern) return null;
+  try { return new RegExp(pattern, "i"); } catch { return null; }
+}
+
+// Regexes and sorted tiers are derived once per model object, not once per row.
+const compiled = new WeakMap();
+export function compileModel(model) {
+  let c = compiled.get(model);
+  if (!c) {
+    c = {
+      keywords: model.keywords
+        .filter(k => k.term && k.term.trim())
+        .map(k => compileKeyword(k.term, Number(k.weight) || 0)),
+      keywordTiers: [...model.keywordTiers].sort((a, b) => b.min - a.min),
+      domBands: [...model.domBands].sort((a, b) => b.minDays - a.minDays),
+      vacantRe: safeRegex(model.vacancy.vacantPattern),
+      leaseRe: safeRegex(model.vacancy.leasePattern),
+      priceCut: model.priceCut || DEFAULT_SCORING_MODEL.priceCut,
+      peerBands: [...(model.peerValue || DEFAULT_SCORING_MODEL.peerValue).bands].sort((a, b) => b.minPct - a.minPct),
+      saleMethod: model.saleMethod || DEFAULT_SCORING_MODEL.saleMethod,
+    };
+    compiled.set(model, c);
+  }
+  return c;
+}
+
+export function isValidPattern(pattern) { return !pattern || safeRegex(pattern) !== null; }
+
+// Upper bounds for each component, used to label the score breakdown.
+export function maxScores(model) {
+  const distress = Math.max(0, ...model.keywordTiers.map(t => Number(t.points) || 0));
+  const dom = Math.max(model.domMissingPoints || 0, ...model.domBands.map(b => Number(b.points) || 0));
+  const vacancy = Math.max(model.vacancy.vacantPoints || 0, model.vacancy.noLeasePoints || 0);
+  const value = Math.max(0, ...(model.peerValue || DEFAULT_SCORING_MODEL.peerValue).bands.map(b => Number(b.points) || 0));
+  const { deadlinePoints, passedInPoints } = model.saleMethod || DEFAULT_SCORING_MODEL.saleMethod;
+  const sale = Math.max(0, Number(deadlinePoints) || 0) + Math.max(0, Number(passedInPoints) || 0);
+  return { distress, dom, vacancy, value, sale, total: distress + dom + vacancy + value + sale };
+}
+
+// --- PROFILE STORAGE ---
+const PROFILES_KEY = "dealScanner.scoringProfiles";
+const ACTIVE_KEY = "dealScanner.activeProfile";
+
+export function loadProfiles() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PROFILES_KEY) || "{}");
+    const upgraded = Object.fromEntries(Object.entries(saved).map(([name, m]) => [name, withDefaults(m)]));
+    return { ...upgraded, ...BUILT_IN_PROFILES };
+  } catch {
+    return { ...BUILT_IN_PROFILES };
+  }
+}
+
+export function saveProfiles(profiles) {
+  const custom = Object.fromEntries(Object.entries(profiles).filter(([name]) => !isBuiltInProfile(name)));
+  localStorage.setItem(PROFILES_KEY, JSON.stringify(custom));
+}
+
+export function loadActiveProfileName() {
+  return localStorage.getItem(ACTIVE_KEY) || DEFAULT_PROFILE_NAME;
+}
+
+export function saveActiveProfileName(name) {
+  localStorage.setItem(ACTIVE_KEY, name);
+}
+
+// --- PROFILE FILES ---
+// A profile exported from the Scoring Model panel, also accepted by the CLI.
+
+export function exportProfileJSON(name, model) {
+  return JSON.stringify({ type: "deal-scanner-profile", version: 1, name, model }, null, 2);
+}
+
+export function parseProfileJSON(text) {
+  let json;
+  try { json = JSON.parse(text); } catch (e) { throw new Error(`Not valid JSON: ${e.message}`); }
+  const model = json?.type === "deal-scanner-profile" ? json.model : json;
+  if (!model || !Array.isArray(model.keywords) || !Array.isArray(model.keywordTiers) || !model.vacancy || !model.priority) {
+    throw new Error("Not a scoring profile.");
+  }
+  return { name: json.name || null, model: withDefaults(model) };
+}
@@ -0,0 +1,70 @@
+// --- WHAT-IF AND THRESHOLD SENSITIVITY ---
+// How one property's score would move if its days on market or asking price
+// changed, and how many properties change priority when a cut-off moves.
+
+import { explainScore, priorityFor } from "./scoring.js";
+
+export const PRIORITIES = ["High Priority", "Monitor", "Low"];
+const RANK = { "High Priority": 0, "Monitor": 1, "Low": 2 };
+
+// Rescores `p` as if it had been on the market `daysOnMarket` days and its
+// asking price had dropped `priceDropPct` percent. A drop counts as a price
+// cut from the earlier tracked price (or the current one) and moves its $/sqm
+// against the same peer median; the peers themselves are left unchanged.
+export function whatIf(p, model, { daysOnMarket = p.daysOnMarket, priceDropPct = 0 } = {}) {
+  const row = { ...p, daysOnMarket };
+  if (priceDropPct > 0 && p.askingPrice) {
+    const factor = 1 - priceDropPct / 100;
+    const to = Math.round(p.askingPrice * factor);
+    const from = p.priceChange?.from ?? p.askingPrice;
+    row.askingPrice = to;
+    row.priceChange = { from, to, pct: Math.round(((to - from) / from) * 1000) / 10 };
+    if (p.peerValue) {
+      const discount = Math.round((1 - (1 - p.peerValue.discount / 100) * factor) * 100);
+      row.peerValue = { ...p.peerValue, discount };
+      row.peerDiscount = discount;
+    }
+  }
+  return explainScore(row, model);
+}
+
+// `listings` are { score, priority? } where `priority` is the listing's own
+// cut-offs when its state pack changes them. Moving a cut-off moves those by
+// the same number of points.
+const ownCutoffs = (own, from, to) => !own || own === from ? to
+  : { high: own.high + to.high - from.high, monitor: own.monitor + to.monitor - from.monitor };
+
+// Priority counts and moves between bands when `from` cut-offs become `to`.
+export function priorityShifts(listings, from, to) {
+  const counts = Object.fromEntries(PRIORITIES.map(x => [x, 0]));
+  let up = 0, down = 0;
+  for (const { score, priority } of listings) {
+    const before = priorityFor(score, priority || from);
+    const after = priorityFor(score, ownCutoffs(priority, from, to));
+    counts[after]++;
+    if (RANK[after] < RANK[before]) up++;
+    else if (RANK[after] > RANK[before]) down++;
+  }
+  return { counts, up, down };
+}
+
+// For each cut-off, the effect of moving it by each of `deltas` points.
+// Moves that would put Monitor above High (or the reverse) are skipped.
+export function thresholdSensitivity(listings, priority, deltas = [-10, -5, 5, 10]) {
+  return ["high", "monitor"].map(key => ({
+    key,
+    value: priority[key],
+    current: priorityShifts(listings, priority, priority).counts,
+    moves: deltas.map(delta => {
+      const to = { ...priority, [key]: priority[key] + delta };
+      if (to.monitor > to.high || to[key] < 0) return { delta, value: to[key], skipped: true };
+      return { delta, value: to[key], ...priorityShifts(listings, priority, to) };
+    }),
+  }));
+}
+
+// Properties within `within` points below each of their cut-offs.
+export function nearCutoffs(listings, priority, within = 5) {
+  const below = (key) => listings.filter(({ score, priority: own = priority }) => score < own[key] && score >= own[key] - within).length;
+  return { high: below("high"), monitor: below("monitor") };
+}
@@ -0,0 +1,63 @@
+import { describe, it, expect } from "vitest";
+import { DEFAULT_SCORING_MODEL, PRICE_CUT_SIGNAL, modelForState } from "./scoringModel.js";
+import { whatIf, priorityShifts, thresholdSensitivity, nearCutoffs } from "./sensitivity.js";
+import { scoreProperty } from "./scoring.js";
+
+const listing = (over = {}) => ({
+  address: "1 Main St", suburb: "Ryde", postcode: "2112", propertyType: "Retail",
+  askingPrice: 1_000_000, askingPriceRaw: "$1M", daysOnMarket: 30, description: "Mortgagee in possession. Leased.", ...over,
+});
+const scored = (over) => { const p = listing(over); return { ...p, ...scoreProperty(p) }; };
+
+describe("what-if", () => {
+  it("rescores with a longer campaign", () => {
+    const p = scored();
+    const r = whatIf(p, DEFAULT_SCORING_MODEL, { daysOnMarket: 200 });
+    expect(r.domScore).toBe(30);
+    expect(r.score).toBe(p.score + 30);
+  });
+
+  it("treats a price drop as a price cut and a deeper peer discount", () => {
+    const p = { ...scored(), peerValue: { basis: "land", scope: "suburb", median: 2000, count: 4, discount: 5 }, peerDiscount: 5 };
+    const r = whatIf(p, DEFAULT_SCORING_MODEL, { priceDropPct: 10 });
+    expect(r.distressKeywords).toContain(PRICE_CUT_SIGNAL);
+    expect(r.distressScore).toBe(40);
+    expect(r.valueScore).toBe(8);
+    expect(r.trace.find(t => t.component === "value").reason).toMatch(/^land 15% below the median of 4 same-suburb listings/);
+  });
+
+  it("measures a further drop from the earlier tracked price", () => {
+    const p = scored({ priceChange: { from: 1_050_000, to: 1_000_000, pct: -4.8 } });
+    expect(p.distressKeywords).not.toContain(PRICE_CUT_SIGNAL);
+    expect(whatIf(p, DEFAULT_SCORING_MODEL, { priceDropPct: 1 }).distressKeywords).toContain(PRICE_CUT_SIGNAL);
+  });
+});
+
+describe("threshold sensitivity", () => {
+  const scores = [10, 30, 34, 36, 58, 62, 80].map(score => ({ score }));
+  const priority = { high: 60, monitor: 35 };
+
+  it("counts moves between bands", () => {
+    expect(priorityShifts(scores, priority, { high: 55, monitor: 35 })).toEqual({ counts: { "High Priority": 3, Monitor: 1, Low: 3 }, up: 1, down: 0 });
+    expect(priorityShifts(scores, priority, { high: 60, monitor: 40 })).toMatchObject({ up: 0, down: 1 });
+  });
+
+  it("tries each cut-off up and down, skipping crossed cut-offs", () => {
+    const [high, monitor] = thresholdSensitivity(scores, priority, [-5, 5, 30]);
+    expect(high.moves.map(m => [m.value, m.up, m.down])).toEqual([[55, 1, 0], [65, 0, 1], [90, 0, 2]]);
+    expect(high.current).toEqual({ "High Priority": 2, Monitor: 2, Low: 3 });
+    expect(monitor.moves[2]).toEqual({ delta: 30, value: 65, skipped: true });
+    expect(nearCutoffs(scores, priority)).toEqual({ high: 1, monitor: 2 });
+  });
+
+  it("measures listings in states with their own cut-offs against those", () => {
+    const model = DEFAULT_SCORING_MODEL;
+    const vic = scored({ state: "VIC", daysOnMarket: 130, description: "Mortgagee in possession. Must sell." });
+    const listings = [{ score: vic.score, priority: modelForState(model, "VIC").priority }];
+    expect(vic).toMatchObject({ score: 60, priority: "Monitor" });
+    expect(thresholdSensitivity(listings, model.priority)[0].current).toMatchObject({ "High Priority": 0, Monitor: 1 });
+    expect(priorityShifts(listings, model.priority, { ...model.priority, high: 55 })).toMatchObject({ up: 1, counts: { "High Priority": 1 } });
+    expect(priorityShifts(listings, model.priority, { ...model.priority, high: 65 }).down).toBe(0);
+    expect(nearCutoffs(listings, model.priority)).toEqual({ high: 1, monitor: 0 });
+  });
+});
@@ -0,0 +1,67 @@
+// --- WORKSPACE SNAPSHOTS ---
+// A snapshot is one scan session: the imported sources, duplicate decisions and
+// view state. Summaries live in their own store so the history list stays fast,
+// and the view has its own so a filter change never rewrites the source rows.
+
+import { dbGet, dbGetAll, dbPut, dbUpdateMany, dbDeleteMany } from "./db.js";
+
+const ACTIVE_KEY = "dealScanner.activeSnapshot";
+
+export function newSnapshotId() {
+  return `scan-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+export function defaultSnapshotName(date = new Date()) {
+  return `Scan ${date.toLocaleDateString("en-AU")}`;
+}
+
+export async function listSnapshots() {
+  const all = await dbGetAll("snapshots");
+  return all.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+// Scans saved before views had their own store keep the view in the data.
+export async function loadSnapshot(id) {
+  const [data, saved] = await Promise.all([dbGet("snapshotData", id), dbGet("snapshotViews", id)]);
+  return data && { ...data, view: saved?.view ?? data.view };
+}
+
+// `snapshot` is { id, name, createdAt, ...data } with the sources, duplicate
+// decisions and baseline. Bumps the summary's updatedAt if it exists yet.
+export function saveSnapshot({ id, name, createdAt, ...data }) {
+  const updatedAt = new Date().toISOString();
+  return dbUpdateMany([
+    ["snapshotData", id, () => ({ id, name, createdAt, updatedAt, ...data })],
+    ["snapshots", id, meta => meta && { ...meta, name, updatedAt }],
+  ]);
+}
+
+// Creates or updates the history list entry; `summary` carries the display
+// fields (source names, counts). Unchanged summaries are not rewritten.
+export function saveSnapshotSummary({ id, name, createdAt }, summary) {
+  return dbUpdateMany([["snapshots", id, meta => {
+    if (meta && Object.entries(summary).every(([k, v]) => JSON.stringify(meta[k]) === JSON.stringify(v))) return null;
+    return { updatedAt: new Date().toISOString(), ...meta, id, name, createdAt, ...summary };
+  }]]);
+}
+
+export function saveSnapshotView(id, view) {
+  return dbPut("snapshotViews", { id, view });
+}
+
+export function renameSnapshot(id, name) {
+  return dbUpdateMany([["snapshots", id, meta => meta && { ...meta, name }], ["snapshotData", id, data => data && { ...data, name }]]);
+}
+
+export function deleteSnapshot(id) {
+  return dbDeleteMany([["snapshots", id], ["snapshotData", id], ["snapshotViews", id]]);
+}
+
+export function loadActiveSnapshotId() {
+  return localStorage.getItem(ACTIVE_KEY);
+}
+
+export function saveActiveSnapshotId(id) {
+  if (id) localStorage.setItem(ACTIVE_KEY, id);
+  else localStorage.removeItem(ACTIVE_KEY);
+}
@@ -0,0 +1,44 @@
+// --- AUSTRALIAN STATES AND POSTCODES ---
+// Postcode ranges per state (Australia Post allocation, delivery and PO box
+// ranges combined). Used to fill a missing state and to flag postcodes that
+// do not belong to the state a listing claims.
+
+export const POSTCODE_RANGES = {
+  NSW: [[1000, 2599], [2619, 2899], [2921, 2999]],
+  ACT: [[200, 299], [2600, 2618], [2900, 2920]],
+  VIC: [[3000, 3999], [8000, 8999]],
+  QLD: [[4000, 4999], [9000, 9999]],
+  SA: [[5000, 5999]],
+  WA: [[6000, 6797], [6800, 6999]],
+  TAS: [[7000, 7999]],
+  NT: [[800, 999]],
+};
+
+export const STATES = Object.keys(POSTCODE_RANGES);
+
+const STATE_NAMES = {
+  "new south wales": "NSW", "australian capital territory": "ACT", "victoria": "VIC", "queensland": "QLD",
+  "south australia": "SA", "western australia": "WA", "tasmania": "TAS", "northern territory": "NT",
+};
+
+// "Queensland", "qld" and "Qld." all become "QLD"; unknown text becomes "".
+export function normaliseState(raw) {
+  const s = (raw || "").toString().trim().toLowerCase().replace(/\./g, "");
+  if (!s) return "";
+  if (STATE_NAMES[s]) return STATE_NAMES[s];
+  const abbr = s.toUpperCase();
+  return POSTCODE_RANGES[abbr] ? abbr : "";
+}
+
+// Four-digit postcode string, or null when `raw` is not a postcode at all.
+export function normalisePostcode(raw) {
+  const s = (raw ?? "").toString().trim().replace(/\.0+$/, "");
+  return /^\d{3,4}$/.test(s) ? s.padStart(4, "0") : null;
+}
+
+export function stateForPostcode(raw) {
+  const pc = normalisePostcode(raw);
+  if (!pc) return "";
+  const n = +pc;
+  return Object.keys(POSTCODE_RANGES).find(st => POSTCODE_RANGES[st].some(([lo, hi]) => n >= lo && n <= hi)) || "";
+}
@@ -0,0 +1,103 @@
+// --- PROPERTY TABLE VIEW ---
+// Column choice, column order and multi-column sort for the Properties table.
+// Rendering lives in PropertyTable; this module only knows ids and values.
+
+import { PRIORITY_RANK } from "./changes.js";
+import { DEAL_STATUSES } from "./pipeline.js";
+
+const COLUMNS_KEY = "dealScanner.tableColumns";
+
+// `value` is what the column sorts by; `ctx` carries { pipeline }.
+export const TABLE_COLUMNS = [
+  { id: "address", label: "Address", value: p => p.address },
+  { id: "suburb", label: "Suburb", value: p => p.suburb },
+  { id: "propertyType", label: "Type", value: p => p.propertyType },
+  { id: "askingPrice", label: "Price (AUD)", value: p => p.askingPrice },
+  { id: "pricePerSqmBuilding", label: "$/m² Bldg", value: p => p.pricePerSqmBuilding },
+  { id: "pricePerSqmLand", label: "$/m² Land", value: p => p.pricePerSqmLand },
+  { id: "capRate", label: "Yield", value: p => p.capRate },
+  { id: "peerDiscount", label: "vs Peers", value: p => p.peerDiscount },
+  { id: "daysOnMarket", label: "DOM", value: p => p.daysOnMarket },
+  { id: "deadline", label: "Deadline", value: p => p.daysToDeadline },
+  { id: "score", label: "Score", value: p => p.score },
+  { id: "priority", label: "Priority", value: p => PRIORITY_RANK[p.priority] },
+  { id: "deal", label: "Deal", value: (p, ctx) => ctx.pipeline?.[p.key] ? DEAL_STATUSES.indexOf(ctx.pipeline[p.key].status) : null },
+  { id: "distressKeywords", label: "Distress Signals", value: p => p.distressKeywords.length || null },
+  { id: "agentName", label: "Agent", value: p => p.agentName },
+  { id: "agency", label: "Agency", value: p => p.agency },
+  { id: "landSqm", label: "Land Area", value: p => p.landSqm },
+  { id: "buildingSqm", label: "Building Area", value: p => p.buildingSqm },
+  { id: "councilArea", label: "Council", value: p => p.councilArea },
+  { id: "saleMethod", label: "Sale Method", value: p => p.saleMethod },
+  { id: "listingType", label: "Listing Type", value: p => p.listingType },
+  { id: "source", label: "Source", value: p => p.sources.join(", ") },
+];
+
+const COLUMNS_BY_ID = Object.fromEntries(TABLE_COLUMNS.map(c => [c.id, c]));
+
+export const DEFAULT_COLUMNS = [
+  "address", "suburb", "propertyType", "askingPrice", "pricePerSqmBuilding", "pricePerSqmLand",
+  "capRate", "peerDiscount", "daysOnMarket", "deadline", "score", "priority", "deal",
+];
+
+export const DEFAULT_SORT = [{ key: "score", dir: "desc" }];
+
+// Drops unknown ids so a saved layout survives columns being renamed or removed.
+export function cleanColumns(ids) {
+  const known = (Array.isArray(ids) ? ids : []).filter((id, i, all) => COLUMNS_BY_ID[id] && all.indexOf(id) === i);
+  return known.length ? known : DEFAULT_COLUMNS;
+}
+
+export function loadTableColumns() {
+  try { return cleanColumns(JSON.parse(localStorage.getItem(COLUMNS_KEY))); } catch { return DEFAULT_COLUMNS; }
+}
+
+export function saveTableColumns(ids) {
+  localStorage.setItem(COLUMNS_KEY, JSON.stringify(ids));
+}
+
+export function getColumn(id) {
+  return COLUMNS_BY_ID[id];
+}
+
+// Moves `id` to the position currently held by `beforeId`.
+export function moveColumn(ids, id, beforeId) {
+  if (id === beforeId) return ids;
+  const rest = ids.filter(x => x !== id);
+  const at = rest.indexOf(beforeId);
+  const to = at === -1 ? rest.length : ids.indexOf(id) < ids.indexOf(beforeId) ? at + 1 : at;
+  return [...rest.slice(0, to), id, ...rest.slice(to)];
+}
+
+// Plain click sorts by the column alone (flipping direction if it was already
+// the only key); `additive` (shift-click) adds it as a tie-breaker or flips it.
+export function toggleSort(sort, key, additive = false) {
+  const existing = sort.find(s => s.key === key);
+  const flip = (s) => ({ ...s, dir: s.dir === "asc" ? "desc" : "asc" });
+  if (additive) return existing ? sort.map(s => s.key === key ? flip(s) : s) : [...sort, { key, dir: "desc" }];
+  return existing && sort.length === 1 ? [flip(existing)] : [{ key, dir: existing?.dir || "desc" }];
+}
+
+// Reads sort state saved before multi-column sort existed.
+export function sortFromView(view) {
+  if (Array.isArray(view.sort) && view.sort.length) return view.sort.filter(s => COLUMNS_BY_ID[s.key]);
+  if (view.sortCol && COLUMNS_BY_ID[view.sortCol]) return [{ key: view.sortCol, dir: view.sortDir || "desc" }];
+  return DEFAULT_SORT;
+}
+
+// Missing values always sort last, whichever the direction.
+export function sortProperties(list, sort, ctx = {}) {
+  const keys = sort.map(s => ({ value: COLUMNS_BY_ID[s.key]?.value, sign: s.dir === "asc" ? 1 : -1 })).filter(k => k.value);
+  const decorated = list.map(p => ({ p, v: keys.map(k => k.value(p, ctx)) }));
+  decorated.sort((a, b) => {
+    for (let i = 0; i < keys.length; i++) {
+      const va = a.v[i], vb = b.v[i];
+      const ma = va === null || va === undefined || va === "", mb = vb === null || vb === undefined || vb === "";
+      if (ma || mb) { if (ma !== mb) return ma ? 1 : -1; continue; }
+      const c = typeof va === "string" ? va.localeCompare(vb) : va - vb;
+      if (c) return c * keys[i].sign;
+    }
+    return 0;
+  });
+  return decorated.map(d => d.p);
+}
@@ -0,0 +1,58 @@
+import { describe, it, expect } from "vitest";
+import { DEFAULT_COLUMNS, DEFAULT_SORT, cleanColumns, moveColumn, toggleSort, sortFromView, sortProperties } from "./tableView.js";
+
+const prop = (over) => ({ address: "", suburb: "", score: 0, priority: "Low", daysOnMarket: null, distressKeywords: [], sources: [], ...over });
+
+describe("sorting", () => {
+  it("sorts by several keys with missing values last", () => {
+    const list = [
+      prop({ address: "a", suburb: "Ryde", daysOnMarket: 10 }),
+      prop({ address: "b", suburb: "Penrith", daysOnMarket: 50 }),
+      prop({ address: "c", suburb: "Ryde", daysOnMarket: null }),
+      prop({ address: "d", suburb: "Ryde", daysOnMarket: 90 }),
+    ];
+    const sorted = sortProperties(list, [{ key: "suburb", dir: "asc" }, { key: "daysOnMarket", dir: "desc" }]);
+    expect(sorted.map(p => p.address)).toEqual(["b", "d", "a", "c"]);
+    expect(sortProperties(list, [{ key: "daysOnMarket", dir: "asc" }]).map(p => p.address)).toEqual(["a", "b", "d", "c"]);
+  });
+
+  it("ranks priority and deal status rather than sorting them alphabetically", () => {
+    const list = [prop({ key: "x", priority: "Monitor" }), prop({ key: "y", priority: "High Priority" }), prop({ key: "z", priority: "Low" })];
+    expect(sortProperties(list, [{ key: "priority", dir: "desc" }]).map(p => p.key)).toEqual(["y", "x", "z"]);
+    const pipeline = { x: { status: "Offer" }, z: { status: "Reviewing" } };
+    expect(sortProperties(list, [{ key: "deal", dir: "desc" }], { pipeline }).map(p => p.key)).toEqual(["x", "z", "y"]);
+  });
+
+  it("does not mutate the input", () => {
+    const list = [prop({ score: 1 }), prop({ score: 2 })];
+    sortProperties(list, DEFAULT_SORT);
+    expect(list[0].score).toBe(1);
+  });
+
+  it("replaces, flips and adds sort keys", () => {
+    expect(toggleSort(DEFAULT_SORT, "score")).toEqual([{ key: "score", dir: "asc" }]);
+    expect(toggleSort(DEFAULT_SORT, "suburb")).toEqual([{ key: "suburb", dir: "desc" }]);
+    const two = toggleSort(DEFAULT_SORT, "suburb", true);
+    expect(two).toEqual([{ key: "score", dir: "desc" }, { key: "suburb", dir: "desc" }]);
+    expect(toggleSort(two, "suburb", true)[1].dir).toBe("asc");
+    expect(toggleSort(two, "score")).toEqual([{ key: "score", dir: "desc" }]);
+  });
+
+  it("reads sort state saved by older scans", () => {
+    expect(sortFromView({ sortCol: "daysOnMarket", sortDir: "asc" })).toEqual([{ key: "daysOnMarket", dir: "asc" }]);
+    expect(sortFromView({})).toEqual(DEFAULT_SORT);
+  });
+});
+
+describe("columns", () => {
+  it("moves a column to the target position in either direction", () => {
+    const ids = ["a", "b", "c", "d"];
+    expect(moveColumn(ids, "a", "c")).toEqual(["b", "c", "a", "d"]);
+    expect(moveColumn(ids, "d", "b")).toEqual(["a", "d", "b", "c"]);
+  });
+
+  it("drops unknown and duplicate ids from saved layouts", () => {
+    expect(cleanColumns(["score", "nope", "score", "agentName"])).toEqual(["score", "agentName"]);
+    expect(cleanColumns(null)).toEqual(DEFAULT_COLUMNS);
+  });
+});
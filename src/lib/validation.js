@@ -0,0 +1,88 @@
+// --- IMPORT VALIDATION ---
+// Row-level checks run after mapping, before anything is scored. Each issue
+// names the mapped fields involved so the import report can offer an inline
+// fix for exactly those columns.
+
+import { isWithheldPrice, parseDaysOnMarket } from "./scoring.js";
+import { parseArea } from "./metrics.js";
+import { normaliseState, normalisePostcode, stateForPostcode } from "./states.js";
+import { DEFAULT_SCORING_MODEL } from "./scoringModel.js";
+
+export const ISSUE_TYPES = [
+  { id: "price", label: "Unparsed price" },
+  { id: "description", label: "Missing description" },
+  { id: "postcode", label: "Invalid postcode" },
+  { id: "area", label: "Non-numeric area" },
+  { id: "dom", label: "DOM outlier" },
+];
+
+// Prices under this are almost always a typo or a weekly rent.
+export const MIN_PLAUSIBLE_PRICE = 10_000;
+// Ten years on the market: anything longer is a data error.
+export const MAX_PLAUSIBLE_DOM = 3650;
+
+const blank = (v) => (v ?? "").toString().trim() === "" || (v ?? "").toString().trim() === "-";
+
+// Issues for one raw row and its mapped listing. Checks only run for fields
+// the mapping covers; an unmapped column is a file-level problem (see
+// mappingNotes), not something to flag on every row.
+export function validateRow(raw, row, mapping) {
+  const issues = [];
+  const val = (field) => (mapping[field] ? (raw[mapping[field]] ?? "") : "");
+  const add = (type, fields, message) => issues.push({ type, fields, message });
+
+  if (mapping.askingPrice) {
+    const text = val("askingPrice");
+    if (!blank(text) && row.askingPrice === null && !isWithheldPrice(text)) add("price", ["askingPrice"], `Could not read a price from "${text}".`);
+    else if (row.askingPrice !== null && row.askingPrice < MIN_PLAUSIBLE_PRICE) add("price", ["askingPrice"], `Price of $${row.askingPrice.toLocaleString("en-AU")} looks too low.`);
+  }
+
+  if (mapping.description && blank(row.description)) add("description", ["description"], "No listing description, so distress keywords cannot be found.");
+
+  if (mapping.postcode && !blank(val("postcode"))) {
+    const text = val("postcode");
+    const claimed = mapping.state ? normaliseState(val("state")) : "";
+    if (!normalisePostcode(text) || !stateForPostcode(text)) add("postcode", ["postcode"], `"${text}" is not an Australian postcode.`);
+    else if (claimed && stateForPostcode(text) !== claimed) add("postcode", ["postcode", "state"], `Postcode ${normalisePostcode(text)} is in ${stateForPostcode(text)}, not ${claimed}.`);
+  }
+
+  for (const [field, name] of [["landArea", "Land area"], ["buildingArea", "Building area"]]) {
+    const text = val(field);
+    if (mapping[field] && !blank(text) && parseArea(text) === null) add("area", [field], `${name} "${text}" is not a number.`);
+  }
+
+  if (mapping.daysOnMarket && !blank(val("daysOnMarket"))) {
+    const text = val("daysOnMarket");
+    const dom = parseDaysOnMarket(text);
+    if (dom === null) add("dom", ["daysOnMarket"], `Days on market "${text}" is not a number.`);
+    else if (dom < 0 || dom > MAX_PLAUSIBLE_DOM) add("dom", ["daysOnMarket"], `${dom.toLocaleString("en-AU")} days on market is outside 0–${MAX_PLAUSIBLE_DOM.toLocaleString("en-AU")}.`);
+  }
+
+  return issues;
+}
+
+// File-level gaps worth a note in the report. `model` supplies the points a
+// listing gets when its days on market are missing.
+export function mappingNotes(mapping, model = DEFAULT_SCORING_MODEL) {
+  const notes = [];
+  if (!mapping.askingPrice) notes.push("No price column is mapped, so value scoring is skipped.");
+  if (!mapping.description) notes.push("No description column is mapped, so distress keywords cannot be found.");
+  if (!mapping.daysOnMarket) {
+    const points = Number(model.domMissingPoints) || 0;
+    notes.push(`No days-on-market column is mapped, so every listing gets ${points ? `the ${points}-point` : "a zero"} DOM score for a missing value.`);
+  }
+  if (!mapping.state && !mapping.postcode) notes.push("Neither state nor postcode is mapped, so listings have no state and no state pack is used.");
+  return notes;
+}
+
+export function countIssues(flagged) {
+  const counts = Object.fromEntries(ISSUE_TYPES.map(t => [t.id, 0]));
+  for (const f of flagged) for (const type of new Set(f.issues.map(i => i.type))) counts[type]++;
+  return counts;
+}
+
+// Raw rows with an "Issues" column appended, for the rejected-rows CSV.
+// `entries` is [{ raw, issues }].
+export function rejectedRowsForExport(entries) {
+  return entries.map(({ raw, issues = [] }) => ({ ...raw, Issues: issues.map(x => x.message).join(" ") }));
+}
@@ -0,0 +1,93 @@
+import { describe, it, expect } from "vitest";
+import { mapListing } from "./scoring.js";
+import { validateRow, mappingNotes, countIssues, rejectedRowsForExport } from "./validation.js";
+import { normaliseState, normalisePostcode, stateForPostcode } from "./states.js";
+
+const MAPPING = {
+  address: "Address", state: "State", postcode: "Postcode", askingPrice: "Price", description: "Description",
+  landArea: "Land", buildingArea: "Building", daysOnMarket: "DOM",
+};
+const GOOD = { Address: "1 Main St", State: "NSW", Postcode: "2000", Price: "$1.2M", Description: "Leased", Land: "1,200 m²", Building: "", DOM: "45" };
+const issuesFor = (patch, mapping = MAPPING) => {
+  const raw = { ...GOOD, ...patch };
+  return validateRow(raw, mapListing(raw, mapping), mapping);
+};
+const types = (patch, mapping) => issuesFor(patch, mapping).map(i => i.type);
+
+describe("states", () => {
+  it("normalises state names and postcodes", () => {
+    expect(normaliseState("Queensland")).toBe("QLD");
+    expect(normaliseState("vic.")).toBe("VIC");
+    expect(normaliseState("Sydney")).toBe("");
+    expect(normalisePostcode("800")).toBe("0800");
+    expect(normalisePostcode("2000.0")).toBe("2000");
+    expect(normalisePostcode("NSW 2000")).toBeNull();
+  });
+
+  it("finds the state for a postcode", () => {
+    expect(stateForPostcode("2600")).toBe("ACT");
+    expect(stateForPostcode("4000")).toBe("QLD");
+    expect(stateForPostcode("0800")).toBe("NT");
+    expect(stateForPostcode("0100")).toBe("");
+  });
+
+  it("no longer defaults every listing to NSW", () => {
+    expect(mapListing({ Postcode: "4000" }, { postcode: "Postcode" }).state).toBe("QLD");
+    expect(mapListing({ State: "Victoria", Postcode: "2000" }, MAPPING).state).toBe("VIC");
+    expect(mapListing({}, {}).state).toBe("");
+  });
+});
+
+describe("validateRow", () => {
+  it("passes a clean row", () => {
+    expect(issuesFor({})).toEqual([]);
+  });
+
+  it("flags unparsed and implausible prices but not withheld ones", () => {
+    expect(types({ Price: "call me maybe" })).toEqual(["price"]);
+    expect(types({ Price: "$450 pw" })).toEqual(["price"]);
+    expect(types({ Price: "Contact Agent" })).toEqual([]);
+    expect(types({ Price: "" })).toEqual([]);
+  });
+
+  it("flags missing descriptions only when the column is mapped", () => {
+    expect(types({ Description: "  " })).toEqual(["description"]);
+    const { description: _d, ...noDescription } = MAPPING;
+    expect(types({ Description: "" }, noDescription)).toEqual([]);
+  });
+
+  it("flags postcodes that are invalid or belong to another state", () => {
+    expect(types({ Postcode: "ABC" })).toEqual(["postcode"]);
+    const [mismatch] = issuesFor({ State: "QLD" });
+    expect(mismatch).toMatchObject({ type: "postcode", fields: ["postcode", "state"] });
+    expect(mismatch.message).toContain("is in NSW, not QLD");
+  });
+
+  it("flags non-numeric areas and DOM outliers", () => {
+    expect(issuesFor({ Land: "large", Building: "TBC" }).map(i => i.fields[0])).toEqual(["landArea", "buildingArea"]);
+    expect(types({ DOM: "-" })).toEqual([]);
+    expect(types({ DOM: "45 days" })).toEqual([]);
+    expect(types({ DOM: "soon" })).toEqual(["dom"]);
+    expect(types({ DOM: "-3" })).toEqual(["dom"]);
+    expect(types({ DOM: "12,000" })).toEqual(["dom"]);
+  });
+});
+
+describe("report helpers", () => {
+  it("counts rows per issue type", () => {
+    const flagged = [{ index: 0, issues: [{ type: "area" }, { type: "area" }] }, { index: 3, issues: [{ type: "dom" }] }];
+    expect(countIssues(flagged)).toMatchObject({ area: 1, dom: 1, price: 0 });
+  });
+
+  it("notes unmapped columns", () => {
+    expect(mappingNotes(MAPPING)).toEqual([]);
+    expect(mappingNotes({ address: "Address" })).toHaveLength(4);
+    expect(mappingNotes({ ...MAPPING, daysOnMarket: "" })).toEqual(["No days-on-market column is mapped, so every listing gets the 5-point DOM score for a missing value."]);
+    expect(mappingNotes({ ...MAPPING, daysOnMarket: "" }, { domMissingPoints: 0 })[0]).toMatch(/gets a zero DOM score/);
+  });
+
+  it("appends the issues to rejected rows", () => {
+    const rows = rejectedRowsForExport([{ raw: { Address: "1 Main St" }, issues: [{ message: "Bad price." }, { message: "Bad DOM." }] }]);
+    expect(rows).toEqual([{ Address: "1 Main St", Issues: "Bad price. Bad DOM." }]);
+  });
+});
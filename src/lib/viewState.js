@@ -0,0 +1,133 @@
+// --- VIEW STATE: URLS AND SAVED VIEWS ---
+// A view is the dashboard's { filters, search, sort, activeTab }. It is
+// mirrored into the page URL so a filtered table can be bookmarked or shared,
+// and can be saved by name ("Parramatta industrial >120 DOM under $3M").
+
+import { DEFAULT_FILTERS } from "./filters.js";
+import { DEFAULT_SORT, getColumn } from "./tableView.js";
+
+const VIEWS_KEY = "dealScanner.savedViews";
+export const VIEW_TABS = ["table", "pipeline", "alerts", "deadlines", "map", "analytics", "agents", "distress", "changes", "sources", "model", "history"];
+const REGION_KEYS = ["north", "south", "west", "east"];
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Query string (without "?") holding only what differs from the defaults.
+export function viewToQuery({ filters = DEFAULT_FILTERS, search = "", sort = DEFAULT_SORT, activeTab = "table" }) {
+  const q = new URLSearchParams();
+  if (search) q.set("q", search);
+  if (activeTab && activeTab !== "table") q.set("tab", activeTab);
+  if (!same(sort, DEFAULT_SORT)) q.set("sort", sort.map(s => `${s.key}:${s.dir}`).join(","));
+  for (const [key, def] of Object.entries(DEFAULT_FILTERS)) {
+    const v = filters[key];
+    if (v === undefined || same(v, def)) continue;
+    if (Array.isArray(v)) { if (!v.length) q.set(key, ""); else v.forEach(x => q.append(key, x)); }
+    else if (key === "region") { if (v) q.set(key, REGION_KEYS.map(k => +v[k].toFixed(5)).join(",")); }
+    else if (typeof v === "boolean") q.set(key, v ? "1" : "0");
+    else if (v !== null) q.set(key, String(v));
+  }
+  return q.toString();
+}
+
+// The view in a query string, or null when it carries no view parameters.
+// Anything malformed falls back to its default rather than failing.
+export function viewFromQuery(query) {
+  const q = new URLSearchParams(query);
+  const filters = { ...DEFAULT_FILTERS };
+  let found = false;
+  for (const [key, def] of Object.entries(DEFAULT_FILTERS)) {
+    if (!q.has(key)) continue;
+    found = true;
+    const raw = q.get(key);
+    if (Array.isArray(def)) filters[key] = q.getAll(key).filter(Boolean);
+    else if (key === "region") {
+      const nums = raw.split(",").map(Number);
+      filters.region = nums.length === 4 && nums.every(Number.isFinite) ? Object.fromEntries(REGION_KEYS.map((k, i) => [k, nums[i]])) : null;
+    } else if (typeof def === "boolean") filters[key] = raw === "1";
+    else if (typeof def === "string") filters[key] = raw;
+    else {
+      const n = raw === "" ? NaN : Number(raw);
+      filters[key] = Number.isFinite(n) ? n : def;
+    }
+  }
+  const sort = (q.get("sort") || "").split(",").map(s => s.split(":"))
+    .filter(([key, dir]) => getColumn(key) && (dir === "asc" || dir === "desc")).map(([key, dir]) => ({ key, dir }));
+  const tab = q.get("tab");
+  if (!found && !q.has("q") && !q.has("tab") && !q.has("sort")) return null;
+  return {
+    filters,
+    search: q.get("q") || "",
+    sort: sort.length ? sort : DEFAULT_SORT,
+    activeTab: VIEW_TABS.includes(tab) && tab !== "history" ? tab : "table",
+  };
+}
+
+// --- SAVED VIEWS ---
+export function loadSavedViews() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(VIEWS_KEY) || "[]");
+    return Array.isArray(saved) ? saved.filter(v => v && v.id && v.name && v.view) : [];
+  } catch {
+    return [];
+  }
+}
+
+export function saveSavedViews(views) {
+  localStorage.setItem(VIEWS_KEY, JSON.stringify(views));
+}
+
+// Adds a view, replacing one with the same name (case-insensitive).
+export function upsertSavedView(views, name, view) {
+  const existing = views.find(v => v.name.toLowerCase() === name.toLowerCase());
+  const entry = {
+    id: existing?.id || `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    name, view: { filters: view.filters, search: view.search, sort: view.sort, activeTab: view.activeTab },
+    createdAt: existing?.createdAt || new Date().toISOString(), updatedAt: new Date().toISOString(),
+  };
+  return existing ? views.map(v => v.id === existing.id ? entry : v) : [...views, entry];
+}
+
+// The saved view with the same filters, search and sort as `view`, if any.
+// The tab is ignored so switching tabs keeps the view selected.
+export function findSavedView(views, view) {
+  const query = viewToQuery({ ...view, activeTab: "table" });
+  return views.find(v => viewToQuery({ ...v.view, activeTab: "table" }) === query) || null;
+}
+
+function shortMoney(n) {
+  if (n >= 1_000_000) return `$${+(n / 1_000_000).toFixed(1)}M`;
+  if (n >= 1_000) return `$${Math.round(n / 1_000)}K`;
+  return `$${n}`;
+}
+
+function listLabel(items, noun) {
+  return items.length > 2 ? `${items.length} ${noun}` : items.join(" & ");
+}
+
+// A readable default name for a view, built from its active filters.
+export function suggestViewName({ filters = DEFAULT_FILTERS, search = "" }) {
+  const f = { ...DEFAULT_FILTERS, ...filters };
+  const parts = [];
+  if (f.states.length) parts.push(listLabel(f.states, "states"));
+  if (f.suburbs.length) parts.push(listLabel(f.suburbs, "suburbs"));
+  if (f.propertyType.length) parts.push(listLabel(f.propertyType.map(t => t.toLowerCase()), "types"));
+  if (f.councilAreas.length) parts.push(listLabel(f.councilAreas, "councils"));
+  if (f.agencies.length) parts.push(listLabel(f.agencies, "agencies"));
+  if (f.agents.length) parts.push(listLabel(f.agents, "agents"));
+  if (!same([...f.priority].sort(), [...DEFAULT_FILTERS.priority].sort())) parts.push(f.priority.length ? f.priority.join(" & ").toLowerCase() : "no priorities");
+  if (f.domMin > DEFAULT_FILTERS.domMin) parts.push(`>${f.domMin} DOM`);
+  if (f.domMax < DEFAULT_FILTERS.domMax) parts.push(`<${f.domMax} DOM`);
+  const lo = f.priceMin > DEFAULT_FILTERS.priceMin, hi = f.priceMax < DEFAULT_FILTERS.priceMax;
+  if (lo && hi) parts.push(`${shortMoney(f.priceMin)}–${shortMoney(f.priceMax)}`);
+  else if (hi) parts.push(`under ${shortMoney(f.priceMax)}`);
+  else if (lo) parts.push(`over ${shortMoney(f.priceMin)}`);
+  if (f.scoreMax !== null) parts.push(`score ${f.scoreMin}–${f.scoreMax}`);
+  else if (f.scoreMin > 0) parts.push(`score ${f.scoreMin}+`);
+  if (f.yieldMin !== null) parts.push(`yield ${f.yieldMin}%+`);
+  if (f.dealStatus) parts.push(f.dealStatus === "untracked" ? "untracked" : f.dealStatus.toLowerCase());
+  if (f.watchlistOnly) parts.push("watchlist");
+  if (f.region) parts.push("map region");
+  if (search) parts.push(`"${search}"`);
+  const name = parts.join(" ");
+  return name ? name[0].toUpperCase() + name.slice(1) : "All listings";
+}
@@ -0,0 +1,60 @@
+import { describe, it, expect } from "vitest";
+import { DEFAULT_FILTERS } from "./filters.js";
+import { DEFAULT_SORT } from "./tableView.js";
+import { viewToQuery, viewFromQuery, upsertSavedView, findSavedView, suggestViewName } from "./viewState.js";
+
+const VIEW = {
+  filters: {
+    ...DEFAULT_FILTERS, suburbs: ["Parramatta"], propertyType: ["Industrial", "Warehouse & Co"], priceMax: 3_000_000, domMin: 120,
+    yieldMin: 6.5, watchlistOnly: true, region: { north: -33.7, south: -33.9, west: 150.9, east: 151.1 },
+  },
+  search: "vacant possession",
+  sort: [{ key: "daysOnMarket", dir: "desc" }, { key: "score", dir: "asc" }],
+  activeTab: "map",
+};
+
+describe("view URLs", () => {
+  it("leaves defaults out of the query", () => {
+    expect(viewToQuery({ filters: DEFAULT_FILTERS, search: "", sort: DEFAULT_SORT, activeTab: "table" })).toBe("");
+    expect(viewFromQuery("")).toBeNull();
+    expect(viewFromQuery("?utm_source=mail")).toBeNull();
+  });
+
+  it("round-trips the full view", () => {
+    const query = viewToQuery(VIEW);
+    expect(query).toContain("priceMax=3000000");
+    expect(viewFromQuery(`?${query}`)).toEqual(VIEW);
+  });
+
+  it("round-trips an empty priority selection", () => {
+    const view = { ...VIEW, filters: { ...VIEW.filters, priority: [] } };
+    expect(viewFromQuery(viewToQuery(view)).filters.priority).toEqual([]);
+  });
+
+  it("falls back to defaults for malformed values", () => {
+    const view = viewFromQuery("?domMin=abc&priceMax=&region=1,2&sort=nope:desc,score:sideways&tab=history");
+    expect(view.filters.domMin).toBe(0);
+    expect(view.filters.priceMax).toBe(DEFAULT_FILTERS.priceMax);
+    expect(view.filters.region).toBeNull();
+    expect(view.sort).toEqual(DEFAULT_SORT);
+    expect(view.activeTab).toBe("table");
+  });
+});
+
+describe("saved views", () => {
+  it("replaces a view with the same name and matches regardless of tab", () => {
+    let views = upsertSavedView([], "Big sheds", VIEW);
+    views = upsertSavedView(views, "big sheds", { ...VIEW, search: "" });
+    expect(views).toHaveLength(1);
+    expect(views[0].view.search).toBe("");
+    expect(findSavedView(views, { ...VIEW, search: "", activeTab: "table" })).toBe(views[0]);
+    expect(findSavedView(views, VIEW)).toBeNull();
+  });
+
+  it("suggests a name from the filters", () => {
+    const filters = { ...DEFAULT_FILTERS, suburbs: ["Parramatta"], propertyType: ["Industrial"], domMin: 120, priceMax: 3_000_000 };
+    expect(suggestViewName({ filters, search: "" })).toBe("Parramatta industrial >120 DOM under $3M");
+    expect(suggestViewName({ filters: { ...DEFAULT_FILTERS, priceMin: 1_500_000, priceMax: 4_000_000 } })).toBe("$1.5M–$4M");
+    expect(suggestViewName({ filters: DEFAULT_FILTERS })).toBe("All listings");
+  });
+});
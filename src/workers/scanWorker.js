@@ -0,0 +1,22 @@
+// Runs the scan engine off the main thread. Messages in are
+// { id, task, args } or { cancel: id }; messages out are
+// { id, progress, label }, { id, result } or { id, error }.
+
+import { createScanEngine } from "../lib/scanEngine.js";
+
+const engine = createScanEngine();
+const cancelled = new Set();
+
+self.onmessage = async ({ data }) => {
+  if ("cancel" in data) { cancelled.add(data.cancel); return; }
+  const { id, task, args } = data;
+  try {
+    if (typeof engine[task] !== "function") throw new Error(`Unknown task "${task}".`);
+    const result = await engine[task](...args, (progress, label) => self.postMessage({ id, progress, label }), () => cancelled.has(id));
+    self.postMessage({ id, result });
+  } catch (e) {
+    self.postMessage({ id, error: e.message || String(e) });
+  } finally {
+    cancelled.delete(id);
+  }
+};
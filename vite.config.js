@@ -5,4 +5,6 @@ import react from '@vitejs/plugin-react'
 export default defineConfig({
   plugins: [react()],
   base: '/deal-scanner-app/',
+  // The scan worker lazy-loads SheetJS, which needs an ES module worker.
+  worker: { format: 'es' },
 })